@@ -1,21 +1,145 @@
 #!/usr/bin/env node
+import { basename, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createInterface } from 'node:readline/promises';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import chalk from 'chalk';
-import { lookupProvider, ProviderNotFoundError, DiscoveryFetchError } from '../src/discovery.js';
+import {
+  lookupProvider,
+  searchProviders,
+  ProviderNotFoundError,
+  AmbiguousMatchError,
+  DiscoveryFetchError,
+} from '../src/discovery.js';
 import { fetchOpenAPISpec, OpenAPIExtractorError } from '../src/extractors/openapi.js';
 import { extractFromSwaggerUI, SwaggerUIExtractorError } from '../src/extractors/swagger-ui.js';
 import { scrapeEndpoints, DocsScraperError } from '../src/extractors/docs-scraper.js';
+import { extractFromStoplight, StoplightExtractorError } from '../src/extractors/stoplight.js';
+import { extractFromRapiDoc, RapiDocExtractorError } from '../src/extractors/rapidoc.js';
+import { extractFromReadme, ReadmeExtractorError } from '../src/extractors/readme.js';
+import {
+  isGraphQLSource,
+  loadGraphQLSchema,
+  listGraphQLOperations,
+  findGraphQLOperations,
+  GraphQLExtractorError,
+} from '../src/extractors/graphql.js';
 import { closeBrowser, getPage } from '../src/browser.js';
 import {
-  setCache,
   getCached,
   listCache,
   clearCache,
+  getCacheHistory,
   CacheNotFoundError,
   CacheExpiredError,
+  RevisionNotFoundError,
+  ENTRY_TYPE_SCRAPED,
 } from '../src/cache.js';
-import { formatEndpointList, formatScrapedEndpoints } from '../src/formatter.js';
+import {
+  formatEndpointList,
+  formatScrapedEndpoints,
+  formatEndpointDetail,
+  formatEndpointModel,
+  formatSchema,
+  describeSchemaType,
+  formatSpecDiff,
+  formatSearchResults,
+  formatGraphQLOperations,
+  formatGraphQLOperation,
+  formatProviderCandidates,
+} from '../src/formatter.js';
+import {
+  endpointModelFromSpec,
+  endpointModelFromScraped,
+  endpointModelFromGraphQL,
+  getOperationParameters,
+} from '../src/endpoint-model.js';
+import { generateSnippet, OperationNotFoundError, SNIPPET_LANGUAGES } from '../src/snippets.js';
+import { startMockServer, MockServerError } from '../src/mock-server.js';
+import { diffSpecs } from '../src/diff.js';
+import { startMcpServer } from '../src/mcp-server.js';
+import { searchCachedSpecs } from '../src/search.js';
+import { synthesizeOpenAPI } from '../src/synthesize.js';
+import { isAsyncAPISpec, listAsyncAPIOperations } from '../src/asyncapi.js';
+import { loadHar, synthesizeFromHar, HarError } from '../src/har.js';
+import {
+  addAlias,
+  removeAlias,
+  listAliases,
+  getRegistryPaths,
+  RegistryError,
+  ALIAS_TYPES,
+} from '../src/registry.js';
+import {
+  isLocalSource,
+  isStdinSource,
+  loadSpecFile,
+  loadSpecStdin,
+  prepareSpec,
+  prepareScraped,
+  isScrapedEntry,
+  resolveCachedSpec,
+  resolveCacheUrl,
+  loadLocalSpec,
+  SpecSourceError,
+  SpecNotFoundError,
+  STDIN_SOURCE,
+  STDIN_PATH,
+} from '../src/sources.js';
+import { loadConfig, getUrlSettings } from '../src/config.js';
+
+/**
+ * Builds fetchOpenAPISpec() options for a URL from its configured settings.
+ *
+ * @param {string} url - Spec or docs URL
+ * @returns {Promise<Object>} Options (timeout, headers, direct)
+ */
+async function fetchOptionsFor(url) {
+  const { timeout, headers, framework } = await getUrlSettings(url);
+  return { timeout, headers, direct: framework === 'openapi' };
+}
+
+/**
+ * Builds options for the browser-based extractors from a URL's configured settings.
+ *
+ * @param {string} url - Docs page URL
+ * @returns {Promise<Object>} Options (timeout, headers)
+ */
+async function pageOptionsFor(url) {
+  const { pageTimeout, headers } = await getUrlSettings(url);
+  return { timeout: pageTimeout, headers };
+}
+
+/**
+ * Builds scrapeEndpoints() options for a URL: the command's crawl options plus
+ * the configured page timeout, headers and forced framework.
+ *
+ * @param {string} url - Docs page URL
+ * @param {Object} options - Crawl options (crawl, maxPages, sameOrigin)
+ * @returns {Promise<Object>} scrapeEndpoints() options
+ */
+async function scrapeOptionsFor(url, options = {}) {
+  const { pageTimeout, headers, framework } = await getUrlSettings(url);
+  return {
+    ...options,
+    timeout: pageTimeout,
+    headers,
+    // "openapi" is not a docs framework; it makes isSpecTarget() fetch the URL directly
+    framework: framework && framework !== 'openapi' ? framework : undefined,
+  };
+}
+
+/**
+ * Checks if a URL should be fetched as a spec before trying the browser:
+ * it looks like a spec file, or its configured framework is "openapi".
+ *
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>} True to try a direct spec fetch
+ */
+async function isSpecTarget(url) {
+  return isSpecUrl(url) || (await getUrlSettings(url)).framework === 'openapi';
+}
 
 /**
  * Checks if a URL looks like an OpenAPI spec file.
@@ -30,7 +154,9 @@ function isSpecUrl(url) {
     lower.endsWith('.yaml') ||
     lower.endsWith('.yml') ||
     lower.includes('openapi') ||
-    lower.includes('swagger')
+    lower.includes('swagger') ||
+    lower.includes('asyncapi') ||
+    (lower.includes('postman') && lower.includes('/collections/'))
   );
 }
 
@@ -44,7 +170,7 @@ function isSpecUrl(url) {
  */
 async function findApiReferenceUrl(baseUrl, page) {
   try {
-    await page.goto(baseUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    await page.goto(baseUrl, { waitUntil: 'networkidle2' });
     await new Promise((resolve) => setTimeout(resolve, 1000));
 
     // Look for API reference links on the page
@@ -106,44 +232,187 @@ async function findApiReferenceUrl(baseUrl, page) {
   }
 }
 
+/**
+ * Extractors that recover the full spec behind a detected docs framework.
+ * Scraped endpoint lists have no parameters or schemas, so a recovered spec
+ * is preferred whenever one of these finds it.
+ */
+const FRAMEWORK_SPEC_EXTRACTORS = {
+  'stoplight-elements': { extract: extractFromStoplight, ErrorClass: StoplightExtractorError },
+  rapidoc: { extract: extractFromRapiDoc, ErrorClass: RapiDocExtractorError },
+  readme: { extract: extractFromReadme, ErrorClass: ReadmeExtractorError },
+};
+
+/**
+ * Tries to recover the full spec for a scraped docs page.
+ *
+ * @param {Object} scraped - Result from scrapeEndpoints()
+ * @returns {Promise<Object|null>} Extractor result (spec, format, specInfo, sourceUrl), or
+ *   null if the framework has no spec extractor or none was found
+ */
+async function extractFrameworkSpec(scraped) {
+  const extractor = FRAMEWORK_SPEC_EXTRACTORS[scraped.framework];
+  if (!extractor) {
+    return null;
+  }
+  try {
+    return await extractor.extract(scraped.url, await pageOptionsFor(scraped.url));
+  } catch (error) {
+    if (error instanceof extractor.ErrorClass) {
+      return null; // Keep the scraped endpoints
+    }
+    throw error;
+  }
+}
+
+/**
+ * Looks up a fresh cache entry for a spec or docs page URL.
+ *
+ * @param {string} url - URL the entry is cached under
+ * @returns {Promise<Object|null>} printEndpoints() source ({ spec, framework, url } or
+ *   { scraped }) plus the cache metadata, or null on a miss or expired entry
+ */
+async function getCachedSource(url) {
+  try {
+    const cached = await getCached(url);
+    if (isScrapedEntry(cached)) {
+      return { scraped: cached.scraped, metadata: cached.metadata };
+    }
+    return {
+      spec: resolveCachedSpec(cached),
+      framework: cached.metadata.specType,
+      url,
+      metadata: cached.metadata,
+    };
+  } catch (error) {
+    if (error instanceof CacheNotFoundError || error instanceof CacheExpiredError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Asks the user to choose between providers that match a name about equally well.
+ * Prompts on stderr so stdout stays clean for machine-readable output.
+ *
+ * @param {Array<Object>} candidates - Close candidates from discovery
+ * @returns {Promise<Object|null>} Chosen candidate, or null if cancelled
+ */
+async function promptForProvider(candidates) {
+  console.error(chalk.yellow('Several providers match:'));
+  console.error(formatProviderCandidates(candidates, { color: true }));
+
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(`Choose 1-${candidates.length} (Enter to cancel): `);
+    return candidates[Number.parseInt(answer, 10) - 1] || null;
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Returns the lookupProvider() `select` callback for this session: an
+ * interactive prompt on a terminal, none otherwise (ambiguous names then fail
+ * with the candidate list).
+ *
+ * @returns {Function|undefined} Select callback
+ */
+function providerSelector() {
+  return process.stdin.isTTY && process.stderr.isTTY ? promptForProvider : undefined;
+}
+
+/**
+ * Reports an ambiguous provider name with its candidates.
+ *
+ * @param {AmbiguousMatchError} error - Error from lookupProvider()
+ * @param {Function} log - Output function
+ */
+function printAmbiguousProvider(error, log) {
+  log(chalk.red(`Multiple providers match "${error.query}":`));
+  log(formatProviderCandidates(error.matches, { color: true }));
+  log();
+  log(chalk.dim('Tip: Use a more specific name or one of the ids above.'));
+  process.exitCode = 1;
+}
+
+/**
+ * Describes where a provider lookup resolved to a spec.
+ *
+ * @param {Object} result - lookupProvider() result with a specUrl
+ * @returns {string} Progress message
+ */
+function describeSpecMatch(result) {
+  if (result.source === 'registry') {
+    return `Using alias "${result.id}" from ${result.aliasFile}`;
+  }
+  return `Found ${result.provider} in the API catalog (${result.catalogId})`;
+}
+
 /**
  * Handles the fetch command.
  *
  * @param {Object} argv - Command arguments
  */
 async function handleFetch(argv) {
-  const { query, force, noCache } = argv;
+  const { query, force, noCache, crawl, maxPages, sameOrigin } = argv;
+
+  // Local file or stdin
+  if (isStdinSource(query) || (await isLocalSource(query))) {
+    try {
+      const { spec, metadata } = await loadLocalSpec(query, { force });
+      console.log(chalk.green(`Found: ${spec.info?.title || 'Unknown API'}`));
+      console.log(chalk.dim(`Type: ${metadata.specType}`));
+      if (!isStdinSource(query)) {
+        console.log(chalk.dim(`Cached as: ${metadata.url}`));
+      }
+      console.log();
+      console.log(formatEndpointList(spec));
+    } catch (error) {
+      if (error instanceof SpecSourceError) {
+        console.log(chalk.red(error.message));
+        process.exitCode = 1;
+        return;
+      }
+      throw error;
+    }
+    return;
+  }
 
   // Check if query looks like a URL
   const isUrl = query.startsWith('http://') || query.startsWith('https://');
 
   if (isUrl) {
     try {
-      // Check cache first (unless --no-cache)
-      if (!noCache) {
-        try {
-          const cached = await getCached(query);
+      // Check cache first (unless --no-cache; a crawl always scrapes afresh)
+      if (!noCache && !crawl) {
+        const cached = await getCachedSource(query);
+        if (cached?.scraped) {
+          console.log(chalk.green(`Found cached endpoints for: ${query}`));
+          console.log(chalk.dim(`Framework: ${cached.metadata.framework} (scraped)`));
+          console.log(chalk.dim(`Cached: ${cached.metadata.cachedAt}`));
+          console.log();
+          console.log(formatScrapedEndpoints(cached.scraped));
+          return;
+        }
+        if (cached) {
           console.log(chalk.green(`Found cached spec for: ${query}`));
           console.log(
             chalk.dim(`Type: ${cached.metadata.specType} ${cached.metadata.specVersion}`)
           );
           console.log(chalk.dim(`Cached: ${cached.metadata.cachedAt}`));
           console.log();
-          const output = formatEndpointList(cached.spec);
-          console.log(output);
+          console.log(formatEndpointList(cached.spec));
           return;
-        } catch (error) {
-          if (!(error instanceof CacheNotFoundError) && !(error instanceof CacheExpiredError)) {
-            throw error;
-          }
-          // Cache miss or expired - continue to fetch
         }
+        // Cache miss or expired - continue to fetch
       }
 
       // If URL looks like a spec file, try direct OpenAPI fetch first
-      if (isSpecUrl(query)) {
+      if (await isSpecTarget(query)) {
         console.log(chalk.dim('Attempting to fetch OpenAPI spec...'));
-        const result = await fetchOpenAPISpec(query, { timeout: 15000 });
+        const result = await fetchOpenAPISpec(query, await fetchOptionsFor(query));
 
         if (result) {
           console.log(chalk.green(`Found: ${result.specInfo.title}`));
@@ -151,14 +420,9 @@ async function handleFetch(argv) {
           console.log();
 
           // Cache the result (unless --no-cache)
-          if (!noCache) {
-            await setCache(query, result.spec, {
-              originalFormat: result.format,
-              ttl: 24 * 60 * 60 * 1000, // 24 hours
-            });
-          }
+          const spec = await prepareSpec(query, result, { cache: !noCache });
 
-          const output = formatEndpointList(result.spec);
+          const output = formatEndpointList(spec);
           console.log(output);
           return;
         }
@@ -167,13 +431,36 @@ async function handleFetch(argv) {
       // Try DOM scraping for docs pages
       console.log(chalk.dim('Trying DOM scraping...'));
       try {
-        const scraped = await scrapeEndpoints(query, { timeout: 30000 });
+        const scraped = await scrapeEndpoints(
+          query,
+          await scrapeOptionsFor(query, { crawl, maxPages, sameOrigin })
+        );
+        const frameworkSpec = scraped ? await extractFrameworkSpec(scraped) : null;
+        if (frameworkSpec) {
+          console.log(chalk.green(`Found: ${frameworkSpec.specInfo.title}`));
+          console.log(
+            chalk.dim(`Type: ${frameworkSpec.specInfo.type} ${frameworkSpec.specInfo.version}`)
+          );
+          console.log(chalk.dim(`(extracted via ${scraped.framework})`));
+          console.log();
+
+          // Cache the result (unless --no-cache)
+          const spec = await prepareSpec(query, frameworkSpec, { cache: !noCache });
+
+          console.log(formatEndpointList(spec));
+          await closeBrowser();
+          return;
+        }
         if (scraped && scraped.endpoints.length > 0) {
           console.log(chalk.green(`Found: ${scraped.apiInfo?.title || 'API Documentation'}`));
           console.log(chalk.dim(`Framework: ${scraped.framework}`));
           console.log(chalk.dim(`Endpoints: ${scraped.endpoints.length}`));
+          printCrawlSummary(scraped, console.log);
           console.log();
 
+          // Cache the result (unless --no-cache)
+          await prepareScraped(query, scraped, { cache: !noCache });
+
           const output = formatScrapedEndpoints(scraped);
           console.log(output);
           await closeBrowser();
@@ -190,7 +477,7 @@ async function handleFetch(argv) {
       // Fall back to Puppeteer-based Swagger UI extraction
       console.log(chalk.dim('Trying Swagger UI extraction...'));
       try {
-        const swaggerResult = await extractFromSwaggerUI(query, { timeout: 30000 });
+        const swaggerResult = await extractFromSwaggerUI(query, await pageOptionsFor(query));
         if (swaggerResult) {
           console.log(chalk.green(`Found: ${swaggerResult.specInfo.title}`));
           console.log(
@@ -200,14 +487,9 @@ async function handleFetch(argv) {
           console.log();
 
           // Cache the result (unless --no-cache)
-          if (!noCache) {
-            await setCache(query, swaggerResult.spec, {
-              originalFormat: swaggerResult.format,
-              ttl: 24 * 60 * 60 * 1000, // 24 hours
-            });
-          }
+          const spec = await prepareSpec(query, swaggerResult, { cache: !noCache });
 
-          const output = formatEndpointList(swaggerResult.spec);
+          const output = formatEndpointList(spec);
           console.log(output);
           await closeBrowser();
           return;
@@ -234,17 +516,27 @@ async function handleFetch(argv) {
     return;
   }
 
-  // Provider name - use APITracker discovery
+  // Provider name - look up the API catalog, then APITracker
   try {
-    console.log(chalk.dim(`Searching APITracker for "${query}"...`));
+    console.log(chalk.dim(`Looking up "${query}"...`));
     const result = await lookupProvider(query, {
       forceRefresh: force,
+      select: providerSelector(),
     });
 
+    // Spec aliases and catalog matches point straight at the spec
+    if (result.specUrl) {
+      console.log(chalk.dim(describeSpecMatch(result)));
+      await handleFetch({ ...argv, query: result.specUrl });
+      return;
+    }
+
     console.log(chalk.green(`Found: ${result.provider}`));
     console.log(chalk.dim(`Docs URL: ${result.docsUrl}`));
     if (result.source === 'cache') {
       console.log(chalk.dim('(from cache)'));
+    } else if (result.source === 'registry') {
+      console.log(chalk.dim(`(alias from ${result.aliasFile})`));
     }
     console.log();
     console.log(chalk.bold('Documentation URL:'));
@@ -258,69 +550,275 @@ async function handleFetch(argv) {
       return;
     }
 
+    if (error instanceof AmbiguousMatchError) {
+      printAmbiguousProvider(error, console.log);
+      return;
+    }
+
     if (error instanceof DiscoveryFetchError) {
       console.log(chalk.red('Failed to search APITracker.'));
       console.log(chalk.dim(`Error: ${error.cause?.message || error.message}`));
       return;
     }
 
+    if (error instanceof RegistryError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+
     // Unexpected error
     console.error(chalk.red('An unexpected error occurred:'), error.message);
     process.exit(1);
   }
 }
 
+/**
+ * Prints an endpoint list in the requested output format.
+ *
+ * @param {Object} source - Either { spec, framework, url } or { scraped }
+ * @param {Object} options - Output options
+ * @param {string} [options.format='text'] - 'text', 'json' or 'ndjson'
+ * @param {boolean} [options.verbose] - Show full descriptions (text only)
+ * @param {boolean} [options.grouped] - Group by category (text only)
+ * @param {boolean} [options.asOpenapi] - Print an OpenAPI document instead (scraped
+ *   results are synthesized into one; specs are printed as-is)
+ */
+function printEndpoints(source, options = {}) {
+  const { format = 'text', verbose, grouped, asOpenapi } = options;
+
+  if (asOpenapi) {
+    const document = source.scraped ? synthesizeOpenAPI(source.scraped) : source.spec;
+    console.log(JSON.stringify(document, null, 2));
+    return;
+  }
+
+  if (format === 'text') {
+    const output = source.scraped
+      ? formatScrapedEndpoints(source.scraped, { verbose, grouped })
+      : formatEndpointList(source.spec, { verbose, grouped });
+    console.log(output);
+    return;
+  }
+
+  const model = source.scraped
+    ? endpointModelFromScraped(source.scraped)
+    : endpointModelFromSpec(source.spec, { framework: source.framework, url: source.url });
+  console.log(formatEndpointModel(model, { format }));
+}
+
+/**
+ * Loads a GraphQL schema's operations, reporting load failures.
+ *
+ * @param {string} source - GraphQL endpoint URL or SDL file
+ * @param {Function} log - Output function for errors
+ * @returns {Promise<{api: Object, operations: Array<Object>}|null>} Api info and
+ *   operations, or null if the schema could not be loaded
+ */
+async function loadGraphQLOperations(source, log) {
+  try {
+    const { schema, api } = await loadGraphQLSchema(source);
+    return { api, operations: listGraphQLOperations(schema) };
+  } catch (error) {
+    if (error instanceof GraphQLExtractorError) {
+      log(chalk.red(error.message));
+      process.exitCode = 1;
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Prints a GraphQL schema's operations in the requested output format.
+ *
+ * @param {string} source - GraphQL endpoint URL or SDL file
+ * @param {Object} options - Output options (format, verbose, asOpenapi) plus log
+ */
+async function printGraphQLEndpoints(source, options = {}) {
+  const { format = 'text', verbose, asOpenapi, log } = options;
+
+  if (asOpenapi) {
+    log(chalk.red('--as-openapi is not supported for GraphQL schemas'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const loaded = await loadGraphQLOperations(source, log);
+  if (!loaded) {
+    return;
+  }
+
+  if (format === 'text') {
+    console.log(formatGraphQLOperations(loaded.api, loaded.operations, { verbose }));
+    return;
+  }
+  const model = endpointModelFromGraphQL(loaded.api, loaded.operations);
+  console.log(formatEndpointModel(model, { format }));
+}
+
+/**
+ * Reports how much of a site a --crawl visited.
+ *
+ * @param {Object} scraped - Result from scrapeEndpoints()
+ * @param {Function} log - Output function (console.log, or console.error for machine-readable output)
+ * @param {Object} options - Options
+ * @param {boolean} [options.verbose] - List the pages that failed or were skipped
+ */
+function printCrawlSummary(scraped, log, options = {}) {
+  if (!scraped?.crawl) {
+    return;
+  }
+  const failed = scraped.crawl.failed || [];
+  log(chalk.dim(`Crawled: ${scraped.crawl.pages} page(s)`));
+  if (failed.length > 0) {
+    log(chalk.yellow(`${failed.length} page(s) failed or were skipped`));
+    if (options.verbose) {
+      for (const { url, reason } of failed) {
+        log(chalk.dim(`  ${url}: ${reason}`));
+      }
+    }
+  }
+  if (scraped.crawl.truncated) {
+    log(chalk.yellow('Reached --max-pages; some linked pages were not visited'));
+  }
+}
+
+/**
+ * Caches a scrape result for the endpoints command. With --as-openapi the
+ * synthesized OpenAPI document is cached as a regular spec instead, so later
+ * commands (endpoint, mock, diff) can use it like any other spec.
+ *
+ * @param {string} url - URL to cache under
+ * @param {Object} scraped - Result from scrapeEndpoints()
+ * @param {Object} options - Options
+ * @param {boolean} [options.asOpenapi] - Cache the synthesized spec
+ */
+async function cacheScraped(url, scraped, options = {}) {
+  if (options.asOpenapi) {
+    const spec = synthesizeOpenAPI(scraped);
+    await prepareSpec(url, { spec, format: 'json', sourceUrl: scraped.url || url });
+    return;
+  }
+  await prepareScraped(url, scraped);
+}
+
 /**
  * Handles the endpoints command - outputs formatted endpoint list.
  *
  * @param {Object} argv - Command arguments
  */
 async function handleEndpoints(argv) {
-  const { query, force, verbose, grouped } = argv;
+  const {
+    query,
+    force,
+    verbose,
+    grouped,
+    format,
+    revision,
+    asOpenapi,
+    crawl,
+    maxPages,
+    sameOrigin,
+    graphql,
+  } = argv;
+
+  // Keep stdout clean for machine-readable output
+  const log = format === 'text' && !asOpenapi ? console.log : console.error;
+  const printOptions = { verbose, grouped, format, asOpenapi };
+  const crawlOptions = { crawl, maxPages, sameOrigin };
+
+  // A specific revision can only come from the cache
+  if (revision) {
+    const loaded = await loadCachedSpec(query, { revision, allowScraped: true });
+    if (loaded?.scraped) {
+      printEndpoints({ scraped: loaded.scraped }, printOptions);
+    } else if (loaded) {
+      printEndpoints(
+        { spec: loaded.spec, framework: loaded.metadata.specType, url: loaded.metadata.url },
+        printOptions
+      );
+    }
+    return;
+  }
+
+  // GraphQL endpoint or SDL file (introspected or parsed on every run)
+  if (isGraphQLSource(query, { force: graphql })) {
+    await printGraphQLEndpoints(query, { ...printOptions, log });
+    return;
+  }
+
+  // Local file or stdin
+  if (isStdinSource(query) || (await isLocalSource(query))) {
+    try {
+      const { spec: localSpec, metadata } = await loadLocalSpec(query, { force });
+      printEndpoints(
+        { spec: localSpec, framework: metadata.specType, url: metadata.url },
+        printOptions
+      );
+    } catch (error) {
+      if (error instanceof SpecSourceError) {
+        log(chalk.red(error.message));
+        process.exitCode = 1;
+        return;
+      }
+      throw error;
+    }
+    return;
+  }
 
   // Check if query looks like a URL
   const isUrl = query.startsWith('http://') || query.startsWith('https://');
 
   let spec = null;
+  let specFramework = null;
+  let specUrl = query;
   let scrapedResult = null;
 
   if (isUrl) {
     try {
-      // Check cache first (unless force refresh)
-      if (!force) {
-        try {
-          const cached = await getCached(query);
+      // Check cache first (unless force refresh; a crawl always scrapes afresh)
+      if (!force && !crawl) {
+        const cached = await getCachedSource(query);
+        if (cached?.scraped) {
+          // --as-openapi prints the synthesized document; the cached entry stays as it is
+          printEndpoints(cached, printOptions);
+          return;
+        }
+        if (cached) {
           spec = cached.spec;
-        } catch (error) {
-          if (!(error instanceof CacheNotFoundError) && !(error instanceof CacheExpiredError)) {
-            throw error;
-          }
-          // Cache miss or expired - continue to fetch
+          specFramework = cached.framework;
         }
+        // Cache miss or expired - continue to fetch
       }
 
       // Fetch if not cached
       if (!spec) {
         // If URL looks like a spec file, try direct OpenAPI fetch first
-        if (isSpecUrl(query)) {
-          const result = await fetchOpenAPISpec(query, { timeout: 15000 });
+        if (await isSpecTarget(query)) {
+          const result = await fetchOpenAPISpec(query, await fetchOptionsFor(query));
           if (result) {
-            spec = result.spec;
             // Cache the result
-            await setCache(query, result.spec, {
-              originalFormat: result.format,
-              ttl: 24 * 60 * 60 * 1000,
-            });
+            spec = await prepareSpec(query, result);
+            specFramework = result.specInfo.type;
           }
         }
 
         // Try DOM scraping for docs pages
         if (!spec) {
           try {
-            scrapedResult = await scrapeEndpoints(query, { timeout: 30000 });
-            if (scrapedResult && scrapedResult.endpoints.length > 0) {
-              const output = formatScrapedEndpoints(scrapedResult, { verbose, grouped });
-              console.log(output);
+            scrapedResult = await scrapeEndpoints(
+              query,
+              await scrapeOptionsFor(query, crawlOptions)
+            );
+            printCrawlSummary(scrapedResult, log, { verbose });
+            const frameworkSpec = scrapedResult ? await extractFrameworkSpec(scrapedResult) : null;
+            if (frameworkSpec) {
+              spec = await prepareSpec(query, frameworkSpec);
+              specFramework = scrapedResult.framework;
+            } else if (scrapedResult && scrapedResult.endpoints.length > 0) {
+              await cacheScraped(query, scrapedResult, { asOpenapi });
+              printEndpoints({ scraped: scrapedResult }, printOptions);
               await closeBrowser();
               return;
             }
@@ -335,15 +833,12 @@ async function handleEndpoints(argv) {
 
         // Fall back to Swagger UI extraction
         if (!spec) {
-          console.log(chalk.dim('Trying Swagger UI extraction...'));
+          log(chalk.dim('Trying Swagger UI extraction...'));
           try {
-            const swaggerResult = await extractFromSwaggerUI(query, { timeout: 30000 });
+            const swaggerResult = await extractFromSwaggerUI(query, await pageOptionsFor(query));
             if (swaggerResult) {
-              spec = swaggerResult.spec;
-              await setCache(query, swaggerResult.spec, {
-                originalFormat: swaggerResult.format,
-                ttl: 24 * 60 * 60 * 1000,
-              });
+              spec = await prepareSpec(query, swaggerResult);
+              specFramework = 'swagger-ui';
             }
             await closeBrowser();
           } catch (error) {
@@ -354,7 +849,7 @@ async function handleEndpoints(argv) {
           }
 
           if (!spec) {
-            console.log(chalk.yellow('No API documentation found at the provided URL.'));
+            log(chalk.yellow('No API documentation found at the provided URL.'));
             return;
           }
         }
@@ -362,27 +857,52 @@ async function handleEndpoints(argv) {
     } catch (error) {
       await closeBrowser();
       if (error instanceof OpenAPIExtractorError) {
-        console.log(chalk.red(`OpenAPI extraction failed: ${error.message}`));
+        log(chalk.red(`OpenAPI extraction failed: ${error.message}`));
         return;
       }
       throw error;
     }
   } else {
-    // Provider name - use APITracker discovery + DOM scraping
+    // Provider name - API catalog, or APITracker discovery + DOM scraping
     try {
-      console.log(chalk.dim(`Searching APITracker for "${query}"...`));
+      log(chalk.dim(`Looking up "${query}"...`));
       const result = await lookupProvider(query, {
         forceRefresh: force,
+        select: providerSelector(),
       });
 
-      console.log(chalk.dim(`Found docs at: ${result.docsUrl}`));
+      // Spec aliases and catalog matches point straight at the spec
+      if (result.specUrl) {
+        log(chalk.dim(describeSpecMatch(result)));
+        await handleEndpoints({
+          ...argv,
+          query: result.specUrl,
+          revision: argv.revision || result.revision || undefined,
+        });
+        return;
+      }
+
+      log(chalk.dim(`Found docs at: ${result.docsUrl}`));
+
+      // Reuse endpoints scraped (or a spec fetched) on an earlier run
+      if (!force && !crawl) {
+        const cached = await getCachedSource(result.docsUrl);
+        if (cached) {
+          printEndpoints(cached, printOptions);
+          await closeBrowser();
+          return;
+        }
+      }
 
       let docsUrl = result.docsUrl;
       let foundEndpoints = false;
 
       // Try DOM scraping on the discovered docs URL
       try {
-        scrapedResult = await scrapeEndpoints(docsUrl, { timeout: 30000 });
+        scrapedResult = await scrapeEndpoints(
+          docsUrl,
+          await scrapeOptionsFor(docsUrl, crawlOptions)
+        );
         if (scrapedResult && scrapedResult.endpoints.length > 0) {
           foundEndpoints = true;
         }
@@ -395,18 +915,21 @@ async function handleEndpoints(argv) {
 
       // If no endpoints found, try to find API reference page
       if (!foundEndpoints) {
-        console.log(chalk.dim('Looking for API reference page...'));
-        const page = await getPage({ timeout: 30000 });
+        log(chalk.dim('Looking for API reference page...'));
+        const page = await getPage(await pageOptionsFor(docsUrl));
         const apiRefUrl = await findApiReferenceUrl(docsUrl, page);
         await page.close();
 
         if (apiRefUrl && apiRefUrl !== docsUrl) {
-          console.log(chalk.dim(`Found API reference: ${apiRefUrl}`));
+          log(chalk.dim(`Found API reference: ${apiRefUrl}`));
           docsUrl = apiRefUrl;
 
           // Try scraping the API reference page
           try {
-            scrapedResult = await scrapeEndpoints(docsUrl, { timeout: 30000 });
+            scrapedResult = await scrapeEndpoints(
+              docsUrl,
+              await scrapeOptionsFor(docsUrl, crawlOptions)
+            );
             if (scrapedResult && scrapedResult.endpoints.length > 0) {
               foundEndpoints = true;
             }
@@ -419,59 +942,81 @@ async function handleEndpoints(argv) {
         }
       }
 
+      // Prefer the full spec when the docs framework exposes one
+      const frameworkSpec = scrapedResult ? await extractFrameworkSpec(scrapedResult) : null;
+      if (frameworkSpec) {
+        spec = await prepareSpec(result.docsUrl, frameworkSpec);
+        specFramework = scrapedResult.framework;
+        specUrl = result.docsUrl;
+      }
+
       // Output if we found endpoints
-      if (foundEndpoints && scrapedResult) {
-        const output = formatScrapedEndpoints(scrapedResult, { verbose, grouped });
-        console.log(output);
+      if (!spec && foundEndpoints && scrapedResult) {
+        printCrawlSummary(scrapedResult, log, { verbose });
+        // Keyed by the discovered docs URL; the scraped page is kept as its source URL
+        await cacheScraped(result.docsUrl, scrapedResult, { asOpenapi });
+        printEndpoints({ scraped: scrapedResult }, printOptions);
         await closeBrowser();
         return;
       }
 
       // Try direct OpenAPI fetch
-      console.log(chalk.dim('Trying OpenAPI extraction...'));
-      const fetchResult = await fetchOpenAPISpec(docsUrl, { timeout: 15000 });
-      if (fetchResult) {
-        spec = fetchResult.spec;
-        await setCache(docsUrl, fetchResult.spec, {
-          originalFormat: fetchResult.format,
-          ttl: 24 * 60 * 60 * 1000,
-        });
-      } else {
-        // Try Swagger UI extraction
-        try {
-          const swaggerResult = await extractFromSwaggerUI(docsUrl, { timeout: 30000 });
-          if (swaggerResult) {
-            spec = swaggerResult.spec;
-            await setCache(docsUrl, swaggerResult.spec, {
-              originalFormat: swaggerResult.format,
-              ttl: 24 * 60 * 60 * 1000,
-            });
-          }
-          await closeBrowser();
-        } catch (error) {
-          await closeBrowser();
-          if (!(error instanceof SwaggerUIExtractorError)) {
-            throw error;
+      if (!spec) {
+        log(chalk.dim('Trying OpenAPI extraction...'));
+        const fetchResult = await fetchOpenAPISpec(docsUrl, await fetchOptionsFor(docsUrl));
+        if (fetchResult) {
+          spec = await prepareSpec(docsUrl, fetchResult);
+          specFramework = fetchResult.specInfo.type;
+          specUrl = docsUrl;
+        } else {
+          // Try Swagger UI extraction
+          try {
+            const swaggerResult = await extractFromSwaggerUI(
+              docsUrl,
+              await pageOptionsFor(docsUrl)
+            );
+            if (swaggerResult) {
+              spec = await prepareSpec(docsUrl, swaggerResult);
+              specFramework = 'swagger-ui';
+              specUrl = docsUrl;
+            }
+            await closeBrowser();
+          } catch (error) {
+            await closeBrowser();
+            if (!(error instanceof SwaggerUIExtractorError)) {
+              throw error;
+            }
           }
         }
       }
 
       if (!spec) {
-        console.log(chalk.yellow('Could not extract endpoints from the API documentation.'));
-        console.log(chalk.dim(`Docs URL: ${docsUrl}`));
+        log(chalk.yellow('Could not extract endpoints from the API documentation.'));
+        log(chalk.dim(`Docs URL: ${docsUrl}`));
         return;
       }
     } catch (error) {
       await closeBrowser();
       if (error instanceof ProviderNotFoundError) {
-        console.log(chalk.red(`No API found for "${query}".`));
-        console.log(chalk.dim('Tip: Try a URL if you have a direct link to API docs.'));
+        log(chalk.red(`No API found for "${query}".`));
+        log(chalk.dim('Tip: Try a URL if you have a direct link to API docs.'));
+        return;
+      }
+
+      if (error instanceof AmbiguousMatchError) {
+        printAmbiguousProvider(error, log);
         return;
       }
 
       if (error instanceof DiscoveryFetchError) {
-        console.log(chalk.red('Failed to search APITracker.'));
-        console.log(chalk.dim(`Error: ${error.cause?.message || error.message}`));
+        log(chalk.red('Failed to search APITracker.'));
+        log(chalk.dim(`Error: ${error.cause?.message || error.message}`));
+        return;
+      }
+
+      if (error instanceof RegistryError) {
+        log(chalk.red(error.message));
+        process.exitCode = 1;
         return;
       }
 
@@ -481,8 +1026,7 @@ async function handleEndpoints(argv) {
 
   // Format and output the endpoint list
   if (spec) {
-    const output = formatEndpointList(spec, { verbose, grouped });
-    console.log(output);
+    printEndpoints({ spec, framework: specFramework, url: specUrl }, printOptions);
   }
   await closeBrowser();
 }
@@ -507,7 +1051,16 @@ async function handleListCached() {
     const title = entry.specInfo?.title || 'Unknown API';
     console.log(`  ${chalk.bold(title)}${status}`);
     console.log(chalk.dim(`    URL: ${entry.url}`));
+    if (entry.entryType === ENTRY_TYPE_SCRAPED) {
+      console.log(chalk.dim(`    Scraped: ${entry.framework} docs`));
+      if (entry.sourceUrl && entry.sourceUrl !== entry.url) {
+        console.log(chalk.dim(`    Source: ${entry.sourceUrl}`));
+      }
+    }
     console.log(chalk.dim(`    Cached: ${entry.cachedAt}`));
+    if (entry.revisions?.length > 1) {
+      console.log(chalk.dim(`    Revisions: ${entry.revisions.length}`));
+    }
     console.log();
   });
 }
@@ -522,7 +1075,7 @@ async function handleClear(argv) {
 
   try {
     if (url) {
-      await clearCache(url);
+      await clearCache(await resolveCacheUrl(url));
       console.log(chalk.green(`Cleared cache for: ${url}`));
     } else {
       const result = await clearCache();
@@ -543,34 +1096,83 @@ async function handleClear(argv) {
 }
 
 /**
- * Handles the endpoint command - shows details for a specific endpoint.
+ * Loads and dereferences a cached spec, printing a hint if it is missing or expired.
+ * Local files and stdin ("-") are read directly (see loadLocalSpec), so they
+ * need no separate fetch.
  *
- * @param {Object} argv - Command arguments
+ * @param {string} url - URL the spec is cached under, local path or "-"
+ * @param {Object} [options] - Options
+ * @param {string} [options.revision] - Revision id (or prefix) to load instead of the latest
+ * @param {boolean} [options.allowScraped=false] - Return scraped entries as { scraped, metadata }
+ *   instead of reporting that they have no spec
+ * @returns {Promise<Object|null>} Resolved spec (or scraped result) and cache metadata, or null
  */
-async function handleEndpoint(argv) {
-  const { url, path: endpointPath, method } = argv;
-
-  // Get the cached spec
-  let spec;
+async function loadCachedSpec(url, options = {}) {
+  const { revision, allowScraped = false } = options;
   try {
-    const cached = await getCached(url);
-    spec = cached.spec;
+    if (!revision && (isStdinSource(url) || (await isLocalSource(url)))) {
+      return await loadLocalSpec(url);
+    }
+    const cached = await getCached(await resolveCacheUrl(url), { revision });
+    if (allowScraped && isScrapedEntry(cached)) {
+      return { scraped: cached.scraped, metadata: cached.metadata };
+    }
+    return { spec: resolveCachedSpec(cached), metadata: cached.metadata };
   } catch (error) {
+    if (error instanceof SpecSourceError) {
+      console.log(chalk.red(error.message));
+      return null;
+    }
+    if (error instanceof RevisionNotFoundError) {
+      console.log(chalk.red(error.message));
+      console.log(chalk.dim(`Use "api-docs history ${url}" to see available revisions.`));
+      return null;
+    }
     if (error instanceof CacheNotFoundError) {
       console.log(chalk.red(`No cached spec found for: ${url}`));
       console.log(chalk.dim('Use "api-docs fetch <url>" first to cache the spec.'));
-      return;
+      return null;
     }
     if (error instanceof CacheExpiredError) {
       console.log(chalk.yellow(`Cached spec expired for: ${url}`));
       console.log(chalk.dim('Use "api-docs fetch <url>" to refresh the cache.'));
-      return;
+      return null;
     }
     throw error;
   }
+}
 
-  // Find the endpoint
-  const pathItem = spec.paths?.[endpointPath];
+/**
+ * Handles the endpoint command - shows details for a specific endpoint.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleEndpoint(argv) {
+  const { url, path: endpointPath, method, revision, graphql } = argv;
+
+  if (isGraphQLSource(url, { force: graphql })) {
+    await printGraphQLOperation(url, endpointPath, method);
+    return;
+  }
+
+  // Get the cached spec
+  const cached = await loadCachedSpec(url, { revision, allowScraped: true });
+  if (!cached) {
+    return;
+  }
+  if (cached.scraped) {
+    printScrapedEndpoint(cached, endpointPath, method);
+    return;
+  }
+  const { spec } = cached;
+
+  if (isAsyncAPISpec(spec)) {
+    printAsyncAPIChannel(spec, endpointPath, method);
+    return;
+  }
+
+  // Find the endpoint
+  const pathItem = spec.paths?.[endpointPath];
   if (!pathItem) {
     console.log(chalk.red(`Endpoint not found: ${endpointPath}`));
     console.log();
@@ -601,7 +1203,7 @@ async function handleEndpoint(argv) {
       });
       return;
     }
-    formatEndpointDetails(endpointPath, method.toLowerCase(), operation);
+    formatEndpointDetails(endpointPath, method.toLowerCase(), operation, pathItem);
   } else {
     // Show all methods for this path
     let first = true;
@@ -609,20 +1211,111 @@ async function handleEndpoint(argv) {
       if (pathItem[m]) {
         if (!first) console.log();
         first = false;
-        formatEndpointDetails(endpointPath, m, pathItem[m]);
+        formatEndpointDetails(endpointPath, m, pathItem[m], pathItem);
       }
     }
   }
 }
 
+/**
+ * Prints the details of a GraphQL root field.
+ *
+ * @param {string} source - GraphQL endpoint URL or SDL file
+ * @param {string} name - Field name, optionally qualified ("mutation.createUser")
+ * @param {string} [kind] - Operation kind filter (query, mutation, subscription)
+ */
+async function printGraphQLOperation(source, name, kind) {
+  const loaded = await loadGraphQLOperations(source, console.log);
+  if (!loaded) {
+    return;
+  }
+
+  const matches = findGraphQLOperations(loaded.operations, name, kind);
+  if (matches.length === 0) {
+    console.log(chalk.red(`Operation not found: ${name}`));
+    console.log();
+    console.log(chalk.dim('Available operations:'));
+    loaded.operations.slice(0, 10).forEach((operation) => {
+      console.log(chalk.dim(`  ${operation.kind} ${operation.name}`));
+    });
+    if (loaded.operations.length > 10) {
+      console.log(chalk.dim(`  ... and ${loaded.operations.length - 10} more`));
+    }
+    return;
+  }
+
+  matches.forEach((operation, index) => {
+    if (index > 0) {
+      console.log();
+    }
+    console.log(formatGraphQLOperation(operation));
+  });
+}
+
+/**
+ * Prints the details a docs scraper captured for an endpoint (description, tags,
+ * operation ID). Parameters and schemas are not available for scraped entries.
+ *
+ * @param {Object} cached - { scraped, metadata } from loadCachedSpec()
+ * @param {string} endpointPath - Endpoint path
+ * @param {string} [method] - HTTP method filter
+ */
+function printScrapedEndpoint(cached, endpointPath, method) {
+  const { endpoints } = cached.scraped;
+  const matches = endpoints.filter((e) => e.path === endpointPath);
+
+  if (matches.length === 0) {
+    console.log(chalk.red(`Endpoint not found: ${endpointPath}`));
+    console.log();
+    console.log(chalk.dim('Available endpoints:'));
+    const paths = [...new Set(endpoints.map((e) => e.path))];
+    paths.slice(0, 10).forEach((p) => {
+      console.log(chalk.dim(`  ${p}`));
+    });
+    if (paths.length > 10) {
+      console.log(chalk.dim(`  ... and ${paths.length - 10} more`));
+    }
+    return;
+  }
+
+  const selected = method ? matches.filter((e) => e.method === method.toUpperCase()) : matches;
+  if (selected.length === 0) {
+    console.log(chalk.red(`Method ${method.toUpperCase()} not found for ${endpointPath}`));
+    console.log();
+    console.log(chalk.dim('Available methods:'));
+    matches.forEach((e) => {
+      console.log(chalk.dim(`  ${e.method}`));
+    });
+    return;
+  }
+
+  selected.forEach((endpoint, index) => {
+    if (index > 0) {
+      console.log();
+    }
+    console.log(formatEndpointDetail(endpoint));
+  });
+  console.log();
+  const unavailable = selected.every((e) => e.parameters?.length > 0)
+    ? 'schemas are'
+    : 'parameters and schemas are';
+  console.log(
+    chalk.dim(
+      `Scraped from ${cached.metadata.framework} docs at ${cached.metadata.sourceUrl}; ` +
+        `${unavailable} not available.`
+    )
+  );
+}
+
 /**
  * Formats and prints detailed endpoint information.
  *
  * @param {string} path - Endpoint path
  * @param {string} method - HTTP method
- * @param {Object} operation - OpenAPI operation object
+ * @param {Object} operation - OpenAPI operation object (dereferenced)
+ * @param {Object} [pathItem] - Path item, for path-level parameters
  */
-function formatEndpointDetails(path, method, operation) {
+function formatEndpointDetails(path, method, operation, pathItem = {}) {
   const methodColors = {
     get: chalk.green,
     post: chalk.blue,
@@ -643,30 +1336,45 @@ function formatEndpointDetails(path, method, operation) {
     console.log(chalk.dim(operation.description));
   }
 
-  // Parameters
-  if (operation.parameters?.length) {
+  const parameters = getOperationParameters(pathItem, operation);
+  const bodyParam = parameters.find((param) => param.in === 'body');
+
+  // Parameters (Swagger 2.0 body parameters are shown as the request body)
+  const plainParameters = parameters.filter((param) => param.in !== 'body');
+  if (plainParameters.length) {
     console.log();
     console.log(chalk.bold('Parameters:'));
-    operation.parameters.forEach((param) => {
+    plainParameters.forEach((param) => {
       const required = param.required ? chalk.red('*') : '';
       const desc = param.description || 'no description';
-      console.log(`  ${param.name}${required} (${param.in}) - ${desc}`);
+      const type =
+        param.schema || param.type ? ` ${describeSchemaType(param.schema || param)}` : '';
+      console.log(`  ${param.name}${required} (${param.in})${type} - ${desc}`);
     });
   }
 
   // Request body (OpenAPI 3.x)
   if (operation.requestBody) {
+    const required = operation.requestBody.required ? chalk.red(' (required)') : '';
     console.log();
-    console.log(chalk.bold('Request Body:'));
-    const content = operation.requestBody.content;
-    if (content) {
-      Object.keys(content).forEach((mediaType) => {
-        console.log(chalk.dim(`  ${mediaType}`));
-      });
-    }
+    console.log(chalk.bold('Request Body:') + required);
     if (operation.requestBody.description) {
       console.log(chalk.dim(`  ${operation.requestBody.description}`));
     }
+    printContentSchemas(operation.requestBody.content);
+  }
+
+  // Request body (Swagger 2.0 `in: body` parameter)
+  if (bodyParam) {
+    const required = bodyParam.required ? chalk.red(' (required)') : '';
+    console.log();
+    console.log(chalk.bold('Request Body:') + required);
+    if (bodyParam.description) {
+      console.log(chalk.dim(`  ${bodyParam.description}`));
+    }
+    if (bodyParam.schema) {
+      console.log(formatSchema(bodyParam.schema, { indent: 2, color: true }));
+    }
   }
 
   // Responses
@@ -674,20 +1382,621 @@ function formatEndpointDetails(path, method, operation) {
     console.log();
     console.log(chalk.bold('Responses:'));
     Object.entries(operation.responses).forEach(([code, response]) => {
-      const desc = response.description || 'no description';
+      const desc = response?.description || 'no description';
       console.log(`  ${code}: ${desc}`);
+      if (response?.content) {
+        printContentSchemas(response.content, 4);
+      } else if (response?.schema) {
+        console.log(formatSchema(response.schema, { indent: 4, color: true }));
+      }
     });
   }
 }
 
-yargs(hideBin(process.argv))
+/**
+ * Prints the operations on an AsyncAPI channel with their message payloads.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI document
+ * @param {string} channel - Channel address (or name)
+ * @param {string} [action] - 'send' or 'receive' filter
+ */
+function printAsyncAPIChannel(spec, channel, action) {
+  const operations = listAsyncAPIOperations(spec);
+  const matches = operations.filter((operation) => operation.channel === channel);
+
+  if (matches.length === 0) {
+    console.log(chalk.red(`Channel not found: ${channel}`));
+    console.log();
+    console.log(chalk.dim('Available channels:'));
+    const channels = [...new Set(operations.map((operation) => operation.channel))];
+    channels.slice(0, 10).forEach((c) => {
+      console.log(chalk.dim(`  ${c}`));
+    });
+    if (channels.length > 10) {
+      console.log(chalk.dim(`  ... and ${channels.length - 10} more`));
+    }
+    return;
+  }
+
+  const selected = action
+    ? matches.filter((operation) => operation.action === action.toLowerCase())
+    : matches;
+  if (selected.length === 0) {
+    console.log(chalk.red(`Action ${action.toUpperCase()} not found for ${channel}`));
+    console.log();
+    console.log(chalk.dim('Available actions:'));
+    matches.forEach((operation) => {
+      console.log(chalk.dim(`  ${operation.action.toUpperCase()}`));
+    });
+    return;
+  }
+
+  selected.forEach((operation, index) => {
+    if (index > 0) {
+      console.log();
+    }
+    const colorFn = operation.action === 'send' ? chalk.cyan : chalk.magenta;
+    console.log(colorFn.bold(`${operation.action.toUpperCase()} ${operation.channel}`));
+    if (operation.summary) {
+      console.log(operation.summary);
+    }
+    if (operation.description && operation.description !== operation.summary) {
+      console.log(chalk.dim(operation.description));
+    }
+    if (operation.operationId) {
+      console.log(chalk.dim(`Operation ID: ${operation.operationId}`));
+    }
+
+    if (operation.messages.length) {
+      console.log();
+      console.log(chalk.bold('Messages:'));
+      operation.messages.forEach((message) => {
+        const name = message.name || message.title || 'message';
+        const contentType = message.contentType ? chalk.dim(` (${message.contentType})`) : '';
+        console.log(`  ${name}${contentType}${message.summary ? ` - ${message.summary}` : ''}`);
+        if (message.payload) {
+          console.log(formatSchema(message.payload, { indent: 4, color: true }));
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Longest example printed in endpoint details
+ */
+const MAX_EXAMPLE_LINES = 20;
+
+/**
+ * Prints an example value, truncated to a screenful.
+ *
+ * @param {*} value - Example value
+ * @param {string} pad - Indentation
+ */
+function printExampleValue(value, pad) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  const lines = String(text).split('\n');
+  lines.slice(0, MAX_EXAMPLE_LINES).forEach((line) => {
+    console.log(`${pad}${line}`);
+  });
+  if (lines.length > MAX_EXAMPLE_LINES) {
+    console.log(chalk.dim(`${pad}... ${lines.length - MAX_EXAMPLE_LINES} more lines`));
+  }
+}
+
+/**
+ * Prints the schema for each media type in an OpenAPI 3.x content map.
+ * Media types without a schema (e.g. converted Postman collections) show
+ * their examples instead.
+ *
+ * @param {Object} content - Content map (media type -> media type object)
+ * @param {number} [indent=2] - Indentation for the media type lines
+ */
+function printContentSchemas(content, indent = 2) {
+  if (!content) {
+    return;
+  }
+  const pad = ' '.repeat(indent);
+  Object.entries(content).forEach(([mediaType, media]) => {
+    console.log(chalk.dim(`${pad}${mediaType}`));
+    if (media?.schema) {
+      console.log(formatSchema(media.schema, { indent: indent + 2, color: true }));
+    } else if (media?.example !== undefined) {
+      printExampleValue(media.example, `${pad}  `);
+    } else if (media?.examples) {
+      Object.entries(media.examples).forEach(([name, example]) => {
+        console.log(chalk.dim(`${pad}  Example: ${name}`));
+        printExampleValue(example?.value, `${pad}    `);
+      });
+    }
+  });
+}
+
+/**
+ * Handles the snippet command - prints a ready-to-run request example.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleSnippet(argv) {
+  const { url, path: endpointPath, method, lang, baseUrl } = argv;
+
+  const loaded = await loadCachedSpec(url);
+  if (!loaded) {
+    return;
+  }
+  const { spec, metadata } = loaded;
+
+  const pathItem = spec.paths?.[endpointPath];
+  if (!pathItem) {
+    console.log(chalk.red(`Endpoint not found: ${endpointPath}`));
+    return;
+  }
+
+  // Default to the only method, or GET when the path has several
+  const httpMethods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+  const available = httpMethods.filter((m) => pathItem[m]);
+  const selected = method ? method.toLowerCase() : available.length === 1 ? available[0] : 'get';
+
+  try {
+    const snippet = generateSnippet(spec, endpointPath, selected, {
+      lang,
+      baseUrl,
+      specUrl: metadata.sourceUrl || metadata.url,
+    });
+    console.log(snippet);
+  } catch (error) {
+    if (error instanceof OperationNotFoundError) {
+      console.log(chalk.red(`Method ${selected.toUpperCase()} not found for ${endpointPath}`));
+      console.log(
+        chalk.dim(`Available methods: ${available.map((m) => m.toUpperCase()).join(', ')}`)
+      );
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Handles the mock command - serves example responses for a cached spec.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleMock(argv) {
+  const { url, port, host, validate } = argv;
+
+  const loaded = await loadCachedSpec(url);
+  if (!loaded) {
+    return;
+  }
+  const { spec } = loaded;
+
+  const statusColor = (status) =>
+    status >= 500 ? chalk.red : status >= 400 ? chalk.yellow : chalk.green;
+
+  try {
+    const { url: serverUrl } = await startMockServer(spec, {
+      port,
+      host,
+      validate,
+      onRequest: ({ method, path, status, route }) => {
+        const routeHint = route && route !== path ? chalk.dim(` (${route})`) : '';
+        console.log(`${statusColor(status)(status)} ${method.padEnd(7)} ${path}${routeHint}`);
+      },
+    });
+
+    const title = spec.info?.title || url;
+    const pathCount = Object.keys(spec.paths || {}).length;
+    console.log(chalk.green(`Mocking ${title} (${pathCount} paths) at ${serverUrl}`));
+    console.log(chalk.dim('Send "X-Mock-Status: <code>" to pick a documented response.'));
+    console.log(chalk.dim('Press Ctrl+C to stop.'));
+    console.log();
+  } catch (error) {
+    if (error instanceof MockServerError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Loads one side of a diff: a local file, stdin, a cache entry (even if expired),
+ * or a spec fetched live from a URL. Nothing is written to the cache.
+ *
+ * @param {string} source - File path, file:// URL, "-" or spec URL
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.live=false] - Skip the cache and fetch URLs from the network
+ * @returns {Promise<{spec: Object, origin: string}>} Dereferenced spec and where it came from
+ * @throws {SpecSourceError} If the source cannot be loaded
+ */
+async function loadDiffSource(source, options = {}) {
+  const { live = false } = options;
+
+  if (isStdinSource(source)) {
+    const result = await loadSpecStdin();
+    return { spec: await prepareSpec(source, result, { cache: false }), origin: 'stdin' };
+  }
+
+  if (await isLocalSource(source)) {
+    const result = await loadSpecFile(source);
+    return { spec: await prepareSpec(source, result, { cache: false }), origin: 'file' };
+  }
+
+  if (!live) {
+    try {
+      const cached = await getCached(source, { ignoreExpired: true });
+      return { spec: resolveCachedSpec(cached), origin: `cached ${cached.metadata.cachedAt}` };
+    } catch (error) {
+      if (!(error instanceof CacheNotFoundError)) {
+        throw error;
+      }
+    }
+  }
+
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    const result = await fetchOpenAPISpec(source, await fetchOptionsFor(source));
+    if (result) {
+      return { spec: await prepareSpec(source, result, { cache: false }), origin: 'live' };
+    }
+  }
+
+  throw new SpecNotFoundError(source);
+}
+
+/**
+ * Handles the diff command - compares two specs and classifies the changes.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleDiff(argv) {
+  const { old: oldSource, new: newSource, format, live, failOnBreaking } = argv;
+
+  // Keep stdout clean for JSON output
+  const log = format === 'text' ? console.log : console.error;
+
+  let oldSide;
+  let newSide;
+  try {
+    oldSide = await loadDiffSource(oldSource);
+    newSide = await loadDiffSource(newSource, { live });
+  } catch (error) {
+    if (error instanceof SpecSourceError || error instanceof OpenAPIExtractorError) {
+      log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+
+  if (isAsyncAPISpec(oldSide.spec) || isAsyncAPISpec(newSide.spec)) {
+    log(chalk.red('diff only supports OpenAPI/Swagger specs, not AsyncAPI documents'));
+    process.exitCode = 1;
+    return;
+  }
+
+  log(chalk.dim(`Old: ${oldSource} (${oldSide.origin})`));
+  log(chalk.dim(`New: ${newSource} (${newSide.origin})`));
+  log();
+
+  const diff = diffSpecs(oldSide.spec, newSide.spec);
+  if (format === 'json') {
+    console.log(JSON.stringify({ old: oldSource, new: newSource, ...diff }, null, 2));
+  } else {
+    console.log(formatSpecDiff(diff));
+  }
+
+  if (failOnBreaking && diff.breaking > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Handles the history command - lists the cached revisions of a spec.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleHistory(argv) {
+  const { url } = argv;
+
+  let revisions;
+  try {
+    revisions = await getCacheHistory(await resolveCacheUrl(url));
+  } catch (error) {
+    if (error instanceof CacheNotFoundError) {
+      console.log(chalk.red(`No cached spec found for: ${url}`));
+      console.log(chalk.dim('Use "api-docs fetch <url>" first to cache the spec.'));
+      return;
+    }
+    throw error;
+  }
+
+  console.log(chalk.bold(`Revisions for ${url} (${revisions.length}):`));
+  console.log();
+
+  revisions.forEach((revision) => {
+    const id = revision.id || 'unversioned';
+    const current = revision.current ? chalk.green(' (current)') : '';
+    const title = revision.specInfo?.title || 'Unknown API';
+    const version = revision.specInfo?.version ? ` v${revision.specInfo.version}` : '';
+    console.log(`  ${chalk.yellow(id)}${current} ${title}${chalk.dim(version)}`);
+    console.log(chalk.dim(`    First cached: ${revision.cachedAt}`));
+    if (revision.lastSeenAt && revision.lastSeenAt !== revision.cachedAt) {
+      console.log(chalk.dim(`    Last seen:    ${revision.lastSeenAt}`));
+    }
+  });
+
+  console.log();
+  console.log(chalk.dim('Use --revision <id> with "endpoints" or "endpoint" to view a revision.'));
+}
+
+/**
+ * Handles the import-har command - reconstructs one spec per host from recorded
+ * traffic and caches each under the host's origin.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleImportHar(argv) {
+  const { file, host } = argv;
+
+  let documents;
+  try {
+    const har = await loadHar(file);
+    documents = synthesizeFromHar(har, { hosts: host, source: basename(file) });
+  } catch (error) {
+    if (error instanceof HarError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+
+  if (documents.length === 0) {
+    console.log(chalk.yellow(`No API requests found in ${file}`));
+    console.log(
+      chalk.dim('Only XHR/fetch calls are imported; pages, scripts and assets are skipped.')
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const sourceUrl = pathToFileURL(resolve(file)).href;
+  for (const { origin, spec, requests, endpoints } of documents) {
+    // Recorded traffic cannot be fetched again, so the entry never expires
+    await prepareSpec(origin, { spec, format: 'json', sourceUrl }, { ttl: null });
+    console.log(
+      `${chalk.green('Imported')} ${chalk.bold(origin)} ${chalk.dim(
+        `${endpoints} endpoint(s) from ${requests} request(s)`
+      )}`
+    );
+  }
+
+  console.log();
+  console.log(chalk.dim(`Use "api-docs endpoints ${documents[0].origin}" to list the endpoints.`));
+}
+
+/**
+ * Handles the search-provider command - lists every provider matching a name.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleSearchProvider(argv) {
+  const { name, force, limit, format } = argv;
+
+  let candidates;
+  try {
+    candidates = await searchProviders(name, { forceRefresh: force, limit });
+  } catch (error) {
+    await closeBrowser();
+    if (error instanceof DiscoveryFetchError) {
+      console.log(chalk.red('Failed to search APITracker.'));
+      console.log(chalk.dim(`Error: ${error.cause?.message || error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+    if (error instanceof RegistryError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+  await closeBrowser();
+
+  const shown = limit > 0 ? candidates.slice(0, limit) : candidates;
+
+  if (format === 'json') {
+    console.log(
+      JSON.stringify({ query: name, total: candidates.length, candidates: shown }, null, 2)
+    );
+    return;
+  }
+
+  if (candidates.length === 0) {
+    console.log(chalk.yellow(`No providers match "${name}".`));
+    return;
+  }
+
+  console.log(chalk.bold(`Providers matching "${name}" (${candidates.length}):`));
+  console.log();
+  console.log(formatProviderCandidates(shown));
+  if (candidates.some((candidate) => candidate.ambiguous)) {
+    console.log();
+    console.log(
+      chalk.dim('The top matches are close; lookups by this name will ask which one you mean.')
+    );
+  }
+}
+
+/**
+ * Handles the alias add command - pins a name to a spec or docs URL.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleAliasAdd(argv) {
+  const { name, url, type, revision, description, user } = argv;
+
+  let stored;
+  try {
+    stored = await addAlias(
+      name,
+      { url, type, revision, description },
+      { scope: user ? 'user' : 'project' }
+    );
+  } catch (error) {
+    if (error instanceof RegistryError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+
+  const { alias, replaced } = stored;
+  const pinned = alias.revision ? chalk.dim(` (revision ${alias.revision})`) : '';
+  console.log(chalk.green(`${replaced ? 'Updated' : 'Added'} alias "${alias.name}"`));
+  console.log(`  ${alias.name} -> ${alias.url}${pinned}`);
+  console.log(chalk.dim(`  Saved to ${alias.file}`));
+}
+
+/**
+ * Handles the alias remove command.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleAliasRemove(argv) {
+  const { name, user } = argv;
+
+  try {
+    const { file } = await removeAlias(name, { scope: user ? 'user' : 'project' });
+    console.log(chalk.green(`Removed alias "${name}" from ${file}`));
+  } catch (error) {
+    if (error instanceof RegistryError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Handles the alias list command - shows project and user aliases.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleAliasList(argv) {
+  const { format } = argv;
+
+  let aliases;
+  try {
+    aliases = await listAliases();
+  } catch (error) {
+    if (error instanceof RegistryError) {
+      console.log(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ total: aliases.length, aliases }, null, 2));
+    return;
+  }
+
+  if (aliases.length === 0) {
+    const paths = await getRegistryPaths();
+    console.log(chalk.dim('No aliases registered.'));
+    console.log(chalk.dim('Use "api-docs alias add <name> <url>" to pin a provider name.'));
+    console.log(chalk.dim(`Project registry: ${paths.project}`));
+    console.log(chalk.dim(`User registry:    ${paths.user}`));
+    return;
+  }
+
+  console.log(chalk.bold(`Aliases (${aliases.length}):`));
+  console.log();
+
+  aliases.forEach((alias) => {
+    const pinned = alias.revision ? chalk.dim(` @ ${alias.revision}`) : '';
+    console.log(`  ${chalk.cyan(alias.name)}  ${chalk.dim(alias.type)}  ${alias.url}${pinned}`);
+    if (alias.description) {
+      console.log(chalk.dim(`    ${alias.description}`));
+    }
+    console.log(chalk.dim(`    ${alias.scope}: ${alias.file}`));
+  });
+}
+
+/**
+ * Handles the search command - full-text search across all cached specs.
+ *
+ * @param {Object} argv - Command arguments
+ */
+async function handleSearch(argv) {
+  const { terms, limit, format } = argv;
+  const query = terms.join(' ');
+
+  const search = await searchCachedSpecs(terms, { limit });
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ query, ...search }, null, 2));
+    return;
+  }
+
+  if (search.searched === 0) {
+    console.log(chalk.dim('No cached API specs to search.'));
+    console.log(chalk.dim('Use "api-docs fetch <url>" to cache a spec.'));
+    return;
+  }
+
+  if (search.total === 0) {
+    console.log(
+      chalk.yellow(`No endpoints match "${query}" in ${search.searched} cached spec(s).`)
+    );
+    return;
+  }
+
+  console.log(chalk.bold(`Found ${search.total} endpoint(s) matching "${query}":`));
+  console.log();
+  console.log(formatSearchResults(search));
+}
+
+/**
+ * Handles the mcp command - serves the CLI's lookups as MCP tools over stdio.
+ * stdout carries protocol messages only, so nothing else may print to it.
+ */
+async function handleMcp() {
+  console.error(chalk.dim('api-docs MCP server running on stdio'));
+  try {
+    await startMcpServer();
+  } finally {
+    await closeBrowser();
+  }
+}
+
+// Project configuration (.env, config file, API_DOCS_* variables); its
+// verbose/grouped/maxPages values become option defaults. A broken config must
+// not break --help, alias or cache commands, so fall back to the defaults.
+const config = await loadConfig({ fallback: true });
+if (config.error) {
+  console.error(chalk.yellow(`${config.error.message.split('\n')[0]} (using defaults)`));
+}
+
+// yargs re-parses positionals as "--name value", which turns a bare "-" into an
+// empty string, so pass stdin through in its path form instead
+const args = hideBin(process.argv).map((arg) => (arg === STDIN_SOURCE ? STDIN_PATH : arg));
+
+yargs(args)
+  .config(config.optionDefaults)
   .command(
     'endpoints <query>',
     'List API endpoints in a scannable format',
     (yargs) => {
       return yargs
         .positional('query', {
-          describe: 'Provider name (e.g., "n8n", "stripe") or URL to API docs',
+          describe:
+            'Provider name (e.g., "n8n", "stripe"), URL to API docs, local file, - for stdin, or GraphQL endpoint/SDL file',
           type: 'string',
         })
         .option('force', {
@@ -707,6 +2016,43 @@ yargs(hideBin(process.argv))
           describe: 'Group endpoints by category/tag',
           type: 'boolean',
           default: true,
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['text', 'json', 'ndjson'],
+          default: 'text',
+        })
+        .option('revision', {
+          alias: 'r',
+          describe: 'Show a cached revision (see "api-docs history")',
+          type: 'string',
+        })
+        .option('as-openapi', {
+          describe:
+            'Print an OpenAPI document; scraped endpoints are synthesized into OpenAPI 3.1 and cached as a spec',
+          type: 'boolean',
+          default: false,
+        })
+        .option('crawl', {
+          describe: 'Follow links from a generic docs page and scrape every page reached',
+          type: 'boolean',
+          default: false,
+        })
+        .option('max-pages', {
+          describe: 'Maximum pages to visit with --crawl',
+          type: 'number',
+          default: 50,
+        })
+        .option('same-origin', {
+          describe:
+            'With --crawl, stay on the docs origin and directory (--no-same-origin to leave it)',
+          type: 'boolean',
+          default: true,
+        })
+        .option('graphql', {
+          describe: 'Treat the URL as a GraphQL endpoint (URLs ending in /graphql are detected)',
+          type: 'boolean',
+          default: false,
         });
     },
     handleEndpoints
@@ -717,12 +2063,13 @@ yargs(hideBin(process.argv))
     (yargs) => {
       return yargs
         .positional('query', {
-          describe: 'Provider name (e.g., "n8n", "stripe") or URL to API docs',
+          describe:
+            'Provider name (e.g., "n8n", "stripe"), URL to API docs, local file, or - for stdin',
           type: 'string',
         })
         .option('force', {
           alias: 'f',
-          describe: 'Force refresh (bypass APITracker cache)',
+          describe: 'Force refresh (bypass the catalog and APITracker caches)',
           type: 'boolean',
           default: false,
         })
@@ -730,11 +2077,38 @@ yargs(hideBin(process.argv))
           describe: 'Bypass spec cache (fetch fresh)',
           type: 'boolean',
           default: false,
+        })
+        .option('crawl', {
+          describe: 'Follow links from a generic docs page and scrape every page reached',
+          type: 'boolean',
+          default: false,
+        })
+        .option('max-pages', {
+          describe: 'Maximum pages to visit with --crawl',
+          type: 'number',
+          default: 50,
+        })
+        .option('same-origin', {
+          describe:
+            'With --crawl, stay on the docs origin and directory (--no-same-origin to leave it)',
+          type: 'boolean',
+          default: true,
         });
     },
     handleFetch
   )
   .command('list', 'List all cached API specifications', () => {}, handleListCached)
+  .command(
+    'history <url>',
+    'List cached revisions of an API specification',
+    (yargs) => {
+      return yargs.positional('url', {
+        describe: 'URL of the cached API spec, or a local file',
+        type: 'string',
+      });
+    },
+    handleHistory
+  )
   .command(
     'clear [url]',
     'Clear cached API specifications',
@@ -752,21 +2126,275 @@ yargs(hideBin(process.argv))
     (yargs) => {
       return yargs
         .positional('url', {
-          describe: 'URL of the cached API spec',
+          describe: 'URL of the cached API spec, a local file, or a GraphQL endpoint/SDL file',
           type: 'string',
         })
         .positional('path', {
-          describe: 'Endpoint path (e.g., /users/{id})',
+          describe:
+            'Endpoint path (e.g., /users/{id}), or GraphQL field (e.g., user, mutation.createUser)',
           type: 'string',
         })
         .option('method', {
           alias: 'm',
-          describe: 'HTTP method to show (e.g., GET, POST)',
+          describe:
+            'HTTP method to show (e.g., GET, POST), AsyncAPI action, or GraphQL operation kind',
           type: 'string',
+        })
+        .option('revision', {
+          alias: 'r',
+          describe: 'Show a cached revision (see "api-docs history")',
+          type: 'string',
+        })
+        .option('graphql', {
+          describe: 'Treat the URL as a GraphQL endpoint (URLs ending in /graphql are detected)',
+          type: 'boolean',
+          default: false,
         });
     },
     handleEndpoint
   )
+  .command(
+    'snippet <url> <path>',
+    'Generate a ready-to-run request example for an endpoint',
+    (yargs) => {
+      return yargs
+        .positional('url', {
+          describe: 'URL of the cached API spec, or a local file',
+          type: 'string',
+        })
+        .positional('path', {
+          describe: 'Endpoint path (e.g., /users/{id})',
+          type: 'string',
+        })
+        .option('method', {
+          alias: 'm',
+          describe: 'HTTP method (defaults to the only method, or GET)',
+          type: 'string',
+        })
+        .option('lang', {
+          alias: 'l',
+          describe: 'Snippet language',
+          choices: SNIPPET_LANGUAGES,
+          default: 'curl',
+        })
+        .option('base-url', {
+          describe: 'Override the base URL from the spec',
+          type: 'string',
+        });
+    },
+    handleSnippet
+  )
+  .command(
+    'mock <url>',
+    'Serve example responses for a cached spec on a local port',
+    (yargs) => {
+      return yargs
+        .positional('url', {
+          describe: 'URL of the cached API spec, or a local file',
+          type: 'string',
+        })
+        .option('port', {
+          alias: 'p',
+          describe: 'Port to listen on',
+          type: 'number',
+          default: 4010,
+        })
+        .option('host', {
+          describe: 'Host to bind to',
+          type: 'string',
+          default: '127.0.0.1',
+        })
+        .option('validate', {
+          describe:
+            'Reject requests with missing or invalid parameters (use --no-validate to skip)',
+          type: 'boolean',
+          default: true,
+        });
+    },
+    handleMock
+  )
+  .command(
+    'diff <old> <new>',
+    'Compare two specs (cache entries, URLs or local files)',
+    (yargs) => {
+      return yargs
+        .positional('old', {
+          describe: 'Previous spec: cached URL, spec URL or local file',
+          type: 'string',
+        })
+        .positional('new', {
+          describe: 'Current spec: cached URL, spec URL or local file',
+          type: 'string',
+        })
+        .option('live', {
+          describe: 'Fetch <new> from the network even if it is cached',
+          type: 'boolean',
+          default: false,
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['text', 'json'],
+          default: 'text',
+        })
+        .option('fail-on-breaking', {
+          describe: 'Exit with code 1 if breaking changes are found',
+          type: 'boolean',
+          default: false,
+        });
+    },
+    handleDiff
+  )
+  .command(
+    'import-har <file>',
+    'Reconstruct specs from a HAR capture and cache one per host',
+    (yargs) => {
+      return yargs
+        .positional('file', {
+          describe: 'HAR file exported from browser devtools',
+          type: 'string',
+        })
+        .option('host', {
+          describe: 'Only import requests to this host (repeatable)',
+          type: 'array',
+          string: true,
+        });
+    },
+    handleImportHar
+  )
+  .command(
+    'search-provider <name>',
+    'List every API provider matching a name, with match scores',
+    (yargs) => {
+      return yargs
+        .positional('name', {
+          describe: 'Provider name (e.g., "google", "aws")',
+          type: 'string',
+        })
+        .option('force', {
+          alias: 'f',
+          describe: 'Bypass the catalog and APITracker caches',
+          type: 'boolean',
+          default: false,
+        })
+        .option('limit', {
+          alias: 'n',
+          describe: 'Maximum number of providers (0 for all)',
+          type: 'number',
+          default: 10,
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['text', 'json'],
+          default: 'text',
+        });
+    },
+    handleSearchProvider
+  )
+  .command(
+    'alias',
+    'Pin provider names to exact spec or docs URLs',
+    (yargs) => {
+      return yargs
+        .command(
+          'add <name> <url>',
+          'Add or replace an alias',
+          (yargs) => {
+            return yargs
+              .positional('name', {
+                describe: 'Name used in lookups (e.g., "payments")',
+                type: 'string',
+              })
+              .positional('url', {
+                describe: 'Spec or docs URL, or a local spec file',
+                type: 'string',
+              })
+              .option('type', {
+                alias: 't',
+                describe: 'What the URL points at',
+                choices: ALIAS_TYPES,
+                default: 'spec',
+              })
+              .option('revision', {
+                describe: 'Pin a cached revision of the spec (see "api-docs history")',
+                type: 'string',
+              })
+              .option('description', {
+                alias: 'd',
+                describe: 'Note shown in lookups and "alias list"',
+                type: 'string',
+              })
+              .option('user', {
+                alias: 'u',
+                describe: 'Save to the user registry instead of the project one',
+                type: 'boolean',
+                default: false,
+              });
+          },
+          handleAliasAdd
+        )
+        .command(
+          'remove <name>',
+          'Remove an alias',
+          (yargs) => {
+            return yargs
+              .positional('name', {
+                describe: 'Alias name',
+                type: 'string',
+              })
+              .option('user', {
+                alias: 'u',
+                describe: 'Remove from the user registry instead of the project one',
+                type: 'boolean',
+                default: false,
+              });
+          },
+          handleAliasRemove
+        )
+        .command(
+          'list',
+          'List project and user aliases',
+          (yargs) => {
+            return yargs.option('format', {
+              describe: 'Output format',
+              choices: ['text', 'json'],
+              default: 'text',
+            });
+          },
+          handleAliasList
+        )
+        .demandCommand(1, 'Specify an alias command: add, remove or list');
+    },
+    () => {}
+  )
+  .command(
+    'search <terms..>',
+    'Search endpoints across all cached specs',
+    (yargs) => {
+      return yargs
+        .positional('terms', {
+          describe: 'Words to look for in paths, summaries, parameters and schema fields',
+          type: 'string',
+        })
+        .option('limit', {
+          alias: 'n',
+          describe: 'Maximum number of results (0 for all)',
+          type: 'number',
+          default: 20,
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['text', 'json'],
+          default: 'text',
+        });
+    },
+    handleSearch
+  )
+  .command(
+    'mcp',
+    'Run a Model Context Protocol server on stdio (for AI assistants)',
+    () => {},
+    handleMcp
+  )
   .command(
     '$0',
     'API documentation extractor CLI',
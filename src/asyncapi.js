@@ -0,0 +1,186 @@
+/**
+ * AsyncAPI module for api-docs-cli
+ * Normalizes AsyncAPI 2.x and 3.x documents into flat lists of operations
+ * (channel, send/receive, messages) and servers
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * AsyncAPI 2.x operation keys and the 3.x action they correspond to.
+ * 2.x describes operations from the client's view: `subscribe` means the
+ * application sends messages, `publish` means it receives them.
+ */
+const V2_ACTIONS = {
+  subscribe: 'send',
+  publish: 'receive',
+};
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Finds the key a (dereferenced) value is stored under in a map. Dereferenced
+ * $ref targets are copies, so values are compared structurally as a fallback.
+ *
+ * @param {Object} map - Object map such as components/channels
+ * @param {Object} value - Value to look for
+ * @returns {string|null} Key or null
+ */
+function findKey(map, value) {
+  if (!map || !value) {
+    return null;
+  }
+  const serialized = JSON.stringify(value);
+  for (const [key, candidate] of Object.entries(map)) {
+    if (candidate === value || JSON.stringify(candidate) === serialized) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes one message object.
+ *
+ * @param {Object} message - Dereferenced message object
+ * @param {string|null} key - Key the message is stored under, if known
+ * @param {string|null} defaultContentType - Document-level defaultContentType
+ * @returns {Object} Message (name, title, summary, contentType, payload)
+ */
+function normalizeMessage(message, key, defaultContentType) {
+  return {
+    name: message.name || message.messageId || key || message.title || null,
+    title: message.title || null,
+    summary: message.summary || message.description || null,
+    contentType: message.contentType || defaultContentType || null,
+    payload: message.payload || null,
+  };
+}
+
+/**
+ * Lists operations of an AsyncAPI 2.x document.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI 2.x document
+ * @returns {Array<Object>} Operations
+ */
+function listV2Operations(spec) {
+  const operations = [];
+
+  for (const [channel, channelItem] of Object.entries(spec.channels || {})) {
+    for (const [key, action] of Object.entries(V2_ACTIONS)) {
+      const operation = channelItem?.[key];
+      if (!operation || typeof operation !== 'object') {
+        continue;
+      }
+      const message = operation.message;
+      const messages = message?.oneOf ? message.oneOf : message ? [message] : [];
+
+      operations.push({
+        action,
+        channel,
+        operationId: operation.operationId || null,
+        summary: operation.summary || null,
+        description: operation.description || channelItem.description || null,
+        tags: (operation.tags || []).map((tag) => tag.name).filter(Boolean),
+        messages: messages.map((m) =>
+          normalizeMessage(m, findKey(spec.components?.messages, m), spec.defaultContentType)
+        ),
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Lists operations of an AsyncAPI 3.x document.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI 3.x document
+ * @returns {Array<Object>} Operations
+ */
+function listV3Operations(spec) {
+  const operations = [];
+
+  for (const [operationId, operation] of Object.entries(spec.operations || {})) {
+    if (!operation || typeof operation !== 'object') {
+      continue;
+    }
+    const channelItem = operation.channel || {};
+    const channel =
+      channelItem.address || findKey(spec.channels, channelItem) || operation.title || operationId;
+    const channelMessages = channelItem.messages || {};
+    const messages =
+      operation.messages?.length > 0 ? operation.messages : Object.values(channelMessages);
+
+    operations.push({
+      action: operation.action === 'send' ? 'send' : 'receive',
+      channel,
+      operationId,
+      summary: operation.summary || operation.title || null,
+      description: operation.description || channelItem.description || null,
+      tags: (operation.tags || []).map((tag) => tag.name).filter(Boolean),
+      messages: messages.map((m) =>
+        normalizeMessage(m, findKey(channelMessages, m), spec.defaultContentType)
+      ),
+    });
+  }
+
+  return operations;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Checks whether a parsed document is an AsyncAPI document.
+ *
+ * @param {Object} spec - Parsed document
+ * @returns {boolean} True for AsyncAPI 2.x and 3.x documents
+ */
+export function isAsyncAPISpec(spec) {
+  return typeof spec?.asyncapi === 'string';
+}
+
+/**
+ * Lists the servers (brokers) of an AsyncAPI document.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI document
+ * @returns {Array<Object>} Servers (name, url, protocol, protocolVersion, description)
+ *
+ * @example
+ * listAsyncAPIServers(spec);
+ * // [{ name: 'production', url: 'broker.example.com:9092', protocol: 'kafka', ... }]
+ */
+export function listAsyncAPIServers(spec) {
+  return Object.entries(spec.servers || {}).map(([name, server]) => ({
+    name,
+    // 2.x has a single url; 3.x splits it into host and pathname
+    url: server?.url || `${server?.host || ''}${server?.pathname || ''}` || null,
+    protocol: server?.protocol || null,
+    protocolVersion: server?.protocolVersion || null,
+    description: server?.description || null,
+  }));
+}
+
+/**
+ * Lists the operations of an AsyncAPI document in the 3.x model: each has an
+ * action ('send' or 'receive', from the application's point of view), a
+ * channel address and the messages it carries. 2.x `subscribe` operations
+ * become 'send' and `publish` operations become 'receive'.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI 2.x or 3.x document
+ * @returns {Array<Object>} Operations (action, channel, operationId, summary,
+ *   description, tags, messages with name, title, summary, contentType and payload)
+ *
+ * @example
+ * const operations = listAsyncAPIOperations(spec);
+ * console.log(operations[0].action, operations[0].channel); // 'send' 'user/signedup'
+ */
+export function listAsyncAPIOperations(spec) {
+  return String(spec.asyncapi).startsWith('2.') ? listV2Operations(spec) : listV3Operations(spec);
+}
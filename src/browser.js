@@ -65,6 +65,62 @@ const DEFAULT_PAGE_OPTIONS = {
 let browserInstance = null;
 const activePages = new Set();
 
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Gets the origin of an http(s) URL.
+ *
+ * @param {string} url - Request URL
+ * @returns {string|null} Origin, or null for other schemes and invalid URLs
+ */
+function httpOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Adds extra headers to the page's requests to the top-level document's
+ * origin only, so credentials meant for the docs host never reach CDNs,
+ * analytics or embedded iframes. The origin is fixed by the page's first
+ * top-level navigation; later navigations elsewhere get no headers.
+ *
+ * @param {import('puppeteer').Page} page - Page to configure
+ * @param {Object} headers - Extra HTTP headers
+ * @returns {Promise<void>}
+ */
+async function scopeHeadersToDocument(page, headers) {
+  let documentOrigin = null;
+
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    const origin = httpOrigin(request.url());
+    if (
+      documentOrigin === null &&
+      origin &&
+      request.isNavigationRequest() &&
+      request.frame() === page.mainFrame()
+    ) {
+      documentOrigin = origin;
+    }
+
+    if (origin && origin === documentOrigin) {
+      request.continue({ headers: { ...request.headers(), ...headers } });
+    } else {
+      request.continue();
+    }
+  });
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
@@ -127,6 +183,8 @@ export async function launchBrowser(options = {}) {
  * @param {number} [options.viewport.width=1280] - Viewport width
  * @param {number} [options.viewport.height=800] - Viewport height
  * @param {number} [options.timeout=30000] - Default timeout for operations
+ * @param {Object} [options.headers] - Extra HTTP headers, sent only to the origin of the
+ *   page's first top-level navigation
  * @param {boolean} [options.track=true] - Track page for cleanup
  * @returns {Promise<import('puppeteer').Page>} Configured Puppeteer Page instance
  * @throws {BrowserError} If page creation fails
@@ -145,6 +203,10 @@ export async function getPage(options = {}) {
   page.setDefaultTimeout(timeout);
   page.setDefaultNavigationTimeout(timeout);
 
+  if (options.headers && Object.keys(options.headers).length > 0) {
+    await scopeHeadersToDocument(page, options.headers);
+  }
+
   if (options.track !== false) {
     activePages.add(page);
     page.once('close', () => {
@@ -46,6 +46,18 @@ export class CacheExpiredError extends CacheError {
   }
 }
 
+/**
+ * Thrown when a requested revision of a cached spec does not exist
+ */
+export class RevisionNotFoundError extends CacheError {
+  constructor(url, revision, cause = null) {
+    super(`Revision ${revision} not found for URL: ${url}`, cause);
+    this.name = 'RevisionNotFoundError';
+    this.url = url;
+    this.revision = revision;
+  }
+}
+
 /**
  * Thrown when cache I/O operations fail
  */
@@ -65,6 +77,13 @@ export class CacheIOError extends CacheError {
 const CACHE_DIR_NAME = '.cache/api-docs-cli/specs';
 const MANIFEST_FILENAME = 'index.json';
 const DEFAULT_TTL_MS = null; // null means no expiration by default
+const REVISION_ID_LENGTH = 12;
+
+/**
+ * Entry types: parsed API specs, and endpoint lists scraped from rendered docs pages
+ */
+export const ENTRY_TYPE_SPEC = 'spec';
+export const ENTRY_TYPE_SCRAPED = 'scraped';
 
 /**
  * Default manifest structure when none exists
@@ -168,7 +187,7 @@ function isExpired(entry) {
 
 /**
  * Normalizes an API spec to extract metadata.
- * Detects spec type (OpenAPI 3.x, Swagger 2.0) and extracts key info.
+ * Detects spec type (OpenAPI 3.x, Swagger 2.0, AsyncAPI) and extracts key info.
  *
  * @param {Object} spec - Parsed spec object
  * @param {string} originalFormat - "json" or "yaml"
@@ -185,6 +204,9 @@ function normalizeSpec(spec, originalFormat = 'json') {
   } else if (spec.swagger && spec.swagger === '2.0') {
     specType = 'swagger';
     specVersion = spec.swagger;
+  } else if (typeof spec.asyncapi === 'string') {
+    specType = 'asyncapi';
+    specVersion = spec.asyncapi;
   }
 
   return {
@@ -196,18 +218,194 @@ function normalizeSpec(spec, originalFormat = 'json') {
   };
 }
 
+/**
+ * Computes a revision id from the cached content (spec plus external documents,
+ * or scraped endpoints). Timestamps are excluded so re-fetching unchanged
+ * content yields the same id.
+ *
+ * @param {Object} content - Content to hash
+ * @returns {string} Content hash used as the revision id
+ */
+function computeRevisionId(content) {
+  return createHash('sha256')
+    .update(JSON.stringify(content))
+    .digest('hex')
+    .slice(0, REVISION_ID_LENGTH);
+}
+
+/**
+ * Gets the revisions recorded for a manifest entry, oldest first.
+ * Entries written before revisions existed are treated as one revision.
+ *
+ * @param {Object} entry - Manifest entry
+ * @returns {Array<Object>} Revision records (id, filename, cachedAt, lastSeenAt, specInfo)
+ */
+function getEntryRevisions(entry) {
+  if (Array.isArray(entry.revisions) && entry.revisions.length > 0) {
+    return entry.revisions;
+  }
+  return [
+    {
+      id: null,
+      filename: entry.filename,
+      cachedAt: entry.cachedAt,
+      lastSeenAt: entry.cachedAt,
+      specInfo: entry.specInfo,
+    },
+  ];
+}
+
+/**
+ * Finds a revision by id or unambiguous id prefix.
+ *
+ * @param {Object} entry - Manifest entry
+ * @param {string} url - Entry URL (for error reporting)
+ * @param {string} revision - Revision id, id prefix, or 'latest'
+ * @returns {Object} Revision record
+ * @throws {RevisionNotFoundError} If no single revision matches
+ */
+function findRevision(entry, url, revision) {
+  const revisions = getEntryRevisions(entry);
+  if (revision === 'latest') {
+    return revisions[revisions.length - 1];
+  }
+  const matches = revisions.filter((r) => r.id && r.id.startsWith(revision));
+  if (matches.length !== 1) {
+    throw new RevisionNotFoundError(url, revision);
+  }
+  return matches[0];
+}
+
+/**
+ * Writes cached data as a revision of a manifest entry.
+ *
+ * Each distinct content is kept as its own content-hashed revision file, so
+ * earlier snapshots survive later fetches. Storing unchanged content only
+ * refreshes the latest revision's lastSeenAt and the entry's expiry.
+ *
+ * @param {string} url - Entry URL (used as key)
+ * @param {Object} data - File contents; metadata gains revision, cachedAt and expiresAt
+ * @param {Object} options - Revision options
+ * @param {string} options.revisionId - Content hash from computeRevisionId()
+ * @param {Object} options.specInfo - Manifest summary (title, version, type)
+ * @param {number|null} options.ttl - TTL in milliseconds (null = no expiration)
+ * @param {string|null} [options.sourceMtime=null] - Modification time of a local spec file
+ * @param {string} [options.entryType='spec'] - Entry type recorded in the manifest
+ * @param {string} [options.framework] - Docs framework of a scraped entry
+ * @param {string} [options.sourceUrl] - Page a scraped entry was extracted from
+ * @returns {Promise<Object>} Manifest entry
+ * @throws {CacheIOError} If writing cache files fails
+ */
+async function storeRevision(url, data, options) {
+  const {
+    revisionId,
+    specInfo,
+    ttl,
+    sourceMtime = null,
+    entryType = ENTRY_TYPE_SPEC,
+    framework,
+    sourceUrl,
+  } = options;
+
+  await ensureCacheDirectory();
+
+  const key = generateCacheKey(url);
+  const now = new Date();
+  const expiresAt = ttl ? new Date(now.getTime() + ttl).toISOString() : null;
+
+  const manifest = await readManifest();
+  const existing = manifest.entries[key];
+  const revisions = existing ? [...getEntryRevisions(existing)] : [];
+
+  // Give pre-revision entries an id so they stay addressable in the history
+  const legacy = revisions.find((r) => !r.id);
+  if (legacy) {
+    try {
+      const legacyData = JSON.parse(
+        await readFile(join(getCacheDirectory(), legacy.filename), 'utf-8')
+      );
+      legacy.id = computeRevisionId({
+        spec: legacyData.spec,
+        documents: legacyData.documents || null,
+      });
+    } catch {
+      revisions.splice(revisions.indexOf(legacy), 1);
+    }
+  }
+
+  const latest = revisions[revisions.length - 1];
+
+  if (latest && latest.id === revisionId) {
+    // Unchanged content - no new snapshot
+    latest.lastSeenAt = now.toISOString();
+  } else {
+    const filename = `${key}-${revisionId}.json`;
+    const cachedData = {
+      ...data,
+      metadata: { ...data.metadata, revision: revisionId, cachedAt: now.toISOString(), expiresAt },
+    };
+
+    // Write revision file
+    const specPath = join(getCacheDirectory(), filename);
+    try {
+      await writeFile(specPath, JSON.stringify(cachedData, null, 2), 'utf-8');
+    } catch (error) {
+      throw new CacheIOError('write spec', specPath, error);
+    }
+
+    // A revision seen before (e.g. a reverted change) moves back to the top
+    const previous = revisions.findIndex((r) => r.id === revisionId);
+    if (previous !== -1) {
+      revisions.splice(previous, 1);
+    }
+    revisions.push({
+      id: revisionId,
+      filename,
+      cachedAt: now.toISOString(),
+      lastSeenAt: now.toISOString(),
+      specInfo,
+    });
+  }
+
+  // Update manifest
+  const current = revisions[revisions.length - 1];
+  const entry = {
+    url,
+    entryType,
+    filename: current.filename,
+    cachedAt: now.toISOString(),
+    expiresAt,
+    sourceMtime,
+    specInfo,
+    revisions,
+  };
+  if (entryType === ENTRY_TYPE_SCRAPED) {
+    entry.framework = framework;
+    entry.sourceUrl = sourceUrl;
+  }
+  manifest.entries[key] = entry;
+  await writeManifest(manifest);
+
+  return entry;
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
 
 /**
  * Retrieves a cached API spec by URL.
+ * Scraped entries (metadata.entryType 'scraped') hold the scraper result under
+ * `scraped` instead of a `spec`.
  *
  * @param {string} url - The API spec URL to look up
  * @param {Object} options - Retrieval options
  * @param {boolean} [options.ignoreExpired=false] - Return expired entries anyway
+ * @param {string} [options.revision] - Revision id (or unique prefix) to load instead of
+ *   the latest; historical revisions never expire
  * @returns {Promise<Object>} Cached spec with metadata
  * @throws {CacheNotFoundError} If no cache entry exists for URL
+ * @throws {RevisionNotFoundError} If the requested revision does not exist
  * @throws {CacheExpiredError} If entry exists but has expired (unless ignoreExpired)
  * @throws {CacheIOError} If reading cache files fails
  *
@@ -215,9 +413,13 @@ function normalizeSpec(spec, originalFormat = 'json') {
  * const cached = await getCached('https://api.example.com/openapi.json');
  * console.log(cached.spec);      // The API spec
  * console.log(cached.metadata);  // Cache metadata
+ * console.log(cached.documents); // External $ref documents (if any)
+ *
+ * // Load an earlier snapshot
+ * const old = await getCached('https://api.example.com/openapi.json', { revision: '3f2a9c' });
  */
 export async function getCached(url, options = {}) {
-  const { ignoreExpired = false } = options;
+  const { ignoreExpired = false, revision = null } = options;
   const key = generateCacheKey(url);
   const manifest = await readManifest();
 
@@ -226,16 +428,27 @@ export async function getCached(url, options = {}) {
     throw new CacheNotFoundError(url);
   }
 
-  // Check expiration
-  if (!ignoreExpired && isExpired(entry)) {
+  // Check expiration (historical revisions are immutable snapshots)
+  if (!revision && !ignoreExpired && isExpired(entry)) {
     throw new CacheExpiredError(url, entry.expiresAt);
   }
 
+  const filename = revision ? findRevision(entry, url, revision).filename : entry.filename;
+
   // Read the cached spec file
-  const specPath = join(getCacheDirectory(), entry.filename);
+  const specPath = join(getCacheDirectory(), filename);
   try {
-    const data = await readFile(specPath, 'utf-8');
-    return JSON.parse(data);
+    const data = JSON.parse(await readFile(specPath, 'utf-8'));
+    if (!revision) {
+      // Unchanged re-fetches reuse the revision file, so the entry holds the freshest values
+      data.metadata = {
+        ...data.metadata,
+        entryType: data.metadata?.entryType || ENTRY_TYPE_SPEC,
+        expiresAt: entry.expiresAt,
+        sourceMtime: entry.sourceMtime ?? data.metadata?.sourceMtime ?? null,
+      };
+    }
+    return data;
   } catch (error) {
     if (error.code === 'ENOENT') {
       // Spec file missing but entry exists - corrupted cache
@@ -246,14 +459,18 @@ export async function getCached(url, options = {}) {
 }
 
 /**
- * Stores an API spec in the cache.
+ * Stores an API spec in the cache as a new revision.
+ * Storing an unchanged spec only refreshes its lastSeenAt and expiry.
  *
  * @param {string} url - The API spec URL (used as key)
  * @param {Object|string} spec - The API spec (object or JSON string)
  * @param {Object} options - Cache options
  * @param {number|null} [options.ttl=null] - TTL in milliseconds (null = no expiration)
  * @param {string} [options.originalFormat='json'] - Original format ('json' or 'yaml')
- * @returns {Promise<Object>} Cache entry metadata
+ * @param {Object<string, Object>} [options.documents] - External documents referenced by the spec, keyed by URL
+ * @param {string} [options.sourceUrl] - URL the spec was actually loaded from (base for relative refs)
+ * @param {string} [options.sourceMtime] - Modification time of a local spec file, used to detect edits
+ * @returns {Promise<Object>} Cache entry metadata (including its revisions)
  * @throws {CacheIOError} If writing cache files fails
  *
  * @example
@@ -266,27 +483,27 @@ export async function getCached(url, options = {}) {
  * await setCache('https://api.example.com/openapi.json', spec);
  */
 export async function setCache(url, spec, options = {}) {
-  const { ttl = DEFAULT_TTL_MS, originalFormat = 'json' } = options;
+  const {
+    ttl = DEFAULT_TTL_MS,
+    originalFormat = 'json',
+    documents = null,
+    sourceUrl = url,
+    sourceMtime = null,
+  } = options;
 
   // Parse spec if string
   const specObj = typeof spec === 'string' ? JSON.parse(spec) : spec;
-
-  await ensureCacheDirectory();
-
-  const key = generateCacheKey(url);
-  const filename = `${key}.json`;
-  const now = new Date();
-  const expiresAt = ttl ? new Date(now.getTime() + ttl).toISOString() : null;
+  const hasDocuments = documents && Object.keys(documents).length > 0;
 
   // Extract spec info for manifest
   const specInfo = normalizeSpec(specObj, originalFormat);
 
-  // Prepare cached data
-  const cachedData = {
+  const data = {
     metadata: {
       url,
-      cachedAt: now.toISOString(),
-      expiresAt,
+      entryType: ENTRY_TYPE_SPEC,
+      sourceUrl,
+      sourceMtime,
       originalFormat,
       specType: specInfo.type,
       specVersion: specInfo.specVersion,
@@ -294,30 +511,98 @@ export async function setCache(url, spec, options = {}) {
     spec: specObj,
   };
 
-  // Write spec file
-  const specPath = join(getCacheDirectory(), filename);
-  try {
-    await writeFile(specPath, JSON.stringify(cachedData, null, 2), 'utf-8');
-  } catch (error) {
-    throw new CacheIOError('write spec', specPath, error);
+  // Keep external $ref targets alongside the spec so it can be resolved offline
+  if (hasDocuments) {
+    data.documents = documents;
   }
 
-  // Update manifest
-  const manifest = await readManifest();
-  manifest.entries[key] = {
-    url,
-    filename,
-    cachedAt: now.toISOString(),
-    expiresAt,
-    specInfo: {
-      title: specInfo.title,
-      version: specInfo.version,
-      type: specInfo.type,
+  return storeRevision(url, data, {
+    revisionId: computeRevisionId({ spec: specObj, documents: hasDocuments ? documents : null }),
+    specInfo: { title: specInfo.title, version: specInfo.version, type: specInfo.type },
+    ttl,
+    sourceMtime,
+  });
+}
+
+/**
+ * Stores endpoints scraped from a rendered documentation page.
+ *
+ * Scraped entries share the manifest, revision history and expiry handling of
+ * spec entries, but their files hold the scraper result under `scraped`
+ * instead of a `spec`, and their metadata has entryType 'scraped'.
+ *
+ * @param {string} url - The docs page URL (used as key)
+ * @param {Object} scraped - Result from scrapeEndpoints() (url, framework, apiInfo, endpoints)
+ * @param {Object} options - Cache options
+ * @param {number|null} [options.ttl=null] - TTL in milliseconds (null = no expiration)
+ * @returns {Promise<Object>} Cache entry metadata (including its revisions)
+ * @throws {CacheIOError} If writing cache files fails
+ *
+ * @example
+ * const scraped = await scrapeEndpoints('https://docs.example.com/api');
+ * await setScrapedCache('https://docs.example.com/api', scraped, { ttl: 24 * 60 * 60 * 1000 });
+ */
+export async function setScrapedCache(url, scraped, options = {}) {
+  const { ttl = DEFAULT_TTL_MS } = options;
+  const sourceUrl = scraped.url || url;
+
+  const data = {
+    metadata: {
+      url,
+      entryType: ENTRY_TYPE_SCRAPED,
+      sourceUrl,
+      framework: scraped.framework,
+      extractedAt: scraped.extractedAt || null,
     },
+    scraped,
   };
-  await writeManifest(manifest);
 
-  return manifest.entries[key];
+  return storeRevision(url, data, {
+    revisionId: computeRevisionId({
+      framework: scraped.framework,
+      apiInfo: scraped.apiInfo || null,
+      endpoints: scraped.endpoints,
+    }),
+    specInfo: {
+      title: scraped.apiInfo?.title || 'Unknown API',
+      version: scraped.apiInfo?.version || 'unknown',
+      type: scraped.framework,
+    },
+    ttl,
+    entryType: ENTRY_TYPE_SCRAPED,
+    framework: scraped.framework,
+    sourceUrl,
+  });
+}
+
+/**
+ * Lists the revisions of a cached spec, newest first.
+ *
+ * @param {string} url - The API spec URL
+ * @returns {Promise<Array<Object>>} Revisions with id, cachedAt, lastSeenAt, specInfo and current
+ * @throws {CacheNotFoundError} If no cache entry exists for URL
+ * @throws {CacheIOError} If reading the manifest fails
+ *
+ * @example
+ * const revisions = await getCacheHistory('https://api.example.com/openapi.json');
+ * revisions.forEach((r) => console.log(r.id, r.cachedAt, r.specInfo.version));
+ */
+export async function getCacheHistory(url) {
+  const manifest = await readManifest();
+  const entry = manifest.entries[generateCacheKey(url)];
+  if (!entry) {
+    throw new CacheNotFoundError(url);
+  }
+
+  return getEntryRevisions(entry)
+    .map((revision) => ({
+      id: revision.id,
+      cachedAt: revision.cachedAt,
+      lastSeenAt: revision.lastSeenAt,
+      specInfo: revision.specInfo,
+      current: revision.filename === entry.filename,
+    }))
+    .reverse();
 }
 
 /**
@@ -398,13 +683,15 @@ export async function clearCache(url = null) {
       throw new CacheNotFoundError(url);
     }
 
-    // Delete spec file
-    const specPath = join(cacheDir, entry.filename);
-    try {
-      await unlink(specPath);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw new CacheIOError('delete spec', specPath, error);
+    // Delete every revision file
+    for (const revision of getEntryRevisions(entry)) {
+      const specPath = join(cacheDir, revision.filename);
+      try {
+        await unlink(specPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new CacheIOError('delete spec', specPath, error);
+        }
       }
     }
 
@@ -419,9 +706,12 @@ export async function clearCache(url = null) {
   const urls = Object.values(manifest.entries).map((e) => e.url);
   const count = urls.length;
 
-  // Delete all spec files
-  for (const entry of Object.values(manifest.entries)) {
-    const specPath = join(cacheDir, entry.filename);
+  // Delete all spec files, including older revisions
+  const filenames = Object.values(manifest.entries).flatMap((entry) =>
+    getEntryRevisions(entry).map((revision) => revision.filename)
+  );
+  for (const filename of filenames) {
+    const specPath = join(cacheDir, filename);
     try {
       await unlink(specPath);
     } catch (error) {
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  getCached,
+  setCache,
+  setScrapedCache,
+  getCacheHistory,
+  listCache,
+  clearCache,
+  getCacheDirectory,
+  CacheNotFoundError,
+  CacheExpiredError,
+  RevisionNotFoundError,
+  ENTRY_TYPE_SCRAPED,
+} from './cache.js';
+
+const URL_V = 'https://api.example.com/openapi.json';
+
+/**
+ * Builds a minimal OpenAPI 3 spec with the given version.
+ */
+function spec(version) {
+  return { openapi: '3.0.3', info: { title: 'Pets', version }, paths: {} };
+}
+
+describe('cache', () => {
+  let home;
+  const originalHome = process.env.HOME;
+
+  before(async () => {
+    // The cache lives under the home directory
+    home = await mkdtemp(join(tmpdir(), 'api-docs-cache-'));
+    process.env.HOME = home;
+  });
+
+  after(async () => {
+    process.env.HOME = originalHome;
+    await rm(home, { recursive: true, force: true });
+  });
+
+  it('stores under the home directory', () => {
+    assert.equal(getCacheDirectory(), join(home, '.cache/api-docs-cli/specs'));
+  });
+
+  it('keeps one revision per distinct spec', async () => {
+    await setCache(URL_V, spec('1.0'));
+    await setCache(URL_V, spec('1.0'));
+    await setCache(URL_V, spec('2.0'));
+
+    const history = await getCacheHistory(URL_V);
+    assert.deepEqual(
+      history.map((r) => [r.specInfo.version, r.current]),
+      [
+        ['2.0', true],
+        ['1.0', false],
+      ]
+    );
+    assert.equal((await getCached(URL_V)).spec.info.version, '2.0');
+  });
+
+  it('loads earlier revisions by id prefix', async () => {
+    const [, first] = await getCacheHistory(URL_V);
+    const cached = await getCached(URL_V, { revision: first.id.slice(0, 6) });
+    assert.equal(cached.spec.info.version, '1.0');
+    assert.equal(cached.metadata.revision, first.id);
+    assert.equal((await getCached(URL_V, { revision: 'latest' })).spec.info.version, '2.0');
+    await assert.rejects(getCached(URL_V, { revision: 'ffffffff' }), RevisionNotFoundError);
+  });
+
+  it('moves a reverted spec back to the top', async () => {
+    await setCache(URL_V, spec('1.0'));
+    const history = await getCacheHistory(URL_V);
+    assert.deepEqual(
+      history.map((r) => r.specInfo.version),
+      ['1.0', '2.0']
+    );
+  });
+
+  it('expires entries but not their history', async () => {
+    const url = 'https://api.example.com/expiring.json';
+    await setCache(url, spec('1.0'));
+    await setCache(url, spec('2.0'), { ttl: -1000 });
+    await assert.rejects(getCached(url), CacheExpiredError);
+    assert.equal((await getCached(url, { ignoreExpired: true })).spec.info.version, '2.0');
+
+    const [, first] = await getCacheHistory(url);
+    assert.equal((await getCached(url, { revision: first.id })).spec.info.version, '1.0');
+  });
+
+  it('stores scraped endpoints', async () => {
+    const url = 'https://docs.example.com/api';
+    await setScrapedCache(url, {
+      url,
+      framework: 'redoc',
+      apiInfo: { title: 'Docs', version: '1' },
+      endpoints: [{ method: 'GET', path: '/pets' }],
+    });
+
+    const cached = await getCached(url);
+    assert.equal(cached.metadata.entryType, ENTRY_TYPE_SCRAPED);
+    assert.equal(cached.scraped.framework, 'redoc');
+    const entry = (await listCache()).find((e) => e.url === url);
+    assert.equal(entry.framework, 'redoc');
+  });
+
+  it('clears entries', async () => {
+    await clearCache(URL_V);
+    await assert.rejects(getCached(URL_V), CacheNotFoundError);
+    await assert.rejects(getCacheHistory(URL_V), CacheNotFoundError);
+    await assert.rejects(clearCache(URL_V), CacheNotFoundError);
+  });
+});
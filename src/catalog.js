@@ -0,0 +1,421 @@
+/**
+ * API catalog module for api-docs-cli
+ * Loads catalogs in the APIs.guru `list.json` format (the public directory or
+ * a local file/mirror) and matches provider names against them
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { homedir } from 'node:os';
+import { createHash } from 'node:crypto';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for catalog errors
+ */
+export class CatalogError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'CatalogError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a catalog cannot be read, downloaded or parsed
+ */
+export class CatalogLoadError extends CatalogError {
+  constructor(source, message, cause = null) {
+    super(`Failed to load API catalog ${source}: ${message}`, cause);
+    this.name = 'CatalogLoadError';
+    this.source = source;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * The public APIs.guru directory, used unless API_DOCS_CATALOG points elsewhere
+ */
+export const DEFAULT_CATALOG_URL = 'https://api.apis.guru/v2/list.json';
+
+/**
+ * Environment variable naming the catalog file or mirror URL ("off" disables it)
+ */
+export const CATALOG_ENV_VAR = 'API_DOCS_CATALOG';
+
+const CATALOG_CACHE_DIR = '.cache/api-docs-cli/catalogs';
+const CATALOG_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_USER_AGENT = 'api-docs-cli/0.1.0';
+
+/**
+ * Scores for the ways a query can match a catalog name (higher is better)
+ */
+const MATCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  words: 70,
+  substring: 60,
+  fuzzy: 50,
+};
+
+/**
+ * Highest score a sub-service ("googleapis.com:drive") gets for matching on
+ * its provider's name alone, so "stripe" prefers stripe.com over its services
+ */
+const PROVIDER_ONLY_SCORE = 75;
+
+/**
+ * Matches scoring below this are ignored
+ */
+export const MIN_MATCH_SCORE = 40;
+
+/**
+ * Lowest best score at which the catalog answers a lookup: the query must be
+ * the name, a word prefix of it, or all of its words. Substrings ("linear" in
+ * "nonlinear") and near-miss spellings are only suggestions.
+ */
+export const CONFIDENT_MATCH_SCORE = MATCH_SCORES.words;
+
+/**
+ * Words that carry no meaning in API names ("Stripe API", "stripe.com")
+ */
+const NOISE_WORDS = new Set(['api', 'apis', 'rest', 'the', 'com', 'io', 'net', 'org', 'dev', 'co']);
+
+// Parsed catalogs, keyed by source (one process usually looks up once)
+const loadedCatalogs = new Map();
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Lower-cases a name and reduces it to its meaningful words.
+ *
+ * @param {string} name - Provider name, title or catalog key
+ * @returns {string} Normalized name, e.g. "Google Drive API" -> "google drive"
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && !NOISE_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Levenshtein distance, for typo-tolerant matching of short names.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how well a normalized query matches one normalized name.
+ *
+ * @param {string} query - Normalized query
+ * @param {string} name - Normalized name
+ * @returns {number} Score, 0 for no match
+ */
+function scoreName(query, name) {
+  if (!query || !name) {
+    return 0;
+  }
+  if (name === query) {
+    return MATCH_SCORES.exact;
+  }
+  if (name.startsWith(`${query} `)) {
+    return MATCH_SCORES.prefix;
+  }
+  const words = name.split(' ');
+  if (query.split(' ').every((word) => words.includes(word))) {
+    return MATCH_SCORES.words;
+  }
+  if (query.length >= 3 && name.includes(query)) {
+    return MATCH_SCORES.substring;
+  }
+  if (query.length >= 4) {
+    const distance = editDistance(query, name);
+    if (distance <= Math.floor(query.length / 4)) {
+      return MATCH_SCORES.fuzzy - distance * 5;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Lists the names an API can be found by: its catalog key, service name,
+ * title and any `x-aliases`, plus the provider name. For sub-services the
+ * provider name is listed separately, since it also names sibling services.
+ *
+ * @param {string} id - Catalog key, e.g. "googleapis.com:drive"
+ * @param {Object} info - Info object of the preferred version
+ * @returns {{names: Array<string>, providerNames: Array<string>}} Normalized names
+ */
+function entryNames(id, info) {
+  const [provider, service] = id.split(':');
+  const names = [
+    id,
+    service,
+    info['x-serviceName'],
+    info.title,
+    ...(Array.isArray(info['x-aliases']) ? info['x-aliases'] : []),
+  ];
+  const providerNames = [provider, info['x-providerName']];
+  if (service) {
+    names.push(`${provider.split('.')[0]} ${service}`);
+  } else {
+    names.push(...providerNames);
+  }
+
+  const normalize = (list) => [...new Set(list.map(normalizeName).filter(Boolean))];
+  return { names: normalize(names), providerNames: service ? normalize(providerNames) : [] };
+}
+
+/**
+ * Resolves a possibly relative spec URL in a mirrored catalog.
+ *
+ * @param {string} url - URL from the catalog
+ * @param {string} base - URL of the catalog itself
+ * @returns {string} Absolute URL (local mirrors resolve to plain paths)
+ */
+function resolveCatalogUrl(url, base) {
+  const resolved = new URL(url, base);
+  return resolved.protocol === 'file:' ? fileURLToPath(resolved) : resolved.href;
+}
+
+/**
+ * Gets the cache path for a downloaded catalog.
+ *
+ * @param {string} url - Catalog URL
+ * @returns {string} Absolute path
+ */
+function catalogCachePath(url) {
+  const key = createHash('sha256').update(url).digest('hex').slice(0, 16);
+  return join(homedir(), CATALOG_CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Downloads a catalog, keeping a copy for a week.
+ *
+ * @param {string} url - Catalog URL
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Ignore the downloaded copy
+ * @param {number} options.timeout - Download timeout in ms
+ * @returns {Promise<string>} Catalog JSON text
+ * @throws {CatalogLoadError} If the download fails and no copy is available
+ */
+async function downloadCatalog(url, options) {
+  const { forceRefresh, timeout } = options;
+  const cachePath = catalogCachePath(url);
+
+  let cached = null;
+  try {
+    cached = JSON.parse(await readFile(cachePath, 'utf-8'));
+  } catch {
+    // No copy yet
+  }
+  const fresh = cached && Date.now() - new Date(cached.fetchedAt).getTime() < CATALOG_CACHE_TTL_MS;
+  if (cached && fresh && !forceRefresh) {
+    return cached.text;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { Accept: 'application/json', 'User-Agent': DEFAULT_USER_AGENT },
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const text = await response.text();
+    await mkdir(dirname(cachePath), { recursive: true });
+    await writeFile(cachePath, JSON.stringify({ fetchedAt: new Date().toISOString(), text }));
+    return text;
+  } catch (error) {
+    // A stale copy beats no catalog at all
+    if (cached) {
+      return cached.text;
+    }
+    const message = error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.message;
+    throw new CatalogLoadError(url, message, error);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Works out which catalog to use: an explicit source, then the
+ * API_DOCS_CATALOG environment variable, then the public APIs.guru directory.
+ *
+ * @param {string|false} [source] - Catalog path or URL; false disables the catalog
+ * @returns {string|null} Catalog path or URL, or null if disabled
+ */
+export function resolveCatalogSource(source) {
+  if (source === false) {
+    return null;
+  }
+  const configured = source || process.env[CATALOG_ENV_VAR];
+  if (configured && ['off', 'none', 'false', '0'].includes(configured.toLowerCase())) {
+    return null;
+  }
+  return configured || DEFAULT_CATALOG_URL;
+}
+
+/**
+ * Loads an APIs.guru-format catalog (`{ "<provider>[:<service>]": { preferred,
+ * versions: { <version>: { swaggerUrl, info, ... } } } }`) and flattens it into
+ * one entry per API, using each API's preferred version.
+ *
+ * Remote catalogs are downloaded once a week and kept under
+ * ~/.cache/api-docs-cli/catalogs; local files are read on every call.
+ *
+ * @param {string} source - Path, file:// URL or http(s) URL of list.json
+ * @param {Object} options - Load options
+ * @param {boolean} [options.forceRefresh=false] - Download remote catalogs again
+ * @param {number} [options.timeout=30000] - Download timeout in ms
+ * @returns {Promise<Array<Object>>} APIs (id, title, version, specUrl, docsUrl,
+ *   description, categories, names, providerNames)
+ * @throws {CatalogLoadError} If the catalog cannot be loaded or is not a catalog
+ *
+ * @example
+ * const apis = await loadCatalog('./mirror/list.json');
+ * console.log(apis.length);
+ */
+export async function loadCatalog(source, options = {}) {
+  const { forceRefresh = false, timeout = DEFAULT_TIMEOUT_MS } = options;
+
+  if (!forceRefresh && loadedCatalogs.has(source)) {
+    return loadedCatalogs.get(source);
+  }
+
+  const isRemote = /^https?:\/\//.test(source);
+  const baseUrl = isRemote
+    ? source
+    : source.startsWith('file:')
+      ? source
+      : pathToFileURL(resolve(source)).href;
+
+  let list;
+  try {
+    const text = isRemote
+      ? await downloadCatalog(source, { forceRefresh, timeout })
+      : await readFile(fileURLToPath(baseUrl), 'utf-8');
+    list = JSON.parse(text);
+  } catch (error) {
+    if (error instanceof CatalogError) {
+      throw error;
+    }
+    throw new CatalogLoadError(source, error.message, error);
+  }
+  if (!list || typeof list !== 'object' || Array.isArray(list)) {
+    throw new CatalogLoadError(source, 'expected an object keyed by API name');
+  }
+
+  const apis = [];
+  for (const [id, entry] of Object.entries(list)) {
+    const versions = entry?.versions || {};
+    const version = versions[entry.preferred] ? entry.preferred : Object.keys(versions).pop();
+    const details = versions[version];
+    const specUrl = details?.swaggerUrl || details?.swaggerYamlUrl;
+    if (!specUrl) {
+      continue;
+    }
+    const info = details.info || {};
+    apis.push({
+      id,
+      title: info.title || id,
+      version,
+      specUrl: resolveCatalogUrl(specUrl, baseUrl),
+      docsUrl: details.externalDocs?.url || info['x-origin']?.[0]?.url || null,
+      description: info.description || null,
+      categories: info['x-apisguru-categories'] || [],
+      ...entryNames(id, info),
+    });
+  }
+
+  loadedCatalogs.set(source, apis);
+  return apis;
+}
+
+/**
+ * Ranks catalog APIs against a provider name. Each API is scored by its best
+ * matching name: exact (100), word prefix (80), all words present (70),
+ * substring (60) or a near-miss spelling (50 minus 5 per edit). Sub-services
+ * matched only by their provider's name score at most 75, and ties go to the
+ * provider's main API ("stripe.com" before "stripe.com:connect").
+ *
+ * @param {Array<Object>} apis - APIs from loadCatalog()
+ * @param {string} query - Provider name, e.g. "stripe" or "google drive"
+ * @param {Object} options - Search options
+ * @param {number} [options.limit=10] - Maximum number of matches
+ * @param {number} [options.minScore=40] - Lowest score to keep
+ * @returns {Array<Object>} Matching APIs with a `score`, best first
+ *
+ * @example
+ * const [best] = searchCatalog(apis, 'strpe');
+ * console.log(best.id, best.score); // 'stripe.com' 45
+ */
+export function searchCatalog(apis, query, options = {}) {
+  const { limit = 10, minScore = MIN_MATCH_SCORE } = options;
+  const normalizedQuery =
+    normalizeName(query) ||
+    String(query || '')
+      .toLowerCase()
+      .trim();
+
+  const matches = [];
+  for (const api of apis) {
+    const providerScore = Math.min(
+      PROVIDER_ONLY_SCORE,
+      Math.max(0, ...api.providerNames.map((name) => scoreName(normalizedQuery, name)))
+    );
+    const score = Math.max(
+      providerScore,
+      ...api.names.map((name) => scoreName(normalizedQuery, name))
+    );
+    if (score >= minScore) {
+      matches.push({ ...api, score });
+    }
+  }
+
+  matches.sort(
+    (a, b) =>
+      b.score - a.score ||
+      Number(a.id.includes(':')) - Number(b.id.includes(':')) ||
+      a.id.length - b.id.length ||
+      a.id.localeCompare(b.id)
+  );
+
+  return limit > 0 ? matches.slice(0, limit) : matches;
+}
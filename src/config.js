@@ -0,0 +1,486 @@
+/**
+ * Configuration module for api-docs-cli
+ * Loads project configuration (.api-docsrc, api-docs.config.json or a
+ * package.json key) plus environment variables and .env, and resolves the
+ * effective settings for a URL from global values and per-host overrides
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, extname, join, resolve } from 'node:path';
+import dotenv from 'dotenv';
+import yaml from 'js-yaml';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for configuration errors
+ */
+export class ConfigError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'ConfigError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a configuration file cannot be read or has invalid settings
+ */
+export class ConfigParseError extends ConfigError {
+  constructor(file, message, cause = null) {
+    super(`Invalid configuration ${file}: ${message}`, cause);
+    this.name = 'ConfigParseError';
+    this.file = file;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Configuration files checked in each directory, from the working directory
+ * upwards. The first one found wins.
+ */
+export const CONFIG_FILENAMES = [
+  '.api-docsrc',
+  '.api-docsrc.json',
+  '.api-docsrc.yaml',
+  '.api-docsrc.yml',
+  'api-docs.config.json',
+];
+
+/**
+ * package.json key holding the configuration
+ */
+export const PACKAGE_JSON_KEY = 'api-docs';
+
+/**
+ * Environment variable naming an explicit configuration file
+ */
+export const CONFIG_ENV_VAR = 'API_DOCS_CONFIG';
+
+/**
+ * Environment variables that override the global settings
+ */
+const ENV_SETTINGS = {
+  API_DOCS_TIMEOUT: 'timeout',
+  API_DOCS_PAGE_TIMEOUT: 'pageTimeout',
+  API_DOCS_CACHE_TTL: 'cacheTtl',
+};
+
+/**
+ * Built-in settings: spec fetch timeout, browser page timeout, cache TTL for
+ * fetched specs and scraped endpoints, forced docs framework and extra headers
+ */
+export const DEFAULT_SETTINGS = {
+  timeout: 15000,
+  pageTimeout: 30000,
+  cacheTtl: 24 * 60 * 60 * 1000, // 24 hours
+  framework: null,
+  headers: {},
+};
+
+/**
+ * Keys that change command-line option defaults (global only)
+ */
+const OPTION_DEFAULT_KEYS = ['verbose', 'grouped', 'maxPages'];
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// ============================================================================
+// Module State
+// ============================================================================
+
+/**
+ * Loaded configurations keyed by working directory
+ */
+const loadedConfigs = new Map();
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Parses a duration: a number of milliseconds or a string such as "90s",
+ * "30m", "24h" or "7d".
+ *
+ * @param {number|string} value - Duration
+ * @returns {number|undefined} Milliseconds, or undefined if invalid
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : undefined;
+  }
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) {
+    return undefined;
+  }
+  const ms = Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+  return ms > 0 ? ms : undefined;
+}
+
+/**
+ * Validates one block of settings (global or a per-host override).
+ *
+ * @param {Object} block - Raw settings
+ * @param {string} file - Source for error messages
+ * @param {string} where - Location for error messages (e.g. 'overrides."*.example.com"')
+ * @param {Array<string>} extraKeys - Additional keys allowed in this block
+ * @returns {Object} Settings with only the keys present in the block
+ * @throws {ConfigParseError} If a key is unknown or a value is invalid
+ */
+function parseSettings(block, file, where, extraKeys = []) {
+  const fail = (message) => {
+    throw new ConfigParseError(file, where ? `${where}: ${message}` : message);
+  };
+  if (!block || typeof block !== 'object' || Array.isArray(block)) {
+    fail('expected an object');
+  }
+
+  const allowed = [...Object.keys(DEFAULT_SETTINGS), ...extraKeys];
+  const settings = {};
+
+  for (const [key, value] of Object.entries(block)) {
+    if (!allowed.includes(key)) {
+      fail(`unknown setting "${key}"`);
+    }
+
+    if (key === 'timeout' || key === 'pageTimeout') {
+      settings[key] = parseDuration(value);
+      if (settings[key] === undefined) {
+        fail(`"${key}" must be a positive number of ms or a duration such as "60s"`);
+      }
+    } else if (key === 'cacheTtl') {
+      // null or "never" caches without expiry
+      settings.cacheTtl = value === null || value === 'never' ? null : parseDuration(value);
+      if (settings.cacheTtl === undefined) {
+        fail('"cacheTtl" must be a duration such as "24h", a number of ms, or "never"');
+      }
+    } else if (key === 'framework') {
+      if (value !== null && typeof value !== 'string') {
+        fail('"framework" must be a string');
+      }
+      settings.framework = value || null;
+    } else if (key === 'headers') {
+      const valid =
+        value &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.values(value).every((header) => typeof header === 'string');
+      if (!valid) {
+        fail('"headers" must map header names to strings');
+      }
+      settings.headers = value;
+    } else if (key === 'verbose' || key === 'grouped') {
+      if (typeof value !== 'boolean') {
+        fail(`"${key}" must be true or false`);
+      }
+      settings[key] = value;
+    } else if (key === 'maxPages') {
+      if (!Number.isInteger(value) || value < 1) {
+        fail('"maxPages" must be a positive integer');
+      }
+      settings.maxPages = value;
+    } else if (key === 'overrides') {
+      settings.overrides = value;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Reads a file and parses it as JSON (.json, package.json) or YAML (which
+ * also accepts JSON, for .api-docsrc).
+ *
+ * @param {string} file - Path
+ * @returns {Promise<Object>} Parsed content
+ * @throws {ConfigParseError} If the file cannot be read or parsed
+ */
+async function readConfigFile(file) {
+  try {
+    const text = await readFile(file, 'utf-8');
+    return extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new ConfigParseError(file, error.message, error);
+  }
+}
+
+/**
+ * Finds the nearest configuration from a directory upwards.
+ *
+ * @param {string} cwd - Directory to start from
+ * @returns {Promise<{file: string, raw: Object}|null>} File and its raw
+ *   configuration, or null if there is none
+ * @throws {ConfigParseError} If the file found is invalid
+ */
+async function findConfig(cwd) {
+  let dir = resolve(cwd);
+  for (;;) {
+    for (const name of CONFIG_FILENAMES) {
+      const file = join(dir, name);
+      let exists = true;
+      try {
+        await readFile(file);
+      } catch {
+        exists = false;
+      }
+      if (exists) {
+        return { file, raw: (await readConfigFile(file)) ?? {} };
+      }
+    }
+
+    // package.json only counts when it has our key
+    try {
+      const pkg = JSON.parse(await readFile(join(dir, 'package.json'), 'utf-8'));
+      if (pkg?.[PACKAGE_JSON_KEY]) {
+        return { file: join(dir, 'package.json'), raw: pkg[PACKAGE_JSON_KEY] };
+      }
+    } catch {
+      // No (readable) package.json here
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Expands ${NAME} references in header values, so secrets can stay in the
+ * environment or .env. Headers referencing an unset variable are dropped.
+ *
+ * @param {Object} headers - Header values
+ * @param {Object} env - Environment variables
+ * @returns {Object} Expanded headers
+ */
+function expandHeaders(headers, env) {
+  const expanded = {};
+  for (const [name, value] of Object.entries(headers)) {
+    let missing = false;
+    const result = value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, variable) => {
+      if (env[variable] === undefined) {
+        missing = true;
+        return '';
+      }
+      return env[variable];
+    });
+    if (!missing) {
+      expanded[name] = result;
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Converts a glob with `*` wildcards into an anchored, case-insensitive regex.
+ *
+ * @param {string} glob - Pattern
+ * @returns {RegExp} Regex
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks whether an override pattern applies to a URL. Patterns with a
+ * scheme ("https://api.example.com/v2/") match URLs that start with them;
+ * others ("*.example.com", "localhost:8080") match the host.
+ *
+ * @param {string} pattern - Override pattern
+ * @param {string} url - URL being accessed
+ * @returns {boolean} True if the override applies
+ */
+function matchesPattern(pattern, url) {
+  if (pattern.includes('://')) {
+    return globToRegExp(`${pattern}*`).test(url);
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const regex = globToRegExp(pattern);
+  return regex.test(parsed.host) || regex.test(parsed.hostname);
+}
+
+/**
+ * Reads the configuration for a working directory (see loadConfig()).
+ *
+ * @param {string} key - Absolute working directory
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Configuration
+ * @throws {ConfigError} If the configuration cannot be loaded
+ */
+async function readConfig(key, env) {
+  dotenv.config({ path: join(key, '.env'), processEnv: env, quiet: true });
+
+  let found = null;
+  if (env[CONFIG_ENV_VAR]) {
+    const file = resolve(key, env[CONFIG_ENV_VAR]);
+    try {
+      await readFile(file);
+    } catch (error) {
+      throw new ConfigError(`Configuration file not found: ${file}`, error);
+    }
+    const raw = file.endsWith('package.json')
+      ? (await readConfigFile(file))?.[PACKAGE_JSON_KEY]
+      : await readConfigFile(file);
+    found = { file, raw: raw ?? {} };
+  } else {
+    found = await findConfig(key);
+  }
+
+  const file = found?.file || null;
+  if (file && dirname(file) !== key) {
+    // A project's .env sits next to its configuration
+    dotenv.config({ path: join(dirname(file), '.env'), processEnv: env, quiet: true });
+  }
+  const { overrides: rawOverrides = {}, ...global } = found
+    ? parseSettings(found.raw, file, '', [...OPTION_DEFAULT_KEYS, 'overrides'])
+    : {};
+
+  if (!rawOverrides || typeof rawOverrides !== 'object' || Array.isArray(rawOverrides)) {
+    throw new ConfigParseError(file, '"overrides" must map host or URL patterns to settings');
+  }
+  const overrides = Object.entries(rawOverrides).map(([pattern, block]) => ({
+    pattern,
+    settings: parseSettings(block, file, `overrides."${pattern}"`),
+  }));
+
+  for (const [variable, setting] of Object.entries(ENV_SETTINGS)) {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      const source = `environment variable ${variable}`;
+      Object.assign(global, parseSettings({ [setting]: env[variable] }, source, ''));
+    }
+  }
+
+  const optionDefaults = {};
+  for (const option of OPTION_DEFAULT_KEYS) {
+    if (global[option] !== undefined) {
+      optionDefaults[option] = global[option];
+      delete global[option];
+    }
+  }
+
+  return {
+    file,
+    settings: { ...DEFAULT_SETTINGS, ...global },
+    overrides,
+    optionDefaults,
+    env,
+  };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Loads the configuration for a working directory. Variables from `.env` in
+ * that directory, then next to the configuration file, are added to the
+ * environment (existing variables win).
+ * The configuration file is API_DOCS_CONFIG if set, otherwise the nearest of
+ * CONFIG_FILENAMES or a package.json with an "api-docs" key. API_DOCS_TIMEOUT,
+ * API_DOCS_PAGE_TIMEOUT and API_DOCS_CACHE_TTL override its global settings.
+ * Results are memoized per directory.
+ *
+ * @param {Object} options - Options
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {boolean} [options.reload=false] - Ignore the memoized result
+ * @param {boolean} [options.fallback=false] - On error, use the built-in
+ *   defaults instead of throwing; the error is returned as `error`
+ * @returns {Promise<Object>} Configuration: file (or null), settings (global
+ *   settings), overrides ([{ pattern, settings }] in file order), optionDefaults
+ *   (verbose, grouped, maxPages when configured), env, and error (fallback only)
+ * @throws {ConfigError} If API_DOCS_CONFIG names a missing file
+ * @throws {ConfigParseError} If the configuration is invalid
+ *
+ * @example
+ * const config = await loadConfig();
+ * console.log(config.file, config.settings.timeout);
+ */
+export async function loadConfig(options = {}) {
+  const { cwd = process.cwd(), env = process.env, reload = false, fallback = false } = options;
+  const key = resolve(cwd);
+  if (!reload && loadedConfigs.has(key)) {
+    return loadedConfigs.get(key);
+  }
+
+  let config;
+  try {
+    config = await readConfig(key, env);
+  } catch (error) {
+    if (!fallback || !(error instanceof ConfigError)) {
+      throw error;
+    }
+    config = {
+      file: error.file || null,
+      settings: { ...DEFAULT_SETTINGS },
+      overrides: [],
+      optionDefaults: {},
+      env,
+      error,
+    };
+  }
+  loadedConfigs.set(key, config);
+  return config;
+}
+
+/**
+ * Resolves the effective settings for a URL: the global settings, then every
+ * matching override in file order (later ones win; headers are merged).
+ * Header values have ${NAME} references expanded.
+ *
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {string} url - URL being accessed
+ * @returns {Object} Settings (timeout, pageTimeout, cacheTtl, framework, headers)
+ */
+export function resolveSettings(config, url) {
+  let settings = { ...config.settings };
+  for (const override of config.overrides) {
+    if (matchesPattern(override.pattern, url)) {
+      settings = {
+        ...settings,
+        ...override.settings,
+        headers: { ...settings.headers, ...override.settings.headers },
+      };
+    }
+  }
+  return { ...settings, headers: expandHeaders(settings.headers, config.env) };
+}
+
+/**
+ * Loads the configuration for the working directory and resolves the
+ * settings for a URL.
+ *
+ * @param {string} url - URL being accessed
+ * @param {Object} options - Options passed to loadConfig()
+ * @returns {Promise<Object>} Settings (timeout, pageTimeout, cacheTtl, framework, headers)
+ * @throws {ConfigError} If the configuration cannot be loaded
+ *
+ * @example
+ * const { timeout, headers } = await getUrlSettings('https://docs.vendor.com/api');
+ */
+export async function getUrlSettings(url, options = {}) {
+  return resolveSettings(await loadConfig(options), url);
+}
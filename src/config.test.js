@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  loadConfig,
+  resolveSettings,
+  ConfigParseError,
+  DEFAULT_SETTINGS,
+  CONFIG_ENV_VAR,
+} from './config.js';
+
+describe('config', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-docs-config-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes a config file and loads it with an isolated environment.
+   */
+  async function load(name, content, env = {}) {
+    const file = join(dir, name);
+    await writeFile(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return loadConfig({ cwd: dir, env: { [CONFIG_ENV_VAR]: file, ...env }, reload: true });
+  }
+
+  it('uses the defaults without a config file', async () => {
+    const config = await loadConfig({ cwd: dir, env: {}, reload: true });
+    assert.equal(config.file, null);
+    assert.deepEqual(config.settings, DEFAULT_SETTINGS);
+    assert.deepEqual(config.overrides, []);
+  });
+
+  it('parses durations and option defaults', async () => {
+    const config = await load('durations.json', {
+      timeout: '20s',
+      pageTimeout: 45000,
+      cacheTtl: 'never',
+      verbose: true,
+    });
+    assert.equal(config.settings.timeout, 20000);
+    assert.equal(config.settings.pageTimeout, 45000);
+    assert.equal(config.settings.cacheTtl, null);
+    assert.deepEqual(config.optionDefaults, { verbose: true });
+  });
+
+  it('lets API_DOCS_* variables override the file', async () => {
+    const config = await load('env.json', { timeout: '20s' }, { API_DOCS_TIMEOUT: '5s' });
+    assert.equal(config.settings.timeout, 5000);
+  });
+
+  it('applies matching overrides in file order and merges headers', async () => {
+    const config = await load(
+      'overrides.yaml',
+      [
+        'timeout: 10s',
+        'headers:',
+        '  X-Client: api-docs',
+        'overrides:',
+        '  "*.example.com":',
+        '    timeout: 30s',
+        '    headers:',
+        '      Authorization: Bearer ${EXAMPLE_TOKEN}',
+        '  "https://docs.example.com/internal":',
+        '    timeout: 60s',
+        '    framework: redoc',
+        '  other.test:',
+        '    timeout: 1s',
+      ].join('\n'),
+      { EXAMPLE_TOKEN: 'secret' }
+    );
+
+    const settings = resolveSettings(config, 'https://docs.example.com/internal/api');
+    assert.equal(settings.timeout, 60000);
+    assert.equal(settings.framework, 'redoc');
+    assert.deepEqual(settings.headers, {
+      'X-Client': 'api-docs',
+      Authorization: 'Bearer secret',
+    });
+
+    const sibling = resolveSettings(config, 'https://api.example.com/openapi.json');
+    assert.equal(sibling.timeout, 30000);
+    assert.equal(sibling.framework, null);
+
+    const unrelated = resolveSettings(config, 'https://example.org/openapi.json');
+    assert.equal(unrelated.timeout, 10000);
+    assert.deepEqual(unrelated.headers, { 'X-Client': 'api-docs' });
+  });
+
+  it('drops headers whose variables are unset', async () => {
+    const config = await load('unset.json', {
+      headers: { Authorization: 'Bearer ${MISSING_TOKEN}' },
+    });
+    assert.deepEqual(resolveSettings(config, 'https://example.com').headers, {});
+  });
+
+  it('rejects unknown settings', async () => {
+    await assert.rejects(load('unknown.json', { timout: 1000 }), ConfigParseError);
+    await assert.rejects(
+      load('bad-override.json', { overrides: { 'example.com': { timeout: 'soon' } } }),
+      /overrides\."example\.com": "timeout"/
+    );
+  });
+
+  it('falls back to the defaults when asked to', async () => {
+    const file = join(dir, 'broken.yaml');
+    await writeFile(file, 'timeout: [oops');
+    const config = await loadConfig({
+      cwd: dir,
+      env: { [CONFIG_ENV_VAR]: file },
+      reload: true,
+      fallback: true,
+    });
+    assert.ok(config.error instanceof ConfigParseError);
+    assert.deepEqual(config.settings, DEFAULT_SETTINGS);
+  });
+});
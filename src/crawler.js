@@ -0,0 +1,286 @@
+/**
+ * Crawler module for api-docs-cli
+ * Visits the pages of multi-page API references (one operation per page) and
+ * multi-page hand-written docs from an already-loaded docs page, extracting
+ * data from each in the browser
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_PAGES = 200;
+
+/**
+ * Links to files that are never docs pages
+ */
+const ASSET_PATTERN =
+  /\.(png|jpe?g|gif|svg|ico|webp|css|js|mjs|map|pdf|zip|gz|tgz|woff2?|ttf|mp4|webm)$/i;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Resolves, de-duplicates and filters page URLs.
+ * Fragments are dropped since they point into the same page.
+ *
+ * @param {Array<string>} urls - Absolute or relative URLs
+ * @param {string} baseUrl - URL of the page the links came from
+ * @param {boolean} sameOrigin - Keep only URLs on the base URL's origin
+ * @returns {Array<string>} Unique absolute URLs in their original order
+ */
+function normalizeUrls(urls, baseUrl, sameOrigin) {
+  const origin = new URL(baseUrl).origin;
+  const unique = new Set();
+
+  for (const url of urls) {
+    let resolved;
+    try {
+      resolved = new URL(url, baseUrl);
+    } catch {
+      continue;
+    }
+    if (!/^https?:$/.test(resolved.protocol) || (sameOrigin && resolved.origin !== origin)) {
+      continue;
+    }
+    resolved.hash = '';
+    unique.add(resolved.href);
+  }
+
+  return Array.from(unique);
+}
+
+/**
+ * Works out the part of a site a crawl may visit: the root page's origin and
+ * directory. "/docs/api/intro.html" and "/docs/api/" both scope to "/docs/api/";
+ * an extensionless "/docs/api" is treated as the directory itself.
+ *
+ * @param {string} rootUrl - URL the crawl starts from
+ * @returns {{origin: string, prefix: string}} Crawl scope
+ */
+function crawlScope(rootUrl) {
+  const { origin, pathname } = new URL(rootUrl);
+  if (pathname.endsWith('/')) {
+    return { origin, prefix: pathname };
+  }
+  const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+  const prefix = lastSegment.includes('.')
+    ? pathname.slice(0, pathname.lastIndexOf('/') + 1)
+    : `${pathname}/`;
+  return { origin, prefix };
+}
+
+/**
+ * Runs an in-browser extraction function against a page on another origin.
+ * The loaded page cannot fetch it (CORS), so it is opened in a separate tab
+ * and extracted from the live document, like the root page. The tab does not
+ * get the root page's extra headers.
+ *
+ * @param {import('puppeteer').Page} page - Page with the docs root loaded
+ * @param {Function} extractPage - In-browser function, called with null
+ * @param {string} url - Off-origin page URL
+ * @returns {Promise<*>} Extraction result, or null for pages that are not HTML
+ * @throws {Error} If the page cannot be loaded
+ */
+async function visitOffOrigin(page, extractPage, url) {
+  const tab = await page.browser().newPage();
+  try {
+    tab.setDefaultTimeout(page.getDefaultTimeout());
+    const response = await tab.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: page.getDefaultNavigationTimeout(),
+    });
+    if (response && !response.ok()) {
+      throw new Error(`HTTP ${response.status()}`);
+    }
+    if (!(response?.headers()['content-type'] || '').includes('html')) {
+      return null;
+    }
+    return await tab.evaluate(extractPage, null);
+  } finally {
+    await tab.close().catch(() => {});
+  }
+}
+
+/**
+ * Checks whether a discovered link should be crawled.
+ *
+ * @param {string} url - Normalized absolute URL
+ * @param {{origin: string, prefix: string}} scope - Scope from crawlScope()
+ * @param {boolean} sameOrigin - Restrict the crawl to the root's origin and directory
+ * @returns {boolean} True if the link is in scope
+ */
+function isInScope(url, scope, sameOrigin) {
+  const { origin, pathname } = new URL(url);
+  if (ASSET_PATTERN.test(pathname)) {
+    return false;
+  }
+  if (!sameOrigin) {
+    return true;
+  }
+  return origin === scope.origin && `${pathname}/`.startsWith(scope.prefix);
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Runs an in-browser extraction function against each of a list of pages.
+ *
+ * `extractPage` is serialized into the browser (like any page.evaluate()
+ * callback), so it must be self-contained. It receives one URL, typically
+ * fetches it and parses it with DOMParser, and returns a serializable value
+ * or null to skip the page. Fetching from the loaded page keeps the site's
+ * cookies and avoids a full navigation per page.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page with the docs site loaded
+ * @param {Array<string>} urls - Page URLs (relative URLs resolve against the current page)
+ * @param {Function} extractPage - In-browser function `async (url) => result | null`
+ * @param {Object} options - Crawl options
+ * @param {number} [options.concurrency=4] - Pages fetched at once
+ * @param {number} [options.maxPages=200] - Maximum number of pages to visit
+ * @param {boolean} [options.sameOrigin=true] - Skip URLs on other origins
+ * @returns {Promise<{pages: Array<{url: string, data: *}>, total: number, truncated: boolean}>}
+ *   Extracted data per page (in URL order), the number of unique URLs, and whether
+ *   maxPages cut the crawl short
+ *
+ * @example
+ * const { pages } = await crawlPages(page, ['/reference/list-users'], async (url) => {
+ *   const html = await (await fetch(url)).text();
+ *   return new window.DOMParser().parseFromString(html, 'text/html').title;
+ * });
+ */
+export async function crawlPages(page, urls, extractPage, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxPages = DEFAULT_MAX_PAGES,
+    sameOrigin = true,
+  } = options;
+
+  const unique = normalizeUrls(urls, page.url(), sameOrigin);
+  const queue = unique.slice(0, maxPages);
+  const results = new Array(queue.length).fill(null);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < queue.length) {
+      const index = next++;
+      try {
+        results[index] = await page.evaluate(extractPage, queue[index]);
+      } catch {
+        // Unreachable or unparseable page - skip it
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, () => worker()));
+
+  return {
+    pages: queue
+      .map((url, index) => ({ url, data: results[index] }))
+      .filter((entry) => entry.data !== null && entry.data !== undefined),
+    total: unique.length,
+    truncated: unique.length > queue.length,
+  };
+}
+
+/**
+ * Crawls a site breadth-first from the page currently loaded, following links.
+ *
+ * `extractPage` is serialized into the browser like crawlPages()'s. It is
+ * called with null for the loaded page (so it can read the live, rendered
+ * document) and with a URL for every page discovered after that. It returns
+ * `{ data, links }` - the page's extracted data and the raw `href`s to follow -
+ * or null to skip the page. Links are resolved against the page they came from.
+ *
+ * With `sameOrigin` (the default) only links on the root page's origin and
+ * under its directory are followed; otherwise any http(s) link is, bounded
+ * only by `maxPages`. Pages on other origins are opened in a separate tab
+ * and `extractPage` is called with null there, since fetching them from the
+ * root page is blocked by CORS.
+ *
+ * Pages that fail to load, throw, or are skipped by `extractPage` are listed
+ * in `failed` with the reason.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page with the docs root loaded
+ * @param {Function} extractPage - In-browser function `async (url|null) => ({data, links}) | null`
+ * @param {Object} options - Crawl options
+ * @param {number} [options.concurrency=4] - Pages fetched at once
+ * @param {number} [options.maxPages=200] - Maximum number of pages to visit, including the root
+ * @param {boolean} [options.sameOrigin=true] - Stay within the root's origin and directory
+ * @returns {Promise<{pages: Array<{url: string, data: *}>, crawled: number,
+ *   truncated: boolean, failed: Array<{url: string, reason: string}>}>}
+ *   Extracted data per page (root first, then in discovery order), the number of
+ *   pages visited, whether maxPages left in-scope links unvisited, and the pages
+ *   that yielded nothing
+ *
+ * @example
+ * const { pages } = await crawlSite(page, async (url) => {
+ *   const doc = url
+ *     ? new window.DOMParser().parseFromString(await (await fetch(url)).text(), 'text/html')
+ *     : document;
+ *   const links = Array.from(doc.querySelectorAll('a[href]'), (a) => a.getAttribute('href'));
+ *   return { data: doc.title, links };
+ * });
+ */
+export async function crawlSite(page, extractPage, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxPages = DEFAULT_MAX_PAGES,
+    sameOrigin = true,
+  } = options;
+
+  const rootUrl = normalizeUrls([page.url()], page.url(), false)[0];
+  const scope = crawlScope(rootUrl);
+  const seen = new Set([rootUrl]);
+  const queue = [];
+  const pages = [];
+  const failed = [];
+
+  const record = (url, result) => {
+    if (!result) {
+      return;
+    }
+    if (result.data !== null && result.data !== undefined) {
+      pages.push({ url, data: result.data });
+    }
+    for (const link of normalizeUrls(result.links || [], url, false)) {
+      if (!seen.has(link) && isInScope(link, scope, sameOrigin)) {
+        seen.add(link);
+        queue.push(link);
+      }
+    }
+  };
+
+  const visit = async (url) => {
+    try {
+      const result =
+        url && new URL(url).origin !== scope.origin
+          ? await visitOffOrigin(page, extractPage, url)
+          : await page.evaluate(extractPage, url);
+      if (!result && url) {
+        failed.push({ url, reason: 'skipped (not an HTML page)' });
+      }
+      return result;
+    } catch (error) {
+      // Unreachable or unparseable page - skip it, but say so
+      failed.push({ url: url || rootUrl, reason: error.message.split('\n')[0] });
+      return null;
+    }
+  };
+
+  record(rootUrl, await visit(null));
+  let crawled = 1;
+
+  while (queue.length > 0 && crawled < maxPages) {
+    const batch = queue.splice(0, Math.min(concurrency, maxPages - crawled));
+    crawled += batch.length;
+    const results = await Promise.all(batch.map((url) => visit(url)));
+    batch.forEach((url, index) => record(url, results[index]));
+  }
+
+  return { pages, crawled, truncated: queue.length > 0, failed };
+}
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawlSite } from './crawler.js';
+
+/**
+ * Builds a stand-in for a Puppeteer page. `site` maps URLs to the
+ * `{ data, links }` the in-browser extractor would return (or an Error to
+ * throw). The loaded page "fetches" same-origin URLs; other origins must be
+ * opened in a new tab, which records the navigation in `tabs`.
+ */
+function fakePage(rootUrl, site) {
+  const tabs = [];
+  const lookup = (url) => {
+    const result = site[url];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result ?? null;
+  };
+
+  const page = {
+    url: () => rootUrl,
+    getDefaultTimeout: () => 1000,
+    getDefaultNavigationTimeout: () => 1000,
+    evaluate: async (extractPage, url) => {
+      if (url && new URL(url).origin !== new URL(rootUrl).origin) {
+        throw new Error(`Failed to fetch ${url} (CORS)`);
+      }
+      return lookup(url || rootUrl);
+    },
+    browser: () => ({
+      newPage: async () => {
+        let current = null;
+        return {
+          setDefaultTimeout: () => {},
+          goto: async (url) => {
+            current = url;
+            tabs.push(url);
+            return {
+              ok: () => true,
+              status: () => 200,
+              headers: () => ({ 'content-type': 'text/html' }),
+            };
+          },
+          evaluate: async () => lookup(current),
+          close: async () => {},
+        };
+      },
+    }),
+  };
+  return { page, tabs };
+}
+
+describe('crawlSite', () => {
+  it('follows in-scope links breadth-first', async () => {
+    const { page } = fakePage('https://docs.example.com/api/', {
+      'https://docs.example.com/api/': {
+        data: 'root',
+        links: ['users', '/api/orders#top', '/blog/'],
+      },
+      'https://docs.example.com/api/users': { data: 'users', links: ['../api/'] },
+      'https://docs.example.com/api/orders': { data: 'orders', links: [] },
+    });
+
+    const result = await crawlSite(page, () => null);
+    assert.deepEqual(
+      result.pages.map((p) => p.data),
+      ['root', 'users', 'orders']
+    );
+    assert.equal(result.crawled, 3);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.failed, []);
+  });
+
+  it('stops at maxPages', async () => {
+    const { page } = fakePage('https://docs.example.com/api/', {
+      'https://docs.example.com/api/': { data: 'root', links: ['a', 'b', 'c'] },
+      'https://docs.example.com/api/a': { data: 'a', links: [] },
+    });
+    const result = await crawlSite(page, () => null, { maxPages: 2 });
+    assert.equal(result.crawled, 2);
+    assert.equal(result.truncated, true);
+  });
+
+  it('opens off-origin pages in a tab when sameOrigin is off', async () => {
+    const { page, tabs } = fakePage('https://docs.example.com/api/', {
+      'https://docs.example.com/api/': { data: 'root', links: ['https://ref.example.net/pets'] },
+      'https://ref.example.net/pets': { data: 'pets', links: [] },
+    });
+
+    const result = await crawlSite(page, () => null, { sameOrigin: false });
+    assert.deepEqual(tabs, ['https://ref.example.net/pets']);
+    assert.deepEqual(
+      result.pages.map((p) => p.data),
+      ['root', 'pets']
+    );
+  });
+
+  it('reports pages that fail or are skipped', async () => {
+    const { page } = fakePage('https://docs.example.com/api/', {
+      'https://docs.example.com/api/': { data: 'root', links: ['broken', 'binary'] },
+      'https://docs.example.com/api/broken': new Error('HTTP 500'),
+    });
+
+    const result = await crawlSite(page, () => null);
+    assert.deepEqual(result.failed, [
+      { url: 'https://docs.example.com/api/broken', reason: 'HTTP 500' },
+      { url: 'https://docs.example.com/api/binary', reason: 'skipped (not an HTML page)' },
+    ]);
+  });
+});
@@ -0,0 +1,509 @@
+/**
+ * Spec diff module for api-docs-cli
+ * Compares two OpenAPI/Swagger specs and classifies changes as breaking or non-breaking
+ */
+
+import { getOperationParameters } from './endpoint-model.js';
+import { isCircularRef } from './resolver.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+/**
+ * How deep to follow nested schema properties
+ */
+const MAX_SCHEMA_DEPTH = 10;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Creates a change record.
+ *
+ * @param {string} kind - Change kind (e.g. 'endpoint-removed')
+ * @param {boolean} breaking - Whether existing clients may break
+ * @param {Object} endpoint - { method, path } the change belongs to
+ * @param {string} message - Human-readable description
+ * @returns {Object} Change record
+ */
+function change(kind, breaking, endpoint, message) {
+  return {
+    kind,
+    breaking,
+    method: endpoint.method ? endpoint.method.toUpperCase() : null,
+    path: endpoint.path,
+    message,
+  };
+}
+
+/**
+ * Describes the type of a schema in a short, comparable form.
+ *
+ * @param {Object} schema - Schema object
+ * @returns {string|null} Type description or null if untyped
+ */
+function schemaType(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  const type = Array.isArray(schema.type)
+    ? schema.type.filter((t) => t !== 'null').join('|')
+    : schema.type;
+  if (!type) {
+    return null;
+  }
+  return type === 'array' && schema.items?.type ? `array<${schemaType(schema.items)}>` : type;
+}
+
+/**
+ * Flattens allOf branches into one object schema view.
+ *
+ * @param {Object} schema - Schema object
+ * @returns {{properties: Object, required: Array<string>}} Merged properties and required list
+ */
+function objectShape(schema) {
+  const properties = { ...(schema?.properties || {}) };
+  const required = new Set(Array.isArray(schema?.required) ? schema.required : []);
+
+  for (const branch of schema?.allOf || []) {
+    if (isCircularRef(branch)) {
+      continue;
+    }
+    const shape = objectShape(branch);
+    Object.assign(properties, shape.properties);
+    shape.required.forEach((name) => required.add(name));
+  }
+
+  return { properties, required: Array.from(required) };
+}
+
+/**
+ * Compares enum values and records added/removed values.
+ * In requests, removing a value breaks clients; in responses, adding one does.
+ *
+ * @param {Object} oldSchema - Previous schema
+ * @param {Object} newSchema - Current schema
+ * @param {Object} context - { endpoint, location, direction, changes }
+ */
+function compareEnums(oldSchema, newSchema, context) {
+  const { endpoint, location, direction, changes } = context;
+  if (!Array.isArray(oldSchema?.enum) || !Array.isArray(newSchema?.enum)) {
+    return;
+  }
+
+  const oldValues = oldSchema.enum.map((v) => JSON.stringify(v));
+  const newValues = newSchema.enum.map((v) => JSON.stringify(v));
+  const removed = oldValues.filter((v) => !newValues.includes(v));
+  const added = newValues.filter((v) => !oldValues.includes(v));
+
+  if (removed.length > 0) {
+    changes.push(
+      change(
+        'enum-value-removed',
+        direction === 'request',
+        endpoint,
+        `${location}: enum value(s) removed: ${removed.join(', ')}`
+      )
+    );
+  }
+  if (added.length > 0) {
+    changes.push(
+      change(
+        'enum-value-added',
+        direction === 'response',
+        endpoint,
+        `${location}: enum value(s) added: ${added.join(', ')}`
+      )
+    );
+  }
+}
+
+/**
+ * Recursively compares two schemas.
+ *
+ * @param {Object} oldSchema - Previous schema
+ * @param {Object} newSchema - Current schema
+ * @param {Object} context - { endpoint, location, direction, changes, depth }
+ */
+function compareSchemas(oldSchema, newSchema, context) {
+  const { endpoint, location, direction, changes, depth = 0 } = context;
+  if (
+    !oldSchema ||
+    !newSchema ||
+    isCircularRef(oldSchema) ||
+    isCircularRef(newSchema) ||
+    depth > MAX_SCHEMA_DEPTH
+  ) {
+    return;
+  }
+
+  const oldType = schemaType(oldSchema);
+  const newType = schemaType(newSchema);
+  if (oldType && newType && oldType !== newType) {
+    changes.push(
+      change(
+        'type-changed',
+        true,
+        endpoint,
+        `${location}: type changed from ${oldType} to ${newType}`
+      )
+    );
+    return;
+  }
+
+  compareEnums(oldSchema, newSchema, context);
+
+  if (oldSchema.items || newSchema.items) {
+    compareSchemas(oldSchema.items, newSchema.items, {
+      ...context,
+      location: `${location}[]`,
+      depth: depth + 1,
+    });
+  }
+
+  const oldShape = objectShape(oldSchema);
+  const newShape = objectShape(newSchema);
+
+  for (const [name, oldProp] of Object.entries(oldShape.properties)) {
+    const fieldLocation = `${location}.${name}`;
+    const newProp = newShape.properties[name];
+
+    if (!newProp) {
+      // Clients reading a response field break; request fields are simply ignored
+      changes.push(
+        change(
+          direction === 'response' ? 'response-field-removed' : 'request-field-removed',
+          direction === 'response',
+          endpoint,
+          `${fieldLocation} removed`
+        )
+      );
+      continue;
+    }
+
+    if (
+      direction === 'request' &&
+      !oldShape.required.includes(name) &&
+      newShape.required.includes(name)
+    ) {
+      changes.push(
+        change('request-field-required', true, endpoint, `${fieldLocation} is now required`)
+      );
+    }
+
+    compareSchemas(oldProp, newProp, { ...context, location: fieldLocation, depth: depth + 1 });
+  }
+
+  for (const name of Object.keys(newShape.properties)) {
+    if (oldShape.properties[name]) {
+      continue;
+    }
+    const fieldLocation = `${location}.${name}`;
+    if (direction === 'request' && newShape.required.includes(name)) {
+      changes.push(
+        change('request-field-added', true, endpoint, `${fieldLocation} added (required)`)
+      );
+    } else {
+      changes.push(
+        change(
+          direction === 'response' ? 'response-field-added' : 'request-field-added',
+          false,
+          endpoint,
+          `${fieldLocation} added`
+        )
+      );
+    }
+  }
+}
+
+/**
+ * Picks the schema to compare from an OpenAPI 3.x content map, preferring JSON.
+ *
+ * @param {Object} content - Content map keyed by media type
+ * @returns {Object|null} Schema or null
+ */
+function contentSchema(content) {
+  if (!content || typeof content !== 'object') {
+    return null;
+  }
+  const mediaTypes = Object.keys(content);
+  const mediaType = mediaTypes.find((t) => t.includes('json')) || mediaTypes[0];
+  return mediaType ? content[mediaType]?.schema || null : null;
+}
+
+/**
+ * Gets the request body schema and required flag (OpenAPI 3.x or Swagger 2.0 body param).
+ *
+ * @param {Object} operation - Operation object
+ * @param {Array<Object>} parameters - Effective parameters
+ * @returns {{schema: Object|null, required: boolean}|null} Request body info or null
+ */
+function requestBodyInfo(operation, parameters) {
+  if (operation.requestBody) {
+    return {
+      schema: contentSchema(operation.requestBody.content),
+      required: Boolean(operation.requestBody.required),
+    };
+  }
+  const bodyParam = parameters.find((p) => p.in === 'body');
+  if (bodyParam) {
+    return { schema: bodyParam.schema || null, required: Boolean(bodyParam.required) };
+  }
+  return null;
+}
+
+/**
+ * Lists the parameter names in a path template, in order.
+ *
+ * @param {string} path - Path template (e.g. "/pets/{petId}")
+ * @returns {Array<string>} Names (e.g. ["petId"])
+ */
+function pathTemplateNames(path) {
+  return [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Normalizes a path template so that renaming its parameters keeps the key.
+ *
+ * @param {string} path - Path template (e.g. "/pets/{petId}")
+ * @returns {string} Normalized template (e.g. "/pets/{}")
+ */
+function normalizePathTemplate(path) {
+  return path.replace(/\{[^}]+\}/g, '{}');
+}
+
+/**
+ * Keys parameters for comparison. Path parameters are keyed by their position
+ * in the template, since their names are not part of the request.
+ *
+ * @param {Array<Object>} params - Parameters
+ * @param {string} path - Path template the parameters belong to
+ * @returns {Map<string, Object>} Parameters by key (body parameters excluded)
+ */
+function keyParameters(params, path) {
+  const names = pathTemplateNames(path);
+  const keyed = new Map();
+  for (const param of params) {
+    if (param.in === 'body') {
+      continue;
+    }
+    const position = param.in === 'path' ? names.indexOf(param.name) : -1;
+    keyed.set(position >= 0 ? `path:#${position}` : `${param.in}:${param.name}`, param);
+  }
+  return keyed;
+}
+
+/**
+ * Compares the parameters of two versions of an operation.
+ *
+ * @param {Array<Object>} oldParams - Previous parameters
+ * @param {Array<Object>} newParams - Current parameters
+ * @param {Object} endpoint - { method, path }, plus oldPath when the template's
+ *   parameter names changed
+ * @param {Array<Object>} changes - Change accumulator
+ */
+function compareParameters(oldParams, newParams, endpoint, changes) {
+  const oldByKey = keyParameters(oldParams, endpoint.oldPath || endpoint.path);
+  const newByKey = keyParameters(newParams, endpoint.path);
+
+  for (const [paramKey, oldParam] of oldByKey) {
+    const label = `${oldParam.in} parameter "${oldParam.name}"`;
+    const newParam = newByKey.get(paramKey);
+
+    if (!newParam) {
+      changes.push(change('parameter-removed', true, endpoint, `${label} removed`));
+      continue;
+    }
+    if (newParam.name !== oldParam.name) {
+      changes.push(
+        change('parameter-renamed', false, endpoint, `${label} renamed to "${newParam.name}"`)
+      );
+    }
+    if (!oldParam.required && newParam.required) {
+      changes.push(change('parameter-required', true, endpoint, `${label} is now required`));
+    } else if (oldParam.required && !newParam.required) {
+      changes.push(change('parameter-optional', false, endpoint, `${label} is now optional`));
+    }
+
+    compareSchemas(oldParam.schema || oldParam, newParam.schema || newParam, {
+      endpoint,
+      location: label,
+      direction: 'request',
+      changes,
+    });
+  }
+
+  for (const [paramKey, newParam] of newByKey) {
+    if (oldByKey.has(paramKey)) {
+      continue;
+    }
+    const label = `${newParam.in} parameter "${newParam.name}"`;
+    changes.push(
+      newParam.required
+        ? change('parameter-added', true, endpoint, `${label} added (required)`)
+        : change('parameter-added', false, endpoint, `${label} added`)
+    );
+  }
+}
+
+/**
+ * Compares the responses of two versions of an operation.
+ *
+ * @param {Object} oldResponses - Previous responses map
+ * @param {Object} newResponses - Current responses map
+ * @param {Object} endpoint - { method, path }
+ * @param {Array<Object>} changes - Change accumulator
+ */
+function compareResponses(oldResponses = {}, newResponses = {}, endpoint, changes) {
+  for (const [status, oldResponse] of Object.entries(oldResponses)) {
+    const newResponse = newResponses[status];
+    if (!newResponse) {
+      // Losing a success response breaks clients; losing a documented error does not
+      const success = /^2/.test(status);
+      changes.push(change('response-removed', success, endpoint, `response ${status} removed`));
+      continue;
+    }
+
+    compareSchemas(
+      contentSchema(oldResponse.content) || oldResponse.schema,
+      contentSchema(newResponse.content) || newResponse.schema,
+      { endpoint, location: `response ${status} body`, direction: 'response', changes }
+    );
+  }
+
+  for (const status of Object.keys(newResponses)) {
+    if (!oldResponses[status]) {
+      changes.push(change('response-added', false, endpoint, `response ${status} added`));
+    }
+  }
+}
+
+/**
+ * Compares two versions of one operation.
+ *
+ * @param {Object} oldOp - { operation, pathItem } from the previous spec
+ * @param {Object} newOp - { operation, pathItem } from the current spec
+ * @param {Object} endpoint - { method, path }
+ * @param {Array<Object>} changes - Change accumulator
+ */
+function compareOperations(oldOp, newOp, endpoint, changes) {
+  const oldParams = getOperationParameters(oldOp.pathItem, oldOp.operation);
+  const newParams = getOperationParameters(newOp.pathItem, newOp.operation);
+
+  if (!oldOp.operation.deprecated && newOp.operation.deprecated) {
+    changes.push(change('endpoint-deprecated', false, endpoint, 'endpoint deprecated'));
+  }
+
+  compareParameters(oldParams, newParams, endpoint, changes);
+
+  const oldBody = requestBodyInfo(oldOp.operation, oldParams);
+  const newBody = requestBodyInfo(newOp.operation, newParams);
+  if (newBody?.required && !oldBody?.required) {
+    changes.push(change('request-body-required', true, endpoint, 'request body is now required'));
+  }
+  if (oldBody && !newBody) {
+    changes.push(change('request-body-removed', true, endpoint, 'request body removed'));
+  }
+  if (oldBody?.schema && newBody?.schema) {
+    compareSchemas(oldBody.schema, newBody.schema, {
+      endpoint,
+      location: 'request body',
+      direction: 'request',
+      changes,
+    });
+  }
+
+  compareResponses(oldOp.operation.responses, newOp.operation.responses, endpoint, changes);
+}
+
+/**
+ * Indexes a spec's operations by "METHOD template", where the template has its
+ * parameter names removed ("GET /pets/{}"), so a renamed path parameter is
+ * still the same endpoint.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @returns {Map<string, Object>} Operations with method, path, operation and pathItem
+ */
+function indexOperations(spec) {
+  const operations = new Map();
+  for (const [path, pathItem] of Object.entries(spec?.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') {
+      continue;
+    }
+    for (const method of OPERATION_METHODS) {
+      if (pathItem[method] && typeof pathItem[method] === 'object') {
+        const key = `${method.toUpperCase()} ${normalizePathTemplate(path)}`;
+        // Templates that only differ by parameter names are invalid, but keep both
+        operations.set(operations.has(key) ? `${method.toUpperCase()} ${path}` : key, {
+          method,
+          path,
+          operation: pathItem[method],
+          pathItem,
+        });
+      }
+    }
+  }
+  return operations;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Compares two (dereferenced) OpenAPI/Swagger specs.
+ *
+ * Reports added/removed endpoints, parameter and request body changes
+ * (renamed path parameters are parameter changes, not a new endpoint),
+ * response field and status changes, type changes and enum value changes.
+ * Each change is flagged `breaking` when existing clients may stop working.
+ *
+ * @param {Object} oldSpec - Previous spec, ideally from dereferenceSpec()
+ * @param {Object} newSpec - Current spec, ideally from dereferenceSpec()
+ * @returns {{changes: Array<Object>, breaking: number, nonBreaking: number}} Diff result;
+ *   each change has kind, breaking, method, path and message
+ *
+ * @example
+ * const { changes, breaking } = diffSpecs(lastMonth, today);
+ * if (breaking > 0) process.exitCode = 1;
+ */
+export function diffSpecs(oldSpec, newSpec) {
+  const changes = [];
+  const oldOps = indexOperations(oldSpec);
+  const newOps = indexOperations(newSpec);
+
+  for (const [key, oldOp] of oldOps) {
+    const newOp = newOps.get(key);
+    if (!newOp) {
+      const endpoint = { method: oldOp.method, path: oldOp.path };
+      changes.push(change('endpoint-removed', true, endpoint, 'endpoint removed'));
+      continue;
+    }
+    // Changes are reported against the current path
+    const endpoint = { method: newOp.method, path: newOp.path };
+    if (oldOp.path !== newOp.path) {
+      endpoint.oldPath = oldOp.path;
+    }
+    compareOperations(oldOp, newOp, endpoint, changes);
+  }
+
+  for (const [key, newOp] of newOps) {
+    if (!oldOps.has(key)) {
+      changes.push(
+        change(
+          'endpoint-added',
+          false,
+          { method: newOp.method, path: newOp.path },
+          'endpoint added'
+        )
+      );
+    }
+  }
+
+  const breaking = changes.filter((c) => c.breaking).length;
+  return { changes, breaking, nonBreaking: changes.length - breaking };
+}
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSpecs } from './diff.js';
+
+/**
+ * Builds a minimal OpenAPI 3 spec from a paths object.
+ */
+function spec(paths) {
+  return { openapi: '3.0.3', info: { title: 'Pets', version: '1' }, paths };
+}
+
+const petSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['available', 'sold'] },
+  },
+};
+
+/**
+ * Builds a GET /pets/{name} operation returning the pet schema.
+ */
+function getPet(name = 'petId', schema = petSchema) {
+  return {
+    get: {
+      parameters: [{ name, in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { content: { 'application/json': { schema } } } },
+    },
+  };
+}
+
+/**
+ * Finds the changes of one kind.
+ */
+function kinds(result, kind) {
+  return result.changes.filter((c) => c.kind === kind);
+}
+
+describe('diffSpecs', () => {
+  it('reports nothing for identical specs', () => {
+    const result = diffSpecs(
+      spec({ '/pets/{petId}': getPet() }),
+      spec({ '/pets/{petId}': getPet() })
+    );
+    assert.deepEqual(result, { changes: [], breaking: 0, nonBreaking: 0 });
+  });
+
+  it('classifies removed endpoints as breaking and added ones as not', () => {
+    const result = diffSpecs(
+      spec({ '/pets/{petId}': getPet() }),
+      spec({ '/owners/{ownerId}': getPet('ownerId') })
+    );
+    assert.deepEqual(
+      result.changes.map((c) => [c.kind, c.breaking, c.path]),
+      [
+        ['endpoint-removed', true, '/pets/{petId}'],
+        ['endpoint-added', false, '/owners/{ownerId}'],
+      ]
+    );
+    assert.equal(result.breaking, 1);
+    assert.equal(result.nonBreaking, 1);
+  });
+
+  it('reports a renamed path parameter as a parameter change', () => {
+    const result = diffSpecs(
+      spec({ '/pets/{petId}': getPet('petId') }),
+      spec({ '/pets/{id}': getPet('id') })
+    );
+    assert.deepEqual(
+      result.changes.map((c) => [c.kind, c.breaking, c.method, c.path, c.message]),
+      [['parameter-renamed', false, 'GET', '/pets/{id}', 'path parameter "petId" renamed to "id"']]
+    );
+  });
+
+  it('classifies parameter changes', () => {
+    const before = getPet();
+    before.get.parameters.push({ name: 'expand', in: 'query', schema: { type: 'string' } });
+    const after = getPet();
+    after.get.parameters.push(
+      { name: 'expand', in: 'query', required: true, schema: { type: 'string' } },
+      { name: 'verbose', in: 'query', schema: { type: 'boolean' } }
+    );
+
+    const result = diffSpecs(spec({ '/pets/{petId}': before }), spec({ '/pets/{petId}': after }));
+    assert.equal(kinds(result, 'parameter-required')[0].breaking, true);
+    assert.equal(kinds(result, 'parameter-added')[0].breaking, false);
+  });
+
+  it('flags response field removals and type changes as breaking', () => {
+    const newSchema = {
+      type: 'object',
+      properties: { id: { type: 'string' }, status: petSchema.properties.status },
+    };
+    const result = diffSpecs(
+      spec({ '/pets/{petId}': getPet() }),
+      spec({ '/pets/{petId}': getPet('petId', newSchema) })
+    );
+    assert.deepEqual(
+      result.changes.map((c) => [c.kind, c.breaking]),
+      [
+        ['type-changed', true],
+        ['response-field-removed', true],
+      ]
+    );
+  });
+
+  it('classifies enum changes by direction', () => {
+    const newSchema = {
+      ...petSchema,
+      properties: {
+        ...petSchema.properties,
+        status: { type: 'string', enum: ['available', 'sold', 'pending'] },
+      },
+    };
+    const result = diffSpecs(
+      spec({ '/pets/{petId}': getPet() }),
+      spec({ '/pets/{petId}': getPet('petId', newSchema) })
+    );
+    // A response may now carry a value clients do not handle
+    assert.equal(kinds(result, 'enum-value-added')[0].breaking, true);
+  });
+
+  it('flags newly required request fields', () => {
+    const body = (required) => ({
+      post: {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', required, properties: { name: { type: 'string' } } },
+            },
+          },
+        },
+        responses: { 201: { description: 'created' } },
+      },
+    });
+    const result = diffSpecs(spec({ '/pets': body([]) }), spec({ '/pets': body(['name']) }));
+    assert.deepEqual(
+      result.changes.map((c) => [c.kind, c.breaking, c.message]),
+      [['request-field-required', true, 'request body.name is now required']]
+    );
+  });
+});
@@ -1,17 +1,25 @@
 /**
  * API discovery module for api-docs-cli
- * Provides lookup functionality using APITracker.io
+ * Provides lookup functionality through pluggable backends: the alias
+ * registry, a local or mirrored APIs.guru-format catalog, then APITracker.io
  */
 
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
 import {
-  searchProvider as searchAPITracker,
-  ProviderNotFoundError as APITrackerNotFoundError,
+  searchProviderCandidates as searchAPITracker,
+  resolveProviderPage,
   DocsUrlNotFoundError,
   APITrackerSearchError,
 } from './extractors/apitracker.js';
+import {
+  loadCatalog,
+  searchCatalog,
+  resolveCatalogSource,
+  CONFIDENT_MATCH_SCORE,
+} from './catalog.js';
+import { findAlias } from './registry.js';
 
 // ============================================================================
 // Custom Error Classes
@@ -40,12 +48,13 @@ export class ProviderNotFoundError extends DiscoveryError {
 }
 
 /**
- * Thrown when multiple providers match and disambiguation is needed
- * @deprecated No longer used with APITracker, kept for backwards compatibility
+ * Thrown when several providers match about equally well and no `select`
+ * callback was given to pick one
  */
 export class AmbiguousMatchError extends DiscoveryError {
   constructor(query, matches, cause = null) {
-    super(`Multiple providers match "${query}". Please be more specific.`, cause);
+    const names = matches.map((match) => match.id || match.provider).join(', ');
+    super(`Multiple providers match "${query}": ${names}. Please be more specific.`, cause);
     this.name = 'AmbiguousMatchError';
     this.query = query;
     this.matches = matches;
@@ -71,6 +80,17 @@ const CACHE_DIR_NAME = '.cache/api-docs-cli';
 const URL_CACHE_FILENAME = 'apitracker-urls.json';
 const URL_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 
+/**
+ * Candidates scoring within this many points of the best are close enough
+ * to need disambiguation
+ */
+export const AMBIGUITY_MARGIN = 10;
+
+/**
+ * Most candidates offered when disambiguating
+ */
+const MAX_CANDIDATES = 10;
+
 // ============================================================================
 // URL Cache Helpers
 // ============================================================================
@@ -165,92 +185,291 @@ async function cacheUrl(provider, data) {
   await writeUrlCache(cache);
 }
 
+// ============================================================================
+// Discovery Backends
+// ============================================================================
+
+/**
+ * Alias registry backend. Only exact alias names match, so pinned names always
+ * win over fuzzy catalog and APITracker results.
+ */
+const registryBackend = {
+  name: 'registry',
+
+  async search(query) {
+    const alias = await findAlias(query);
+    if (!alias) {
+      return [];
+    }
+
+    return [
+      {
+        id: alias.name,
+        provider: alias.description || alias.name,
+        docsUrl: alias.url,
+        ...(alias.type === 'spec' && { specUrl: alias.url }),
+        revision: alias.revision,
+        aliasFile: alias.file,
+        score: 100,
+        source: 'registry',
+      },
+    ];
+  },
+
+  async resolve(candidate) {
+    return candidate;
+  },
+};
+
+/**
+ * APIs.guru-format catalog backend. Resolves straight to the OpenAPI URL.
+ * A catalog that cannot be loaded, or whose best match is only a substring or
+ * near-miss spelling, counts as no match, so lookups fall through to APITracker.
+ */
+const catalogBackend = {
+  name: 'catalog',
+
+  async search(query, options) {
+    const source = resolveCatalogSource(options.catalog);
+    if (!source) {
+      return [];
+    }
+
+    let apis;
+    try {
+      apis = await loadCatalog(source, { forceRefresh: options.forceRefresh });
+    } catch {
+      return [];
+    }
+
+    const matches = searchCatalog(apis, query, { limit: options.limit ?? MAX_CANDIDATES });
+    if (matches.length === 0 || matches[0].score < CONFIDENT_MATCH_SCORE) {
+      return [];
+    }
+
+    return matches.map((api) => ({
+      id: api.id,
+      provider: api.title,
+      description: api.description,
+      docsUrl: api.docsUrl || api.specUrl,
+      specUrl: api.specUrl,
+      catalogId: api.id,
+      version: api.version,
+      score: api.score,
+      source: 'catalog',
+    }));
+  },
+
+  async resolve(candidate) {
+    return candidate;
+  },
+};
+
+/**
+ * APITracker.io backend. Scrapes with Puppeteer, so resolved docs URLs are
+ * kept in the URL cache for a week.
+ */
+const apiTrackerBackend = {
+  name: 'apitracker',
+
+  async search(query, options) {
+    if (!options.forceRefresh) {
+      const cached = await getCachedUrl(query);
+      if (cached) {
+        return [
+          {
+            id: cached.provider,
+            provider: cached.provider,
+            docsUrl: cached.docsUrl,
+            apiTrackerUrl: cached.apiTrackerUrl,
+            score: 100,
+            source: 'cache',
+          },
+        ];
+      }
+    }
+
+    try {
+      const candidates = await searchAPITracker(query);
+      return candidates.map((candidate) => ({ id: candidate.provider, ...candidate }));
+    } catch (error) {
+      if (error instanceof DocsUrlNotFoundError) {
+        return [];
+      }
+      if (error instanceof APITrackerSearchError) {
+        throw new DiscoveryFetchError(query, error.message, error);
+      }
+      throw new DiscoveryFetchError(query, error.message, error);
+    }
+  },
+
+  async resolve(candidate, query) {
+    if (candidate.source === 'cache') {
+      return candidate;
+    }
+
+    let result = candidate;
+    if (!candidate.docsUrl) {
+      try {
+        result = await resolveProviderPage(candidate.apiTrackerUrl, query);
+      } catch (error) {
+        if (error instanceof DocsUrlNotFoundError) {
+          throw new ProviderNotFoundError(query, error);
+        }
+        throw new DiscoveryFetchError(query, error.message, error);
+      }
+    }
+
+    const { provider, docsUrl, apiTrackerUrl, source } = result;
+    await cacheUrl(query, { provider, docsUrl, apiTrackerUrl, source });
+    return { provider, docsUrl, apiTrackerUrl, source };
+  },
+};
+
+/**
+ * Backends tried in order; the first with any candidates answers. A backend is
+ * `{ name, search(query, options), resolve(candidate, query) }`: search resolves
+ * to scored candidates (best first; empty for no match) and resolve turns the
+ * chosen one into a result (provider, docsUrl, optional specUrl, source).
+ */
+export const DEFAULT_BACKENDS = [registryBackend, catalogBackend, apiTrackerBackend];
+
+/**
+ * Picks the candidates that score close to the best one.
+ *
+ * @param {Array<Object>} candidates - Candidates, best first
+ * @returns {Array<Object>} The best candidate and any within AMBIGUITY_MARGIN of it
+ */
+function closeCandidates(candidates) {
+  const best = candidates[0]?.score ?? 0;
+  return candidates.filter((candidate) => candidate.score >= best - AMBIGUITY_MARGIN);
+}
+
+/**
+ * Finds the first backend with candidates for a query.
+ *
+ * @param {string} query - Normalized query
+ * @param {Object} options - Options passed to each backend's search()
+ * @param {Array<Object>} backends - Backends in order
+ * @returns {Promise<{backend: Object|null, candidates: Array<Object>}>} Answering
+ *   backend and its candidates
+ */
+async function searchBackends(query, options, backends) {
+  for (const backend of backends) {
+    const candidates = await backend.search(query, options);
+    if (candidates.length > 0) {
+      return { backend, candidates };
+    }
+  }
+  return { backend: null, candidates: [] };
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
 
 /**
  * Looks up a provider by name and returns their documentation URL.
- * Uses APITracker.io for discovery.
+ *
+ * Backends are tried in order: aliases pinned in the project or user registry
+ * (exact names only), then the APIs.guru-format catalog (matched by name and
+ * alias; it answers only when some name matches whole words, and its results
+ * include the OpenAPI `specUrl`), then
+ * the URL cache and APITracker.io, which are only used when nothing else matches.
+ *
+ * When several candidates score within AMBIGUITY_MARGIN of the best ("google"
+ * matching every Google API), `options.select` is called to pick one; without
+ * it an AmbiguousMatchError listing the candidates is thrown.
  *
  * @param {string} query - Provider name to search for (e.g., "n8n", "stripe")
  * @param {Object} options - Lookup options
- * @param {boolean} [options.forceRefresh=false] - Bypass cache and search fresh
+ * @param {boolean} [options.forceRefresh=false] - Bypass caches and search fresh
+ * @param {string|false} [options.catalog] - Catalog path or URL (defaults to
+ *   API_DOCS_CATALOG, then APIs.guru); false skips the catalog
+ * @param {Function} [options.select] - `async (candidates) => candidate | null`
+ *   called for ambiguous matches; null cancels the lookup
+ * @param {Array<Object>} [options.backends] - Backends to use instead of DEFAULT_BACKENDS
  * @returns {Promise<Object>} Result object with provider, docsUrl, source
- * @throws {ProviderNotFoundError} If no provider matches
+ *   ('registry', 'catalog', 'cache' or 'apitracker') and, for spec aliases and
+ *   catalog matches, specUrl (registry results may also pin a revision)
+ * @throws {ProviderNotFoundError} If no provider matches (or the selection is cancelled)
+ * @throws {AmbiguousMatchError} If several providers match and no select callback is given
  * @throws {DiscoveryFetchError} If discovery fails
+ * @throws {RegistryParseError} If an alias registry file is invalid
  *
  * @example
  * const result = await lookupProvider('n8n');
  * console.log(result.docsUrl); // 'https://docs.n8n.io/api/api-reference/'
  */
 export async function lookupProvider(query, options = {}) {
-  const { forceRefresh = false } = options;
+  const { forceRefresh = false, catalog, select, backends = DEFAULT_BACKENDS } = options;
 
   if (!query || typeof query !== 'string' || query.trim() === '') {
     throw new ProviderNotFoundError(query || '');
   }
 
   const normalizedQuery = query.trim().toLowerCase();
-
-  // Check cache first
-  if (!forceRefresh) {
-    const cached = await getCachedUrl(normalizedQuery);
-    if (cached) {
-      return {
-        provider: cached.provider,
-        docsUrl: cached.docsUrl,
-        apiTrackerUrl: cached.apiTrackerUrl,
-        source: 'cache',
-      };
-    }
+  const { backend, candidates } = await searchBackends(
+    normalizedQuery,
+    { forceRefresh, catalog },
+    backends
+  );
+  if (!backend) {
+    throw new ProviderNotFoundError(query);
   }
 
-  // Search APITracker
-  try {
-    const result = await searchAPITracker(normalizedQuery);
-
-    // Cache the result
-    await cacheUrl(normalizedQuery, result);
-
-    return result;
-  } catch (error) {
-    if (error instanceof APITrackerNotFoundError || error instanceof DocsUrlNotFoundError) {
-      throw new ProviderNotFoundError(query, error);
+  let chosen = candidates[0];
+  const close = closeCandidates(candidates);
+  if (close.length > 1) {
+    if (!select) {
+      throw new AmbiguousMatchError(query, close);
     }
-    if (error instanceof APITrackerSearchError) {
-      throw new DiscoveryFetchError(query, error.message, error);
+    chosen = await select(close);
+    if (!chosen) {
+      throw new ProviderNotFoundError(query);
     }
-    throw new DiscoveryFetchError(query, error.message, error);
   }
+
+  return backend.resolve(chosen, normalizedQuery);
 }
 
 /**
- * Searches for providers matching the query.
- * Note: APITracker doesn't support multi-result search, so this returns
- * at most one result (the best match).
+ * Searches for providers matching the query and returns every scored
+ * candidate from the first backend that has any, without resolving them.
+ * Catalog candidates already carry their specUrl; APITracker candidates
+ * carry the provider page (apiTrackerUrl) and, for exact matches, docsUrl.
  *
  * @param {string} query - Search query
  * @param {Object} options - Search options
- * @param {boolean} [options.forceRefresh=false] - Bypass cache
- * @returns {Promise<Array<Object>>} Array with 0 or 1 matching providers
+ * @param {boolean} [options.forceRefresh=false] - Bypass caches
+ * @param {string|false} [options.catalog] - Catalog path or URL; false skips the catalog
+ * @param {number} [options.limit=10] - Maximum catalog candidates (0 for all)
+ * @param {Array<Object>} [options.backends] - Backends to use instead of DEFAULT_BACKENDS
+ * @returns {Promise<Array<Object>>} Candidates (id, provider, score, source, and
+ *   docsUrl/specUrl/apiTrackerUrl where known), best first, with `ambiguous`
+ *   set on those within AMBIGUITY_MARGIN of the best when there are several
  *
  * @example
- * const matches = await searchProviders('n8n');
- * if (matches.length > 0) {
- *   console.log(matches[0].docsUrl);
- * }
+ * const matches = await searchProviders('google');
+ * matches.forEach((match) => console.log(match.score, match.id));
  */
 export async function searchProviders(query, options = {}) {
-  try {
-    const result = await lookupProvider(query, options);
-    return [result];
-  } catch (error) {
-    if (error instanceof ProviderNotFoundError) {
-      return [];
-    }
-    throw error;
+  const { forceRefresh = false, catalog, limit, backends = DEFAULT_BACKENDS } = options;
+
+  if (!query || typeof query !== 'string' || query.trim() === '') {
+    return [];
   }
+
+  const { candidates } = await searchBackends(
+    query.trim().toLowerCase(),
+    { forceRefresh, catalog, limit },
+    backends
+  );
+  const close = closeCandidates(candidates);
+  return candidates.map((candidate) => ({
+    ...candidate,
+    ambiguous: close.length > 1 && close.includes(candidate),
+  }));
 }
 
 /**
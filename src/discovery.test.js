@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { searchProviders, DEFAULT_BACKENDS } from './discovery.js';
+
+/**
+ * Builds an APIs.guru-format catalog entry.
+ */
+function catalogEntry(title) {
+  return {
+    preferred: '1.0.0',
+    versions: { '1.0.0': { swaggerUrl: 'openapi.json', info: { title } } },
+  };
+}
+
+// Stands in for APITracker, answering every query
+const trackerBackend = {
+  name: 'tracker',
+  async search(query) {
+    return [{ id: query, provider: query, score: 100, source: 'apitracker' }];
+  },
+  async resolve(candidate) {
+    return candidate;
+  },
+};
+
+describe('searchProviders', () => {
+  const catalogBackend = DEFAULT_BACKENDS.find((backend) => backend.name === 'catalog');
+  const backends = [catalogBackend, trackerBackend];
+  let dir;
+  let catalog;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-docs-discovery-'));
+    catalog = join(dir, 'list.json');
+    await writeFile(
+      catalog,
+      JSON.stringify({
+        'nonlinear.io': catalogEntry('Nonlinear Tools'),
+        'stripe.com': catalogEntry('Stripe API'),
+      })
+    );
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('answers from the catalog for whole-word matches', async () => {
+    const [match] = await searchProviders('stripe', { catalog, backends });
+    assert.equal(match.source, 'catalog');
+    assert.equal(match.id, 'stripe.com');
+  });
+
+  it('falls through when the catalog only has substrings or near misses', async () => {
+    for (const query of ['linear', 'strpe']) {
+      const matches = await searchProviders(query, { catalog, backends });
+      assert.deepEqual(
+        matches.map((match) => [match.id, match.source]),
+        [[query, 'apitracker']]
+      );
+    }
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Normalized endpoint model for api-docs-cli
+ * Converts specs and DOM-scraped results into one stable, serializable shape
+ */
+
+import { extractBaseUrl } from './formatter.js';
+import { isAsyncAPISpec, listAsyncAPIOperations, listAsyncAPIServers } from './asyncapi.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Version of the machine-readable endpoint schema.
+ * Bump only when fields are removed or change meaning.
+ */
+export const ENDPOINT_SCHEMA_VERSION = 1;
+
+/**
+ * Path item keys that represent operations
+ */
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Collapses whitespace in a summary or description.
+ *
+ * @param {string|null|undefined} text - Raw text
+ * @returns {string|null} Cleaned text or null if empty
+ */
+function cleanText(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  const cleaned = text.replace(/\s+/g, ' ').trim();
+  return cleaned || null;
+}
+
+/**
+ * Creates a normalized endpoint object.
+ *
+ * @param {Object} fields - Endpoint fields
+ * @returns {Object} Normalized endpoint
+ */
+function createEndpoint({ method, path, summary, tags, operationId, framework, baseUrl, source }) {
+  return {
+    method: method.toUpperCase(),
+    path,
+    summary: cleanText(summary),
+    tags: Array.isArray(tags) ? tags.filter((t) => typeof t === 'string') : [],
+    operationId: operationId || null,
+    framework,
+    source,
+    baseUrl: baseUrl || null,
+  };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Builds the normalized endpoint model from an OpenAPI/Swagger spec.
+ * AsyncAPI documents are delegated to endpointModelFromAsyncAPI().
+ *
+ * @param {Object} spec - Parsed OpenAPI/Swagger specification
+ * @param {Object} options - Model options
+ * @param {string} [options.framework] - Where the spec came from ('openapi', 'swagger', 'swagger-ui', ...)
+ * @param {string} [options.url] - URL the spec was loaded from
+ * @returns {Object} Model with api info and endpoints array
+ *
+ * @example
+ * const model = endpointModelFromSpec(spec, { framework: 'openapi' });
+ * console.log(model.endpoints[0]); // { method: 'GET', path: '/users', ... }
+ */
+export function endpointModelFromSpec(spec, options = {}) {
+  if (isAsyncAPISpec(spec)) {
+    return endpointModelFromAsyncAPI(spec, options);
+  }
+
+  const framework = options.framework || (spec.swagger ? 'swagger' : 'openapi');
+  const baseUrl = extractBaseUrl(spec);
+  const endpoints = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') {
+      continue;
+    }
+
+    for (const method of OPERATION_METHODS) {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== 'object') {
+        continue;
+      }
+
+      endpoints.push(
+        createEndpoint({
+          method,
+          path,
+          summary: operation.summary || operation.description,
+          tags: operation.tags,
+          operationId: operation.operationId,
+          framework,
+          baseUrl,
+          source: 'spec',
+        })
+      );
+    }
+  }
+
+  return {
+    schemaVersion: ENDPOINT_SCHEMA_VERSION,
+    api: {
+      title: spec.info?.title || 'Unknown API',
+      version: spec.info?.version || null,
+      baseUrl,
+      framework,
+      source: 'spec',
+      url: options.url || null,
+    },
+    endpoints,
+  };
+}
+
+/**
+ * Builds the normalized endpoint model from an AsyncAPI document. Each
+ * operation becomes an endpoint whose method is its action (SEND or RECEIVE)
+ * and whose path is the channel address; baseUrl is the first server.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI 2.x or 3.x document
+ * @param {Object} options - Model options
+ * @param {string} [options.url] - URL the document was loaded from
+ * @returns {Object} Model with api info and endpoints array
+ */
+export function endpointModelFromAsyncAPI(spec, options = {}) {
+  const server = listAsyncAPIServers(spec)[0];
+  const baseUrl = server ? server.url : null;
+  const endpoints = listAsyncAPIOperations(spec).map((operation) =>
+    createEndpoint({
+      method: operation.action,
+      path: operation.channel,
+      summary: operation.summary || operation.description,
+      tags: operation.tags,
+      operationId: operation.operationId,
+      framework: 'asyncapi',
+      baseUrl,
+      source: 'spec',
+    })
+  );
+
+  return {
+    schemaVersion: ENDPOINT_SCHEMA_VERSION,
+    api: {
+      title: spec.info?.title || 'Unknown API',
+      version: spec.info?.version || null,
+      baseUrl,
+      framework: 'asyncapi',
+      source: 'spec',
+      url: options.url || null,
+    },
+    endpoints,
+  };
+}
+
+/**
+ * Builds the normalized endpoint model from a DOM scraping result.
+ *
+ * @param {Object} scrapedResult - Result from scrapeEndpoints()
+ * @returns {Object} Model with api info and endpoints array
+ *
+ * @example
+ * const model = endpointModelFromScraped(await scrapeEndpoints(url));
+ */
+export function endpointModelFromScraped(scrapedResult) {
+  const framework = scrapedResult.framework;
+  const endpoints = (scrapedResult.endpoints || []).map((endpoint) =>
+    createEndpoint({
+      method: endpoint.method,
+      path: endpoint.path,
+      summary: endpoint.description,
+      tags: endpoint.tags,
+      operationId: endpoint.operationId,
+      framework,
+      baseUrl: null,
+      source: 'scraped',
+    })
+  );
+
+  return {
+    schemaVersion: ENDPOINT_SCHEMA_VERSION,
+    api: {
+      title: scrapedResult.apiInfo?.title || 'API Documentation',
+      version: scrapedResult.apiInfo?.version || null,
+      baseUrl: null,
+      framework,
+      source: 'scraped',
+      url: scrapedResult.url || null,
+    },
+    endpoints,
+  };
+}
+
+/**
+ * Builds the normalized endpoint model from a GraphQL schema's operations.
+ * Each root field becomes an endpoint whose method is its operation kind
+ * (QUERY, MUTATION, SUBSCRIPTION) and whose path is the field name.
+ *
+ * @param {Object} api - Api info from loadGraphQLSchema() (title, url, source)
+ * @param {Array<Object>} operations - Operations from listGraphQLOperations()
+ * @returns {Object} Model with api info and endpoints array
+ *
+ * @example
+ * const { schema, api } = await loadGraphQLSchema('./schema.graphql');
+ * const model = endpointModelFromGraphQL(api, listGraphQLOperations(schema));
+ */
+export function endpointModelFromGraphQL(api, operations) {
+  const baseUrl = api.source === 'introspection' ? api.url : null;
+  const endpoints = operations.map((operation) =>
+    createEndpoint({
+      method: operation.kind,
+      path: operation.name,
+      summary: operation.description,
+      tags: [operation.kind],
+      operationId: operation.name,
+      framework: 'graphql',
+      baseUrl,
+      source: api.source,
+    })
+  );
+
+  return {
+    schemaVersion: ENDPOINT_SCHEMA_VERSION,
+    api: {
+      title: api.title,
+      version: null,
+      baseUrl,
+      framework: 'graphql',
+      source: api.source,
+      url: api.url,
+    },
+    endpoints,
+  };
+}
+
+/**
+ * Combines path-level and operation-level parameters for an operation.
+ * Operation parameters override path parameters with the same name and location.
+ *
+ * @param {Object} pathItem - Path item object (dereferenced)
+ * @param {Object} operation - Operation object (dereferenced)
+ * @returns {Array<Object>} Effective parameter list
+ */
+export function getOperationParameters(pathItem, operation) {
+  const merged = new Map();
+  for (const param of [...(pathItem?.parameters || []), ...(operation?.parameters || [])]) {
+    if (param && typeof param === 'object' && param.name) {
+      merged.set(`${param.in}:${param.name}`, param);
+    }
+  }
+  return Array.from(merged.values());
+}
@@ -0,0 +1,245 @@
+/**
+ * Example value module for api-docs-cli
+ * Picks explicit examples from a spec or synthesizes them from JSON schemas
+ */
+
+import { isCircularRef } from './resolver.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_MAX_DEPTH = 6;
+
+/**
+ * Sample values for string formats
+ */
+const FORMAT_EXAMPLES = {
+  date: '2024-01-15',
+  'date-time': '2024-01-15T09:30:00Z',
+  time: '09:30:00',
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  byte: 'U3dhZ2dlciByb2Nrcw==',
+  binary: '<binary>',
+  password: '********',
+};
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Returns the first usable value from an OpenAPI `examples` map or array.
+ *
+ * @param {Object|Array} examples - Examples map ({ name: { value } }) or JSON Schema array
+ * @returns {*} Example value or undefined
+ */
+function firstExampleValue(examples) {
+  if (Array.isArray(examples)) {
+    return examples[0];
+  }
+  if (examples && typeof examples === 'object') {
+    for (const example of Object.values(examples)) {
+      if (example && typeof example === 'object' && 'value' in example) {
+        return example.value;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Picks the primary type of a schema (first non-null type for 3.1 type arrays).
+ *
+ * @param {Object} schema - Schema object
+ * @returns {string|undefined} Type name
+ */
+function primaryType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find((t) => t !== 'null') || schema.type[0];
+  }
+  if (schema.type) {
+    return schema.type;
+  }
+  if (schema.properties || schema.additionalProperties) {
+    return 'object';
+  }
+  if (schema.items) {
+    return 'array';
+  }
+  return undefined;
+}
+
+/**
+ * Synthesizes a value for a string schema.
+ *
+ * @param {Object} schema - String schema
+ * @param {string} [name] - Property name, used as a hint
+ * @returns {string} Example string
+ */
+function synthesizeString(schema, name) {
+  if (schema.format && FORMAT_EXAMPLES[schema.format]) {
+    return FORMAT_EXAMPLES[schema.format];
+  }
+  const base = name ? String(name) : 'string';
+  if (schema.minLength && base.length < schema.minLength) {
+    return base.padEnd(schema.minLength, 'x');
+  }
+  if (schema.maxLength && base.length > schema.maxLength) {
+    return base.slice(0, schema.maxLength);
+  }
+  return base;
+}
+
+/**
+ * Synthesizes a value for a numeric schema.
+ *
+ * @param {Object} schema - Number or integer schema
+ * @returns {number} Example number
+ */
+function synthesizeNumber(schema) {
+  const integer = primaryType(schema) === 'integer';
+  let value = integer ? 1 : 1.5;
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    value = schema.minimum;
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    value = schema.exclusiveMinimum + 1;
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    value = schema.maximum;
+  }
+  return integer ? Math.round(value) : value;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Synthesizes an example value from a (dereferenced) JSON schema.
+ *
+ * Explicit `example`, `examples`, `default`, `const` and `enum` values win;
+ * otherwise a value is built from the type, format and constraints.
+ * Circular refs and anything deeper than `maxDepth` become null.
+ *
+ * @param {Object} schema - Schema object, ideally from dereferenceSpec()
+ * @param {Object} options - Synthesis options
+ * @param {number} [options.maxDepth=6] - Maximum nesting depth
+ * @param {string} [options.name] - Property name hint for strings
+ * @param {string} [options.direction] - 'request' skips readOnly, 'response' skips writeOnly
+ * @returns {*} Example value
+ *
+ * @example
+ * synthesizeExample({ type: 'object', properties: { id: { type: 'integer' } } });
+ * // { id: 1 }
+ */
+export function synthesizeExample(schema, options = {}) {
+  const { maxDepth = DEFAULT_MAX_DEPTH, name, depth = 0, direction } = options;
+
+  if (!schema || typeof schema !== 'object' || isCircularRef(schema) || schema.$ref) {
+    return null;
+  }
+
+  // Explicit values always win over synthesis
+  const explicit = [
+    schema.example,
+    firstExampleValue(schema.examples),
+    schema.default,
+    schema.const,
+    Array.isArray(schema.enum) ? schema.enum[0] : undefined,
+  ].find((value) => value !== undefined);
+  if (explicit !== undefined) {
+    return explicit;
+  }
+
+  if (depth > maxDepth) {
+    return null;
+  }
+  const next = { maxDepth, depth: depth + 1, direction };
+
+  if (Array.isArray(schema.allOf)) {
+    const merged = {};
+    for (const branch of schema.allOf) {
+      const value = synthesizeExample(branch, { ...next, name });
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.assign(merged, value);
+      } else if (value !== null && schema.allOf.length === 1) {
+        return value;
+      }
+    }
+    if (!schema.properties) {
+      return merged;
+    }
+    return { ...merged, ...synthesizeExample({ ...schema, allOf: undefined }, options) };
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+    return synthesizeExample(schema.oneOf[0], { ...next, name });
+  }
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    return synthesizeExample(schema.anyOf[0], { ...next, name });
+  }
+
+  switch (primaryType(schema)) {
+    case 'object': {
+      const result = {};
+      for (const [propName, propSchema] of Object.entries(schema.properties || {})) {
+        if (
+          (propSchema?.readOnly && direction === 'request') ||
+          (propSchema?.writeOnly && direction === 'response')
+        ) {
+          continue;
+        }
+        result[propName] = synthesizeExample(propSchema, { ...next, name: propName });
+      }
+      return result;
+    }
+    case 'array': {
+      const item = synthesizeExample(schema.items, { ...next, name });
+      return item === null ? [] : [item];
+    }
+    case 'string':
+      return synthesizeString(schema, name);
+    case 'integer':
+    case 'number':
+      return synthesizeNumber(schema);
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Gets an example for an OpenAPI media type object (or Swagger 2.0 response).
+ * Prefers explicit `example` / `examples` over schema synthesis.
+ *
+ * @param {Object} media - Media type object with example(s) and/or schema
+ * @param {Object} options - Options passed to synthesizeExample()
+ * @param {string} [options.direction] - 'request' skips readOnly, 'response' skips writeOnly
+ * @returns {*} Example value, or undefined if nothing is available
+ */
+export function getMediaExample(media, options = {}) {
+  if (!media || typeof media !== 'object') {
+    return undefined;
+  }
+  if (media.example !== undefined) {
+    return media.example;
+  }
+  const fromExamples = firstExampleValue(media.examples);
+  if (fromExamples !== undefined) {
+    return fromExamples;
+  }
+  if (media.schema) {
+    return synthesizeExample(media.schema, options);
+  }
+  return undefined;
+}
@@ -66,11 +66,10 @@ const NAVIGATION_TIMEOUT = 30000;
 // ============================================================================
 
 /**
- * Searches APITracker.io for a provider and returns the API documentation URL.
+ * Searches APITracker.io for a provider and returns the API documentation URL
+ * of the best match.
  *
  * @param {string} query - Provider name to search for (e.g., "n8n", "stripe")
- * @param {Object} options - Search options
- * @param {number} [options.timeout=30000] - Search timeout in ms
  * @returns {Promise<Object>} Result with provider info and docs URL
  * @throws {ProviderNotFoundError} If no matching provider found
  * @throws {DocsUrlNotFoundError} If provider found but no docs URL available
@@ -83,6 +82,32 @@ const NAVIGATION_TIMEOUT = 30000;
  * console.log(result.apiTrackerUrl); // 'https://apitracker.io/a/n8n'
  */
 export async function searchProvider(query) {
+  const [best] = await searchProviderCandidates(query);
+  if (!best) {
+    throw new ProviderNotFoundError(query);
+  }
+  return best.docsUrl ? best : resolveProviderPage(best.apiTrackerUrl, query);
+}
+
+/**
+ * Searches APITracker.io and returns every scored match.
+ *
+ * An exact provider page (apitracker.io/a/{query}) is returned on its own,
+ * already resolved to its docs URL. Otherwise the search results are scored
+ * by slug and link text (exact 100, prefix 80, substring 60, link text 40,
+ * surrounding text 20) and returned unresolved; pass a candidate's
+ * apiTrackerUrl to resolveProviderPage() to get its docs URL.
+ *
+ * @param {string} query - Provider name to search for
+ * @returns {Promise<Array<Object>>} Candidates (provider, title, apiTrackerUrl,
+ *   score, source, and docsUrl when resolved), best first
+ * @throws {APITrackerSearchError} If search fails
+ *
+ * @example
+ * const candidates = await searchProviderCandidates('google');
+ * candidates.forEach((c) => console.log(c.score, c.provider));
+ */
+export async function searchProviderCandidates(query) {
   const normalizedQuery = query.trim().toLowerCase();
   let page = null;
 
@@ -100,7 +125,7 @@ export async function searchProvider(query) {
     const currentUrl = page.url();
     if (response && response.ok() && currentUrl.includes('/a/')) {
       try {
-        return await extractDocsFromApiPage(page, normalizedQuery);
+        return [{ ...(await extractDocsFromApiPage(page, normalizedQuery)), score: 100 }];
       } catch (error) {
         // Direct page exists but couldn't extract docs, continue to search
         if (!(error instanceof DocsUrlNotFoundError)) {
@@ -120,28 +145,51 @@ export async function searchProvider(query) {
     await page.waitForSelector('body', { timeout: SEARCH_TIMEOUT });
 
     // Check if we're redirected to an API page
-    const newUrl = page.url();
-    if (newUrl.includes('/a/')) {
-      return await extractDocsFromApiPage(page, normalizedQuery);
+    if (page.url().includes('/a/')) {
+      return [{ ...(await extractDocsFromApiPage(page, normalizedQuery)), score: 100 }];
     }
 
-    // Look for search results
-    const searchResult = await findBestSearchResult(page, normalizedQuery);
-
-    if (!searchResult) {
-      throw new ProviderNotFoundError(query);
+    const results = await findSearchResults(page, normalizedQuery);
+    return results.map((result) => ({
+      provider: result.slug,
+      title: result.text || result.slug,
+      apiTrackerUrl: result.url,
+      score: result.score,
+      source: 'apitracker',
+    }));
+  } catch (error) {
+    if (error instanceof DocsUrlNotFoundError) {
+      throw error;
+    }
+    throw new APITrackerSearchError(query, error.message, error);
+  } finally {
+    if (page && !page.isClosed()) {
+      await page.close();
     }
+  }
+}
 
-    // Navigate to the API detail page
-    await page.goto(searchResult.url, {
+/**
+ * Resolves an APITracker provider page to its documentation URL.
+ *
+ * @param {string} apiTrackerUrl - Provider page, e.g. "https://apitracker.io/a/n8n"
+ * @param {string} query - Original search query (fallback provider name)
+ * @returns {Promise<Object>} Result with provider, docsUrl, apiTrackerUrl and source
+ * @throws {DocsUrlNotFoundError} If the page lists no docs URL
+ * @throws {APITrackerSearchError} If the page cannot be loaded
+ */
+export async function resolveProviderPage(apiTrackerUrl, query) {
+  let page = null;
+
+  try {
+    page = await getPage({ timeout: NAVIGATION_TIMEOUT });
+    await page.goto(apiTrackerUrl, {
       waitUntil: 'networkidle2',
       timeout: NAVIGATION_TIMEOUT,
     });
-
-    // Extract docs URL from the API page
-    return await extractDocsFromApiPage(page, normalizedQuery);
+    return await extractDocsFromApiPage(page, query.trim().toLowerCase());
   } catch (error) {
-    if (error instanceof ProviderNotFoundError || error instanceof DocsUrlNotFoundError) {
+    if (error instanceof DocsUrlNotFoundError) {
       throw error;
     }
     throw new APITrackerSearchError(query, error.message, error);
@@ -157,13 +205,14 @@ export async function searchProvider(query) {
 // ============================================================================
 
 /**
- * Finds the best matching search result from the results page.
+ * Collects the scored search results from the results page.
  *
  * @param {import('puppeteer').Page} page - Puppeteer page on search results
  * @param {string} query - Normalized search query
- * @returns {Promise<Object|null>} Best matching result or null
+ * @returns {Promise<Array<Object>>} Results (url, slug, text, score), one per
+ *   provider, best first
  */
-async function findBestSearchResult(page, query) {
+async function findSearchResults(page, query) {
   // Wait a bit for dynamic content to load
   await new Promise((resolve) => setTimeout(resolve, 1000));
 
@@ -206,7 +255,14 @@ async function findBestSearchResult(page, query) {
     return results;
   }, query);
 
-  return results.length > 0 ? results[0] : null;
+  // Providers are linked several times (logo, name, card); keep the best link
+  const bySlug = new Map();
+  for (const result of results) {
+    if (!bySlug.has(result.slug)) {
+      bySlug.set(result.slug, result);
+    }
+  }
+  return Array.from(bySlug.values());
 }
 
 /**
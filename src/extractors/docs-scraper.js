@@ -1,10 +1,13 @@
 /**
  * DOM Scraper module for api-docs-cli
  * Extracts API endpoints from rendered documentation pages
- * Supports Scalar, Redoc, Swagger UI, and generic docs
+ * Supports Scalar, Redoc, Swagger UI, Stoplight Elements, RapiDoc, ReadMe, Mintlify,
+ * Docusaurus (docusaurus-plugin-openapi-docs), and generic docs
  */
 
-import { getPage } from '../browser.js';
+import { getPage, BrowserError } from '../browser.js';
+import { crawlPages, crawlSite } from '../crawler.js';
+import { parseSpecContent, validateSpec as validateOpenAPISpec } from './openapi.js';
 
 // ============================================================================
 // Custom Error Classes
@@ -60,6 +63,23 @@ export class PageLoadError extends DocsScraperError {
 // ============================================================================
 
 const PAGE_LOAD_TIMEOUT = 30000;
+const SPEC_READY_TIMEOUT_MS = 15000;
+
+// Patterns that indicate spec-related network requests
+const SPEC_URL_PATTERNS = [
+  /openapi\.json/i,
+  /openapi\.yaml/i,
+  /openapi\.yml/i,
+  /swagger\.json/i,
+  /swagger\.yaml/i,
+  /swagger\.yml/i,
+  /api-docs/i,
+  /\/v2\/api-docs/i,
+  /\/v3\/api-docs/i,
+  /\.yaml$/i,
+  /\.yml$/i,
+  /\.json$/i,
+];
 
 // ============================================================================
 // Public API
@@ -72,7 +92,13 @@ const PAGE_LOAD_TIMEOUT = 30000;
  * @param {Object} options - Extraction options
  * @param {number} [options.timeout=30000] - Page load timeout in ms
  * @param {string} [options.framework] - Force specific framework detection
- * @returns {Promise<Object>} Extraction result with framework and endpoints
+ * @param {Object} [options.headers] - Extra HTTP headers for the page's requests
+ * @param {boolean} [options.crawl=false] - For generic docs, follow links from the page
+ *   and scrape every page reached (endpoints then carry a sourcePage)
+ * @param {number} [options.maxPages] - Crawl limit, including the starting page
+ * @param {boolean} [options.sameOrigin=true] - Only crawl the page's origin and directory
+ * @returns {Promise<Object>} Extraction result with framework and endpoints (plus
+ *   `crawl: { pages, truncated, failed }` when a crawl ran)
  * @throws {PageLoadError} If page fails to load
  * @throws {FrameworkNotDetectedError} If no supported framework detected
  * @throws {ExtractionError} If extraction fails
@@ -83,11 +109,18 @@ const PAGE_LOAD_TIMEOUT = 30000;
  * console.log(result.endpoints);   // [{ method: 'GET', path: '/users', description: '...' }, ...]
  */
 export async function scrapeEndpoints(url, options = {}) {
-  const { timeout = PAGE_LOAD_TIMEOUT, framework: forcedFramework } = options;
+  const {
+    timeout = PAGE_LOAD_TIMEOUT,
+    framework: forcedFramework,
+    headers,
+    crawl = false,
+    maxPages,
+    sameOrigin = true,
+  } = options;
   let page = null;
 
   try {
-    page = await getPage({ timeout });
+    page = await getPage({ timeout, headers });
 
     // Navigate to the docs page
     await page.goto(url, {
@@ -98,26 +131,35 @@ export async function scrapeEndpoints(url, options = {}) {
     // Wait for dynamic content
     await new Promise((resolve) => setTimeout(resolve, 2000));
 
-    // Detect framework
-    const framework = forcedFramework || (await detectFramework(page));
+    // Detect framework (a crawl can start from a root page that lists no endpoints itself)
+    const framework =
+      forcedFramework || (await detectFramework(page)) || (crawl ? 'generic' : null);
 
     if (!framework) {
       throw new FrameworkNotDetectedError(url);
     }
 
-    // Extract endpoints based on framework
-    const endpoints = await extractEndpoints(page, framework, url);
+    // Extract endpoints based on framework, following links for generic docs when crawling
+    const extracted =
+      crawl && framework === 'generic'
+        ? await crawlGenericEndpoints(page, url, { maxPages, sameOrigin })
+        : { endpoints: await extractEndpoints(page, framework, url) };
 
     // Extract API info if available
     const apiInfo = await extractApiInfo(page, framework);
 
-    return {
+    const result = {
       url,
       framework,
       apiInfo,
-      endpoints,
+      endpoints: extracted.endpoints,
       extractedAt: new Date().toISOString(),
     };
+    if (extracted.crawl) {
+      result.crawl = extracted.crawl;
+    }
+
+    return result;
   } catch (error) {
     if (error instanceof FrameworkNotDetectedError || error instanceof ExtractionError) {
       throw error;
@@ -158,6 +200,103 @@ export async function detectFrameworkFromUrl(url) {
 // Framework Detection
 // ============================================================================
 
+/**
+ * Detects which documentation framework rendered a document. Runs inside the
+ * page (it is passed to page.evaluate), so it must not reference anything
+ * outside its own body.
+ *
+ * @param {Document} [doc=document] - Rendered document
+ * @param {Object} [win=window] - Its window (framework globals and location)
+ * @returns {string|null} Framework name or null
+ */
+export function detectDocsFramework(doc = document, win = window) {
+  // Check for Swagger UI
+  if (
+    doc.querySelector('.swagger-ui') ||
+    doc.querySelector('#swagger-ui') ||
+    win.ui ||
+    win.SwaggerUIBundle
+  ) {
+    return 'swagger-ui';
+  }
+
+  // Check for Redoc
+  if (
+    doc.querySelector('.redoc-wrap') ||
+    doc.querySelector('redoc') ||
+    win.__redoc_state ||
+    win.__REDOC_STORE__ ||
+    doc.querySelector('[data-role="redoc"]')
+  ) {
+    return 'redoc';
+  }
+
+  // Check for Scalar
+  if (
+    doc.querySelector('.scalar-app') ||
+    doc.querySelector('[data-scalar]') ||
+    doc.querySelector('.scalar-api-reference') ||
+    doc.querySelector('#scalar') ||
+    win.ScalarApiReference
+  ) {
+    return 'scalar';
+  }
+
+  // Check for Stoplight Elements (web component or React)
+  if (
+    doc.querySelector('elements-api') ||
+    doc.querySelector('elements-stoplight-project') ||
+    doc.querySelector('.sl-elements')
+  ) {
+    return 'stoplight-elements';
+  }
+
+  // Check for RapiDoc
+  if (doc.querySelector('rapi-doc')) {
+    return 'rapidoc';
+  }
+
+  // Check for ReadMe (*.readme.io and custom domains)
+  if (
+    doc.getElementById('ssr-props') ||
+    doc.querySelector('meta[name="readme-deploy"]') ||
+    doc.querySelector('.rm-Sidebar') ||
+    win.location.hostname.endsWith('.readme.io')
+  ) {
+    return 'readme';
+  }
+
+  // Check for Mintlify
+  if (
+    doc.querySelector('meta[name="generator"][content*="Mintlify" i]') ||
+    doc.querySelector('#navigation-items') ||
+    doc.querySelector('script[src*="mintlify"], link[href*="mintlify"]')
+  ) {
+    return 'mintlify';
+  }
+
+  // Check for Docusaurus with docusaurus-plugin-openapi-docs
+  if (
+    doc.querySelector('.menu li.api-method') ||
+    doc.querySelector('.openapi__method-endpoint') ||
+    doc.querySelector('.theme-api-markdown')
+  ) {
+    return 'docusaurus-openapi';
+  }
+
+  // Check for common API doc patterns (generic)
+  const hasHttpMethods = doc.body.innerHTML.match(/\b(GET|POST|PUT|DELETE|PATCH)\b/gi);
+  const hasApiPaths =
+    doc.body.innerHTML.match(/\/[a-z]+\/\{[^}]+\}/gi) ||
+    doc.body.innerHTML.match(/\/api\/[a-z]+/gi);
+
+  if (hasHttpMethods && hasApiPaths) {
+    return 'generic';
+  }
+
+  return null;
+}
+
 /**
  * Detects which documentation framework is used on the page.
  *
@@ -165,51 +304,7 @@ export async function detectFrameworkFromUrl(url) {
  * @returns {Promise<string|null>} Framework name or null
  */
 async function detectFramework(page) {
-  return await page.evaluate(() => {
-    // Check for Swagger UI
-    if (
-      document.querySelector('.swagger-ui') ||
-      document.querySelector('#swagger-ui') ||
-      window.ui ||
-      window.SwaggerUIBundle
-    ) {
-      return 'swagger-ui';
-    }
-
-    // Check for Redoc
-    if (
-      document.querySelector('.redoc-wrap') ||
-      document.querySelector('redoc') ||
-      window.__redoc_state ||
-      window.__REDOC_STORE__ ||
-      document.querySelector('[data-role="redoc"]')
-    ) {
-      return 'redoc';
-    }
-
-    // Check for Scalar
-    if (
-      document.querySelector('.scalar-app') ||
-      document.querySelector('[data-scalar]') ||
-      document.querySelector('.scalar-api-reference') ||
-      document.querySelector('#scalar') ||
-      window.ScalarApiReference
-    ) {
-      return 'scalar';
-    }
-
-    // Check for common API doc patterns (generic)
-    const hasHttpMethods = document.body.innerHTML.match(/\b(GET|POST|PUT|DELETE|PATCH)\b/gi);
-    const hasApiPaths =
-      document.body.innerHTML.match(/\/[a-z]+\/\{[^}]+\}/gi) ||
-      document.body.innerHTML.match(/\/api\/[a-z]+/gi);
-
-    if (hasHttpMethods && hasApiPaths) {
-      return 'generic';
-    }
-
-    return null;
-  });
+  return await page.evaluate(detectDocsFramework);
 }
 
 // ============================================================================
@@ -233,6 +328,16 @@ async function extractEndpoints(page, framework, url) {
         return await extractRedocEndpoints(page);
       case 'scalar':
         return await extractScalarEndpoints(page);
+      case 'stoplight-elements':
+        return await extractStoplightEndpoints(page);
+      case 'rapidoc':
+        return await extractRapiDocEndpoints(page);
+      case 'readme':
+        return await extractReadmeEndpoints(page);
+      case 'mintlify':
+        return await extractMintlifyEndpoints(page);
+      case 'docusaurus-openapi':
+        return await extractDocusaurusOpenApiEndpoints(page);
       case 'generic':
         return await extractGenericEndpoints(page);
       default:
@@ -594,91 +699,747 @@ async function extractScalarEndpoints(page) {
 }
 
 /**
- * Extracts endpoints from generic/unknown documentation.
+ * Extracts endpoints from Stoplight Elements.
+ *
+ * Reads the spec from the component's apiDescriptionDocument or
+ * apiDescriptionUrl when possible, otherwise walks the sidebar. Sidebar links
+ * to /paths/<slug>/<method> carry the path; links to /operations/<id> are
+ * opened one by one to read the path from the rendered operation.
  */
-async function extractGenericEndpoints(page) {
+async function extractStoplightEndpoints(page) {
+  const specEndpoints = await page.evaluate(async () => {
+    const element = document.querySelector('elements-api');
+    if (!element) {
+      return null;
+    }
+
+    let spec = element.apiDescriptionDocument ?? element.getAttribute('apiDescriptionDocument');
+    try {
+      if (typeof spec === 'string') {
+        spec = JSON.parse(spec);
+      }
+      const specUrl = element.apiDescriptionUrl || element.getAttribute('apiDescriptionUrl');
+      if (!spec && specUrl) {
+        // YAML descriptions are left to the Stoplight extractor
+        spec = await (await fetch(new URL(specUrl, window.location.href).href)).json();
+      }
+    } catch (_e) {
+      return null;
+    }
+
+    if (!spec || !spec.paths) {
+      return null;
+    }
+
+    const endpoints = [];
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, details] of Object.entries(methods || {})) {
+        if (
+          ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'].includes(
+            method.toLowerCase()
+          )
+        ) {
+          endpoints.push({
+            method: method.toUpperCase(),
+            path,
+            description: details.summary || details.description || '',
+            tags: details.tags || [],
+            operationId: details.operationId || null,
+          });
+        }
+      }
+    }
+    return endpoints;
+  });
+
+  if (specEndpoints && specEndpoints.length > 0) {
+    return specEndpoints;
+  }
+
+  // Fall back to the sidebar
+  return await page.evaluate(async () => {
+    const METHOD_PATTERN = /^(get|post|put|patch|delete|head|options)$/i;
+    const PATH_PATTERN = /^\/[\w\-./{}:]*$/;
+
+    const findRenderedPath = (sidebar) => {
+      for (const el of document.querySelectorAll('.sl-elements *, elements-api *')) {
+        if (el.children.length > 0 || (sidebar && sidebar.contains(el))) {
+          continue;
+        }
+        const text = el.textContent?.trim() || '';
+        if (PATH_PATTERN.test(text) && text.length > 1) {
+          return text;
+        }
+      }
+      return null;
+    };
+
+    const links = Array.from(
+      document.querySelectorAll('a[href*="/operations/"], a[href*="/paths/"]')
+    );
+    const sidebar = links[0]?.closest('nav, [class*="sidebar"], [class*="toc"]') || null;
+    const endpoints = [];
+    const seen = new Set();
+
+    for (const link of links) {
+      const href = link.getAttribute('href') || '';
+      const badge = Array.from(link.querySelectorAll('*')).find((el) =>
+        METHOD_PATTERN.test(el.textContent?.trim() || '')
+      );
+      const pathRoute = href.match(/\/paths\/([^/]+)\/([a-z]+)\/?$/i);
+      const method = (badge?.textContent?.trim() || pathRoute?.[2] || '').toUpperCase();
+      if (!METHOD_PATTERN.test(method)) {
+        continue;
+      }
+
+      const operationId = href.match(/\/operations\/([^/?#]+)/)?.[1] || null;
+      let path = pathRoute ? `/${decodeURIComponent(pathRoute[1]).replace(/-/g, '/')}` : null;
+
+      // Operation routes only carry the id; open the page to read its path
+      if (!path) {
+        link.click();
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        path = findRenderedPath(sidebar);
+      }
+      if (!path) {
+        continue;
+      }
+
+      const key = `${method}:${path}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const title = (link.textContent || '').trim();
+      const badgeText = badge?.textContent?.trim() || '';
+      endpoints.push({
+        method,
+        path,
+        description:
+          badgeText && title.endsWith(badgeText) ? title.slice(0, -badgeText.length).trim() : title,
+        tags: [],
+        operationId: operationId ? decodeURIComponent(operationId) : null,
+      });
+    }
+
+    return endpoints;
+  });
+}
+
+/**
+ * Extracts endpoints from RapiDoc.
+ *
+ * Reads the element's parsed spec (resolvedSpec), which keeps summaries and
+ * tags; RapiDoc renders into an open shadow root, so the fallback scans that
+ * for method/path pairs.
+ */
+async function extractRapiDocEndpoints(page) {
   return await page.evaluate(() => {
+    const element = document.querySelector('rapi-doc');
     const endpoints = [];
     const seen = new Set();
 
-    // Strategy 1: Look for code blocks or preformatted text with endpoints
-    const codeBlocks = document.querySelectorAll('pre, code, .highlight');
-    for (const block of codeBlocks) {
-      const text = block.textContent || '';
-      const matches = text.matchAll(/(GET|POST|PUT|DELETE|PATCH|OPTIONS|HEAD)\s+(\/[^\s\n'"]+)/gi);
-      for (const match of matches) {
-        const key = `${match[1].toUpperCase()}:${match[2]}`;
-        if (!seen.has(key)) {
-          seen.add(key);
+    const resolved = element?.resolvedSpec;
+    if (resolved && Array.isArray(resolved.tags)) {
+      for (const tag of resolved.tags) {
+        // RapiDoc files untagged operations under "General ⦂"
+        const tagName = tag.name && tag.name !== 'General ⦂' ? tag.name : null;
+        for (const operation of tag.paths || []) {
+          if (operation.isWebhook) {
+            continue;
+          }
+          const method = String(operation.method || '').toUpperCase();
+          const key = `${method}:${operation.path}`;
+          const existing = endpoints.find((e) => `${e.method}:${e.path}` === key);
+          if (existing) {
+            if (tagName && !existing.tags.includes(tagName)) {
+              existing.tags.push(tagName);
+            }
+            continue;
+          }
           endpoints.push({
-            method: match[1].toUpperCase(),
-            path: match[2].replace(/['"]+$/, ''), // Remove trailing quotes
-            description: '',
-            tags: [],
-            operationId: null,
+            method,
+            path: operation.path,
+            description: operation.summary || operation.description || '',
+            tags: tagName ? [tagName] : [],
+            operationId: operation.operationId || null,
           });
         }
       }
+      if (endpoints.length > 0) {
+        return endpoints;
+      }
     }
 
-    // Strategy 2: Look for tables with method/path columns
-    const tables = document.querySelectorAll('table');
-    for (const table of tables) {
-      const rows = table.querySelectorAll('tr');
-      for (const row of rows) {
-        const cells = row.querySelectorAll('td, th');
-        const cellTexts = Array.from(cells).map((c) => c.textContent?.trim() || '');
-
-        // Look for method in first few cells
-        for (let i = 0; i < Math.min(cellTexts.length, 3); i++) {
-          const methodMatch = cellTexts[i].match(/^(GET|POST|PUT|DELETE|PATCH)$/i);
-          if (methodMatch) {
-            // Look for path in subsequent cells
-            for (let j = i + 1; j < cellTexts.length; j++) {
-              if (cellTexts[j].startsWith('/')) {
-                const key = `${methodMatch[1].toUpperCase()}:${cellTexts[j]}`;
-                if (!seen.has(key)) {
-                  seen.add(key);
-                  endpoints.push({
-                    method: methodMatch[1].toUpperCase(),
-                    path: cellTexts[j],
-                    description: cellTexts[j + 1] || '',
-                    tags: [],
-                    operationId: null,
-                  });
-                }
-                break;
+    // Fall back to the rendered shadow DOM
+    const root = element?.shadowRoot || document.body;
+    const text = root.textContent || '';
+    for (const match of text.matchAll(
+      /\b(GET|POST|PUT|DELETE|PATCH)\s*(\/[a-zA-Z0-9_\-/{}.:]*)/gi
+    )) {
+      const key = `${match[1].toUpperCase()}:${match[2]}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        endpoints.push({
+          method: match[1].toUpperCase(),
+          path: match[2],
+          description: '',
+          tags: [],
+          operationId: null,
+        });
+      }
+    }
+
+    return endpoints;
+  });
+}
+
+/**
+ * Merges the per-page results of a sidebar crawl into one endpoint list.
+ * Each page's sidebar group becomes its tag; operations linked from more
+ * than one page are kept once.
+ *
+ * @param {Array<{url: string, data: Object}>} pages - crawlPages() results; data holds
+ *   method, path, summary and optionally parameters
+ * @param {Array<{href: string, group: string|null}>} entries - Sidebar links that were crawled
+ * @param {string} baseUrl - URL of the page the sidebar was read from
+ * @returns {Array<Object>} Endpoint objects
+ */
+function mergeCrawledEndpoints(pages, entries, baseUrl) {
+  const groups = new Map(
+    entries.map((entry) => [new URL(entry.href, baseUrl).href.split('#')[0], entry.group])
+  );
+  const endpoints = [];
+  const seen = new Set();
+
+  for (const { url, data } of pages) {
+    const key = `${data.method}:${data.path}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    const group = groups.get(url);
+    const endpoint = {
+      method: data.method,
+      path: data.path,
+      description: data.summary || '',
+      tags: group ? [group] : [],
+      operationId: null,
+    };
+    if (data.parameters?.length > 0) {
+      endpoint.parameters = data.parameters;
+    }
+    endpoints.push(endpoint);
+  }
+
+  return endpoints;
+}
+
+/**
+ * Extracts endpoints from a ReadMe API reference.
+ *
+ * ReadMe puts each operation on its own page, so the reference sidebar is
+ * walked and every operation page is fetched for its method and path (from
+ * the page's #ssr-props JSON, or its rendered text as a fallback). Sidebar
+ * section headings become tags.
+ */
+async function extractReadmeEndpoints(page) {
+  const sidebar = await page.evaluate(() => {
+    const METHOD_PATTERN = /^(get|post|put|patch|delete|head|options)$/i;
+    const entries = [];
+    const seen = new Set();
+
+    for (const link of document.querySelectorAll('a[href*="/reference/"]')) {
+      const href = link.getAttribute('href');
+      if (!href || seen.has(href)) {
+        continue;
+      }
+      seen.add(href);
+
+      const badge = Array.from(link.querySelectorAll('span, div')).find(
+        (el) => /APIMethod/.test(el.className) || METHOD_PATTERN.test(el.textContent?.trim() || '')
+      );
+      const section = link.closest('section, [class*="Sidebar-listWrapper"]');
+      const heading = section?.querySelector('h1, h2, h3, [class*="heading"]');
+
+      entries.push({
+        href,
+        method: badge?.textContent?.trim().toUpperCase() || null,
+        group: heading?.textContent?.trim() || null,
+      });
+    }
+
+    return entries;
+  });
+
+  // Prefer links with a method badge (operations) over guide-style reference pages
+  const operations = sidebar.some((entry) => entry.method)
+    ? sidebar.filter((entry) => entry.method)
+    : sidebar;
+
+  const { pages } = await crawlPages(
+    page,
+    operations.map((entry) => entry.href),
+    async (url) => {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) {
+        return null;
+      }
+      const doc = new window.DOMParser().parseFromString(await response.text(), 'text/html');
+
+      let props = null;
+      try {
+        props = JSON.parse(doc.getElementById('ssr-props')?.textContent || 'null');
+      } catch (_e) {
+        // Fall back to the rendered page
+      }
+      const pageDoc = props?.document || props?.doc || null;
+      let method = pageDoc?.api?.method || null;
+      let path = pageDoc?.api?.path || pageDoc?.api?.url || null;
+
+      if (!method || !path) {
+        const text = (doc.querySelector('article, main') || doc.body)?.textContent || '';
+        const match = text.match(
+          /\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s*(?:https?:\/\/[^\s/]+)?(\/[\w\-./{}:]*)/i
+        );
+        if (!match) {
+          return null;
+        }
+        method = match[1];
+        path = match[2];
+      }
+
+      return {
+        method: String(method).toUpperCase(),
+        path: path.replace(/^https?:\/\/[^/]+/, ''),
+        summary:
+          pageDoc?.title || doc.querySelector('h1')?.textContent?.trim() || pageDoc?.excerpt || '',
+      };
+    }
+  );
+
+  return mergeCrawledEndpoints(pages, operations, page.url());
+}
+
+/**
+ * Extracts endpoints from a Mintlify site.
+ *
+ * Mintlify gives each operation its own page (usually under /api-reference/)
+ * and marks them in the navigation with method pills. Those links are crawled
+ * and each page's method and path are read from its `openapi`/`api`
+ * frontmatter in the Next.js payload, or from the rendered page as a
+ * fallback. Parameters come from the "Path Parameters", "Query Parameters"
+ * and "Headers" sections. Navigation groups become tags.
+ */
+async function extractMintlifyEndpoints(page) {
+  const readNavigation = () =>
+    page.evaluate(() => {
+      const METHOD_PATTERN = /^(get|post|put|patch|delete|del|head|options)$/i;
+      const entries = [];
+      const seen = new Set();
+
+      const groupOf = (link) => {
+        let el = link.parentElement;
+        for (let depth = 0; el && depth < 6; depth++, el = el.parentElement) {
+          const heading = el.previousElementSibling;
+          if (
+            heading &&
+            (/^H[1-6]$/.test(heading.tagName) ||
+              /sidebar-group-header/.test(String(heading.className)))
+          ) {
+            return heading.textContent?.trim() || null;
+          }
+        }
+        return null;
+      };
+
+      for (const link of document.querySelectorAll(
+        '#sidebar a[href], #navigation-items a[href], nav a[href], aside a[href]'
+      )) {
+        const href = link.getAttribute('href');
+        if (!href || href.startsWith('#') || seen.has(href)) {
+          continue;
+        }
+        seen.add(href);
+
+        const badge = Array.from(link.querySelectorAll('span, div')).find((el) =>
+          METHOD_PATTERN.test(el.textContent?.trim() || '')
+        );
+        if (badge) {
+          entries.push({ href, group: groupOf(link) });
+        }
+      }
+
+      // Guides and the API reference often live under separate navigation tabs
+      const referenceTab =
+        entries.length === 0
+          ? document.querySelector('a[href*="/api-reference"]')?.getAttribute('href') || null
+          : null;
+
+      return { entries, referenceTab };
+    });
+
+  let navigation = await readNavigation();
+  if (navigation.entries.length === 0 && navigation.referenceTab) {
+    await page.goto(new URL(navigation.referenceTab, page.url()).href, {
+      waitUntil: 'networkidle2',
+    });
+    navigation = await readNavigation();
+  }
+
+  const { pages } = await crawlPages(
+    page,
+    navigation.entries.map((entry) => entry.href),
+    async (url) => {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) {
+        return null;
+      }
+      const html = await response.text();
+      const doc = new window.DOMParser().parseFromString(html, 'text/html');
+
+      // Frontmatter: openapi: "GET /users" (optionally prefixed with the spec
+      // file) or api: "POST https://api.example.com/users"; the app router
+      // payload escapes its quotes
+      const frontmatter = html
+        .replace(/\\"/g, '"')
+        .match(
+          /"(?:openapi|api)"\s*:\s*"(?:[^"\s]+\s+)?(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+([^"\s]+)"/i
+        );
+      let method = frontmatter?.[1] || null;
+      let path = frontmatter?.[2] || null;
+
+      if (!method || !path) {
+        const text = (doc.querySelector('#content-area, article, main') || doc.body)?.textContent;
+        const match = (text || '').match(
+          /\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s*(?:https?:\/\/[^\s/]+)?(\/[\w\-./{}:]*)/i
+        );
+        if (!match) {
+          return null;
+        }
+        method = match[1];
+        path = match[2];
+      }
+
+      // Walk headings and fields in document order, tracking the section
+      const parameters = [];
+      let location = null;
+      for (const el of doc.querySelectorAll(
+        'h2, h3, h4, [data-component-part="field-name"], .param-field [class*="name"]'
+      )) {
+        if (/^H[234]$/.test(el.tagName)) {
+          location =
+            el.textContent
+              ?.trim()
+              .match(/^(path|query|header|cookie)/i)?.[1]
+              ?.toLowerCase() || null;
+          continue;
+        }
+        const name = el.textContent?.trim();
+        if (!location || !name) {
+          continue;
+        }
+        const field = el.closest('.field, .param-field') || el.parentElement?.parentElement || el;
+        parameters.push({
+          name,
+          in: location,
+          required: /\brequired\b/i.test(
+            field.querySelector('[data-component-part="field-required-pill"]')?.textContent ||
+              field.textContent ||
+              ''
+          ),
+          type:
+            field.querySelector('[data-component-part="field-info-pill"]')?.textContent?.trim() ||
+            null,
+          description:
+            field
+              .querySelector('[data-component-part="field-content"]')
+              ?.textContent?.trim()
+              .slice(0, 200) || '',
+        });
+      }
+
+      return {
+        method: String(method).toUpperCase(),
+        path: path.replace(/^https?:\/\/[^/]+/, ''),
+        summary: doc.querySelector('h1')?.textContent?.trim() || '',
+        parameters,
+      };
+    }
+  );
+
+  return mergeCrawledEndpoints(pages, navigation.entries, page.url());
+}
+
+/**
+ * Extracts endpoints from a Docusaurus site built with docusaurus-plugin-openapi-docs.
+ *
+ * The plugin generates one page per operation and tags their sidebar items
+ * with an `api-method <method>` class. Collapsed sidebar categories are only
+ * rendered once opened, so they are expanded before the operation links are
+ * collected. Each page's method, path, title and parameter lists are then read
+ * from the theme's markup. Sidebar categories become tags.
+ */
+async function extractDocusaurusOpenApiEndpoints(page) {
+  const entries = await page.evaluate(async () => {
+    const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+    // Open collapsed categories until none are left (nested ones appear as parents open)
+    for (let round = 0; round < 10; round++) {
+      const toggles = document.querySelectorAll(
+        '.menu__list-item--collapsed > .menu__list-item-collapsible > .menu__caret, ' +
+          '.menu__list-item--collapsed > .menu__list-item-collapsible > .menu__link--sublist-caret, ' +
+          '.menu__list-item--collapsed > .menu__link--sublist-caret'
+      );
+      if (toggles.length === 0) {
+        break;
+      }
+      toggles.forEach((toggle) => toggle.click());
+      await new Promise((resolve) => setTimeout(resolve, 300));
+    }
+
+    const found = [];
+    const seen = new Set();
+    for (const item of document.querySelectorAll('.menu li.api-method')) {
+      const link = item.querySelector('a[href]');
+      const href = link?.getAttribute('href');
+      if (!href || seen.has(href)) {
+        continue;
+      }
+      seen.add(href);
+
+      const category = item
+        .closest('ul.menu__list')
+        ?.parentElement?.querySelector(':scope > .menu__list-item-collapsible, :scope > a');
+      found.push({
+        href,
+        method: METHODS.find((method) => item.classList.contains(method)) || null,
+        group: category?.textContent?.trim() || null,
+      });
+    }
+
+    return found;
+  });
+
+  const { pages } = await crawlPages(
+    page,
+    entries.map((entry) => entry.href),
+    async (url) => {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) {
+        return null;
+      }
+      const doc = new window.DOMParser().parseFromString(await response.text(), 'text/html');
+
+      const endpoint = doc.querySelector('.openapi__method-endpoint');
+      let method = endpoint?.querySelector('.badge')?.textContent?.trim() || null;
+      let path =
+        endpoint?.querySelector('.openapi__method-endpoint-path, h2')?.textContent?.trim() || null;
+
+      if (!method || !path) {
+        const text = (doc.querySelector('article, main') || doc.body)?.textContent || '';
+        const match = text.match(
+          /\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s*(?:https?:\/\/[^\s/]+)?(\/[\w\-./{}:]*)/i
+        );
+        if (!match) {
+          return null;
+        }
+        method = match[1];
+        path = match[2];
+      }
+
+      // Parameter lists sit in <details> blocks titled "Path Parameters", "Query Parameters", ...
+      const parameters = [];
+      for (const details of doc.querySelectorAll('details')) {
+        const location = details
+          .querySelector('summary')
+          ?.textContent?.trim()
+          .match(/^(path|query|header|cookie)/i)?.[1]
+          ?.toLowerCase();
+        if (!location) {
+          continue;
+        }
+        for (const item of details.querySelectorAll('.openapi-params__list-item')) {
+          const name = item.querySelector('.openapi-schema__property')?.textContent?.trim();
+          if (!name) {
+            continue;
+          }
+          parameters.push({
+            name,
+            in: location,
+            required: item.querySelector('.openapi-schema__required') !== null,
+            type: item.querySelector('.openapi-schema__name')?.textContent?.trim() || null,
+            description:
+              item.querySelector('.openapi-schema__container ~ div, p')?.textContent?.trim() || '',
+          });
+        }
+      }
+
+      return {
+        method: String(method).toUpperCase(),
+        path: path.replace(/^https?:\/\/[^/]+/, ''),
+        summary: doc.querySelector('h1')?.textContent?.trim() || '',
+        parameters,
+      };
+    }
+  );
+
+  return mergeCrawledEndpoints(pages, entries, page.url());
+}
+
+/**
+ * Runs the generic extraction strategies against one page, in the browser.
+ * Called with null it reads the live document; called with a URL it fetches
+ * and parses that page instead (see crawlSite()). Also returns the page's
+ * links so a crawl can follow them.
+ *
+ * @param {string|null} url - Page to fetch, or null for the loaded page
+ * @returns {Promise<{data: Array<Object>, links: Array<string>}|null>} Endpoints and raw
+ *   link hrefs, or null if the URL is not an HTML page
+ * @throws {Error} If the URL responds with an error status
+ */
+async function extractGenericPage(url) {
+  let doc = document;
+  if (url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    if (!(response.headers.get('content-type') || '').includes('html')) {
+      return null;
+    }
+    doc = new window.DOMParser().parseFromString(await response.text(), 'text/html');
+  }
+
+  const endpoints = [];
+  const seen = new Set();
+
+  // Strategy 1: Look for code blocks or preformatted text with endpoints
+  const codeBlocks = doc.querySelectorAll('pre, code, .highlight');
+  for (const block of codeBlocks) {
+    const text = block.textContent || '';
+    const matches = text.matchAll(/(GET|POST|PUT|DELETE|PATCH|OPTIONS|HEAD)\s+(\/[^\s\n'"]+)/gi);
+    for (const match of matches) {
+      const key = `${match[1].toUpperCase()}:${match[2]}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        endpoints.push({
+          method: match[1].toUpperCase(),
+          path: match[2].replace(/['"]+$/, ''), // Remove trailing quotes
+          description: '',
+          tags: [],
+          operationId: null,
+        });
+      }
+    }
+  }
+
+  // Strategy 2: Look for tables with method/path columns
+  const tables = doc.querySelectorAll('table');
+  for (const table of tables) {
+    const rows = table.querySelectorAll('tr');
+    for (const row of rows) {
+      const cells = row.querySelectorAll('td, th');
+      const cellTexts = Array.from(cells).map((c) => c.textContent?.trim() || '');
+
+      // Look for method in first few cells
+      for (let i = 0; i < Math.min(cellTexts.length, 3); i++) {
+        const methodMatch = cellTexts[i].match(/^(GET|POST|PUT|DELETE|PATCH)$/i);
+        if (methodMatch) {
+          // Look for path in subsequent cells
+          for (let j = i + 1; j < cellTexts.length; j++) {
+            if (cellTexts[j].startsWith('/')) {
+              const key = `${methodMatch[1].toUpperCase()}:${cellTexts[j]}`;
+              if (!seen.has(key)) {
+                seen.add(key);
+                endpoints.push({
+                  method: methodMatch[1].toUpperCase(),
+                  path: cellTexts[j],
+                  description: cellTexts[j + 1] || '',
+                  tags: [],
+                  operationId: null,
+                });
               }
+              break;
             }
           }
         }
       }
     }
+  }
 
-    // Strategy 3: Scan body text for patterns
-    if (endpoints.length === 0) {
-      const bodyText = document.body.innerText;
-      const matches = bodyText.matchAll(
-        /(GET|POST|PUT|DELETE|PATCH)\s+(\/[a-zA-Z0-9_\-/{}[\]]+)/gi
-      );
+  // Strategy 3: Scan body text for patterns
+  if (endpoints.length === 0) {
+    const bodyText = doc.body?.innerText || doc.body?.textContent || '';
+    const matches = bodyText.matchAll(/(GET|POST|PUT|DELETE|PATCH)\s+(\/[a-zA-Z0-9_\-/{}[\]]+)/gi);
 
-      for (const match of matches) {
-        const key = `${match[1].toUpperCase()}:${match[2]}`;
+    for (const match of matches) {
+      const key = `${match[1].toUpperCase()}:${match[2]}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        endpoints.push({
+          method: match[1].toUpperCase(),
+          path: match[2],
+          description: '',
+          tags: [],
+          operationId: null,
+        });
+      }
+    }
+  }
+
+  const links = Array.from(doc.querySelectorAll('a[href]'), (a) => a.getAttribute('href'));
+
+  return { data: endpoints, links };
+}
+
+/**
+ * Extracts endpoints from generic/unknown documentation.
+ */
+async function extractGenericEndpoints(page) {
+  const { data } = await page.evaluate(extractGenericPage, null);
+  return data;
+}
+
+/**
+ * Extracts endpoints from generic documentation split across many pages.
+ *
+ * Follows in-scope links from the loaded page (see crawlSite()), runs the
+ * generic strategies on every page, and keeps the first occurrence of each
+ * method + path. Each endpoint records the page it was found on.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page with the docs root loaded
+ * @param {string} url - Docs root URL (for error messages)
+ * @param {Object} options - Options for crawlSite() (maxPages, sameOrigin)
+ * @returns {Promise<{endpoints: Array<Object>, crawl: {pages: number, truncated: boolean,
+ *   failed: Array<{url: string, reason: string}>}}>}
+ * @throws {ExtractionError} If the crawl fails
+ */
+async function crawlGenericEndpoints(page, url, options) {
+  try {
+    const { pages, crawled, truncated, failed } = await crawlSite(
+      page,
+      extractGenericPage,
+      options
+    );
+    const endpoints = [];
+    const seen = new Set();
+
+    for (const { url: pageUrl, data } of pages) {
+      for (const endpoint of data) {
+        const key = `${endpoint.method}:${endpoint.path}`;
         if (!seen.has(key)) {
           seen.add(key);
-          endpoints.push({
-            method: match[1].toUpperCase(),
-            path: match[2],
-            description: '',
-            tags: [],
-            operationId: null,
-          });
+          endpoints.push({ ...endpoint, sourcePage: pageUrl });
         }
       }
     }
 
-    return endpoints;
-  });
+    return { endpoints, crawl: { pages: crawled, truncated, failed } };
+  } catch (error) {
+    throw new ExtractionError(url, 'generic', error.message, error);
+  }
 }
 
 // ============================================================================
@@ -712,6 +1473,15 @@ async function extractApiInfo(page, framework) {
       }
     }
 
+    if (fw === 'rapidoc') {
+      const info = document.querySelector('rapi-doc')?.resolvedSpec?.info;
+      if (info) {
+        title = info.title || title;
+        version = info.version || null;
+        description = info.description || null;
+      }
+    }
+
     if (fw === 'redoc') {
       const state = window.__redoc_state || window.__REDOC_STORE__;
       if (state && state.spec && state.spec.data && state.spec.data.info) {
@@ -742,3 +1512,230 @@ async function extractApiInfo(page, framework) {
     };
   }, framework);
 }
+
+// ============================================================================
+// Spec Extraction
+// ============================================================================
+
+/**
+ * Validates that parsed content is a valid OpenAPI/Swagger specification
+ *
+ * @param {Object} spec - Parsed specification object
+ * @param {string} framework - Framework name recorded in the spec info
+ * @returns {Object|null} Spec info if valid, null otherwise
+ */
+function validateFrameworkSpec(spec, framework) {
+  try {
+    return validateOpenAPISpec(spec, framework);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses JSON or YAML spec text, returning null for anything that is not a spec
+ *
+ * @param {string} text - Raw spec text
+ * @param {string} label - Source URL or name (for format detection)
+ * @param {string} framework - Framework name recorded in the spec info
+ * @returns {Object|null} Parsed spec or null
+ */
+function parseFrameworkSpec(text, label, framework) {
+  if (!text || text.trim().startsWith('<')) {
+    return null;
+  }
+  try {
+    const { spec } = parseSpecContent(text, label);
+    return validateFrameworkSpec(spec, framework) ? spec : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Waits for one of the framework's selectors to appear on the page
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {Array<string>} selectors - Selectors that identify the rendered framework
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<boolean>} True if a selector matched
+ */
+async function waitForSelectors(page, selectors, timeout) {
+  try {
+    await page.waitForFunction(
+      (list) => list.some((selector) => document.querySelector(selector) !== null),
+      { timeout },
+      selectors
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Captures the first spec-looking response the page loads
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {Array<RegExp>} patterns - URL patterns of spec requests
+ * @param {(text: string, url: string) => Object|null} parse - Spec parser
+ * @returns {{getSpec: () => {spec: Object, sourceUrl: string}|null, cleanup: () => void}}
+ */
+function captureSpecResponses(page, patterns, parse) {
+  let captured = null;
+
+  const responseHandler = async (response) => {
+    if (captured) return; // Already captured
+
+    const url = response.url();
+    if (!patterns.some((pattern) => pattern.test(url))) return;
+
+    try {
+      const contentType = response.headers()['content-type'] || '';
+      if (contentType.includes('text/html')) return;
+
+      const spec = parse(await response.text(), url);
+      if (spec) {
+        captured = { spec, sourceUrl: url };
+      }
+    } catch {
+      // Response might not be accessible
+    }
+  };
+
+  page.on('response', responseHandler);
+
+  return {
+    getSpec: () => captured,
+    cleanup: () => {
+      page.off('response', responseHandler);
+    },
+  };
+}
+
+/**
+ * Loads a documentation page and recovers the OpenAPI spec behind it.
+ *
+ * This is the flow the framework extractors share: navigate with spec
+ * responses captured, wait for the framework to render, then run the
+ * extractor's strategies in order until one returns a spec. Each strategy
+ * receives a context with the page, its URL and spec helpers bound to the
+ * framework:
+ * - `captured()` - the spec the page fetched, if any
+ * - `parse(text, label)` - parses and validates spec text
+ * - `fetchSpec(specUrl)` - fetches and parses a spec relative to the page
+ * - `validate(spec)` - returns spec info, or null for a non-spec
+ *
+ * and returns `{ spec, sourceUrl? }` or null.
+ *
+ * @param {string} url - Page URL (https:// is assumed without a scheme)
+ * @param {Object} options - Extraction options
+ * @param {string} options.framework - Framework name recorded in the spec info
+ * @param {Array<Function>} options.strategies - Strategies, tried in order
+ * @param {Object} options.errors - The extractor's error classes
+ * @param {Function} options.errors.ExtractorError - Base class; other errors are wrapped in it
+ * @param {Function} options.errors.LoadError - Thrown when navigation fails
+ * @param {Function} options.errors.TimeoutError - Thrown when navigation times out
+ * @param {number} [options.timeout=30000] - Navigation timeout in ms
+ * @param {Object} [options.headers] - Extra HTTP headers for the page's requests
+ * @param {Array<string>} [options.selectors] - Page must render one of these, or null is returned
+ * @param {(page: import('puppeteer').Page) => Promise<*>} [options.settle] - Extra wait once
+ *   the selectors match; failures are ignored
+ * @param {Array<RegExp>} [options.specUrlPatterns] - Spec request patterns beyond the defaults
+ * @returns {Promise<Object|null>} `{ spec, format, specInfo, sourceUrl }` or null
+ * @throws {BrowserError} If browser fails to launch
+ */
+export async function extractSpecFromPage(url, options) {
+  const {
+    framework,
+    strategies,
+    errors: { ExtractorError, LoadError, TimeoutError },
+    timeout = PAGE_LOAD_TIMEOUT,
+    headers,
+    selectors = null,
+    settle = null,
+    specUrlPatterns = [],
+  } = options;
+
+  // Normalize URL
+  let normalizedUrl = url.trim();
+  if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
+    normalizedUrl = `https://${normalizedUrl}`;
+  }
+
+  const validate = (spec) => validateFrameworkSpec(spec, framework);
+  const parse = (text, label) => parseFrameworkSpec(text, label, framework);
+  const fetchSpec = async (specUrl) => {
+    try {
+      const absoluteUrl = new URL(specUrl, normalizedUrl).href;
+      const response = await fetch(absoluteUrl);
+      return response.ok ? parse(await response.text(), absoluteUrl) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  let page = null;
+  let capture = null;
+
+  try {
+    page = await getPage({ timeout, headers });
+
+    // Set up response capture before navigation
+    capture = captureSpecResponses(page, [...SPEC_URL_PATTERNS, ...specUrlPatterns], parse);
+
+    try {
+      await page.goto(normalizedUrl, { waitUntil: 'networkidle2', timeout });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new TimeoutError(normalizedUrl, timeout);
+      }
+      throw new LoadError(normalizedUrl, error);
+    }
+
+    if (selectors && !(await waitForSelectors(page, selectors, SPEC_READY_TIMEOUT_MS))) {
+      return null;
+    }
+    if (settle) {
+      await settle(page).catch(() => {});
+    }
+
+    const context = {
+      page,
+      url: normalizedUrl,
+      captured: capture.getSpec,
+      parse,
+      fetchSpec,
+      validate,
+    };
+    for (const strategy of strategies) {
+      const found = await strategy(context);
+      if (found?.spec) {
+        return {
+          spec: found.spec,
+          format: 'json',
+          specInfo: validate(found.spec),
+          sourceUrl: found.sourceUrl || normalizedUrl,
+        };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    if (error instanceof ExtractorError || error instanceof BrowserError) {
+      throw error;
+    }
+    throw new ExtractorError(`Extraction failed: ${error.message}`, error);
+  } finally {
+    if (capture) {
+      capture.cleanup();
+    }
+    if (page && !page.isClosed()) {
+      try {
+        await page.close();
+      } catch {
+        // Ignore close errors
+      }
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+import { detectDocsFramework } from './docs-scraper.js';
+
+/**
+ * Runs the detector against an HTML fixture. `globals` stand in for the
+ * window properties frameworks set (e.g. SwaggerUIBundle).
+ */
+function detect(html, { url = 'https://docs.example.com/', globals = {} } = {}) {
+  const { document } = parseHTML(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`);
+  return detectDocsFramework(document, { location: new URL(url), ...globals });
+}
+
+describe('detectDocsFramework', () => {
+  it('detects Swagger UI', () => {
+    assert.equal(detect('<div id="swagger-ui"></div>'), 'swagger-ui');
+    assert.equal(detect('<div></div>', { globals: { SwaggerUIBundle: () => {} } }), 'swagger-ui');
+  });
+
+  it('detects Redoc', () => {
+    assert.equal(detect('<redoc spec-url="openapi.yaml"></redoc>'), 'redoc');
+  });
+
+  it('detects Scalar', () => {
+    assert.equal(detect('<div class="scalar-app"><main></main></div>'), 'scalar');
+  });
+
+  it('detects Stoplight Elements', () => {
+    assert.equal(
+      detect('<elements-api apiDescriptionUrl="/openapi.json" router="hash"></elements-api>'),
+      'stoplight-elements'
+    );
+  });
+
+  it('detects RapiDoc', () => {
+    assert.equal(detect('<rapi-doc spec-url="openapi.json"></rapi-doc>'), 'rapidoc');
+  });
+
+  it('detects ReadMe by its props or hostname', () => {
+    assert.equal(detect('<script id="ssr-props" type="application/json">{}</script>'), 'readme');
+    assert.equal(detect('<main></main>', { url: 'https://acme.readme.io/reference' }), 'readme');
+  });
+
+  it('detects Mintlify', () => {
+    assert.equal(
+      detect('<meta name="generator" content="mintlify"><nav id="sidebar"></nav>'),
+      'mintlify'
+    );
+  });
+
+  it('detects Docusaurus OpenAPI docs', () => {
+    assert.equal(
+      detect(
+        '<ul class="menu"><li class="menu__list-item api-method get"><a href="/api/pets">List pets</a></li></ul>'
+      ),
+      'docusaurus-openapi'
+    );
+  });
+
+  it('falls back to generic docs with methods and paths', () => {
+    assert.equal(detect('<h2>GET /users/{id}</h2><p>Returns a user.</p>'), 'generic');
+  });
+
+  it('returns null for pages without API docs', () => {
+    assert.equal(detect('<h1>Blog</h1><p>Get started with our product.</p>'), null);
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * GraphQL extractor module for api-docs-cli
+ * Loads GraphQL schemas from endpoints (via the standard introspection query)
+ * and SDL files, and lists their root fields as operations
+ */
+
+import { readFile } from 'node:fs/promises';
+import { basename, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import {
+  astFromValue,
+  buildClientSchema,
+  buildSchema,
+  getIntrospectionQuery,
+  print,
+} from 'graphql';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for GraphQL extractor errors
+ */
+export class GraphQLExtractorError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'GraphQLExtractorError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when an endpoint does not answer the introspection query
+ */
+export class IntrospectionError extends GraphQLExtractorError {
+  constructor(url, message, cause = null) {
+    super(`Introspection failed for ${url}: ${message}`, cause);
+    this.name = 'IntrospectionError';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when an SDL document cannot be read or parsed
+ */
+export class SchemaParseError extends GraphQLExtractorError {
+  constructor(source, message, cause = null) {
+    super(`Invalid GraphQL schema ${source}: ${message}`, cause);
+    this.name = 'SchemaParseError';
+    this.source = source;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_USER_AGENT = 'api-docs-cli/0.1.0';
+
+/**
+ * File extensions used for GraphQL SDL documents
+ */
+const SDL_PATTERN = /\.(graphqls?|gql)$/i;
+
+/**
+ * URL paths that conventionally serve a GraphQL endpoint
+ */
+const ENDPOINT_PATTERN = /\/(graphql|gql)\/?$/i;
+
+/**
+ * Root operation kinds in display order, with their schema accessors
+ */
+const OPERATION_KINDS = [
+  { kind: 'query', root: (schema) => schema.getQueryType() },
+  { kind: 'mutation', root: (schema) => schema.getMutationType() },
+  { kind: 'subscription', root: (schema) => schema.getSubscriptionType() },
+];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Returns the pathname of a URL or the source itself for plain paths.
+ *
+ * @param {string} source - URL or path
+ * @returns {string} Path part
+ */
+function sourcePath(source) {
+  try {
+    return new URL(source).pathname;
+  } catch {
+    return source;
+  }
+}
+
+/**
+ * Fetches a URL, aborting after a timeout.
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} init - fetch() options
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Response>} Response
+ * @throws {Error} Network errors, or "timed out after Nms"
+ */
+async function fetchWithTimeout(url, init, timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`timed out after ${timeout}ms`, { cause: error });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Parses SDL text into a schema.
+ *
+ * @param {string} sdl - Schema definition language text
+ * @param {string} label - Source for error messages
+ * @returns {import('graphql').GraphQLSchema} Schema
+ * @throws {SchemaParseError} If the SDL is invalid
+ */
+function parseSDL(sdl, label) {
+  try {
+    return buildSchema(sdl);
+  } catch (error) {
+    throw new SchemaParseError(label, error.message, error);
+  }
+}
+
+/**
+ * Reads an SDL document from disk or over HTTP.
+ *
+ * @param {string} source - Path, file:// URL or http(s) URL
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<{sdl: string, url: string}>} SDL text and the URL it was read from
+ * @throws {SchemaParseError} If the document cannot be read
+ */
+async function readSDL(source, timeout) {
+  if (/^https?:\/\//.test(source)) {
+    try {
+      const response = await fetchWithTimeout(
+        source,
+        { headers: { 'User-Agent': DEFAULT_USER_AGENT } },
+        timeout
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return { sdl: await response.text(), url: source };
+    } catch (error) {
+      throw new SchemaParseError(source, error.message, error);
+    }
+  }
+
+  const url = source.startsWith('file:') ? source : pathToFileURL(resolve(source)).href;
+  try {
+    return { sdl: await readFile(fileURLToPath(url), 'utf-8'), url };
+  } catch (error) {
+    throw new SchemaParseError(source, error.message, error);
+  }
+}
+
+/**
+ * Sends the introspection query to a GraphQL endpoint.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<import('graphql').GraphQLSchema>} Client schema
+ * @throws {IntrospectionError} If the request fails or introspection is disabled
+ */
+async function introspect(url, timeout) {
+  let body;
+  try {
+    const response = await fetchWithTimeout(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/graphql-response+json, application/json',
+          'User-Agent': DEFAULT_USER_AGENT,
+        },
+        body: JSON.stringify({ query: getIntrospectionQuery({ descriptions: true }) }),
+      },
+      timeout
+    );
+    body = await response.json().catch(() => null);
+    if (!body && !response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    throw new IntrospectionError(url, error.message, error);
+  }
+
+  if (!body?.data?.__schema) {
+    const message = body?.errors?.[0]?.message || 'response has no __schema data';
+    throw new IntrospectionError(url, message);
+  }
+
+  try {
+    return buildClientSchema(body.data);
+  } catch (error) {
+    throw new IntrospectionError(url, error.message, error);
+  }
+}
+
+/**
+ * Renders an argument's default value as GraphQL source.
+ *
+ * @param {import('graphql').GraphQLArgument} arg - Field argument
+ * @returns {string|null} Default value (e.g. "10", "\"asc\"", "ACTIVE") or null
+ */
+function formatDefaultValue(arg) {
+  if (arg.defaultValue === undefined) {
+    return null;
+  }
+  const ast = astFromValue(arg.defaultValue, arg.type);
+  return ast ? print(ast) : null;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Checks whether a source should be loaded as a GraphQL schema: SDL files
+ * (.graphql, .graphqls, .gql, local or remote) and URLs ending in /graphql or /gql.
+ *
+ * @param {string} source - Source string from the command line
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Treat any URL as a GraphQL endpoint (--graphql)
+ * @returns {boolean} True for GraphQL sources
+ */
+export function isGraphQLSource(source, options = {}) {
+  const { force = false } = options;
+  const isUrl = /^https?:\/\//.test(source);
+  const path = sourcePath(source);
+
+  return SDL_PATTERN.test(path) || (isUrl && (force || ENDPOINT_PATTERN.test(path)));
+}
+
+/**
+ * Loads a GraphQL schema from an SDL document or a live endpoint.
+ *
+ * @param {string} source - SDL path/URL, or GraphQL endpoint URL
+ * @param {Object} options - Load options
+ * @param {number} [options.timeout=15000] - Request timeout in ms
+ * @returns {Promise<{schema: import('graphql').GraphQLSchema, api: Object}>} Schema and
+ *   api info ({ title, url, source: 'sdl' | 'introspection' })
+ * @throws {SchemaParseError} If an SDL document cannot be read or parsed
+ * @throws {IntrospectionError} If the endpoint does not answer the introspection query
+ *
+ * @example
+ * const { schema, api } = await loadGraphQLSchema('https://api.example.com/graphql');
+ * const operations = listGraphQLOperations(schema);
+ */
+export async function loadGraphQLSchema(source, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS } = options;
+
+  if (SDL_PATTERN.test(sourcePath(source))) {
+    const { sdl, url } = await readSDL(source, timeout);
+    const schema = parseSDL(sdl, source);
+    return {
+      schema,
+      api: {
+        title: schema.description || `GraphQL API (${basename(sourcePath(url))})`,
+        url,
+        source: 'sdl',
+      },
+    };
+  }
+
+  const schema = await introspect(source, timeout);
+  return {
+    schema,
+    api: {
+      title: schema.description || `GraphQL API (${new URL(source).host})`,
+      url: source,
+      source: 'introspection',
+    },
+  };
+}
+
+/**
+ * Lists a schema's root fields (queries, mutations and subscriptions).
+ *
+ * @param {import('graphql').GraphQLSchema} schema - Schema from loadGraphQLSchema()
+ * @returns {Array<Object>} Operations in schema order: kind, name, description,
+ *   args ({ name, type, description, defaultValue, deprecationReason }), type
+ *   (return type, e.g. "[User!]!") and deprecationReason
+ *
+ * @example
+ * listGraphQLOperations(schema)[0];
+ * // { kind: 'query', name: 'user', args: [{ name: 'id', type: 'ID!', ... }], type: 'User', ... }
+ */
+export function listGraphQLOperations(schema) {
+  const operations = [];
+
+  for (const { kind, root } of OPERATION_KINDS) {
+    const type = root(schema);
+    if (!type) {
+      continue;
+    }
+    for (const field of Object.values(type.getFields())) {
+      operations.push({
+        kind,
+        name: field.name,
+        description: field.description || null,
+        args: field.args.map((arg) => ({
+          name: arg.name,
+          type: String(arg.type),
+          description: arg.description || null,
+          defaultValue: formatDefaultValue(arg),
+          deprecationReason: arg.deprecationReason || null,
+        })),
+        type: String(field.type),
+        deprecationReason: field.deprecationReason || null,
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Finds operations by field name. Names may be qualified with the operation
+ * kind, in any case ("mutation.createUser", "Query.users").
+ *
+ * @param {Array<Object>} operations - Operations from listGraphQLOperations()
+ * @param {string} name - Field name, optionally qualified
+ * @param {string} [kind] - Restrict to 'query', 'mutation' or 'subscription'
+ * @returns {Array<Object>} Matching operations (a name can exist under several kinds)
+ */
+export function findGraphQLOperations(operations, name, kind) {
+  let fieldName = name;
+  let fieldKind = kind ? kind.toLowerCase() : null;
+
+  const qualified = name.match(/^(query|mutation|subscription)\.(.+)$/i);
+  if (qualified) {
+    fieldKind = qualified[1].toLowerCase();
+    fieldName = qualified[2];
+  }
+
+  return operations.filter(
+    (operation) => operation.name === fieldName && (!fieldKind || operation.kind === fieldKind)
+  );
+}
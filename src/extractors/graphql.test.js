@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { buildSchema, graphqlSync } from 'graphql';
+import {
+  isGraphQLSource,
+  loadGraphQLSchema,
+  listGraphQLOperations,
+  findGraphQLOperations,
+  IntrospectionError,
+  SchemaParseError,
+} from './graphql.js';
+
+const SDL = `
+"""Pet store"""
+schema {
+  query: Query
+  mutation: Mutation
+}
+
+type Pet {
+  id: ID!
+  name: String
+}
+
+enum Order {
+  ASC
+  DESC
+}
+
+type Query {
+  "Lists pets"
+  pets(limit: Int = 10, order: Order = ASC): [Pet!]!
+  pet(id: ID!): Pet
+  legacyPets: [Pet] @deprecated(reason: "Use pets")
+}
+
+type Mutation {
+  pet(name: String!): Pet
+}
+`;
+
+describe('isGraphQLSource', () => {
+  it('recognizes SDL files and GraphQL endpoint URLs', () => {
+    assert.equal(isGraphQLSource('./schema.graphql'), true);
+    assert.equal(isGraphQLSource('https://example.com/schema.gql?v=2'), true);
+    assert.equal(isGraphQLSource('https://api.example.com/graphql'), true);
+    assert.equal(isGraphQLSource('https://api.example.com/openapi.json'), false);
+    assert.equal(isGraphQLSource('https://api.example.com/v1', { force: true }), true);
+  });
+});
+
+describe('loadGraphQLSchema', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-docs-graphql-'));
+    await writeFile(join(dir, 'schema.graphql'), SDL);
+    await writeFile(join(dir, 'broken.graphql'), 'type Query {');
+
+    // Answers the introspection query from the SDL schema, or refuses it on /locked
+    const schema = buildSchema(SDL);
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/locked/graphql') {
+          res.end(JSON.stringify({ errors: [{ message: 'Introspection is disabled' }] }));
+          return;
+        }
+        res.end(JSON.stringify(graphqlSync({ schema, source: JSON.parse(body).query })));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('parses SDL files', async () => {
+    const { schema, api } = await loadGraphQLSchema(join(dir, 'schema.graphql'));
+    assert.equal(api.source, 'sdl');
+    assert.equal(api.title, 'Pet store');
+    assert.match(api.url, /^file:\/\/.*schema\.graphql$/);
+    assert.ok(schema.getQueryType());
+  });
+
+  it('reports invalid SDL', async () => {
+    await assert.rejects(loadGraphQLSchema(join(dir, 'broken.graphql')), SchemaParseError);
+    await assert.rejects(loadGraphQLSchema(join(dir, 'missing.graphql')), SchemaParseError);
+  });
+
+  it('introspects live endpoints', async () => {
+    const { schema, api } = await loadGraphQLSchema(`${baseUrl}/graphql`);
+    assert.equal(api.source, 'introspection');
+    assert.equal(api.title, `GraphQL API (${new URL(baseUrl).host})`);
+    assert.deepEqual(
+      listGraphQLOperations(schema).map((op) => `${op.kind}.${op.name}`),
+      ['query.pets', 'query.pet', 'query.legacyPets', 'mutation.pet']
+    );
+  });
+
+  it('reports endpoints that refuse introspection', async () => {
+    await assert.rejects(
+      loadGraphQLSchema(`${baseUrl}/locked/graphql`),
+      (error) =>
+        error instanceof IntrospectionError && /Introspection is disabled/.test(error.message)
+    );
+  });
+});
+
+describe('listGraphQLOperations', () => {
+  const operations = listGraphQLOperations(buildSchema(SDL));
+
+  it('describes arguments, defaults and return types', () => {
+    const [pets] = operations;
+    assert.equal(pets.description, 'Lists pets');
+    assert.equal(pets.type, '[Pet!]!');
+    assert.deepEqual(
+      pets.args.map((arg) => [arg.name, arg.type, arg.defaultValue]),
+      [
+        ['limit', 'Int', '10'],
+        ['order', 'Order', 'ASC'],
+      ]
+    );
+    assert.equal(operations[2].deprecationReason, 'Use pets');
+  });
+
+  it('finds operations by plain or qualified name', () => {
+    assert.equal(findGraphQLOperations(operations, 'pet').length, 2);
+    assert.deepEqual(
+      findGraphQLOperations(operations, 'Mutation.pet').map((op) => op.kind),
+      ['mutation']
+    );
+    assert.deepEqual(
+      findGraphQLOperations(operations, 'pet', 'query').map((op) => op.kind),
+      ['query']
+    );
+  });
+});
@@ -1,9 +1,11 @@
 /**
  * OpenAPI/Swagger specification extractor module
- * Fetches raw OpenAPI specs directly from common URL paths without Puppeteer
+ * Fetches raw OpenAPI specs (and AsyncAPI documents) directly from common URL
+ * paths without Puppeteer
  */
 
 import yaml from 'js-yaml';
+import { isPostmanCollection, postmanToOpenAPI } from '../postman.js';
 
 // ============================================================================
 // Custom Error Classes
@@ -81,6 +83,11 @@ export const COMMON_SPEC_PATHS = [
   '/api-docs.yaml',
   '/api-docs.yml',
 
+  // AsyncAPI 2.x/3.x common paths
+  '/asyncapi.json',
+  '/asyncapi.yaml',
+  '/asyncapi.yml',
+
   // Versioned paths (Spring Boot, etc.)
   '/v2/api-docs',
   '/v3/api-docs',
@@ -90,6 +97,8 @@ export const COMMON_SPEC_PATHS = [
   '/docs/swagger.json',
   '/docs/openapi.yaml',
   '/docs/swagger.yaml',
+  '/docs/asyncapi.json',
+  '/docs/asyncapi.yaml',
 
   // Alternative common paths
   '/api/openapi.json',
@@ -120,7 +129,9 @@ function isDirectSpecUrl(url) {
     lower.endsWith('.yml') ||
     lower.includes('/api-docs') ||
     lower.includes('/openapi') ||
-    lower.includes('/swagger')
+    lower.includes('/swagger') ||
+    lower.includes('/asyncapi') ||
+    (lower.includes('postman') && lower.includes('/collections/'))
   );
 }
 
@@ -132,7 +143,7 @@ function isDirectSpecUrl(url) {
  * @returns {{spec: Object, format: string}} Parsed spec and detected format
  * @throws {ParseError} If parsing fails
  */
-function parseSpecContent(content, url) {
+export function parseSpecContent(content, url) {
   const trimmed = content.trim();
   const lower = url.toLowerCase();
 
@@ -162,14 +173,15 @@ function parseSpecContent(content, url) {
 }
 
 /**
- * Validates that parsed content is a valid OpenAPI/Swagger specification
+ * Validates that parsed content is a valid OpenAPI/Swagger specification or
+ * AsyncAPI 2.x/3.x document
  *
  * @param {Object} spec - Parsed specification object
  * @param {string} url - Source URL for error reporting
  * @returns {Object} Validated spec info
  * @throws {InvalidSpecError} If spec is invalid
  */
-function validateSpec(spec, url) {
+export function validateSpec(spec, url) {
   if (!spec || typeof spec !== 'object') {
     throw new InvalidSpecError(url, 'Spec must be an object');
   }
@@ -206,7 +218,26 @@ function validateSpec(spec, url) {
     };
   }
 
-  throw new InvalidSpecError(url, 'Not a valid OpenAPI 3.x or Swagger 2.0 specification');
+  // Check for AsyncAPI 2.x/3.x (3.x documents may declare only operations or components)
+  if (typeof spec.asyncapi === 'string' && /^[23]\./.test(spec.asyncapi)) {
+    if (!spec.info) {
+      throw new InvalidSpecError(url, 'Missing required "info" field');
+    }
+    if (spec.asyncapi.startsWith('2.') && !spec.channels) {
+      throw new InvalidSpecError(url, 'Missing required "channels" field');
+    }
+    return {
+      type: 'asyncapi',
+      version: spec.asyncapi,
+      title: spec.info?.title || 'Unknown API',
+      apiVersion: spec.info?.version || 'unknown',
+    };
+  }
+
+  throw new InvalidSpecError(
+    url,
+    'Not a valid OpenAPI 3.x, Swagger 2.0 or AsyncAPI 2.x/3.x specification'
+  );
 }
 
 /**
@@ -221,15 +252,17 @@ function getBaseUrl(url) {
 }
 
 /**
- * Attempts to fetch a spec from a specific URL
+ * Attempts to fetch a spec from a specific URL. Postman collections are
+ * converted to OpenAPI.
  *
  * @param {string} url - URL to fetch
  * @param {Object} options - Fetch options
  * @param {number} [options.timeout] - Request timeout in ms
+ * @param {Object} [options.headers] - Extra request headers
  * @returns {Promise<{spec: Object, format: string, specInfo: Object, url: string}|null>}
  */
 async function tryFetchSpec(url, options = {}) {
-  const { timeout = DEFAULT_FETCH_TIMEOUT_MS } = options;
+  const { timeout = DEFAULT_FETCH_TIMEOUT_MS, headers = {} } = options;
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
@@ -240,6 +273,7 @@ async function tryFetchSpec(url, options = {}) {
       headers: {
         Accept: 'application/json, application/yaml, text/yaml, */*',
         'User-Agent': DEFAULT_USER_AGENT,
+        ...headers,
       },
     });
 
@@ -257,7 +291,8 @@ async function tryFetchSpec(url, options = {}) {
       return null;
     }
 
-    const { spec, format } = parseSpecContent(content, url);
+    const { spec: parsed, format } = parseSpecContent(content, url);
+    const spec = isPostmanCollection(parsed) ? postmanToOpenAPI(parsed) : parsed;
     const specInfo = validateSpec(spec, url);
 
     return { spec, format, specInfo, url };
@@ -292,6 +327,9 @@ async function tryFetchSpec(url, options = {}) {
  * @param {string} url - URL to fetch from (base URL or direct spec URL)
  * @param {Object} options - Extraction options
  * @param {number} [options.timeout=10000] - Per-request timeout in ms
+ * @param {Object} [options.headers] - Extra request headers (e.g. Authorization)
+ * @param {boolean} [options.direct=false] - Fetch the URL itself even if it does not
+ *   look like a spec file
  * @param {boolean} [options.probeCommonPaths=true] - Try common paths if direct fetch fails
  * @returns {Promise<Object|null>} Extracted spec result or null if not found
  * @returns {Object} result.spec - The parsed OpenAPI/Swagger specification
@@ -307,7 +345,12 @@ async function tryFetchSpec(url, options = {}) {
  * const result = await fetchOpenAPISpec('https://api.example.com');
  */
 export async function fetchOpenAPISpec(url, options = {}) {
-  const { timeout = DEFAULT_FETCH_TIMEOUT_MS, probeCommonPaths = true } = options;
+  const {
+    timeout = DEFAULT_FETCH_TIMEOUT_MS,
+    headers,
+    direct = false,
+    probeCommonPaths = true,
+  } = options;
 
   // Normalize URL
   let normalizedUrl = url.trim();
@@ -319,8 +362,8 @@ export async function fetchOpenAPISpec(url, options = {}) {
   normalizedUrl = normalizedUrl.replace(/\/+$/, '');
 
   // If URL looks like a direct spec URL, try it first
-  if (isDirectSpecUrl(normalizedUrl)) {
-    const result = await tryFetchSpec(normalizedUrl, { timeout });
+  if (direct || isDirectSpecUrl(normalizedUrl)) {
+    const result = await tryFetchSpec(normalizedUrl, { timeout, headers });
     if (result) {
       return {
         spec: result.spec,
@@ -337,7 +380,7 @@ export async function fetchOpenAPISpec(url, options = {}) {
 
     for (const path of COMMON_SPEC_PATHS) {
       const probeUrl = `${baseUrl}${path}`;
-      const result = await tryFetchSpec(probeUrl, { timeout });
+      const result = await tryFetchSpec(probeUrl, { timeout, headers });
 
       if (result) {
         return {
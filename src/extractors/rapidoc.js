@@ -0,0 +1,255 @@
+/**
+ * RapiDoc page extractor module
+ * Uses Puppeteer to extract OpenAPI specs from pages rendered by the <rapi-doc> web component
+ */
+
+import { closeBrowser } from '../browser.js';
+import { extractSpecFromPage } from './docs-scraper.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for RapiDoc extractor errors
+ */
+export class RapiDocExtractorError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'RapiDocExtractorError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when page fails to load
+ */
+export class PageLoadError extends RapiDocExtractorError {
+  constructor(url, cause = null) {
+    super(`Failed to load page: ${url}`, cause);
+    this.name = 'PageLoadError';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when extraction times out
+ */
+export class ExtractionTimeoutError extends RapiDocExtractorError {
+  constructor(url, timeoutMs) {
+    super(`Extraction timed out after ${timeoutMs}ms: ${url}`);
+    this.name = 'ExtractionTimeoutError';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const RAPIDOC_READY_TIMEOUT_MS = 15000;
+
+/**
+ * Tag RapiDoc assigns to operations without tags
+ */
+const RAPIDOC_DEFAULT_TAG = 'General ⦂';
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Reads the spec-url attribute of the <rapi-doc> element
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @returns {Promise<string|null>} Spec URL or null
+ */
+async function extractSpecUrl(page) {
+  try {
+    return await page.evaluate(
+      () => document.querySelector('rapi-doc')?.getAttribute('spec-url') || null
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rebuilds an OpenAPI document from RapiDoc's parsed spec (its JS API).
+ * Used when the spec was passed to loadSpec() as an object, so there is no URL
+ * or network request to recover it from. Operations in resolvedSpec are
+ * already dereferenced, so components are not needed.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @returns {Promise<Object|null>} Rebuilt spec or null
+ */
+async function extractSpecFromJsApi(page) {
+  try {
+    return await page.evaluate((defaultTag) => {
+      const resolved = document.querySelector('rapi-doc')?.resolvedSpec;
+      if (!resolved || !Array.isArray(resolved.tags)) {
+        return null;
+      }
+
+      const OPERATION_FIELDS = [
+        'summary',
+        'description',
+        'operationId',
+        'parameters',
+        'requestBody',
+        'responses',
+        'callbacks',
+        'deprecated',
+        'security',
+        'servers',
+      ];
+
+      const paths = {};
+      const tags = [];
+      for (const tag of resolved.tags) {
+        const tagName = tag.name && tag.name !== defaultTag ? tag.name : null;
+        if (tagName) {
+          tags.push(
+            tag.description ? { name: tagName, description: tag.description } : { name: tagName }
+          );
+        }
+        for (const operation of tag.paths || []) {
+          if (operation.isWebhook) {
+            continue;
+          }
+          const pathItem = (paths[operation.path] = paths[operation.path] || {});
+          const existing = pathItem[operation.method];
+          if (existing) {
+            // Operations with several tags are listed once per tag
+            if (tagName && !(existing.tags || []).includes(tagName)) {
+              existing.tags = [...(existing.tags || []), tagName];
+            }
+            continue;
+          }
+          const rebuilt = tagName ? { tags: [tagName] } : {};
+          for (const field of OPERATION_FIELDS) {
+            if (operation[field] !== undefined && operation[field] !== null) {
+              rebuilt[field] = operation[field];
+            }
+          }
+          rebuilt.responses = rebuilt.responses || { default: { description: 'Response' } };
+          pathItem[operation.method] = rebuilt;
+        }
+      }
+
+      const spec = {
+        openapi: '3.0.3',
+        info: resolved.info || { title: document.title || 'Unknown API', version: 'unknown' },
+        paths,
+      };
+      if (tags.length > 0) {
+        spec.tags = tags;
+      }
+      if (Array.isArray(resolved.servers) && resolved.servers.length > 0) {
+        spec.servers = resolved.servers.map((server) => ({
+          url: server.url,
+          ...(server.description ? { description: server.description } : {}),
+        }));
+      }
+
+      // Drop anything that does not survive structured cloning back to Node
+      return JSON.parse(JSON.stringify(spec));
+    }, RAPIDOC_DEFAULT_TAG);
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Extracts OpenAPI specification from a RapiDoc page using Puppeteer.
+ *
+ * Tries multiple extraction strategies in order:
+ * 1. Network interception - Captures the spec fetch RapiDoc makes
+ * 2. spec-url attribute - Fetches the configured spec directly
+ * 3. JS API - Rebuilds the spec from the element's parsed resolvedSpec
+ *
+ * @param {string} url - URL of the RapiDoc page
+ * @param {Object} options - Extraction options
+ * @param {number} [options.timeout=30000] - Overall timeout in ms
+ * @param {Object} [options.headers] - Extra HTTP headers for the page's requests
+ * @returns {Promise<Object|null>} Extracted spec result or null if not found
+ * @returns {Object} result.spec - The parsed OpenAPI/Swagger specification
+ * @returns {string} result.format - Always 'json' for RapiDoc extraction
+ * @returns {Object} result.specInfo - Spec metadata (type, version, title)
+ * @returns {string} result.sourceUrl - URL the spec was extracted from
+ *
+ * @throws {PageLoadError} If page fails to load
+ * @throws {ExtractionTimeoutError} If extraction times out
+ * @throws {BrowserError} If browser fails to launch
+ *
+ * @example
+ * const result = await extractFromRapiDoc('https://rapidocweb.com/examples/petstore.html');
+ * console.log(result.specInfo.title); // "Swagger Petstore"
+ */
+export async function extractFromRapiDoc(url, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS, headers } = options;
+
+  return await extractSpecFromPage(url, {
+    framework: 'rapidoc',
+    timeout,
+    headers,
+    selectors: ['rapi-doc'],
+    // resolvedSpec is set once the spec has loaded and been parsed; older
+    // RapiDoc versions never set it, but their spec-url can still be fetched
+    settle: (page) =>
+      page.waitForFunction(() => document.querySelector('rapi-doc')?.resolvedSpec, {
+        timeout: RAPIDOC_READY_TIMEOUT_MS,
+      }),
+    errors: {
+      ExtractorError: RapiDocExtractorError,
+      LoadError: PageLoadError,
+      TimeoutError: ExtractionTimeoutError,
+    },
+    strategies: [
+      // Strategy 1: Check network interception results
+      ({ captured }) => captured(),
+      // Strategy 2: Fetch the spec-url attribute
+      async ({ page, url: pageUrl, fetchSpec }) => {
+        const specUrl = await extractSpecUrl(page);
+        return specUrl
+          ? { spec: await fetchSpec(specUrl), sourceUrl: new URL(specUrl, pageUrl).href }
+          : null;
+      },
+      // Strategy 3: Rebuild from the loaded spec
+      async ({ page, validate }) => {
+        const rebuilt = await extractSpecFromJsApi(page);
+        return rebuilt && validate(rebuilt) ? { spec: rebuilt } : null;
+      },
+    ],
+  });
+}
+
+/**
+ * Convenience function to check if a URL appears to be a RapiDoc page
+ *
+ * @param {string} url - URL to check
+ * @param {Object} options - Options passed to extractFromRapiDoc
+ * @returns {Promise<boolean>} True if spec is extractable
+ */
+export async function hasRapiDoc(url, options = {}) {
+  try {
+    const result = await extractFromRapiDoc(url, options);
+    return result !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Closes the browser instance. Call this when done extracting.
+ * Safe to call even if browser is not running.
+ *
+ * @returns {Promise<void>}
+ */
+export { closeBrowser };
@@ -0,0 +1,218 @@
+/**
+ * ReadMe page extractor module
+ * Uses Puppeteer to recover the OpenAPI definition behind ReadMe-hosted API
+ * references (*.readme.io and custom domains)
+ */
+
+import { closeBrowser } from '../browser.js';
+import { extractSpecFromPage } from './docs-scraper.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for ReadMe extractor errors
+ */
+export class ReadmeExtractorError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'ReadmeExtractorError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when page fails to load
+ */
+export class PageLoadError extends ReadmeExtractorError {
+  constructor(url, cause = null) {
+    super(`Failed to load page: ${url}`, cause);
+    this.name = 'PageLoadError';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when extraction times out
+ */
+export class ExtractionTimeoutError extends ReadmeExtractorError {
+  constructor(url, timeoutMs) {
+    super(`Extraction timed out after ${timeoutMs}ms: ${url}`);
+    this.name = 'ExtractionTimeoutError';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * ReadMe's API registry serves the definition behind a page's `oasPublicUrl`
+ * ("@project/v1.0#<uuid>")
+ */
+const README_REGISTRY_URL = 'https://dash.readme.com/api/v1/api-registry/';
+
+/**
+ * How deep to look through the page's SSR props for an embedded definition
+ */
+const MAX_PROPS_DEPTH = 6;
+
+/**
+ * Registry responses carry no file extension, so match them explicitly
+ */
+const REGISTRY_URL_PATTERNS = [/\/api-registry\//i];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Reads ReadMe's server-rendered page props (the #ssr-props JSON script)
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @returns {Promise<Object|null>} Parsed props or null if the page has none
+ */
+async function readSsrProps(page) {
+  try {
+    const text = await page.evaluate(
+      () => document.getElementById('ssr-props')?.textContent || null
+    );
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds an embedded OpenAPI/Swagger definition in the page props.
+ * Reference pages carry their API definition (e.g. under document.api.schema);
+ * the exact location has moved between ReadMe versions, so the props are
+ * searched rather than read from a fixed key.
+ *
+ * @param {*} node - Props subtree
+ * @param {(spec: Object) => Object|null} validate - Spec validator
+ * @param {number} [depth=0] - Current depth
+ * @returns {Object|null} Definition or null
+ */
+function findEmbeddedSpec(node, validate, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_PROPS_DEPTH) {
+    return null;
+  }
+  if ((node.openapi || node.swagger) && node.paths && validate(node)) {
+    return node;
+  }
+  for (const value of Object.values(node)) {
+    const found = findEmbeddedSpec(value, validate, depth + 1);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the API registry id of the page's definition.
+ *
+ * @param {Object} props - SSR props
+ * @returns {string|null} Registry UUID or null
+ */
+function findRegistryId(props) {
+  const match = JSON.stringify(props).match(/"oasPublicUrl"\s*:\s*"@[^"#]*#([a-z0-9]+)"/i);
+  return match ? match[1] : null;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Extracts the OpenAPI definition behind a ReadMe API reference using Puppeteer.
+ *
+ * Tries multiple extraction strategies in order:
+ * 1. SSR props - Definition embedded in the page's #ssr-props JSON
+ * 2. Network interception - Captures definition fetches made by the page
+ * 3. API registry - Fetches the definition named by the page's oasPublicUrl
+ *
+ * Projects with several API definitions expose the one behind the loaded page.
+ *
+ * @param {string} url - URL of a ReadMe reference page
+ * @param {Object} options - Extraction options
+ * @param {number} [options.timeout=30000] - Overall timeout in ms
+ * @param {Object} [options.headers] - Extra HTTP headers for the page's requests
+ * @returns {Promise<Object|null>} Extracted spec result or null if not found
+ * @returns {Object} result.spec - The parsed OpenAPI/Swagger specification
+ * @returns {string} result.format - Always 'json' for ReadMe extraction
+ * @returns {Object} result.specInfo - Spec metadata (type, version, title)
+ * @returns {string} result.sourceUrl - URL the spec was extracted from
+ *
+ * @throws {PageLoadError} If page fails to load
+ * @throws {ExtractionTimeoutError} If extraction times out
+ * @throws {BrowserError} If browser fails to launch
+ *
+ * @example
+ * const result = await extractFromReadme('https://docs.readme.com/main/reference/getapispecification');
+ * console.log(result.specInfo.title);
+ */
+export async function extractFromReadme(url, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS, headers } = options;
+  let props;
+
+  return await extractSpecFromPage(url, {
+    framework: 'readme',
+    timeout,
+    headers,
+    specUrlPatterns: REGISTRY_URL_PATTERNS,
+    errors: {
+      ExtractorError: ReadmeExtractorError,
+      LoadError: PageLoadError,
+      TimeoutError: ExtractionTimeoutError,
+    },
+    strategies: [
+      // Strategy 1: Definition embedded in the page props
+      async ({ page, validate }) => {
+        props = await readSsrProps(page);
+        return props ? { spec: findEmbeddedSpec(props, validate) } : null;
+      },
+      // Strategy 2: Check network interception results
+      ({ captured }) => captured(),
+      // Strategy 3: Fetch the definition from ReadMe's API registry
+      async ({ fetchSpec }) => {
+        const registryId = props ? findRegistryId(props) : null;
+        if (!registryId) {
+          return null;
+        }
+        const registryUrl = `${README_REGISTRY_URL}${registryId}`;
+        return { spec: await fetchSpec(registryUrl), sourceUrl: registryUrl };
+      },
+    ],
+  });
+}
+
+/**
+ * Convenience function to check if a URL appears to be a ReadMe API reference
+ *
+ * @param {string} url - URL to check
+ * @param {Object} options - Options passed to extractFromReadme
+ * @returns {Promise<boolean>} True if spec is extractable
+ */
+export async function hasReadme(url, options = {}) {
+  try {
+    const result = await extractFromReadme(url, options);
+    return result !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Closes the browser instance. Call this when done extracting.
+ * Safe to call even if browser is not running.
+ *
+ * @returns {Promise<void>}
+ */
+export { closeBrowser };
@@ -422,6 +422,7 @@ async function detectAuthRequired(page) {
  * @param {string} url - URL of the Redoc page
  * @param {Object} options - Extraction options
  * @param {number} [options.timeout=30000] - Overall timeout in ms
+ * @param {Object} [options.headers] - Extra HTTP headers for the page's requests
  * @returns {Promise<Object|null>} Extracted spec result or null if not found
  * @returns {Object} result.spec - The parsed OpenAPI/Swagger specification
  * @returns {string} result.format - Always 'json' for Redoc extraction
@@ -438,7 +439,7 @@ async function detectAuthRequired(page) {
  * console.log(result.specInfo.title); // "Swagger Petstore"
  */
 export async function extractFromRedoc(url, options = {}) {
-  const { timeout = DEFAULT_TIMEOUT_MS } = options;
+  const { timeout = DEFAULT_TIMEOUT_MS, headers } = options;
 
   // Normalize URL
   let normalizedUrl = url.trim();
@@ -451,7 +452,7 @@ export async function extractFromRedoc(url, options = {}) {
 
   try {
     // Get a new page from the browser singleton
-    page = await getPage({ timeout });
+    page = await getPage({ timeout, headers });
 
     // Set up network interception before navigation
     networkInterceptor = await setupNetworkInterception(page);
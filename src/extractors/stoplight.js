@@ -0,0 +1,193 @@
+/**
+ * Stoplight Elements page extractor module
+ * Uses Puppeteer to recover the OpenAPI spec behind Stoplight Elements pages
+ * (the <elements-api> web component and the @stoplight/elements React component)
+ */
+
+import { closeBrowser } from '../browser.js';
+import { extractSpecFromPage } from './docs-scraper.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for Stoplight Elements extractor errors
+ */
+export class StoplightExtractorError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'StoplightExtractorError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when page fails to load
+ */
+export class PageLoadError extends StoplightExtractorError {
+  constructor(url, cause = null) {
+    super(`Failed to load page: ${url}`, cause);
+    this.name = 'PageLoadError';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when extraction times out
+ */
+export class ExtractionTimeoutError extends StoplightExtractorError {
+  constructor(url, timeoutMs) {
+    super(`Extraction timed out after ${timeoutMs}ms: ${url}`);
+    this.name = 'ExtractionTimeoutError';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Selectors that identify a rendered Stoplight Elements page
+ */
+const ELEMENTS_SELECTORS = ['elements-api', 'elements-stoplight-project', '.sl-elements'];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Reads the spec (or its URL) configured on the Elements component.
+ * The web component takes `apiDescriptionUrl` / `apiDescriptionDocument` as
+ * attributes or properties; the document may be a string or an object.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @returns {Promise<{document?: string, specUrl?: string}|null>} Inline document text or spec URL
+ */
+async function extractSpecFromComponent(page) {
+  try {
+    return await page.evaluate(() => {
+      const element = document.querySelector('elements-api');
+      if (element) {
+        const inline =
+          element.apiDescriptionDocument ?? element.getAttribute('apiDescriptionDocument');
+        if (inline) {
+          return { document: typeof inline === 'string' ? inline : JSON.stringify(inline) };
+        }
+        const specUrl = element.apiDescriptionUrl || element.getAttribute('apiDescriptionUrl');
+        if (specUrl) {
+          return { specUrl };
+        }
+      }
+
+      // React usage: <API apiDescriptionUrl="..." /> inside a bundled script
+      for (const script of document.querySelectorAll('script')) {
+        const match = (script.textContent || '').match(
+          /apiDescriptionUrl\s*[:=]\s*\{?\s*['"`]([^'"`]+)['"`]/
+        );
+        if (match) {
+          return { specUrl: match[1] };
+        }
+      }
+
+      return null;
+    });
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Extracts the OpenAPI specification behind a Stoplight Elements page using Puppeteer.
+ *
+ * Tries multiple extraction strategies in order:
+ * 1. Component configuration - inline apiDescriptionDocument
+ * 2. Network interception - Captures the spec fetch Elements makes
+ * 3. Component configuration - Fetches apiDescriptionUrl directly
+ *
+ * Pages where no spec can be recovered return null; the docs scraper's
+ * sidebar extraction still lists their endpoints.
+ *
+ * @param {string} url - URL of the Stoplight Elements page
+ * @param {Object} options - Extraction options
+ * @param {number} [options.timeout=30000] - Overall timeout in ms
+ * @param {Object} [options.headers] - Extra HTTP headers for the page's requests
+ * @returns {Promise<Object|null>} Extracted spec result or null if not found
+ * @returns {Object} result.spec - The parsed OpenAPI/Swagger specification
+ * @returns {string} result.format - Always 'json' for Elements extraction
+ * @returns {Object} result.specInfo - Spec metadata (type, version, title)
+ * @returns {string} result.sourceUrl - URL the spec was extracted from
+ *
+ * @throws {PageLoadError} If page fails to load
+ * @throws {ExtractionTimeoutError} If extraction times out
+ * @throws {BrowserError} If browser fails to launch
+ *
+ * @example
+ * const result = await extractFromStoplight('https://elements-demo.stoplight.io/');
+ * console.log(result.specInfo.title);
+ */
+export async function extractFromStoplight(url, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS, headers } = options;
+  let component;
+
+  return await extractSpecFromPage(url, {
+    framework: 'stoplight-elements',
+    timeout,
+    headers,
+    selectors: ELEMENTS_SELECTORS,
+    errors: {
+      ExtractorError: StoplightExtractorError,
+      LoadError: PageLoadError,
+      TimeoutError: ExtractionTimeoutError,
+    },
+    strategies: [
+      // Strategy 1: Inline document
+      async ({ page, url: pageUrl, parse }) => {
+        component = await extractSpecFromComponent(page);
+        return component?.document ? { spec: parse(component.document, pageUrl) } : null;
+      },
+      // Strategy 2: Check network interception results
+      ({ captured }) => captured(),
+      // Strategy 3: Fetch the configured description URL
+      async ({ url: pageUrl, fetchSpec }) =>
+        component?.specUrl
+          ? {
+              spec: await fetchSpec(component.specUrl),
+              sourceUrl: new URL(component.specUrl, pageUrl).href,
+            }
+          : null,
+    ],
+  });
+}
+
+/**
+ * Convenience function to check if a URL appears to be a Stoplight Elements page
+ *
+ * @param {string} url - URL to check
+ * @param {Object} options - Options passed to extractFromStoplight
+ * @returns {Promise<boolean>} True if spec is extractable
+ */
+export async function hasStoplight(url, options = {}) {
+  try {
+    const result = await extractFromStoplight(url, options);
+    return result !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Closes the browser instance. Call this when done extracting.
+ * Safe to call even if browser is not running.
+ *
+ * @returns {Promise<void>}
+ */
+export { closeBrowser };
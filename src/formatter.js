@@ -4,6 +4,7 @@
  */
 
 import chalk from 'chalk';
+import { isAsyncAPISpec, listAsyncAPIOperations, listAsyncAPIServers } from './asyncapi.js';
 
 // ============================================================================
 // Configuration
@@ -21,6 +22,9 @@ const HTTP_METHOD_COLORS = {
   PATCH: 'rgb(255,220,50)', // neon yellow
   HEAD: 'dim',
   OPTIONS: 'dim',
+  // AsyncAPI operation actions
+  SEND: 'cyan',
+  RECEIVE: 'magenta',
 };
 
 /**
@@ -53,7 +57,7 @@ const METHOD_COLUMN_WIDTH = 7;
  * @param {Object} spec - Parsed OpenAPI/Swagger spec
  * @returns {string|null} Base URL or null if not found
  */
-function extractBaseUrl(spec) {
+export function extractBaseUrl(spec) {
   // OpenAPI 3.x uses servers array
   if (spec.servers && spec.servers.length > 0) {
     return spec.servers[0].url;
@@ -126,6 +130,80 @@ function extractDescription(operation, verbose) {
   return '';
 }
 
+/**
+ * Formats an AsyncAPI document's operations as a scannable list, with its
+ * servers under the title. Operations are grouped by first tag, or by channel.
+ *
+ * @param {Object} spec - Dereferenced AsyncAPI document
+ * @param {Object} options - Options from formatEndpointList()
+ * @returns {string} Formatted operation list
+ */
+function formatAsyncAPIList(spec, options) {
+  const { verbose = false, grouped = false } = options;
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+
+  const lines = [];
+
+  const title = spec.info?.title || 'Unknown API';
+  const version = spec.info?.version;
+  const titleLine = version ? `${title} v${version}` : title;
+  lines.push(useColor ? chalk.bold(titleLine) : titleLine);
+
+  for (const server of listAsyncAPIServers(spec)) {
+    const protocol = [server.protocol, server.protocolVersion].filter(Boolean).join(' ');
+    const serverLine = `${server.name}: ${server.url}${protocol ? ` (${protocol})` : ''}`;
+    lines.push(useColor ? chalk.dim(serverLine) : serverLine);
+  }
+
+  lines.push('');
+
+  const operations = listAsyncAPIOperations(spec);
+  if (operations.length === 0) {
+    lines.push('No operations found');
+    return lines.join('\n');
+  }
+
+  const formatLine = (operation, indent) => {
+    const message = operation.messages[0];
+    const desc = extractDescription(
+      {
+        summary: operation.summary || message?.title || message?.summary,
+        description: operation.description,
+      },
+      verbose
+    );
+    const action = formatMethod(operation.action, useColor);
+    return `${indent}${action} ${operation.channel}${desc ? '  ' + desc : ''}`;
+  };
+
+  if (!grouped) {
+    operations.forEach((operation) => lines.push(formatLine(operation, '')));
+    return lines.join('\n');
+  }
+
+  const groups = new Map();
+  for (const operation of operations) {
+    const category = operation.tags[0] || operation.channel;
+    if (!groups.has(category)) {
+      groups.set(category, []);
+    }
+    groups.get(category).push(operation);
+  }
+
+  let first = true;
+  for (const [category, categoryOperations] of groups) {
+    if (!first) {
+      lines.push('');
+    }
+    first = false;
+    lines.push(category);
+    lines.push('─'.repeat(category.length));
+    categoryOperations.forEach((operation) => lines.push(formatLine(operation, '  ')));
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Groups endpoints by their first tag or infers category from path
  *
@@ -177,7 +255,10 @@ function groupByCategory(endpoints) {
  *   POST   /path/to/resource     Create a new resource
  * ```
  *
- * @param {Object} spec - Parsed OpenAPI/Swagger specification
+ * AsyncAPI documents are listed by channel instead, with SEND/RECEIVE in the
+ * method column and their servers under the title.
+ *
+ * @param {Object} spec - Parsed OpenAPI/Swagger specification or AsyncAPI document
  * @param {Object} options - Formatting options
  * @param {boolean} [options.verbose=false] - Show full descriptions
  * @param {boolean} [options.grouped=false] - Group endpoints by tag/category
@@ -189,6 +270,10 @@ function groupByCategory(endpoints) {
  * console.log(output);
  */
 export function formatEndpointList(spec, options = {}) {
+  if (isAsyncAPISpec(spec)) {
+    return formatAsyncAPIList(spec, options);
+  }
+
   const { verbose = false, grouped = false } = options;
   const useColor = options.color ?? process.stdout.isTTY ?? false;
 
@@ -311,7 +396,8 @@ export function formatScrapedEndpoints(scrapedResult, options = {}) {
   lines.push(useColor ? chalk.bold(titleLine) : titleLine);
 
   // Header: Framework info
-  const frameworkInfo = `(extracted via ${scrapedResult.framework})`;
+  const crawledPages = scrapedResult.crawl ? ` across ${scrapedResult.crawl.pages} pages` : '';
+  const frameworkInfo = `(extracted via ${scrapedResult.framework}${crawledPages})`;
   lines.push(useColor ? chalk.dim(frameworkInfo) : frameworkInfo);
 
   lines.push(''); // Empty line after header
@@ -387,7 +473,8 @@ export function formatScrapedEndpoints(scrapedResult, options = {}) {
 /**
  * Formats endpoint details for display.
  *
- * @param {Object} endpoint - Endpoint object with method, path, description, tags
+ * @param {Object} endpoint - Endpoint object with method, path, description, tags and
+ *   optional parameters ({name, in, required, type, description})
  * @param {Object} options - Formatting options
  * @param {boolean} [options.color] - Force color on/off
  * @returns {string} Formatted endpoint details
@@ -430,5 +517,622 @@ export function formatEndpointDetail(endpoint, options = {}) {
     lines.push(useColor ? chalk.dim(opIdLine) : opIdLine);
   }
 
+  // Page the endpoint was found on (crawled docs)
+  if (endpoint.sourcePage) {
+    const pageLine = `Page: ${endpoint.sourcePage}`;
+    lines.push(useColor ? chalk.dim(pageLine) : pageLine);
+  }
+
+  // Parameters (only present for endpoints scraped from per-operation pages)
+  if (endpoint.parameters && endpoint.parameters.length > 0) {
+    lines.push('');
+    lines.push(useColor ? chalk.bold('Parameters:') : 'Parameters:');
+    for (const param of endpoint.parameters) {
+      const required = param.required ? ' (required)' : '';
+      const type = param.type ? ` ${param.type}` : '';
+      const name = useColor ? chalk.cyan(param.name) : param.name;
+      let line = `  ${name} [${param.in}]${type}${required}`;
+      if (param.description) {
+        line += ` - ${param.description}`;
+      }
+      lines.push(line);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Section headings for GraphQL operation kinds
+ */
+const GRAPHQL_SECTIONS = {
+  query: 'Queries',
+  mutation: 'Mutations',
+  subscription: 'Subscriptions',
+};
+
+/**
+ * Renders a GraphQL field signature, e.g. "user(id: ID!, fields: [String] = []): User".
+ *
+ * @param {Object} operation - Operation from listGraphQLOperations()
+ * @param {boolean} useColor - Whether to apply colors
+ * @returns {string} Signature
+ */
+function formatGraphQLSignature(operation, useColor) {
+  const args = operation.args
+    .map((arg) => `${arg.name}: ${arg.type}${arg.defaultValue ? ` = ${arg.defaultValue}` : ''}`)
+    .join(', ');
+  const name = useColor ? chalk.bold(operation.name) : operation.name;
+  const type = useColor ? chalk.cyan(operation.type) : operation.type;
+  return `${name}${args ? `(${args})` : ''}: ${type}`;
+}
+
+/**
+ * Formats a GraphQL schema's operations as a scannable list.
+ *
+ * Output format:
+ * ```
+ * API Title
+ * https://api.example.com/graphql
+ *
+ * Queries
+ * ───────
+ *   user(id: ID!): User  Fetch a user by ID
+ *
+ * Mutations
+ * ─────────
+ *   createUser(input: CreateUserInput!): User!  Create a user
+ * ```
+ *
+ * @param {Object} api - Api info from loadGraphQLSchema() (title, url)
+ * @param {Array<Object>} operations - Operations from listGraphQLOperations()
+ * @param {Object} options - Formatting options
+ * @param {boolean} [options.verbose=false] - Show full descriptions
+ * @param {boolean} [options.color] - Force color on/off (defaults to TTY detection)
+ * @returns {string} Formatted operation list
+ *
+ * @example
+ * console.log(formatGraphQLOperations(api, listGraphQLOperations(schema)));
+ */
+export function formatGraphQLOperations(api, operations, options = {}) {
+  const { verbose = false } = options;
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+
+  const lines = [];
+  lines.push(useColor ? chalk.bold(api.title) : api.title);
+  lines.push(useColor ? chalk.dim(api.url) : api.url);
+  lines.push('');
+
+  if (operations.length === 0) {
+    lines.push('No operations found');
+    return lines.join('\n');
+  }
+
+  let first = true;
+  for (const [kind, heading] of Object.entries(GRAPHQL_SECTIONS)) {
+    const section = operations.filter((operation) => operation.kind === kind);
+    if (section.length === 0) {
+      continue;
+    }
+    if (!first) {
+      lines.push('');
+    }
+    first = false;
+
+    lines.push(heading);
+    lines.push('─'.repeat(heading.length));
+
+    for (const operation of section) {
+      let description = (operation.description || '').split('\n')[0].trim();
+      if (verbose) {
+        description = (operation.description || '').replace(/\s+/g, ' ').trim();
+      } else if (description.length > 80) {
+        description = description.slice(0, 77) + '...';
+      }
+      if (operation.deprecationReason) {
+        description = `[deprecated] ${description}`.trim();
+      }
+      const signature = formatGraphQLSignature(operation, useColor);
+      lines.push(`  ${signature}${description ? '  ' + description : ''}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats one GraphQL operation in detail: signature, description, arguments
+ * and return type.
+ *
+ * @param {Object} operation - Operation from listGraphQLOperations()
+ * @param {Object} options - Formatting options
+ * @param {boolean} [options.color] - Force color on/off
+ * @returns {string} Formatted operation details
+ */
+export function formatGraphQLOperation(operation, options = {}) {
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+  const lines = [];
+
+  const header = `${operation.kind} ${operation.name}`;
+  lines.push(useColor ? chalk.magenta.bold(header) : header);
+  if (operation.description) {
+    lines.push(operation.description);
+  }
+  if (operation.deprecationReason) {
+    const deprecated = `Deprecated: ${operation.deprecationReason}`;
+    lines.push(useColor ? chalk.yellow(deprecated) : deprecated);
+  }
+
+  if (operation.args.length > 0) {
+    lines.push('');
+    lines.push(useColor ? chalk.bold('Arguments:') : 'Arguments:');
+    for (const arg of operation.args) {
+      const name = useColor ? chalk.cyan(arg.name) : arg.name;
+      let line = `  ${name}: ${arg.type}`;
+      if (arg.defaultValue) {
+        line += ` = ${arg.defaultValue}`;
+      }
+      if (arg.deprecationReason) {
+        line += ' (deprecated)';
+      }
+      if (arg.description) {
+        line += ` - ${arg.description.replace(/\s+/g, ' ').trim()}`;
+      }
+      lines.push(line);
+    }
+  }
+
+  lines.push('');
+  const returns = `Returns: ${operation.type}`;
+  lines.push(useColor ? chalk.bold(returns) : returns);
+
+  return lines.join('\n');
+}
+
+/**
+ * Serializes a normalized endpoint model as JSON or NDJSON.
+ *
+ * JSON output is the whole model (schemaVersion, api, endpoints).
+ * NDJSON output is one endpoint object per line, for streaming into other tools.
+ *
+ * @param {Object} model - Model from endpointModelFromSpec() or endpointModelFromScraped()
+ * @param {Object} options - Formatting options
+ * @param {string} [options.format='json'] - 'json' or 'ndjson'
+ * @returns {string} Serialized endpoint list
+ *
+ * @example
+ * console.log(formatEndpointModel(model, { format: 'ndjson' }));
+ */
+export function formatEndpointModel(model, options = {}) {
+  const { format = 'json' } = options;
+
+  if (format === 'ndjson') {
+    return model.endpoints.map((endpoint) => JSON.stringify(endpoint)).join('\n');
+  }
+
+  return JSON.stringify(model, null, 2);
+}
+
+// ============================================================================
+// Schema Rendering
+// ============================================================================
+
+/**
+ * Schema composition keywords rendered as labelled branches
+ */
+const COMPOSITION_KEYWORDS = ['allOf', 'oneOf', 'anyOf'];
+
+/**
+ * Maximum description length shown next to a schema property
+ */
+const SCHEMA_DESCRIPTION_MAX_LENGTH = 80;
+
+/**
+ * Gets a readable name for a $ref (last pointer segment).
+ *
+ * @param {string} ref - The $ref value
+ * @returns {string} Short name, e.g. "Pet" for "#/components/schemas/Pet"
+ */
+function refName(ref) {
+  const segments = ref.split('/');
+  return segments[segments.length - 1] || ref;
+}
+
+/**
+ * Describes the type of a schema in one short string.
+ *
+ * @param {Object} schema - Schema object (dereferenced)
+ * @returns {string} Type description, e.g. "string", "array<object>", "Pet (circular)"
+ */
+export function describeSchemaType(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return 'any';
+  }
+  if (schema['x-circular-ref']) {
+    return `${refName(schema.$ref)} (circular)`;
+  }
+  if (typeof schema.$ref === 'string') {
+    return `${refName(schema.$ref)} (unresolved)`;
+  }
+
+  let type = schema.type;
+  if (Array.isArray(type)) {
+    type = type.join(' | ');
+  }
+  if (!type) {
+    if (schema.properties || schema.additionalProperties) {
+      type = 'object';
+    } else if (schema.items) {
+      type = 'array';
+    } else {
+      type = COMPOSITION_KEYWORDS.find((k) => schema[k]) || 'any';
+    }
+  }
+  if (type === 'array' && schema.items) {
+    type = `array<${describeSchemaType(schema.items)}>`;
+  }
+  if (schema.nullable) {
+    type = `${type} | null`;
+  }
+  return type;
+}
+
+/**
+ * Builds the one-line summary for a schema node.
+ *
+ * @param {string|null} name - Property name (null for the root)
+ * @param {Object} schema - Schema object
+ * @param {boolean} required - Whether the property is required
+ * @param {boolean} useColor - Whether to apply color
+ * @returns {string} Formatted line (without indentation)
+ */
+function formatSchemaLine(name, schema, required, useColor) {
+  const parts = [];
+
+  if (name !== null) {
+    const marker = required ? (useColor ? chalk.red('*') : '*') : '';
+    parts.push(`${name}${marker}`);
+  }
+
+  const type = describeSchemaType(schema);
+  parts.push(useColor ? chalk.cyan(type) : type);
+
+  if (schema && typeof schema === 'object') {
+    if (schema.format) {
+      parts.push(`(${schema.format})`);
+    }
+    if (Array.isArray(schema.enum)) {
+      parts.push(`enum: ${schema.enum.map((v) => JSON.stringify(v)).join(' | ')}`);
+    }
+    if (schema.deprecated) {
+      parts.push(useColor ? chalk.yellow('deprecated') : 'deprecated');
+    }
+    if (schema.description) {
+      let desc = schema.description.replace(/\s+/g, ' ').trim();
+      if (desc.length > SCHEMA_DESCRIPTION_MAX_LENGTH) {
+        desc = desc.slice(0, SCHEMA_DESCRIPTION_MAX_LENGTH - 3) + '...';
+      }
+      parts.push(useColor ? chalk.dim(`- ${desc}`) : `- ${desc}`);
+    }
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Recursively renders a schema node and its children into lines.
+ *
+ * @param {Object} schema - Schema object
+ * @param {Object} context - Render context
+ * @param {string|null} context.name - Property name
+ * @param {boolean} context.required - Whether the property is required
+ * @param {number} context.depth - Current nesting depth
+ * @param {Object} settings - Shared render settings (indent, maxDepth, useColor, lines)
+ */
+function renderSchemaNode(schema, context, settings) {
+  const { name, required, depth } = context;
+  const { lines, indent, maxDepth, useColor } = settings;
+  const pad = ' '.repeat(indent + depth * 2);
+
+  lines.push(`${pad}${formatSchemaLine(name, schema, required, useColor)}`);
+
+  if (!schema || typeof schema !== 'object' || schema['x-circular-ref'] || schema.$ref) {
+    return;
+  }
+
+  const childPad = ' '.repeat(indent + (depth + 1) * 2);
+  if (depth >= maxDepth) {
+    if (schema.properties || schema.items || COMPOSITION_KEYWORDS.some((k) => schema[k])) {
+      lines.push(`${childPad}...`);
+    }
+    return;
+  }
+
+  renderSchemaChildren(schema, depth, settings);
+}
+
+/**
+ * Renders the children of a schema node (properties, array items, composition branches).
+ *
+ * @param {Object} schema - Schema object
+ * @param {number} depth - Depth of the parent node
+ * @param {Object} settings - Shared render settings
+ */
+function renderSchemaChildren(schema, depth, settings) {
+  const { lines, indent, useColor } = settings;
+  const childPad = ' '.repeat(indent + (depth + 1) * 2);
+
+  // Object properties
+  if (schema.properties && typeof schema.properties === 'object') {
+    const requiredSet = new Set(Array.isArray(schema.required) ? schema.required : []);
+    for (const [propName, propSchema] of Object.entries(schema.properties)) {
+      renderSchemaNode(
+        propSchema,
+        { name: propName, required: requiredSet.has(propName), depth: depth + 1 },
+        settings
+      );
+    }
+  }
+
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    renderSchemaNode(
+      schema.additionalProperties,
+      { name: '[key: string]', required: false, depth: depth + 1 },
+      settings
+    );
+  }
+
+  // Array items: show the item's children directly under the array
+  if (schema.items && typeof schema.items === 'object') {
+    const items = schema.items;
+    const isNestedArray = describeSchemaType(items).startsWith('array');
+    if (isNestedArray || items.enum || items.description) {
+      renderSchemaNode(items, { name: '[]', required: false, depth: depth + 1 }, settings);
+    } else if (!items['x-circular-ref'] && !items.$ref) {
+      renderSchemaChildren(items, depth, settings);
+    }
+  }
+
+  // Composition branches (labelled unless the node itself is just the composition)
+  const isPureComposition = COMPOSITION_KEYWORDS.includes(describeSchemaType(schema));
+  for (const keyword of COMPOSITION_KEYWORDS) {
+    if (!Array.isArray(schema[keyword])) {
+      continue;
+    }
+    let branchDepth = depth + 1;
+    if (!isPureComposition) {
+      lines.push(`${childPad}${useColor ? chalk.dim(`${keyword}:`) : `${keyword}:`}`);
+      branchDepth = depth + 2;
+    }
+    schema[keyword].forEach((branch, index) => {
+      renderSchemaNode(
+        branch,
+        { name: `(${index + 1})`, required: false, depth: branchDepth },
+        settings
+      );
+    });
+  }
+}
+
+/**
+ * Formats a (dereferenced) JSON schema as an indented property tree.
+ *
+ * Output format:
+ * ```
+ * object
+ *   id* integer (int64)
+ *   status string enum: "available" | "sold"
+ *   owner object
+ *     name string
+ *   children array<Pet (circular)>
+ * ```
+ *
+ * @param {Object} schema - Schema object, ideally from dereferenceSpec()
+ * @param {Object} options - Formatting options
+ * @param {number} [options.indent=0] - Spaces to indent every line by
+ * @param {number} [options.maxDepth=8] - Maximum nesting depth to render
+ * @param {boolean} [options.color] - Force color on/off (defaults to TTY detection)
+ * @returns {string} Formatted schema tree
+ *
+ * @example
+ * console.log(formatSchema(operation.requestBody.content['application/json'].schema));
+ */
+export function formatSchema(schema, options = {}) {
+  const { indent = 0, maxDepth = 8 } = options;
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+
+  const lines = [];
+  renderSchemaNode(
+    schema,
+    { name: null, required: false, depth: 0 },
+    { lines, indent, maxDepth, useColor }
+  );
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Diff Rendering
+// ============================================================================
+
+/**
+ * Formats one group of diff changes under a heading.
+ *
+ * @param {string} heading - Group heading
+ * @param {Array<Object>} changes - Changes in the group
+ * @param {Function} headingColor - Chalk color for the heading
+ * @param {boolean} useColor - Whether to apply color
+ * @returns {Array<string>} Output lines
+ */
+function formatChangeGroup(heading, changes, headingColor, useColor) {
+  if (changes.length === 0) {
+    return [];
+  }
+
+  const lines = [
+    useColor
+      ? headingColor.bold(`${heading} (${changes.length})`)
+      : `${heading} (${changes.length})`,
+  ];
+  for (const { method, path, message } of changes) {
+    const pathText = useColor ? chalk.white(path) : path;
+    lines.push(`  ${formatMethod(method || '', useColor)} ${pathText}`);
+    lines.push(`          ${useColor ? chalk.dim(message) : message}`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Formats the result of diffSpecs() as breaking and non-breaking change lists.
+ *
+ * Output format:
+ * ```
+ * Breaking changes (1)
+ *   DELETE  /pets/{petId}
+ *           endpoint removed
+ *
+ * Non-breaking changes (1)
+ *   GET     /pets
+ *           response 200 body[].tag added
+ *
+ * 1 breaking, 1 non-breaking
+ * ```
+ *
+ * @param {Object} diff - Result from diffSpecs()
+ * @param {Object} options - Formatting options
+ * @param {boolean} [options.color] - Force color on/off (defaults to TTY detection)
+ * @returns {string} Formatted diff
+ */
+export function formatSpecDiff(diff, options = {}) {
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+
+  if (diff.changes.length === 0) {
+    return useColor ? chalk.green('No changes found.') : 'No changes found.';
+  }
+
+  const lines = [
+    ...formatChangeGroup(
+      'Breaking changes',
+      diff.changes.filter((c) => c.breaking),
+      chalk.red,
+      useColor
+    ),
+    ...formatChangeGroup(
+      'Non-breaking changes',
+      diff.changes.filter((c) => !c.breaking),
+      chalk.green,
+      useColor
+    ),
+  ];
+
+  const summary = `${diff.breaking} breaking, ${diff.nonBreaking} non-breaking`;
+  lines.push(useColor ? chalk.dim(summary) : summary);
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Search Rendering
+// ============================================================================
+
+/**
+ * Formats search results grouped by API, best-scoring API first.
+ *
+ * Output format:
+ * ```
+ * Petstore v1.0.0  https://example.com/openapi.json
+ *   GET     /pets  List pets
+ *           matched summary: "List pets"
+ * ```
+ *
+ * @param {Object} search - Result from searchCachedSpecs()
+ * @param {Object} options - Formatting options
+ * @param {boolean} [options.color] - Force color on/off (defaults to TTY detection)
+ * @returns {string} Formatted results
+ */
+export function formatSearchResults(search, options = {}) {
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+
+  const groups = new Map();
+  for (const result of search.results) {
+    if (!groups.has(result.api.url)) {
+      groups.set(result.api.url, { api: result.api, results: [] });
+    }
+    groups.get(result.api.url).results.push(result);
+  }
+
+  const lines = [];
+  for (const { api, results } of groups.values()) {
+    const title = api.version ? `${api.title} v${api.version}` : api.title;
+    lines.push(useColor ? `${chalk.bold(title)}  ${chalk.dim(api.url)}` : `${title}  ${api.url}`);
+
+    for (const result of results) {
+      const summary = result.summary ? `  ${result.summary}` : '';
+      const pathText = useColor ? chalk.white(result.path) : result.path;
+      const summaryText = useColor ? chalk.dim(summary) : summary;
+      lines.push(`  ${formatMethod(result.method, useColor)} ${pathText}${summaryText}`);
+
+      const matched = result.matches
+        .filter((m) => m.field !== 'path')
+        .map((m) => {
+          const value = m.value.replace(/\s+/g, ' ').trim();
+          return `${m.field}: "${value.length > 40 ? value.slice(0, 37) + '...' : value}"`;
+        });
+      if (matched.length > 0) {
+        const text = `matched ${[...new Set(matched)].join(', ')}`;
+        lines.push(`          ${useColor ? chalk.dim(text) : text}`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (search.total > search.results.length) {
+    const more = `... and ${search.total - search.results.length} more (use --limit to show more)`;
+    lines.push(useColor ? chalk.dim(more) : more);
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+// ============================================================================
+// Provider Rendering
+// ============================================================================
+
+/**
+ * Formats numbered provider candidates from discovery, for listings and
+ * disambiguation prompts.
+ *
+ * Output format:
+ * ```
+ *   1. Google Drive API  googleapis.com:drive  (80, catalog)
+ *      https://api.apis.guru/v2/specs/googleapis.com/drive/v3/openapi.json
+ * ```
+ *
+ * @param {Array<Object>} candidates - Candidates from searchProviders() or AmbiguousMatchError
+ * @param {Object} options - Formatting options
+ * @param {boolean} [options.color] - Force color on/off (defaults to TTY detection)
+ * @returns {string} Formatted candidates
+ */
+export function formatProviderCandidates(candidates, options = {}) {
+  const useColor = options.color ?? process.stdout.isTTY ?? false;
+  const width = String(candidates.length).length;
+
+  const lines = [];
+  candidates.forEach((candidate, index) => {
+    const number = `${String(index + 1).padStart(width)}.`;
+    const id = candidate.id && candidate.id !== candidate.provider ? `  ${candidate.id}` : '';
+    const meta = `  (${candidate.score}, ${candidate.source})`;
+    lines.push(
+      useColor
+        ? `  ${chalk.bold(number)} ${candidate.provider}${chalk.cyan(id)}${chalk.dim(meta)}`
+        : `  ${number} ${candidate.provider}${id}${meta}`
+    );
+
+    const url = candidate.specUrl || candidate.docsUrl || candidate.apiTrackerUrl;
+    if (url) {
+      const indent = ' '.repeat(width + 4);
+      lines.push(`${indent}${useColor ? chalk.dim(url) : url}`);
+    }
+  });
+
   return lines.join('\n');
 }
@@ -0,0 +1,643 @@
+/**
+ * HAR import module for api-docs-cli
+ * Reconstructs OpenAPI 3.1 documents from HTTP traffic recorded in browser
+ * devtools (HAR files): one document per host, with templated paths and
+ * schemas inferred from the observed query strings and JSON bodies
+ */
+
+import { readFile } from 'node:fs/promises';
+import { URLSearchParams } from 'node:url';
+import { SYNTHESIZED_EXTENSION } from './synthesize.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for HAR import errors
+ */
+export class HarError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'HarError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a HAR file cannot be read or is not a HAR log
+ */
+export class HarParseError extends HarError {
+  constructor(file, message, cause = null) {
+    super(`Invalid HAR file ${file}: ${message}`, cause);
+    this.name = 'HarParseError';
+    this.file = file;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const OPENAPI_VERSION = '3.1.0';
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'trace'];
+
+/**
+ * Devtools resource types that carry API calls. Entries without a resource
+ * type (other HAR producers) are judged by their response content type.
+ */
+const API_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+
+/**
+ * Response content types of pages and static assets, never API calls
+ */
+const NON_API_CONTENT_PATTERN =
+  /^(text\/html|text\/css|image\/|font\/|audio\/|video\/|application\/(x-)?javascript|text\/javascript|application\/wasm|application\/font)/i;
+
+/**
+ * Path segments that identify a resource on their own
+ */
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/, // numeric IDs
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, // UUIDs
+  /^[0-9a-f]{12,}$/i, // hashes and object IDs
+  /^(?=.*\d)(?=.*[a-z])[a-z0-9_]{8,}$/i, // prefixed/random IDs (cus_9s6XKzkN, a1b2c3d4e5)
+  /^\d{4}-\d{2}-\d{2}$/, // dates
+];
+
+/**
+ * Slugs: lowercase words joined by hyphens ("my-first-post", "post-42").
+ * A slug segment becomes a parameter when it has at least three words or a
+ * number, or when enough sibling slugs appear under the same parent path.
+ */
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)+$/;
+const SLUG_SIBLINGS = 3;
+
+const STRING_FORMATS = [
+  { format: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  {
+    format: 'date-time',
+    pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/,
+  },
+  { format: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { format: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { format: 'uri', pattern: /^https?:\/\/\S+$/ },
+];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Strips parameters from a media type ("application/json; charset=utf-8").
+ *
+ * @param {string} mimeType - Media type from the HAR
+ * @returns {string} Lower-cased media type or ''
+ */
+function mediaType(mimeType) {
+  return String(mimeType || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Checks whether a HAR entry looks like an API call rather than a page or asset.
+ *
+ * @param {Object} entry - HAR entry
+ * @returns {boolean} True for API calls
+ */
+function isApiEntry(entry) {
+  const method = String(entry.request?.method || '').toLowerCase();
+  if (!OPERATION_METHODS.includes(method) || !entry.response?.status) {
+    return false; // CORS preflights, blocked or failed requests
+  }
+  if (entry._resourceType) {
+    return API_RESOURCE_TYPES.has(entry._resourceType);
+  }
+  return !NON_API_CONTENT_PATTERN.test(mediaType(entry.response.content?.mimeType));
+}
+
+/**
+ * Parses a JSON body, returning undefined for anything else.
+ *
+ * @param {string} text - Body text
+ * @param {string} type - Media type
+ * @returns {*} Parsed value or undefined
+ */
+function parseJsonBody(text, type) {
+  if (!text || !/[/+]json$/.test(type)) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Reads a response body, decoding base64 content.
+ *
+ * @param {Object} content - HAR response content
+ * @returns {string} Body text
+ */
+function responseText(content) {
+  if (!content?.text) {
+    return '';
+  }
+  return content.encoding === 'base64'
+    ? Buffer.from(content.text, 'base64').toString('utf-8')
+    : content.text;
+}
+
+/**
+ * Infers a JSON Schema from one observed value.
+ *
+ * @param {*} value - Observed JSON value
+ * @returns {Object} Schema
+ */
+function inferSchema(value) {
+  if (value === null) {
+    return { type: 'null' };
+  }
+  if (Array.isArray(value)) {
+    const items = value
+      .map(inferSchema)
+      .reduce((merged, schema) => mergeSchemas(merged, schema), null);
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+  if (typeof value === 'object') {
+    const properties = {};
+    for (const [key, child] of Object.entries(value)) {
+      properties[key] = inferSchema(child);
+    }
+    return { type: 'object', properties, required: Object.keys(properties) };
+  }
+  if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  }
+  if (typeof value === 'string') {
+    const known = STRING_FORMATS.find(({ pattern }) => pattern.test(value));
+    return known ? { type: 'string', format: known.format } : { type: 'string' };
+  }
+  return { type: typeof value };
+}
+
+/**
+ * Checks whether an inferred schema allows a type.
+ *
+ * @param {Object} schema - Schema with a type or type list
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the type is allowed
+ */
+function hasType(schema, type) {
+  return [schema.type].flat().includes(type);
+}
+
+/**
+ * Merges two inferred schemas. Object properties are unioned and only kept
+ * required when every observation had them; differing types become a type
+ * list (OpenAPI 3.1), with integer widened to number.
+ *
+ * @param {Object|null} a - Schema (or null for none yet)
+ * @param {Object|null} b - Schema
+ * @returns {Object|null} Merged schema
+ */
+function mergeSchemas(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+
+  const types = [...new Set([a.type, b.type].flat())];
+  if (types.includes('integer') && types.includes('number')) {
+    types.splice(types.indexOf('integer'), 1);
+  }
+  const merged = { type: types.length === 1 ? types[0] : types };
+
+  // Keep a string format only if every string observation had it
+  const formats = [a, b].filter((schema) => hasType(schema, 'string')).map((s) => s.format);
+  if (formats[0] && formats.every((format) => format === formats[0])) {
+    merged.format = formats[0];
+  }
+  if (types.includes('object')) {
+    const properties = { ...a.properties };
+    for (const [key, schema] of Object.entries(b.properties || {})) {
+      properties[key] = mergeSchemas(properties[key], schema);
+    }
+    merged.properties = properties;
+    if (hasType(a, 'object') && hasType(b, 'object')) {
+      merged.required = (a.required || []).filter((key) => (b.required || []).includes(key));
+    } else {
+      merged.required = (hasType(a, 'object') ? a : b).required || [];
+    }
+  }
+  if (types.includes('array')) {
+    const items = mergeSchemas(a.items || null, b.items || null);
+    if (items) {
+      merged.items = items;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Removes empty `required` lists left over from inference.
+ *
+ * @param {Object} schema - Inferred schema
+ * @returns {Object} The same schema, cleaned in place
+ */
+function tidySchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (Array.isArray(schema.required) && schema.required.length === 0) {
+    delete schema.required;
+  }
+  Object.values(schema.properties || {}).forEach(tidySchema);
+  tidySchema(schema.items);
+  return schema;
+}
+
+/**
+ * Infers a simple schema for query parameter values.
+ *
+ * @param {Array<string>} values - Observed values
+ * @returns {Object} Schema
+ */
+function inferValueSchema(values) {
+  if (values.length > 0 && values.every((value) => /^-?\d+$/.test(value))) {
+    return { type: 'integer' };
+  }
+  if (values.length > 0 && values.every((value) => /^-?\d+(\.\d+)?$/.test(value))) {
+    return { type: 'number' };
+  }
+  if (values.length > 0 && values.every((value) => value === 'true' || value === 'false')) {
+    return { type: 'boolean' };
+  }
+  return { type: 'string' };
+}
+
+/**
+ * Checks whether a path segment is an identifier on its own.
+ *
+ * @param {string} segment - Decoded path segment
+ * @returns {boolean} True for IDs, UUIDs, hashes, dates and distinctive slugs
+ */
+function isIdSegment(segment) {
+  if (ID_SEGMENT_PATTERNS.some((pattern) => pattern.test(segment))) {
+    return true;
+  }
+  return SLUG_PATTERN.test(segment) && (segment.split('-').length >= 3 || /\d/.test(segment));
+}
+
+/**
+ * Turns observed paths into templates. Segments that look like identifiers
+ * become parameters, as do slug segments with several sibling values under
+ * the same parent.
+ *
+ * @param {Array<string>} paths - Observed request paths
+ * @returns {Map<string, Array<string|null>>} Path -> segments, with null for parameters
+ */
+function templatePaths(paths) {
+  const segmented = new Map(
+    paths.map((path) => [
+      path,
+      path
+        .split('/')
+        .filter(Boolean)
+        .map((segment) => {
+          let decoded = segment;
+          try {
+            decoded = decodeURIComponent(segment);
+          } catch {
+            // Keep malformed escapes as they are
+          }
+          return isIdSegment(decoded) ? null : decoded;
+        }),
+    ])
+  );
+
+  // Slugs shared by several requests under the same parent ("/posts/hello-world")
+  const siblings = new Map();
+  for (const segments of segmented.values()) {
+    segments.forEach((segment, index) => {
+      if (segment !== null && SLUG_PATTERN.test(segment)) {
+        const parent = `${index}:${segments.slice(0, index).join('/')}`;
+        siblings.set(parent, (siblings.get(parent) || new Set()).add(segment));
+      }
+    });
+  }
+  for (const segments of segmented.values()) {
+    segments.forEach((segment, index) => {
+      const parent = `${index}:${segments.slice(0, index).join('/')}`;
+      if (segment !== null && siblings.get(parent)?.size >= SLUG_SIBLINGS) {
+        segments[index] = null;
+      }
+    });
+  }
+
+  return segmented;
+}
+
+/**
+ * Names the parameters of a templated path: a lone parameter is `{id}`;
+ * several are named after the segment before them (`/users/{userId}/posts/{postId}`).
+ *
+ * @param {Array<string|null>} segments - Segments with null for parameters
+ * @returns {string} OpenAPI path template
+ */
+function renderTemplate(segments) {
+  const count = segments.filter((segment) => segment === null).length;
+  const used = new Set();
+
+  const rendered = segments.map((segment, index) => {
+    if (segment !== null) {
+      return segment;
+    }
+    let name = 'id';
+    const previous = segments[index - 1];
+    if (count > 1 && previous) {
+      const singular = previous.replace(/ies$/, 'y').replace(/s$/, '');
+      name = `${singular.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))}Id`;
+    }
+    let unique = name;
+    for (let n = 2; used.has(unique); n++) {
+      unique = `${name}${n}`;
+    }
+    used.add(unique);
+    return `{${unique}}`;
+  });
+
+  return `/${rendered.join('/')}`;
+}
+
+/**
+ * Builds an operation from the requests observed for one method and path template.
+ *
+ * @param {Array<Object>} entries - HAR entries
+ * @param {string} template - Path template
+ * @returns {Object} OpenAPI operation
+ */
+function buildOperation(entries, template) {
+  const operation = {};
+  const parameters = [...template.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+
+  // Query parameters: required when every request sent them
+  const queries = new Map();
+  for (const entry of entries) {
+    const seen = new Set();
+    const pairs = entry.request.queryString?.length
+      ? entry.request.queryString.map(({ name, value }) => [name, value])
+      : Array.from(new URL(entry.request.url).searchParams);
+    for (const [name, value] of pairs) {
+      const values = queries.get(name) || [];
+      if (!seen.has(name)) {
+        values.count = (values.count || 0) + 1;
+        seen.add(name);
+      }
+      values.push(decodeQueryValue(value));
+      queries.set(name, values);
+    }
+  }
+  for (const [name, values] of queries) {
+    const parameter = { name, in: 'query', schema: inferValueSchema(values) };
+    if (values.count === entries.length) {
+      parameter.required = true;
+    }
+    if (values[0] !== '') {
+      parameter.example = values[0];
+    }
+    parameters.push(parameter);
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  // Request bodies, merged per media type
+  const bodies = new Map();
+  for (const entry of entries) {
+    const postData = entry.request.postData;
+    const type = mediaType(postData?.mimeType);
+    if (!type) {
+      continue;
+    }
+    const body = bodies.get(type) || { schema: null };
+    const json = parseJsonBody(postData.text, type);
+    if (json !== undefined) {
+      body.schema = mergeSchemas(body.schema, inferSchema(json));
+      body.example = body.example ?? json;
+    } else if (type === 'application/x-www-form-urlencoded' || postData.params?.length) {
+      const fields = postData.params?.length
+        ? postData.params.map(({ name }) => name)
+        : Array.from(new URLSearchParams(postData.text || '').keys());
+      const properties = Object.fromEntries(fields.map((name) => [name, { type: 'string' }]));
+      body.schema = mergeSchemas(body.schema, { type: 'object', properties, required: [] });
+    }
+    bodies.set(type, body);
+  }
+  if (bodies.size > 0) {
+    operation.requestBody = { content: mediaContent(bodies) };
+  }
+
+  // Responses, merged per status code and media type
+  const responses = new Map();
+  for (const entry of entries) {
+    const status = String(entry.response.status);
+    const response = responses.get(status) || {
+      description: entry.response.statusText || 'Observed response',
+      bodies: new Map(),
+    };
+    const type = mediaType(entry.response.content?.mimeType);
+    const text = responseText(entry.response.content);
+    if (type && text) {
+      const body = response.bodies.get(type) || { schema: null };
+      const json = parseJsonBody(text, type);
+      if (json !== undefined) {
+        body.schema = mergeSchemas(body.schema, inferSchema(json));
+        body.example = body.example ?? json;
+      }
+      response.bodies.set(type, body);
+    }
+    responses.set(status, response);
+  }
+  operation.responses = {};
+  for (const [status, { description, bodies: responseBodies }] of [...responses].sort(([a], [b]) =>
+    a.localeCompare(b)
+  )) {
+    operation.responses[status] = { description };
+    if (responseBodies.size > 0) {
+      operation.responses[status].content = mediaContent(responseBodies);
+    }
+  }
+
+  operation['x-observed-requests'] = entries.length;
+  return operation;
+}
+
+/**
+ * Decodes a query string value recorded in a HAR (some tools keep it escaped).
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+function decodeQueryValue(value) {
+  try {
+    return decodeURIComponent(String(value ?? '').replace(/\+/g, ' '));
+  } catch {
+    return String(value ?? '');
+  }
+}
+
+/**
+ * Renders merged bodies as an OpenAPI content map.
+ *
+ * @param {Map<string, {schema: Object|null, example?: *}>} bodies - Media type -> body
+ * @returns {Object} Content map
+ */
+function mediaContent(bodies) {
+  const content = {};
+  for (const [type, { schema, example }] of bodies) {
+    content[type] = {};
+    if (schema) {
+      content[type].schema = tidySchema(schema);
+    }
+    if (example !== undefined) {
+      content[type].example = example;
+    }
+  }
+  return content;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Reads and parses a HAR file.
+ *
+ * @param {string} file - Path to the .har file
+ * @returns {Promise<Object>} Parsed HAR (`{ log: { entries } }`)
+ * @throws {HarParseError} If the file cannot be read or is not a HAR log
+ */
+export async function loadHar(file) {
+  let har;
+  try {
+    har = JSON.parse(await readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new HarParseError(file, error.message, error);
+  }
+  if (!Array.isArray(har?.log?.entries)) {
+    throw new HarParseError(file, 'missing log.entries');
+  }
+  return har;
+}
+
+/**
+ * Reconstructs one OpenAPI 3.1 document per host from the API calls in a HAR log.
+ *
+ * Pages, scripts, styles, images and fonts are skipped, as are CORS preflights
+ * and failed requests. Path segments that look like identifiers (numbers,
+ * UUIDs, hashes, random IDs, dates and slugs) become parameters - `{id}`, or
+ * `{userId}`-style names when a path has several. Query parameters, and JSON
+ * request and response schemas, are inferred from every observed request; the
+ * first observed body is kept as the example. Each document carries an
+ * `x-api-docs-cli` extension with `source: 'har'`.
+ *
+ * @param {Object} har - Parsed HAR from loadHar()
+ * @param {Object} options - Options
+ * @param {Array<string>} [options.hosts] - Only import these hosts
+ * @param {string} [options.source] - HAR file name, recorded in the documents
+ * @returns {Array<{origin: string, spec: Object, requests: number, endpoints: number}>}
+ *   Documents sorted by the number of requests observed, busiest host first
+ *
+ * @example
+ * const har = await loadHar('session.har');
+ * for (const { origin, spec } of synthesizeFromHar(har)) {
+ *   console.log(origin, Object.keys(spec.paths));
+ * }
+ */
+export function synthesizeFromHar(har, options = {}) {
+  const { hosts = [], source = null } = options;
+  const wanted = hosts.map((host) => host.toLowerCase());
+
+  // Group API calls by origin
+  const origins = new Map();
+  for (const entry of har.log.entries) {
+    if (!isApiEntry(entry)) {
+      continue;
+    }
+    let url;
+    try {
+      url = new URL(entry.request.url);
+    } catch {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol)) {
+      continue;
+    }
+    if (wanted.length > 0 && !wanted.includes(url.host) && !wanted.includes(url.hostname)) {
+      continue;
+    }
+    const group = origins.get(url.origin) || [];
+    group.push({ entry, pathname: url.pathname });
+    origins.set(url.origin, group);
+  }
+
+  const documents = [];
+  for (const [origin, calls] of origins) {
+    const templates = templatePaths([...new Set(calls.map((call) => call.pathname))]);
+
+    // Group calls by method and path template
+    const operations = new Map();
+    for (const { entry, pathname } of calls) {
+      const path = renderTemplate(templates.get(pathname));
+      const method = entry.request.method.toLowerCase();
+      const key = `${method} ${path}`;
+      const group = operations.get(key) || { method, path, entries: [] };
+      group.entries.push(entry);
+      operations.set(key, group);
+    }
+
+    const paths = {};
+    const sorted = [...operations.values()].sort(
+      (a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method)
+    );
+    for (const { method, path, entries } of sorted) {
+      paths[path] = paths[path] || {};
+      paths[path][method] = buildOperation(entries, path);
+    }
+
+    const host = new URL(origin).host;
+    documents.push({
+      origin,
+      requests: calls.length,
+      endpoints: operations.size,
+      spec: {
+        openapi: OPENAPI_VERSION,
+        info: {
+          title: host,
+          version: '0.0.0',
+          description: `Reconstructed from ${calls.length} recorded request(s)${source ? ` in ${source}` : ''}`,
+        },
+        servers: [{ url: origin }],
+        paths,
+        [SYNTHESIZED_EXTENSION]: {
+          synthesized: true,
+          source: 'har',
+          harFile: source,
+          requests: calls.length,
+        },
+      },
+    });
+  }
+
+  return documents.sort((a, b) => b.requests - a.requests);
+}
@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadHar, synthesizeFromHar, HarParseError } from './har.js';
+
+/**
+ * Builds a HAR entry with a JSON response (and request body, if given).
+ */
+function entry(method, url, status, body, options = {}) {
+  const { type = 'fetch', mimeType = 'application/json', requestBody } = options;
+  const request = {
+    method,
+    url,
+    headers: [],
+    queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+  };
+  if (requestBody) {
+    request.postData = { mimeType: 'application/json', text: JSON.stringify(requestBody) };
+  }
+  return {
+    _resourceType: type,
+    request,
+    response: {
+      status,
+      headers: [],
+      content: { mimeType, text: body === undefined ? '' : JSON.stringify(body) },
+    },
+  };
+}
+
+const har = {
+  log: {
+    entries: [
+      entry('GET', 'https://app.example.com/', 200, undefined, {
+        type: 'document',
+        mimeType: 'text/html',
+      }),
+      entry('GET', 'https://app.example.com/main.js', 200, undefined, {
+        type: 'script',
+        mimeType: 'application/javascript',
+      }),
+      entry('OPTIONS', 'https://api.example.com/users/42', 204),
+      entry('GET', 'https://api.example.com/users/42', 200, { id: 42, email: 'a@example.com' }),
+      entry('GET', 'https://api.example.com/users/7?expand=teams', 200, {
+        id: 7,
+        email: 'b@example.com',
+        teams: [],
+      }),
+      entry(
+        'POST',
+        'https://api.example.com/users',
+        201,
+        { id: 8 },
+        { requestBody: { name: 'x' } }
+      ),
+      entry('GET', 'https://api.example.com/broken', 0),
+      entry('GET', 'https://cdn.example.net/config.json', 200, { theme: 'dark' }),
+    ],
+  },
+};
+
+describe('loadHar', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-docs-har-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads HAR logs and rejects anything else', async () => {
+    const file = join(dir, 'session.har');
+    await writeFile(file, JSON.stringify(har));
+    assert.equal((await loadHar(file)).log.entries.length, har.log.entries.length);
+
+    const other = join(dir, 'other.har');
+    await writeFile(other, '{"entries": []}');
+    await assert.rejects(loadHar(other), HarParseError);
+    await assert.rejects(loadHar(join(dir, 'missing.har')), HarParseError);
+  });
+});
+
+describe('synthesizeFromHar', () => {
+  const documents = synthesizeFromHar(har, { source: 'session.har' });
+  const [api] = documents;
+
+  it('builds one document per host, busiest first', () => {
+    assert.deepEqual(
+      documents.map((d) => [d.origin, d.requests, d.endpoints]),
+      [
+        ['https://api.example.com', 3, 2],
+        ['https://cdn.example.net', 1, 1],
+      ]
+    );
+    assert.deepEqual(api.spec.servers, [{ url: 'https://api.example.com' }]);
+    assert.equal(api.spec['x-api-docs-cli'].harFile, 'session.har');
+  });
+
+  it('skips pages, assets, preflights and failed requests', () => {
+    assert.deepEqual(Object.keys(api.spec.paths), ['/users', '/users/{id}']);
+    assert.deepEqual(Object.keys(api.spec.paths['/users/{id}']), ['get']);
+  });
+
+  it('templates identifier segments and collects query parameters', () => {
+    const operation = api.spec.paths['/users/{id}'].get;
+    assert.deepEqual(
+      operation.parameters.map((p) => [p.in, p.name, p.required ?? false]),
+      [
+        ['path', 'id', true],
+        ['query', 'expand', false],
+      ]
+    );
+    assert.equal(operation['x-observed-requests'], 2);
+  });
+
+  it('infers schemas from every observed body', () => {
+    const { schema, example } =
+      api.spec.paths['/users/{id}'].get.responses['200'].content['application/json'];
+    // Only fields seen in every response stay required
+    assert.deepEqual(schema.required, ['id', 'email']);
+    assert.deepEqual(schema.properties.email, { type: 'string', format: 'email' });
+    assert.deepEqual(example, { id: 42, email: 'a@example.com' });
+
+    const body = api.spec.paths['/users'].post.requestBody.content['application/json'];
+    assert.deepEqual(body.example, { name: 'x' });
+  });
+
+  it('filters by host', () => {
+    assert.deepEqual(
+      synthesizeFromHar(har, { hosts: ['CDN.example.net'] }).map((d) => d.origin),
+      ['https://cdn.example.net']
+    );
+  });
+});
@@ -0,0 +1,490 @@
+/**
+ * MCP server module for api-docs-cli
+ * Exposes provider lookup, endpoint listing, endpoint/schema details and the
+ * spec cache as Model Context Protocol tools over stdio (JSON-RPC 2.0)
+ */
+
+import { readFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { lookupProvider } from './discovery.js';
+import { listCache, ENTRY_TYPE_SPEC } from './cache.js';
+import { loadSpecSource } from './sources.js';
+import { endpointModelFromSpec, getOperationParameters } from './endpoint-model.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for MCP server errors
+ */
+export class McpServerError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'McpServerError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a tool is called with missing or invalid arguments
+ */
+export class InvalidToolArgumentsError extends McpServerError {
+  constructor(tool, message, cause = null) {
+    super(`Invalid arguments for ${tool}: ${message}`, cause);
+    this.name = 'InvalidToolArgumentsError';
+    this.tool = tool;
+  }
+}
+
+/**
+ * Thrown when a tool cannot find what was asked for (endpoint, schema, ...)
+ */
+export class ToolLookupError extends McpServerError {
+  constructor(message, cause = null) {
+    super(message, cause);
+    this.name = 'ToolLookupError';
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Protocol revisions this server understands, newest first
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_NAME = 'api-docs-cli';
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+/**
+ * JSON-RPC 2.0 error codes
+ */
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+const SOURCE_DESCRIPTION =
+  'Spec location: a cached URL (see listCache), an OpenAPI/Swagger spec URL, or a local file path';
+
+/**
+ * Tool definitions advertised via tools/list
+ */
+const TOOLS = [
+  {
+    name: 'lookupProvider',
+    description:
+      'Find the API documentation URL for a provider name (e.g. "stripe", "n8n"). Registry aliases and catalog matches also return the spec URL; aliases may pin a revision.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Provider name' },
+        forceRefresh: { type: 'boolean', description: 'Bypass the discovery cache' },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'listEndpoints',
+    description: 'List every endpoint (method, path, summary, tags) of an API spec.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', description: SOURCE_DESCRIPTION },
+        revision: {
+          type: 'string',
+          description: 'Cached revision id to read instead of the latest',
+        },
+      },
+      required: ['source'],
+    },
+  },
+  {
+    name: 'getEndpoint',
+    description:
+      'Get parameters, request body and response schemas for one path (optionally one method).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', description: SOURCE_DESCRIPTION },
+        path: {
+          type: 'string',
+          description: 'Endpoint path exactly as in the spec, e.g. /users/{id}',
+        },
+        method: { type: 'string', description: 'HTTP method; omit for all methods of the path' },
+        revision: {
+          type: 'string',
+          description: 'Cached revision id to read instead of the latest',
+        },
+      },
+      required: ['source', 'path'],
+    },
+  },
+  {
+    name: 'getSchema',
+    description: 'Get a named schema from components.schemas (or Swagger 2.0 definitions).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', description: SOURCE_DESCRIPTION },
+        name: { type: 'string', description: 'Schema name, e.g. "Pet"' },
+        revision: {
+          type: 'string',
+          description: 'Cached revision id to read instead of the latest',
+        },
+      },
+      required: ['source', 'name'],
+    },
+  },
+  {
+    name: 'listCache',
+    description: 'List cached API specs with title, version, type and cache timestamps.',
+    inputSchema: { type: 'object', properties: {} },
+  },
+];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Reads the package version for serverInfo.
+ *
+ * @returns {string} Version string
+ */
+function getPackageVersion() {
+  try {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+    return pkg.version;
+  } catch {
+    return '0.0.0';
+  }
+}
+
+/**
+ * Checks that required string arguments are present.
+ *
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Array<string>} names - Required argument names
+ * @throws {InvalidToolArgumentsError} If an argument is missing or not a string
+ */
+function requireStrings(tool, args, names) {
+  for (const name of names) {
+    if (typeof args[name] !== 'string' || args[name].trim() === '') {
+      throw new InvalidToolArgumentsError(tool, `"${name}" must be a non-empty string`);
+    }
+  }
+}
+
+/**
+ * Builds a structured view of a parameter.
+ *
+ * @param {Object} param - OpenAPI 3.x or Swagger 2.0 parameter
+ * @returns {Object} Parameter with name, in, required, description and schema
+ */
+function describeParameter(param) {
+  let schema = param.schema || null;
+  if (!schema && param.type) {
+    // Swagger 2.0 keeps the schema keywords on the parameter itself
+    const { type, format, items, enum: values, default: defaultValue } = param;
+    schema = { type, format, items, enum: values, default: defaultValue };
+  }
+  return {
+    name: param.name,
+    in: param.in,
+    required: Boolean(param.required),
+    description: param.description || null,
+    deprecated: Boolean(param.deprecated),
+    schema,
+  };
+}
+
+/**
+ * Builds a structured view of one operation.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @param {string} path - Endpoint path
+ * @param {string} method - HTTP method (lowercase)
+ * @param {Object} pathItem - Path item
+ * @returns {Object} Operation details
+ */
+function describeOperation(spec, path, method, pathItem) {
+  const operation = pathItem[method];
+  const parameters = getOperationParameters(pathItem, operation);
+
+  let requestBody = null;
+  if (operation.requestBody) {
+    requestBody = {
+      required: Boolean(operation.requestBody.required),
+      description: operation.requestBody.description || null,
+      content: operation.requestBody.content || {},
+    };
+  } else {
+    const bodyParam = parameters.find((p) => p.in === 'body');
+    if (bodyParam) {
+      const mediaType = (operation.consumes || spec.consumes || ['application/json'])[0];
+      requestBody = {
+        required: Boolean(bodyParam.required),
+        description: bodyParam.description || null,
+        content: { [mediaType]: { schema: bodyParam.schema || null } },
+      };
+    }
+  }
+
+  const responses = {};
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    let content = response?.content || null;
+    if (!content && response?.schema) {
+      const mediaType = (operation.produces || spec.produces || ['application/json'])[0];
+      content = { [mediaType]: { schema: response.schema } };
+    }
+    responses[status] = { description: response?.description || null, content };
+  }
+
+  return {
+    method: method.toUpperCase(),
+    path,
+    operationId: operation.operationId || null,
+    summary: operation.summary || null,
+    description: operation.description || null,
+    tags: operation.tags || [],
+    deprecated: Boolean(operation.deprecated),
+    parameters: parameters.filter((p) => p.in !== 'body').map(describeParameter),
+    requestBody,
+    responses,
+    security: operation.security || spec.security || [],
+  };
+}
+
+// ============================================================================
+// Tool Handlers
+// ============================================================================
+
+/**
+ * Tool implementations keyed by tool name. Each returns a JSON-serializable object.
+ */
+const TOOL_HANDLERS = {
+  async lookupProvider(args) {
+    requireStrings('lookupProvider', args, ['name']);
+    const result = await lookupProvider(args.name, { forceRefresh: Boolean(args.forceRefresh) });
+    return {
+      provider: result.provider,
+      docsUrl: result.docsUrl,
+      specUrl: result.specUrl || null,
+      revision: result.revision || null,
+      apiTrackerUrl: result.apiTrackerUrl || null,
+      source: result.source,
+    };
+  },
+
+  async listEndpoints(args) {
+    requireStrings('listEndpoints', args, ['source']);
+    const { spec, metadata } = await loadSpecSource(args.source, { revision: args.revision });
+    return endpointModelFromSpec(spec, { framework: metadata.specType, url: metadata.url });
+  },
+
+  async getEndpoint(args) {
+    requireStrings('getEndpoint', args, ['source', 'path']);
+    const { spec } = await loadSpecSource(args.source, { revision: args.revision });
+
+    const pathItem = spec.paths?.[args.path];
+    if (!pathItem) {
+      throw new ToolLookupError(
+        `Endpoint not found: ${args.path}. Use listEndpoints to see available paths.`
+      );
+    }
+
+    const available = OPERATION_METHODS.filter((m) => pathItem[m]);
+    const methods = args.method ? [args.method.toLowerCase()] : available;
+    if (!available.includes(methods[0])) {
+      throw new ToolLookupError(
+        `Method ${args.method.toUpperCase()} not found for ${args.path}. ` +
+          `Available: ${available.map((m) => m.toUpperCase()).join(', ')}`
+      );
+    }
+
+    return {
+      path: args.path,
+      operations: methods.map((method) => describeOperation(spec, args.path, method, pathItem)),
+    };
+  },
+
+  async getSchema(args) {
+    requireStrings('getSchema', args, ['source', 'name']);
+    const { spec } = await loadSpecSource(args.source, { revision: args.revision });
+
+    const schemas = spec.components?.schemas || spec.definitions || {};
+    if (!schemas[args.name]) {
+      const names = Object.keys(schemas);
+      throw new ToolLookupError(
+        `Schema not found: ${args.name}. Available: ${names.length > 0 ? names.join(', ') : '(none)'}`
+      );
+    }
+    return { name: args.name, schema: schemas[args.name] };
+  },
+
+  async listCache() {
+    const entries = await listCache();
+    return {
+      entries: entries.map((entry) => ({
+        url: entry.url,
+        entryType: entry.entryType || ENTRY_TYPE_SPEC,
+        title: entry.specInfo?.title || null,
+        version: entry.specInfo?.version || null,
+        type: entry.specInfo?.type || null,
+        cachedAt: entry.cachedAt,
+        expiresAt: entry.expiresAt,
+        isExpired: entry.isExpired,
+        revisions: entry.revisions?.length || 1,
+      })),
+    };
+  },
+};
+
+/**
+ * Runs a tool and wraps its result (or failure) as an MCP tool result.
+ *
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} CallToolResult with text and structured content
+ */
+async function callTool(name, args) {
+  try {
+    const result = await TOOL_HANDLERS[name](args || {});
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result,
+      isError: false,
+    };
+  } catch (error) {
+    // Tool failures are reported to the model, not as protocol errors
+    return {
+      content: [{ type: 'text', text: `${error.name || 'Error'}: ${error.message}` }],
+      isError: true,
+    };
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Handles one JSON-RPC message and returns the response to send.
+ *
+ * @param {Object} message - Parsed JSON-RPC request or notification
+ * @returns {Promise<Object|null>} JSON-RPC response, or null for notifications
+ *
+ * @example
+ * await handleMcpMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+ * // { jsonrpc: '2.0', id: 1, result: { tools: [...] } }
+ */
+export async function handleMcpMessage(message) {
+  if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || !message.method) {
+    return {
+      jsonrpc: '2.0',
+      id: message?.id ?? null,
+      error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC request' },
+    };
+  }
+
+  const { id, method, params = {} } = message;
+  const isNotification = id === undefined;
+  const reply = (result) => (isNotification ? null : { jsonrpc: '2.0', id, result });
+  const fail = (code, text) =>
+    isNotification ? null : { jsonrpc: '2.0', id, error: { code, message: text } };
+
+  switch (method) {
+    case 'initialize': {
+      const requested = params.protocolVersion;
+      return reply({
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+          ? requested
+          : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: SERVER_NAME, version: getPackageVersion() },
+      });
+    }
+    case 'notifications/initialized':
+    case 'notifications/cancelled':
+      return null;
+    case 'ping':
+      return reply({});
+    case 'tools/list':
+      return reply({ tools: TOOLS });
+    case 'tools/call': {
+      if (!TOOL_HANDLERS[params.name]) {
+        return fail(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+      return reply(await callTool(params.name, params.arguments));
+    }
+    default:
+      return fail(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+/**
+ * Runs the MCP server over newline-delimited JSON-RPC on the given streams.
+ * Resolves when the input stream ends. Nothing but protocol messages is
+ * written to `output`, so diagnostics must go to stderr.
+ *
+ * @param {Object} [options] - Server options
+ * @param {import('node:stream').Readable} [options.input=process.stdin] - Incoming messages
+ * @param {import('node:stream').Writable} [options.output=process.stdout] - Outgoing messages
+ * @returns {Promise<void>}
+ *
+ * @example
+ * // api-docs mcp
+ * await startMcpServer();
+ */
+export async function startMcpServer(options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const send = (response) => output.write(`${JSON.stringify(response)}\n`);
+  const pending = new Set();
+
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JSON_RPC_ERRORS.PARSE_ERROR, message: 'Parse error' },
+      });
+      continue;
+    }
+
+    // Handle requests concurrently so a slow lookup does not block pings
+    const task = handleMcpMessage(message)
+      .then((response) => {
+        if (response) {
+          send(response);
+        }
+      })
+      .catch((error) => {
+        send({
+          jsonrpc: '2.0',
+          id: message?.id ?? null,
+          error: { code: JSON_RPC_ERRORS.INTERNAL_ERROR, message: error.message },
+        });
+      })
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  }
+
+  await Promise.all(pending);
+}
@@ -0,0 +1,557 @@
+/**
+ * Mock server module for api-docs-cli
+ * Serves example responses for a cached OpenAPI/Swagger spec over local HTTP
+ */
+
+import { createServer } from 'node:http';
+import { getOperationParameters } from './endpoint-model.js';
+import { extractBaseUrl } from './formatter.js';
+import { getMediaExample, synthesizeExample } from './examples.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for mock server errors
+ */
+export class MockServerError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'MockServerError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when the requested port is already taken
+ */
+export class PortInUseError extends MockServerError {
+  constructor(port, cause = null) {
+    super(`Port ${port} is already in use`, cause);
+    this.name = 'PortInUseError';
+    this.port = port;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Request header used to pick a response status code (e.g. "X-Mock-Status: 404").
+ * "Prefer: code=404" is accepted as well, matching other mock servers.
+ */
+export const MOCK_STATUS_HEADER = 'x-mock-status';
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+};
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+/**
+ * Escapes a string for use in a regular expression.
+ *
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles spec path templates into matchable routes.
+ * Routes with fewer template parameters are tried first, so literal
+ * paths like /pets/mine win over /pets/{petId}.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @returns {Array<Object>} Routes with path, regex, paramNames and pathItem
+ */
+function compileRoutes(spec) {
+  const routes = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') {
+      continue;
+    }
+
+    const paramNames = [];
+    const pattern = path
+      .split(/(\{[^}]+\})/)
+      .map((part) => {
+        const match = part.match(/^\{([^}]+)\}$/);
+        if (match) {
+          paramNames.push(match[1]);
+          return '([^/]+)';
+        }
+        return escapeRegExp(part);
+      })
+      .join('');
+
+    routes.push({
+      path,
+      regex: new RegExp(`^${pattern}/?$`),
+      paramNames,
+      pathItem,
+    });
+  }
+
+  return routes.sort((a, b) => a.paramNames.length - b.paramNames.length);
+}
+
+/**
+ * Gets the path prefix from the spec's base URL (e.g. "/v1").
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @returns {string} Path prefix without trailing slash ('' if none)
+ */
+function getBasePath(spec) {
+  const baseUrl = extractBaseUrl(spec);
+  if (!baseUrl) {
+    return '';
+  }
+  try {
+    return new URL(baseUrl, 'http://localhost').pathname.replace(/\/+$/, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Parses a request target. Targets such as "//" read as a URL with an empty
+ * host and do not parse.
+ *
+ * @param {string} target - Request target from the request line
+ * @returns {URL|null} Parsed URL or null if the target is not valid
+ */
+function parseRequestTarget(target) {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the route matching a request path, with or without the base path prefix.
+ *
+ * @param {Array<Object>} routes - Compiled routes
+ * @param {string} pathname - Request path
+ * @param {string} basePath - Spec base path
+ * @returns {{route: Object, params: Object, malformed: Array<string>}|null} Match
+ *   (malformed lists path parameters with invalid percent-encoding, kept raw) or null
+ */
+function matchRoute(routes, pathname, basePath) {
+  const candidates = [pathname];
+  if (basePath && pathname.startsWith(basePath)) {
+    candidates.unshift(pathname.slice(basePath.length) || '/');
+  }
+
+  for (const candidate of candidates) {
+    for (const route of routes) {
+      const match = candidate.match(route.regex);
+      if (match) {
+        const params = {};
+        const malformed = [];
+        route.paramNames.forEach((name, index) => {
+          try {
+            params[name] = decodeURIComponent(match[index + 1]);
+          } catch {
+            // URIError, e.g. "%E0"
+            params[name] = match[index + 1];
+            malformed.push(name);
+          }
+        });
+        return { route, params, malformed };
+      }
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Checks a raw string value against a simple parameter schema.
+ *
+ * @param {string} value - Raw value from the request
+ * @param {Object} schema - Parameter schema (or Swagger 2.0 parameter)
+ * @returns {string|null} Problem description or null if valid
+ */
+function checkValue(value, schema) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type;
+
+  if (type === 'integer' && !/^-?\d+$/.test(value)) {
+    return 'must be an integer';
+  }
+  if (type === 'number' && (value.trim() === '' || Number.isNaN(Number(value)))) {
+    return 'must be a number';
+  }
+  if (type === 'boolean' && !['true', 'false'].includes(value)) {
+    return 'must be true or false';
+  }
+  if ((type === 'integer' || type === 'number') && value.trim() !== '') {
+    const number = Number(value);
+    if (typeof schema.minimum === 'number' && number < schema.minimum) {
+      return `must be >= ${schema.minimum}`;
+    }
+    if (typeof schema.maximum === 'number' && number > schema.maximum) {
+      return `must be <= ${schema.maximum}`;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.map(String).includes(value)) {
+    return `must be one of: ${schema.enum.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validates a request against the operation's parameters and request body.
+ *
+ * @param {Object} request - Parsed request (pathParams, query, headers, rawBody, bodyError)
+ * @param {Array<Object>} parameters - Effective operation parameters
+ * @param {Object} operation - Operation object
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRequest(request, parameters, operation) {
+  const errors = [];
+
+  for (const param of parameters) {
+    let value;
+    if (param.in === 'path') {
+      value = request.pathParams[param.name];
+    } else if (param.in === 'query') {
+      value = request.query.get(param.name) ?? undefined;
+    } else if (param.in === 'header') {
+      value = request.headers[param.name.toLowerCase()];
+    } else {
+      continue;
+    }
+
+    if (value === undefined) {
+      if (param.required) {
+        errors.push(`Missing required ${param.in} parameter "${param.name}"`);
+      }
+      continue;
+    }
+
+    const problem = checkValue(String(value), param.schema || param);
+    if (problem) {
+      errors.push(`${param.in} parameter "${param.name}" ${problem}`);
+    }
+  }
+
+  const bodyParam = parameters.find((p) => p.in === 'body');
+  const bodyRequired = operation.requestBody?.required || bodyParam?.required;
+  if (bodyRequired && !request.rawBody) {
+    errors.push('Missing required request body');
+  }
+  if (request.bodyError) {
+    errors.push(`Request body is not valid JSON: ${request.bodyError}`);
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Responses
+// ============================================================================
+
+/**
+ * Selects the response status code for an operation.
+ *
+ * @param {Object} responses - Operation responses
+ * @param {string|undefined} requested - Status requested via header
+ * @returns {{code: string, status: number}|null} Response key and numeric status
+ */
+function selectStatus(responses, requested) {
+  const codes = Object.keys(responses || {});
+
+  if (requested) {
+    if (codes.includes(requested)) {
+      return { code: requested, status: Number(requested) };
+    }
+    const range = `${requested[0]}XX`;
+    const rangeCode = codes.find((c) => c.toUpperCase() === range);
+    if (rangeCode) {
+      return { code: rangeCode, status: Number(requested) };
+    }
+    if (codes.includes('default')) {
+      return { code: 'default', status: Number(requested) };
+    }
+    return null;
+  }
+
+  const success = codes.filter((c) => /^2\d\d$/.test(c)).sort()[0];
+  if (success) {
+    return { code: success, status: Number(success) };
+  }
+  if (codes.some((c) => c.toUpperCase() === '2XX')) {
+    return { code: codes.find((c) => c.toUpperCase() === '2XX'), status: 200 };
+  }
+  if (codes.includes('default')) {
+    return { code: 'default', status: 200 };
+  }
+  const first = codes[0];
+  return first ? { code: first, status: Number(first) || 200 } : { code: null, status: 204 };
+}
+
+/**
+ * Builds the example body for a response object.
+ *
+ * @param {Object} response - Response object (OpenAPI 3.x or Swagger 2.0)
+ * @param {string} accept - Request Accept header
+ * @returns {{contentType: string, body: *}|null} Example or null for an empty body
+ */
+function buildResponseExample(response, accept = '') {
+  if (!response || typeof response !== 'object') {
+    return null;
+  }
+
+  // OpenAPI 3.x content map
+  if (response.content && Object.keys(response.content).length > 0) {
+    const mediaTypes = Object.keys(response.content);
+    const contentType =
+      mediaTypes.find((t) => accept.includes(t)) ||
+      mediaTypes.find((t) => t.includes('json')) ||
+      mediaTypes[0];
+    const body = getMediaExample(response.content[contentType], { direction: 'response' });
+    return body === undefined ? null : { contentType, body };
+  }
+
+  // Swagger 2.0 examples map / schema
+  if (response.examples && Object.keys(response.examples).length > 0) {
+    const contentType =
+      Object.keys(response.examples).find((t) => t.includes('json')) ||
+      Object.keys(response.examples)[0];
+    return { contentType, body: response.examples[contentType] };
+  }
+  if (response.schema) {
+    return {
+      contentType: 'application/json',
+      body: synthesizeExample(response.schema, { direction: 'response' }),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reads a request body as text.
+ *
+ * @param {import('node:http').IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON (or text) response.
+ *
+ * @param {import('node:http').ServerResponse} res - Server response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body value (null for empty)
+ * @param {string} [contentType='application/json'] - Content type
+ */
+function send(res, status, body, contentType = 'application/json') {
+  const headers = { ...CORS_HEADERS };
+  let payload = '';
+
+  if (body !== null && body !== undefined && status !== 204) {
+    payload =
+      typeof body === 'string' && !contentType.includes('json')
+        ? body
+        : JSON.stringify(body, null, 2);
+    headers['Content-Type'] = contentType;
+  }
+
+  res.writeHead(status, headers);
+  res.end(payload);
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Creates (but does not start) an HTTP server that mocks a spec.
+ *
+ * Requests are routed by matching the spec's path templates (with or without
+ * the server base path) and methods. Responses use explicit examples first,
+ * then values synthesized from the response schema. Send "X-Mock-Status: 404"
+ * or "Prefer: code=404" to choose another documented status code.
+ *
+ * @param {Object} spec - Dereferenced OpenAPI/Swagger spec
+ * @param {Object} options - Server options
+ * @param {boolean} [options.validate=true] - Validate parameters and bodies (400 on failure)
+ * @param {Function} [options.onRequest] - Called with { method, path, status, route } per request
+ * @returns {import('node:http').Server} Unstarted HTTP server
+ */
+export function createMockServer(spec, options = {}) {
+  const { validate = true, onRequest } = options;
+  const routes = compileRoutes(spec);
+  const basePath = getBasePath(spec);
+
+  return createServer(async (req, res) => {
+    const method = req.method.toLowerCase();
+    let url = null;
+    let status = 500;
+    let routePath = null;
+
+    try {
+      url = parseRequestTarget(req.url);
+      if (!url) {
+        status = 400;
+        send(res, status, { error: 'Invalid request target', target: req.url });
+        return;
+      }
+
+      if (method === 'options' && req.headers['access-control-request-method']) {
+        status = 204;
+        send(res, status, null);
+        return;
+      }
+
+      const match = matchRoute(routes, url.pathname, basePath);
+      if (!match) {
+        status = 404;
+        send(res, status, { error: 'No matching route', path: url.pathname });
+        return;
+      }
+
+      routePath = match.route.path;
+      if (match.malformed.length > 0) {
+        status = 400;
+        send(res, status, {
+          error: 'Request validation failed',
+          details: match.malformed.map(
+            (name) => `path parameter "${name}" is not valid percent-encoding`
+          ),
+        });
+        return;
+      }
+
+      const operation = match.route.pathItem[method];
+      if (!operation || typeof operation !== 'object') {
+        status = 405;
+        const allowed = OPERATION_METHODS.filter((m) => match.route.pathItem[m]);
+        send(res, status, {
+          error: 'Method not allowed',
+          allowed: allowed.map((m) => m.toUpperCase()),
+        });
+        return;
+      }
+
+      const rawBody = await readBody(req);
+      let bodyError = null;
+      const contentType = req.headers['content-type'] || '';
+      if (rawBody && contentType.includes('json')) {
+        try {
+          JSON.parse(rawBody);
+        } catch (error) {
+          bodyError = error.message;
+        }
+      }
+
+      if (validate) {
+        const parameters = getOperationParameters(match.route.pathItem, operation);
+        const errors = validateRequest(
+          {
+            pathParams: match.params,
+            query: url.searchParams,
+            headers: req.headers,
+            rawBody,
+            bodyError,
+          },
+          parameters,
+          operation
+        );
+        if (errors.length > 0) {
+          status = 400;
+          send(res, status, { error: 'Request validation failed', details: errors });
+          return;
+        }
+      }
+
+      const preferMatch = String(req.headers.prefer || '').match(/code=(\d{3})/);
+      const requested = req.headers[MOCK_STATUS_HEADER] || preferMatch?.[1];
+      const selected = selectStatus(operation.responses, requested);
+      if (!selected) {
+        status = 500;
+        send(res, status, {
+          error: `Status ${requested} is not documented for this operation`,
+          documented: Object.keys(operation.responses || {}),
+        });
+        return;
+      }
+
+      status = selected.status;
+      const example = selected.code
+        ? buildResponseExample(operation.responses[selected.code], req.headers.accept)
+        : null;
+      send(res, status, example ? example.body : null, example?.contentType);
+    } catch (error) {
+      status = 500;
+      send(res, status, { error: 'Mock server error', message: error.message });
+    } finally {
+      if (onRequest) {
+        onRequest({ method: req.method, path: url?.pathname ?? req.url, status, route: routePath });
+      }
+    }
+  });
+}
+
+/**
+ * Starts a mock server for a spec.
+ *
+ * @param {Object} spec - Dereferenced OpenAPI/Swagger spec
+ * @param {Object} options - Server options (see createMockServer)
+ * @param {number} [options.port=4010] - Port to listen on
+ * @param {string} [options.host='127.0.0.1'] - Host to bind to
+ * @returns {Promise<{server: import('node:http').Server, url: string}>} Running server
+ * @throws {PortInUseError} If the port is taken
+ * @throws {MockServerError} If the server fails to start
+ *
+ * @example
+ * const { url } = await startMockServer(spec, { port: 4010 });
+ * console.log(`Mock server listening on ${url}`);
+ */
+export async function startMockServer(spec, options = {}) {
+  const { port = DEFAULT_PORT, host = DEFAULT_HOST } = options;
+  const server = createMockServer(spec, options);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        reject(new PortInUseError(port, error));
+      } else {
+        reject(new MockServerError(`Failed to start mock server: ${error.message}`, error));
+      }
+    });
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return { server, url: `http://${host}:${address.port}` };
+}
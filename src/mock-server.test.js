@@ -0,0 +1,173 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, MOCK_STATUS_HEADER } from './mock-server.js';
+
+const spec = {
+  openapi: '3.0.3',
+  servers: [{ url: 'https://api.example.com/v1' }],
+  paths: {
+    '/pets': {
+      get: {
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+        ],
+        responses: {
+          200: {
+            content: {
+              'application/json': { example: [{ id: 1, name: 'Rex' }] },
+            },
+          },
+        },
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object' } } },
+        },
+        responses: { 201: { content: { 'application/json': { example: { id: 2 } } } } },
+      },
+    },
+    '/pets/mine': {
+      get: { responses: { 200: { content: { 'application/json': { example: { mine: true } } } } } },
+    },
+    '/pets/{petId}': {
+      get: {
+        parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: {
+          200: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: { id: { type: 'integer', example: 7 } },
+                },
+              },
+            },
+          },
+          404: { content: { 'application/json': { example: { error: 'not found' } } } },
+        },
+      },
+    },
+    '/files/{name}': {
+      get: {
+        parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { 204: { description: 'exists' } },
+      },
+    },
+  },
+};
+
+describe('mock server', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    ({ server, url: baseUrl } = await startMockServer(spec, {
+      port: 0,
+      onRequest: (entry) => requests.push(entry),
+    }));
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  /**
+   * Sends a request to the mock server and parses the JSON body.
+   */
+  async function request(path, init = {}) {
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  it('serves examples with and without the base path', async () => {
+    assert.deepEqual(await request('/pets'), { status: 200, body: [{ id: 1, name: 'Rex' }] });
+    assert.deepEqual(await request('/v1/pets'), { status: 200, body: [{ id: 1, name: 'Rex' }] });
+  });
+
+  it('prefers literal paths over templates', async () => {
+    assert.deepEqual(await request('/pets/mine'), { status: 200, body: { mine: true } });
+  });
+
+  it('synthesizes bodies from schemas', async () => {
+    assert.deepEqual(await request('/pets/3'), { status: 200, body: { id: 7 } });
+  });
+
+  it('returns a requested status', async () => {
+    const result = await request('/pets/3', { headers: { [MOCK_STATUS_HEADER]: '404' } });
+    assert.deepEqual(result, { status: 404, body: { error: 'not found' } });
+
+    const undocumented = await request('/pets/3', { headers: { Prefer: 'code=418' } });
+    assert.equal(undocumented.status, 500);
+    assert.deepEqual(undocumented.body.documented, ['200', '404']);
+  });
+
+  it('answers unknown routes and methods', async () => {
+    assert.equal((await request('/owners')).status, 404);
+    const result = await request('/pets/3', { method: 'DELETE' });
+    assert.deepEqual(result, {
+      status: 405,
+      body: { error: 'Method not allowed', allowed: ['GET'] },
+    });
+  });
+
+  it('validates parameters and bodies', async () => {
+    const badPath = await request('/pets/abc');
+    assert.equal(badPath.status, 400);
+    assert.deepEqual(badPath.body.details, ['path parameter "petId" must be an integer']);
+
+    const badQuery = await request('/pets?limit=500');
+    assert.deepEqual(badQuery.body.details, ['query parameter "limit" must be <= 100']);
+
+    const missingBody = await request('/pets', { method: 'POST' });
+    assert.deepEqual(missingBody.body.details, ['Missing required request body']);
+
+    const badJson = await request('/pets', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{oops',
+    });
+    assert.equal(badJson.status, 400);
+    assert.match(badJson.body.details[0], /^Request body is not valid JSON/);
+
+    const created = await request('/pets', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"name":"Rex"}',
+    });
+    assert.deepEqual(created, { status: 201, body: { id: 2 } });
+  });
+
+  it('decodes path parameters', async () => {
+    assert.equal((await request('/files/a%20b.txt')).status, 204);
+  });
+
+  it('rejects malformed percent-encoding with 400', async () => {
+    const result = await request('/files/%E0');
+    assert.deepEqual(result, {
+      status: 400,
+      body: {
+        error: 'Request validation failed',
+        details: ['path parameter "name" is not valid percent-encoding'],
+      },
+    });
+    assert.deepEqual(requests.at(-1), {
+      method: 'GET',
+      path: '/files/%E0',
+      status: 400,
+      route: '/files/{name}',
+    });
+  });
+
+  it('rejects request targets that do not parse with 400', async () => {
+    const result = await request('//');
+    assert.deepEqual(result, {
+      status: 400,
+      body: { error: 'Invalid request target', target: '//' },
+    });
+    // The server keeps answering
+    assert.equal((await request('/pets')).status, 200);
+  });
+});
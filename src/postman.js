@@ -0,0 +1,506 @@
+/**
+ * Postman module for api-docs-cli
+ * Converts Postman Collection v2.0/v2.1 documents to OpenAPI 3.1 so they can
+ * be cached, listed and used like any other spec
+ */
+
+import { URLSearchParams } from 'node:url';
+import { SYNTHESIZED_EXTENSION } from './synthesize.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const OPENAPI_VERSION = '3.1.0';
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+/**
+ * Schema URLs of the collection formats this module reads
+ */
+const COLLECTION_SCHEMA_PATTERN = /schema\.getpostman\.com\/json\/collection\/v2\.[01]\.0/;
+
+/**
+ * Headers that OpenAPI describes elsewhere (content types, security schemes)
+ */
+const IGNORED_HEADERS = new Set(['accept', 'content-type', 'authorization']);
+
+/**
+ * Content types for non-raw request bodies
+ */
+const BODY_MODE_CONTENT_TYPES = {
+  urlencoded: 'application/x-www-form-urlencoded',
+  formdata: 'multipart/form-data',
+  graphql: 'application/json',
+};
+
+/**
+ * Tag path separator for nested folders
+ */
+const FOLDER_SEPARATOR = ' / ';
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Unwraps the Postman API's `{ collection: {...} }` envelope.
+ *
+ * @param {Object} document - Parsed JSON
+ * @returns {Object} Collection object
+ */
+function unwrap(document) {
+  return document?.collection?.info ? document.collection : document;
+}
+
+/**
+ * Reads a Postman description, which may be a string or `{ content }`.
+ *
+ * @param {string|Object} description - Description field
+ * @returns {string|null} Description text
+ */
+function descriptionText(description) {
+  const text = typeof description === 'string' ? description : description?.content;
+  return text && text.trim() ? text.trim() : null;
+}
+
+/**
+ * Replaces `{{name}}` placeholders with collection variable values. Unknown
+ * variables are left in place.
+ *
+ * @param {string} text - Text with placeholders
+ * @param {Map<string, string>} variables - Collection variables
+ * @returns {string} Resolved text
+ */
+function resolveVariables(text, variables) {
+  return String(text).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, name) =>
+    variables.has(name) ? variables.get(name) : match
+  );
+}
+
+/**
+ * Rebuilds the raw URL of a request. v2.0 allows plain strings; v2.1 URL
+ * objects carry `raw` plus host/path arrays.
+ *
+ * @param {string|Object} url - Request URL
+ * @returns {string} Raw URL without query string or fragment
+ */
+function rawUrl(url) {
+  if (!url) {
+    return '';
+  }
+  if (typeof url === 'string') {
+    return url.split(/[?#]/)[0];
+  }
+  if (url.raw) {
+    return url.raw.split(/[?#]/)[0];
+  }
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+  const path = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+  const protocol = url.protocol ? `${url.protocol}://` : '';
+  return `${protocol}${host}${path ? `/${path.replace(/^\//, '')}` : ''}`;
+}
+
+/**
+ * Reads a request's query parameters. v2.1 URL objects list them in `query`;
+ * plain string URLs (v2.0) only have them in the query string.
+ *
+ * @param {string|Object} url - Request URL
+ * @returns {Array<Object>} Query parameters ({ key, value, description, disabled })
+ */
+function queryParameters(url) {
+  if (url && typeof url === 'object' && Array.isArray(url.query)) {
+    return url.query;
+  }
+  const raw = typeof url === 'string' ? url : url?.raw || '';
+  const query = raw.split('#')[0].split('?')[1];
+  if (!query) {
+    return [];
+  }
+  return Array.from(new URLSearchParams(query), ([key, value]) => ({ key, value }));
+}
+
+/**
+ * Splits a request URL into a server URL and an OpenAPI path template.
+ *
+ * A leading `{{variable}}` (the usual `{{baseUrl}}`) becomes the server, so
+ * any path it contains stays out of the endpoint paths. Otherwise the URL's
+ * origin is the server. Postman `:name` and leftover `{{name}}` segments
+ * become `{name}` path parameters.
+ *
+ * @param {string} raw - Raw request URL
+ * @param {Map<string, string>} variables - Collection variables
+ * @returns {{server: string|null, path: string}} Server URL and path template
+ */
+function splitUrl(raw, variables) {
+  let server = null;
+  let rest = raw.trim();
+
+  const leading = rest.match(/^\{\{\s*([^}]+?)\s*\}\}/);
+  if (leading) {
+    server = variables.has(leading[1])
+      ? variables.get(leading[1]).replace(/\/+$/, '')
+      : `{${leading[1]}}`;
+    rest = rest.slice(leading[0].length);
+  } else {
+    rest = resolveVariables(rest, variables);
+    const origin = rest.match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?[^/]+/i);
+    if (origin && /[.:]|^localhost/.test(origin[0]) && !origin[0].startsWith('{{')) {
+      server = /:\/\//.test(origin[0]) ? origin[0] : `https://${origin[0]}`;
+      rest = rest.slice(origin[0].length);
+    }
+  }
+
+  let path = resolveVariables(rest, variables)
+    .replace(/\{\{\s*([^}]+?)\s*\}\}/g, '{$1}')
+    .replace(/(^|\/):([A-Za-z_][\w-]*)/g, '$1{$2}');
+  if (!path.startsWith('/')) {
+    path = `/${path}`;
+  }
+  path = path.length > 1 ? path.replace(/\/+$/, '') : path;
+
+  return { server, path };
+}
+
+/**
+ * Walks a collection's folders, yielding each request with its folder names.
+ *
+ * @param {Array<Object>} items - Collection or folder items
+ * @param {Array<string>} [folders=[]] - Enclosing folder names
+ * @param {Array<Object>} [found=[]] - Accumulator
+ * @returns {Array<{item: Object, folders: Array<string>}>} Requests in collection order
+ */
+function collectRequests(items, folders = [], found = []) {
+  for (const item of items || []) {
+    if (Array.isArray(item?.item)) {
+      collectRequests(item.item, [...folders, item.name || 'Folder'], found);
+    } else if (item?.request) {
+      found.push({ item, folders });
+    }
+  }
+  return found;
+}
+
+/**
+ * Collects folder descriptions for the top-level tag list.
+ *
+ * @param {Array<Object>} items - Collection or folder items
+ * @param {Array<string>} [folders=[]] - Enclosing folder names
+ * @param {Map<string, string|null>} [tags=new Map()] - Accumulator (tag -> description)
+ * @returns {Map<string, string|null>} Tags in collection order
+ */
+function collectTags(items, folders = [], tags = new Map()) {
+  for (const item of items || []) {
+    if (Array.isArray(item?.item)) {
+      const path = [...folders, item.name || 'Folder'];
+      tags.set(path.join(FOLDER_SEPARATOR), descriptionText(item.description));
+      collectTags(item.item, path, tags);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Finds a header's value in a Postman header list.
+ *
+ * @param {Array<Object>|string} headers - Header list
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string|null} Header value
+ */
+function headerValue(headers, name) {
+  if (!Array.isArray(headers)) {
+    return null;
+  }
+  const header = headers.find((h) => h?.key?.toLowerCase() === name && !h.disabled);
+  return header?.value || null;
+}
+
+/**
+ * Parses an example body as JSON when the content type allows, else keeps the text.
+ *
+ * @param {string} body - Example body
+ * @param {string} contentType - Media type
+ * @returns {*} Example value
+ */
+function exampleValue(body, contentType) {
+  if (/json/i.test(contentType)) {
+    try {
+      return JSON.parse(body);
+    } catch {
+      // Postman bodies often contain {{variables}} or comments - keep the text
+    }
+  }
+  return body;
+}
+
+/**
+ * Builds an OpenAPI parameter list from a request's URL and headers.
+ *
+ * @param {string} path - Path template
+ * @param {Object} request - Postman request
+ * @param {Map<string, string>} variables - Collection variables
+ * @returns {Array<Object>} Parameters
+ */
+function buildParameters(path, request, variables) {
+  const url = typeof request.url === 'object' ? request.url : {};
+  const parameters = [];
+
+  const pathVariables = new Map((url.variable || []).map((v) => [v.key, v]));
+  for (const [, name] of path.matchAll(/\{([^}]+)\}/g)) {
+    const variable = pathVariables.get(name);
+    const parameter = { name, in: 'path', required: true, schema: { type: 'string' } };
+    if (descriptionText(variable?.description)) {
+      parameter.description = descriptionText(variable.description);
+    }
+    if (variable?.value) {
+      parameter.example = resolveVariables(variable.value, variables);
+    }
+    parameters.push(parameter);
+  }
+
+  for (const query of queryParameters(request.url)) {
+    if (!query?.key || query.disabled) {
+      continue;
+    }
+    const parameter = { name: query.key, in: 'query', schema: { type: 'string' } };
+    if (descriptionText(query.description)) {
+      parameter.description = descriptionText(query.description);
+    }
+    if (query.value) {
+      parameter.example = resolveVariables(query.value, variables);
+    }
+    parameters.push(parameter);
+  }
+
+  for (const header of Array.isArray(request.header) ? request.header : []) {
+    if (!header?.key || header.disabled || IGNORED_HEADERS.has(header.key.toLowerCase())) {
+      continue;
+    }
+    const parameter = { name: header.key, in: 'header', schema: { type: 'string' } };
+    if (descriptionText(header.description)) {
+      parameter.description = descriptionText(header.description);
+    }
+    if (header.value) {
+      parameter.example = resolveVariables(header.value, variables);
+    }
+    parameters.push(parameter);
+  }
+
+  return parameters;
+}
+
+/**
+ * Builds an OpenAPI request body from a Postman request body.
+ *
+ * @param {Object} request - Postman request
+ * @returns {Object|null} Request body or null if the request has none
+ */
+function buildRequestBody(request) {
+  const body = request.body;
+  if (!body?.mode || body.disabled) {
+    return null;
+  }
+
+  if (body.mode === 'raw') {
+    if (!body.raw) {
+      return null;
+    }
+    const language = body.options?.raw?.language;
+    const contentType =
+      headerValue(request.header, 'content-type') ||
+      (language === 'json' ? 'application/json' : language === 'xml' ? 'application/xml' : null) ||
+      'text/plain';
+    return { content: { [contentType]: { example: exampleValue(body.raw, contentType) } } };
+  }
+
+  if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+    const fields = (body[body.mode] || []).filter((field) => field?.key && !field.disabled);
+    const properties = {};
+    for (const field of fields) {
+      properties[field.key] =
+        field.type === 'file' ? { type: 'string', format: 'binary' } : { type: 'string' };
+      if (descriptionText(field.description)) {
+        properties[field.key].description = descriptionText(field.description);
+      }
+    }
+    return {
+      content: { [BODY_MODE_CONTENT_TYPES[body.mode]]: { schema: { type: 'object', properties } } },
+    };
+  }
+
+  if (body.mode === 'graphql' && body.graphql) {
+    return { content: { [BODY_MODE_CONTENT_TYPES.graphql]: { example: body.graphql } } };
+  }
+
+  return null;
+}
+
+/**
+ * Builds OpenAPI responses from a request's saved example responses.
+ *
+ * @param {Array<Object>} examples - Postman example responses
+ * @returns {Object} Responses object
+ */
+function buildResponses(examples) {
+  const responses = {};
+
+  for (const example of examples || []) {
+    const code = String(example?.code || 'default');
+    const response = (responses[code] = responses[code] || {
+      description: example.status || example.name || 'Example response',
+    });
+
+    if (example.body) {
+      const contentType =
+        headerValue(example.header, 'content-type')?.split(';')[0] ||
+        (example._postman_previewlanguage === 'json' ? 'application/json' : 'text/plain');
+      response.content = response.content || {};
+      const media = (response.content[contentType] = response.content[contentType] || {
+        examples: {},
+      });
+      const name = example.name || `example${Object.keys(media.examples).length + 1}`;
+      media.examples[name] = { value: exampleValue(example.body, contentType) };
+    }
+  }
+
+  if (Object.keys(responses).length === 0) {
+    responses.default = { description: 'No example response in the collection' };
+  }
+
+  return responses;
+}
+
+/**
+ * Reads the collection version, which v2.1 allows as a string or
+ * `{ major, minor, patch }`.
+ *
+ * @param {Object} info - Collection info
+ * @returns {string} Version string
+ */
+function collectionVersion(info) {
+  const version = info?.version;
+  if (version && typeof version === 'object') {
+    return [version.major ?? 0, version.minor ?? 0, version.patch ?? 0].join('.');
+  }
+  return version ? String(version) : '1.0.0';
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Checks whether a parsed document is a Postman Collection v2.0/v2.1 (or the
+ * Postman API's `{ collection }` response wrapping one).
+ *
+ * @param {Object} document - Parsed JSON
+ * @returns {boolean} True for Postman collections
+ */
+export function isPostmanCollection(document) {
+  const collection = unwrap(document);
+  if (!collection || typeof collection !== 'object' || !Array.isArray(collection.item)) {
+    return false;
+  }
+  const info = collection.info;
+  return Boolean(info && (COLLECTION_SCHEMA_PATTERN.test(info.schema || '') || info._postman_id));
+}
+
+/**
+ * Converts a Postman collection to an OpenAPI 3.1 document.
+ *
+ * Folders become tags (nested folders as "Parent / Child"), requests become
+ * operations, and saved example responses become response examples.
+ * `{{variable}}` placeholders are resolved from the collection variables; a
+ * leading `{{baseUrl}}`-style variable becomes the server URL. Requests that
+ * repeat a method and path already seen are skipped. The document carries an
+ * `x-api-docs-cli` extension with `source: 'postman'`.
+ *
+ * @param {Object} document - Parsed Postman collection
+ * @returns {Object} OpenAPI 3.1 document
+ *
+ * @example
+ * const collection = JSON.parse(await readFile('stripe.postman_collection.json', 'utf-8'));
+ * const spec = postmanToOpenAPI(collection);
+ * console.log(Object.keys(spec.paths));
+ */
+export function postmanToOpenAPI(document) {
+  const collection = unwrap(document);
+  const variables = new Map(
+    (collection.variable || [])
+      .filter((variable) => variable?.key && !variable.disabled)
+      .map((variable) => [variable.key, String(variable.value ?? '')])
+  );
+
+  const paths = {};
+  const servers = [];
+
+  for (const { item, folders } of collectRequests(collection.item)) {
+    const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+    const method = String(request.method || 'GET').toLowerCase();
+    if (!OPERATION_METHODS.includes(method)) {
+      continue;
+    }
+
+    const { server, path } = splitUrl(rawUrl(request.url), variables);
+    paths[path] = paths[path] || {};
+    if (paths[path][method]) {
+      continue;
+    }
+    if (server && !servers.includes(server)) {
+      servers.push(server);
+    }
+
+    const operation = { summary: item.name || `${method.toUpperCase()} ${path}` };
+    const description = descriptionText(request.description);
+    if (description) {
+      operation.description = description;
+    }
+    if (folders.length > 0) {
+      operation.tags = [folders.join(FOLDER_SEPARATOR)];
+    }
+    // Requests on a secondary host keep their own server
+    if (server && server !== servers[0]) {
+      operation.servers = [{ url: server }];
+    }
+
+    const parameters = buildParameters(path, request, variables);
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+    const requestBody = buildRequestBody(request);
+    if (requestBody) {
+      operation.requestBody = requestBody;
+    }
+    operation.responses = buildResponses(item.response);
+
+    paths[path][method] = operation;
+  }
+
+  const info = {
+    title: collection.info?.name || 'Postman Collection',
+    version: collectionVersion(collection.info),
+  };
+  const description = descriptionText(collection.info?.description);
+  if (description) {
+    info.description = description;
+  }
+
+  const spec = { openapi: OPENAPI_VERSION, info };
+  if (servers.length > 0) {
+    spec.servers = [{ url: servers[0] }];
+  }
+  const tags = collectTags(collection.item);
+  if (tags.size > 0) {
+    spec.tags = [...tags].map(([name, tagDescription]) =>
+      tagDescription ? { name, description: tagDescription } : { name }
+    );
+  }
+  spec.paths = paths;
+  spec[SYNTHESIZED_EXTENSION] = {
+    synthesized: true,
+    source: 'postman',
+    postmanId: collection.info?._postman_id || null,
+  };
+
+  return spec;
+}
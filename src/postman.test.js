@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPostmanCollection, postmanToOpenAPI } from './postman.js';
+
+const collection = {
+  info: {
+    name: 'Pets',
+    schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json',
+    version: { major: 2, minor: 1 },
+  },
+  variable: [{ key: 'baseUrl', value: 'https://api.example.com/v1/' }],
+  item: [
+    {
+      name: 'Pets',
+      item: [
+        {
+          name: 'List pets',
+          request: {
+            method: 'GET',
+            url: {
+              raw: '{{baseUrl}}/pets?limit=10',
+              query: [{ key: 'limit', value: '10' }],
+            },
+          },
+          response: [
+            {
+              name: 'OK',
+              code: 200,
+              header: [{ key: 'Content-Type', value: 'application/json' }],
+              body: '[{"id":1}]',
+            },
+          ],
+        },
+        {
+          name: 'Get pet',
+          request: {
+            method: 'GET',
+            url: { raw: '{{baseUrl}}/pets/:petId', variable: [{ key: 'petId', value: '1' }] },
+          },
+        },
+        { name: 'List pets again', request: { method: 'GET', url: '{{baseUrl}}/pets' } },
+        {
+          name: 'Vaccines',
+          item: [
+            {
+              name: 'Add vaccine',
+              request: {
+                method: 'POST',
+                header: [
+                  { key: 'Content-Type', value: 'application/json' },
+                  { key: 'X-Trace', value: 'abc' },
+                ],
+                url: '{{baseUrl}}/pets/{{petId}}/vaccines',
+                body: { mode: 'raw', raw: '{"name":"rabies"}' },
+              },
+            },
+          ],
+        },
+      ],
+    },
+    { name: 'Ping', request: 'https://status.example.com/ping' },
+  ],
+};
+
+describe('isPostmanCollection', () => {
+  it('recognizes v2 collections and the Postman API envelope', () => {
+    assert.equal(isPostmanCollection(collection), true);
+    assert.equal(isPostmanCollection({ collection }), true);
+    assert.equal(isPostmanCollection({ openapi: '3.0.3', paths: {} }), false);
+    assert.equal(isPostmanCollection({ info: { name: 'x' }, item: [] }), false);
+  });
+});
+
+describe('postmanToOpenAPI', () => {
+  const spec = postmanToOpenAPI(collection);
+
+  it('uses the leading variable as the server', () => {
+    assert.equal(spec.openapi, '3.1.0');
+    assert.deepEqual(spec.info, { title: 'Pets', version: '2.1.0' });
+    assert.deepEqual(spec.servers, [{ url: 'https://api.example.com/v1' }]);
+    assert.equal(spec['x-api-docs-cli'].source, 'postman');
+  });
+
+  it('turns folders into tags and skips repeated requests', () => {
+    assert.deepEqual(Object.keys(spec.paths), [
+      '/pets',
+      '/pets/{petId}',
+      '/pets/{petId}/vaccines',
+      '/ping',
+    ]);
+    assert.equal(spec.paths['/pets'].get.summary, 'List pets');
+    assert.deepEqual(spec.paths['/pets/{petId}/vaccines'].post.tags, ['Pets / Vaccines']);
+    assert.deepEqual(
+      spec.tags.map((tag) => tag.name),
+      ['Pets', 'Pets / Vaccines']
+    );
+  });
+
+  it('maps path, query and header parameters', () => {
+    assert.deepEqual(spec.paths['/pets'].get.parameters, [
+      { name: 'limit', in: 'query', schema: { type: 'string' }, example: '10' },
+    ]);
+    assert.deepEqual(spec.paths['/pets/{petId}'].get.parameters[0], {
+      name: 'petId',
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+      example: '1',
+    });
+    // Content-Type is described by the request body
+    assert.deepEqual(
+      spec.paths['/pets/{petId}/vaccines'].post.parameters.map((p) => `${p.in}:${p.name}`),
+      ['path:petId', 'header:X-Trace']
+    );
+  });
+
+  it('keeps bodies and saved responses as examples', () => {
+    assert.deepEqual(spec.paths['/pets/{petId}/vaccines'].post.requestBody, {
+      content: { 'application/json': { example: { name: 'rabies' } } },
+    });
+    assert.deepEqual(spec.paths['/pets'].get.responses['200'].content, {
+      'application/json': { examples: { OK: { value: [{ id: 1 }] } } },
+    });
+  });
+
+  it('gives requests on another host their own server', () => {
+    assert.deepEqual(spec.paths['/ping'].get.servers, [{ url: 'https://status.example.com' }]);
+  });
+});
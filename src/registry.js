@@ -0,0 +1,379 @@
+/**
+ * Alias registry module for api-docs-cli
+ * Pins provider names to exact spec or docs URLs in JSON files: a project
+ * file meant to be committed, and a per-user file
+ */
+
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import { dirname, isAbsolute, join, relative, resolve } from 'node:path';
+import { homedir } from 'node:os';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for registry errors
+ */
+export class RegistryError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'RegistryError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a registry file exists but is not a valid registry
+ */
+export class RegistryParseError extends RegistryError {
+  constructor(file, message, cause = null) {
+    super(`Invalid alias registry ${file}: ${message}`, cause);
+    this.name = 'RegistryParseError';
+    this.file = file;
+  }
+}
+
+/**
+ * Thrown when an alias name or target is rejected
+ */
+export class InvalidAliasError extends RegistryError {
+  constructor(name, message, cause = null) {
+    super(`Invalid alias "${name}": ${message}`, cause);
+    this.name = 'InvalidAliasError';
+    this.alias = name;
+  }
+}
+
+/**
+ * Thrown when removing an alias that is not in the registry
+ */
+export class AliasNotFoundError extends RegistryError {
+  constructor(name, file, cause = null) {
+    super(`No alias "${name}" in ${file}`, cause);
+    this.name = 'AliasNotFoundError';
+    this.alias = name;
+    this.file = file;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Project registry filename, looked up from the working directory upwards
+ */
+export const REGISTRY_FILENAME = 'api-docs.aliases.json';
+
+const USER_REGISTRY_PATH = '.config/api-docs-cli/aliases.json';
+
+/**
+ * Alias targets: an OpenAPI/Swagger/Postman/... spec, or a docs page to scrape
+ */
+export const ALIAS_TYPES = ['spec', 'docs'];
+
+const ALIAS_NAME_PATTERN = /^[a-z0-9][a-z0-9._:@/-]*$/;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Normalizes an alias name for storage and lookup.
+ *
+ * @param {string} name - Alias name
+ * @returns {string} Lowercased, trimmed name
+ */
+function normalizeAliasName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Checks whether a target is a URL rather than a file path.
+ *
+ * @param {string} target - Alias target
+ * @returns {boolean} True for http(s):// and file:// URLs
+ */
+function isUrl(target) {
+  return /^(https?|file):\/\//i.test(target);
+}
+
+/**
+ * Finds the nearest project registry file.
+ *
+ * @param {string} cwd - Directory to start from
+ * @returns {Promise<string|null>} Path of the registry file, or null
+ */
+async function findProjectRegistry(cwd) {
+  let dir = resolve(cwd);
+  for (;;) {
+    const file = join(dir, REGISTRY_FILENAME);
+    try {
+      await readFile(file);
+      return file;
+    } catch {
+      // Not here - keep walking up
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Reads a registry file. A missing file is an empty registry.
+ *
+ * @param {string} file - Registry path
+ * @returns {Promise<Object>} Registry ({ aliases: { name: entry } })
+ * @throws {RegistryParseError} If the file is not valid JSON or has no aliases object
+ */
+async function readRegistry(file) {
+  let text;
+  try {
+    text = await readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { aliases: {} };
+    }
+    throw new RegistryParseError(file, error.message, error);
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(text);
+  } catch (error) {
+    throw new RegistryParseError(file, error.message, error);
+  }
+  if (!registry || typeof registry !== 'object') {
+    throw new RegistryParseError(file, 'expected a JSON object');
+  }
+  if (registry.aliases === undefined) {
+    registry.aliases = {};
+  }
+  if (
+    !registry.aliases ||
+    typeof registry.aliases !== 'object' ||
+    Array.isArray(registry.aliases)
+  ) {
+    throw new RegistryParseError(file, '"aliases" must be an object');
+  }
+  return registry;
+}
+
+/**
+ * Writes a registry file, keeping aliases sorted so diffs stay small.
+ *
+ * @param {string} file - Registry path
+ * @param {Object} registry - Registry to write
+ * @returns {Promise<void>}
+ */
+async function writeRegistry(file, registry) {
+  const aliases = Object.fromEntries(
+    Object.entries(registry.aliases).sort(([a], [b]) => a.localeCompare(b))
+  );
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify({ ...registry, aliases }, null, 2)}\n`, 'utf-8');
+}
+
+/**
+ * Turns a stored registry entry into an alias. Relative file paths resolve
+ * against the registry file's directory, so a committed registry can point
+ * at specs checked into the same repository.
+ *
+ * @param {string} name - Alias name
+ * @param {Object|string} entry - Stored entry, or a bare URL string
+ * @param {string} scope - 'project' or 'user'
+ * @param {string} file - Registry path
+ * @returns {Object|null} Alias, or null for entries without a url
+ */
+function toAlias(name, entry, scope, file) {
+  const stored = typeof entry === 'string' ? { url: entry } : entry || {};
+  if (typeof stored.url !== 'string' || stored.url.trim() === '') {
+    return null;
+  }
+
+  const target = stored.url.trim();
+  return {
+    name,
+    url: isUrl(target) || isAbsolute(target) ? target : resolve(dirname(file), target),
+    type: stored.type === 'docs' ? 'docs' : 'spec',
+    revision: stored.revision || null,
+    description: stored.description || null,
+    scope,
+    file,
+  };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Gets the registry file paths for each scope. The project file is the
+ * nearest api-docs.aliases.json from the working directory upwards, or one in
+ * the working directory when none exists yet.
+ *
+ * @param {Object} options - Options
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @returns {Promise<{project: string, user: string}>} Registry paths
+ */
+export async function getRegistryPaths(options = {}) {
+  const { cwd = process.cwd() } = options;
+  return {
+    project: (await findProjectRegistry(cwd)) || join(resolve(cwd), REGISTRY_FILENAME),
+    user: join(homedir(), USER_REGISTRY_PATH),
+  };
+}
+
+/**
+ * Lists every alias. Project aliases override user aliases of the same name.
+ *
+ * @param {Object} options - Options
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @returns {Promise<Array<Object>>} Aliases (name, url, type, revision,
+ *   description, scope, file), sorted by name
+ * @throws {RegistryParseError} If a registry file is invalid
+ *
+ * @example
+ * const aliases = await listAliases();
+ * aliases.forEach((alias) => console.log(alias.name, '->', alias.url));
+ */
+export async function listAliases(options = {}) {
+  const paths = await getRegistryPaths(options);
+  const aliases = new Map();
+
+  for (const scope of ['user', 'project']) {
+    const registry = await readRegistry(paths[scope]);
+    for (const [name, entry] of Object.entries(registry.aliases)) {
+      const alias = toAlias(normalizeAliasName(name), entry, scope, paths[scope]);
+      if (alias) {
+        aliases.set(alias.name, alias);
+      }
+    }
+  }
+
+  return [...aliases.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds an alias by exact (case-insensitive) name.
+ *
+ * @param {string} name - Alias name
+ * @param {Object} options - Options
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @returns {Promise<Object|null>} Alias, or null when not registered
+ * @throws {RegistryParseError} If a registry file is invalid
+ */
+export async function findAlias(name, options = {}) {
+  const key = normalizeAliasName(name);
+  const aliases = await listAliases(options);
+  return aliases.find((alias) => alias.name === key) || null;
+}
+
+/**
+ * Adds or replaces an alias.
+ *
+ * @param {string} name - Alias name (letters, digits and . _ : @ / -)
+ * @param {Object} target - Alias target
+ * @param {string} target.url - Spec or docs URL, or a local file path
+ * @param {string} [target.type='spec'] - 'spec' or 'docs'
+ * @param {string} [target.revision] - Cached revision id to pin (specs only)
+ * @param {string} [target.description] - Free-form note
+ * @param {Object} options - Options
+ * @param {string} [options.scope='project'] - 'project' or 'user'
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @returns {Promise<{alias: Object, replaced: boolean}>} The stored alias and
+ *   whether it replaced an existing one
+ * @throws {InvalidAliasError} If the name, type or url is invalid, or a local file is missing
+ * @throws {RegistryParseError} If the registry file is invalid
+ *
+ * @example
+ * await addAlias('payments', { url: 'https://vendor.example.com/openapi.json' });
+ */
+export async function addAlias(name, target, options = {}) {
+  const { scope = 'project', cwd = process.cwd() } = options;
+  const { url, type = 'spec', revision, description } = target;
+  const key = normalizeAliasName(name);
+
+  if (!ALIAS_NAME_PATTERN.test(key)) {
+    throw new InvalidAliasError(name, 'use letters, digits and . _ : @ / -');
+  }
+  if (!ALIAS_TYPES.includes(type)) {
+    throw new InvalidAliasError(name, `type must be one of: ${ALIAS_TYPES.join(', ')}`);
+  }
+  if (typeof url !== 'string' || url.trim() === '') {
+    throw new InvalidAliasError(name, 'a URL or file path is required');
+  }
+  if (revision && type !== 'spec') {
+    throw new InvalidAliasError(name, 'only spec aliases can pin a revision');
+  }
+
+  const paths = await getRegistryPaths({ cwd });
+  const file = paths[scope];
+  const registry = await readRegistry(file);
+
+  // Store local paths relative to the registry so it can be committed
+  let stored = url.trim();
+  if (!isUrl(stored)) {
+    const path = resolve(cwd, stored);
+    try {
+      await stat(path);
+    } catch (error) {
+      throw new InvalidAliasError(name, `file not found: ${path}`, error);
+    }
+    stored = relative(dirname(file), path);
+  }
+
+  const existing = Object.keys(registry.aliases).filter((k) => normalizeAliasName(k) === key);
+  for (const k of existing) {
+    delete registry.aliases[k];
+  }
+
+  registry.aliases[key] = {
+    url: stored,
+    ...(type !== 'spec' && { type }),
+    ...(revision && { revision }),
+    ...(description && { description }),
+  };
+  await writeRegistry(file, registry);
+
+  return {
+    alias: toAlias(key, registry.aliases[key], scope, file),
+    replaced: existing.length > 0,
+  };
+}
+
+/**
+ * Removes an alias.
+ *
+ * @param {string} name - Alias name
+ * @param {Object} options - Options
+ * @param {string} [options.scope='project'] - 'project' or 'user'
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @returns {Promise<{file: string}>} Registry file the alias was removed from
+ * @throws {AliasNotFoundError} If the alias is not in that registry
+ * @throws {RegistryParseError} If the registry file is invalid
+ */
+export async function removeAlias(name, options = {}) {
+  const { scope = 'project', cwd = process.cwd() } = options;
+  const key = normalizeAliasName(name);
+  const paths = await getRegistryPaths({ cwd });
+  const file = paths[scope];
+  const registry = await readRegistry(file);
+
+  const matches = Object.keys(registry.aliases).filter((k) => normalizeAliasName(k) === key);
+  if (matches.length === 0) {
+    throw new AliasNotFoundError(name, file);
+  }
+  for (const existing of matches) {
+    delete registry.aliases[existing];
+  }
+  await writeRegistry(file, registry);
+
+  return { file };
+}
@@ -0,0 +1,420 @@
+/**
+ * $ref resolution module for api-docs-cli
+ * Loads external documents referenced by a spec and dereferences local,
+ * relative-file and absolute-URL refs with cycle detection
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseSpecContent } from './extractors/openapi.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for ref resolution errors
+ */
+export class RefResolverError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'RefResolverError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when an external document referenced by a spec cannot be loaded
+ */
+export class ExternalRefError extends RefResolverError {
+  constructor(url, message, cause = null) {
+    super(`Failed to load referenced document ${url}: ${message}`, cause);
+    this.name = 'ExternalRefError';
+    this.url = url;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_FETCH_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_DOCUMENTS = 200;
+const DEFAULT_USER_AGENT = 'api-docs-cli/0.1.0';
+
+/**
+ * Marker added to refs that point back into their own resolution chain
+ */
+export const CIRCULAR_REF_MARKER = 'x-circular-ref';
+
+/**
+ * Document URL used for the root spec when its location is unknown
+ */
+const ROOT_DOCUMENT = '#root';
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Removes the fragment from a URL.
+ *
+ * @param {string} url - URL with optional fragment
+ * @returns {string} URL without fragment
+ */
+function stripFragment(url) {
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+/**
+ * Resolves a $ref string against the URL of the document containing it.
+ *
+ * @param {string} ref - The $ref value
+ * @param {string} documentUrl - URL of the containing document
+ * @returns {{documentUrl: string, pointer: string, key: string}|null} Target or null if unresolvable
+ */
+function resolveRefTarget(ref, documentUrl) {
+  const hashIndex = ref.indexOf('#');
+  const location = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+  let targetUrl = documentUrl;
+  if (location) {
+    try {
+      const base = documentUrl === ROOT_DOCUMENT ? undefined : documentUrl;
+      targetUrl = stripFragment(new URL(location, base).href);
+    } catch {
+      return null; // Relative ref without a known base URL
+    }
+  }
+
+  return { documentUrl: targetUrl, pointer, key: `${targetUrl}#${pointer}` };
+}
+
+/**
+ * Reads a value from a document using a JSON pointer (RFC 6901).
+ *
+ * @param {Object} document - Parsed document
+ * @param {string} pointer - JSON pointer without leading '#'
+ * @returns {*} Value at the pointer, or undefined if missing or not valid percent-encoding
+ */
+function getByPointer(document, pointer) {
+  if (!pointer || pointer === '/') {
+    return document;
+  }
+
+  let segments;
+  try {
+    segments = pointer
+      .replace(/^\//, '')
+      .split('/')
+      .map((segment) => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+  } catch {
+    return undefined;
+  }
+
+  let current = document;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Checks whether a referenced document may be loaded from the document that
+ * references it. http(s) documents can always be followed; file: documents
+ * only from other file: documents, so a remote spec cannot read local files.
+ *
+ * @param {string} targetUrl - Absolute URL of the referenced document
+ * @param {string} documentUrl - URL of the referencing document
+ * @returns {boolean} True if the target may be loaded
+ */
+function isFollowable(targetUrl, documentUrl) {
+  if (targetUrl.startsWith('http://') || targetUrl.startsWith('https://')) {
+    return true;
+  }
+  return targetUrl.startsWith('file:') && documentUrl.startsWith('file:');
+}
+
+/**
+ * Returns the origin of a URL, or null for non-http(s) URLs.
+ *
+ * @param {string} url - URL
+ * @returns {string|null} Origin
+ */
+function httpOrigin(url) {
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    return null;
+  }
+  return new URL(url).origin;
+}
+
+/**
+ * Collects the external document URLs referenced anywhere inside a document.
+ *
+ * @param {Object} document - Parsed document
+ * @param {string} documentUrl - URL of the document
+ * @param {Set<string>} [blocked] - Receives targets that may not be followed
+ *   from this document (see isFollowable())
+ * @returns {Set<string>} Absolute URLs of referenced documents that may be loaded
+ */
+function collectExternalRefs(document, documentUrl, blocked = new Set()) {
+  const urls = new Set();
+  const stack = [document];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') {
+      continue;
+    }
+
+    if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+      const target = resolveRefTarget(node.$ref, documentUrl);
+      if (target && target.documentUrl !== documentUrl) {
+        if (isFollowable(target.documentUrl, documentUrl)) {
+          urls.add(target.documentUrl);
+        } else {
+          blocked.add(target.documentUrl);
+        }
+      }
+    }
+
+    for (const value of Object.values(node)) {
+      if (value && typeof value === 'object') {
+        stack.push(value);
+      }
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Loads and parses a single referenced document (http(s) or file URL).
+ *
+ * @param {string} url - Absolute document URL
+ * @param {Object} options - Load options
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<Object>} Parsed document
+ * @throws {ExternalRefError} If the document cannot be loaded or parsed
+ */
+async function loadDocument(url, options = {}) {
+  const { timeout = DEFAULT_FETCH_TIMEOUT_MS, headers = {} } = options;
+  let content;
+
+  if (url.startsWith('file:')) {
+    try {
+      content = await readFile(fileURLToPath(url), 'utf-8');
+    } catch (error) {
+      throw new ExternalRefError(url, error.message, error);
+    }
+  } else if (url.startsWith('http://') || url.startsWith('https://')) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        headers: {
+          Accept: 'application/json, application/yaml, text/yaml, */*',
+          'User-Agent': DEFAULT_USER_AGENT,
+          ...headers,
+        },
+      });
+      if (!response.ok) {
+        throw new ExternalRefError(url, `HTTP ${response.status}`);
+      }
+      content = await response.text();
+    } catch (error) {
+      if (error instanceof ExternalRefError) {
+        throw error;
+      }
+      throw new ExternalRefError(url, error.message, error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  } else {
+    throw new ExternalRefError(url, 'Unsupported URL scheme');
+  }
+
+  try {
+    return parseSpecContent(content, url).spec;
+  } catch (error) {
+    throw new ExternalRefError(url, error.message, error);
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Loads every external document referenced (directly or transitively) by a spec.
+ *
+ * Relative refs are resolved against the URL of the document that contains them,
+ * so multi-file specs split across directories work. Documents that fail to load
+ * are reported in `errors` and their refs stay unresolved.
+ *
+ * file: refs are only followed from file: documents: a spec fetched over
+ * http(s) cannot pull local files into the cache. `headers` are only sent to
+ * the root document's origin, so credentials do not leak to other hosts.
+ *
+ * @param {Object} spec - Parsed root specification
+ * @param {Object} options - Load options
+ * @param {string} [options.baseUrl] - URL the root spec was loaded from
+ * @param {number} [options.timeout=10000] - Per-document timeout in ms
+ * @param {Object} [options.headers] - Extra request headers for same-origin documents
+ * @param {number} [options.maxDocuments=200] - Upper bound on documents to load
+ * @returns {Promise<{documents: Object<string, Object>, errors: Array<ExternalRefError>}>}
+ *
+ * @example
+ * const { documents } = await loadExternalRefs(spec, { baseUrl: 'https://x.io/openapi.yaml' });
+ * const resolved = dereferenceSpec(spec, { baseUrl: 'https://x.io/openapi.yaml', documents });
+ */
+export async function loadExternalRefs(spec, options = {}) {
+  const { baseUrl = null, timeout, headers, maxDocuments = DEFAULT_MAX_DOCUMENTS } = options;
+  const rootUrl = baseUrl ? stripFragment(baseUrl) : ROOT_DOCUMENT;
+  const rootOrigin = httpOrigin(rootUrl);
+
+  const documents = {};
+  const errors = [];
+  const visited = new Set([rootUrl]);
+  const blocked = new Set();
+  const queue = [...collectExternalRefs(spec, rootUrl, blocked)];
+
+  while (queue.length > 0 && Object.keys(documents).length < maxDocuments) {
+    const url = queue.shift();
+    if (visited.has(url)) {
+      continue;
+    }
+    visited.add(url);
+
+    try {
+      const sameOrigin = rootOrigin !== null && httpOrigin(url) === rootOrigin;
+      const document = await loadDocument(url, { timeout, headers: sameOrigin ? headers : {} });
+      documents[url] = document;
+      for (const nested of collectExternalRefs(document, url, blocked)) {
+        if (!visited.has(nested)) {
+          queue.push(nested);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof ExternalRefError)) {
+        throw error;
+      }
+      errors.push(error);
+    }
+  }
+
+  for (const url of blocked) {
+    if (documents[url]) {
+      continue; // Also referenced from a local document
+    }
+    errors.push(new ExternalRefError(url, 'file: refs are only followed from local documents'));
+  }
+
+  return { documents, errors };
+}
+
+/**
+ * Returns a copy of a spec with all resolvable $refs replaced by their targets.
+ *
+ * Handles local (`#/components/...`), relative-file and absolute-URL refs using
+ * the pre-loaded `documents` map. Refs that point back into their own resolution
+ * chain are kept as `{ $ref, 'x-circular-ref': true }` so the result is always a
+ * finite tree. Unresolvable refs are left untouched. Identical refs share one
+ * resolved object, so do not mutate the result. Only results that do not depend
+ * on the surrounding resolution chain are shared, so the output is the same
+ * whichever order the spec is walked in.
+ *
+ * @param {Object} spec - Parsed root specification
+ * @param {Object} options - Dereference options
+ * @param {string} [options.baseUrl] - URL the root spec was loaded from
+ * @param {Object<string, Object>} [options.documents={}] - External documents by URL
+ * @returns {Object} Dereferenced specification
+ *
+ * @example
+ * const resolved = dereferenceSpec(cached.spec, {
+ *   baseUrl: cached.metadata.url,
+ *   documents: cached.documents,
+ * });
+ */
+export function dereferenceSpec(spec, options = {}) {
+  const { baseUrl = null, documents = {} } = options;
+  const rootUrl = baseUrl ? stripFragment(baseUrl) : ROOT_DOCUMENT;
+
+  const docs = new Map(Object.entries(documents));
+  docs.set(rootUrl, spec);
+
+  const memo = new Map();
+  const inProgress = new Set();
+  let circularCount = 0;
+
+  const walk = (node, documentUrl) => {
+    if (Array.isArray(node)) {
+      return node.map((item) => walk(item, documentUrl));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    if (typeof node.$ref === 'string') {
+      const target = resolveRefTarget(node.$ref, documentUrl);
+      const document = target ? docs.get(target.documentUrl) : undefined;
+      const value = document === undefined ? undefined : getByPointer(document, target.pointer);
+
+      if (value === undefined) {
+        return { ...node };
+      }
+      if (inProgress.has(target.key)) {
+        circularCount++;
+        return { $ref: node.$ref, [CIRCULAR_REF_MARKER]: true };
+      }
+
+      let resolved = memo.get(target.key);
+      if (resolved === undefined) {
+        const circularBefore = circularCount;
+        inProgress.add(target.key);
+        resolved = walk(value, target.documentUrl);
+        inProgress.delete(target.key);
+        // A subtree that cut a cycle short depends on which refs were open around it
+        if (circularCount === circularBefore || inProgress.size === 0) {
+          memo.set(target.key, resolved);
+        }
+      }
+
+      // OpenAPI 3.1 allows summary/description next to $ref; they override the target
+      const siblings = Object.keys(node).filter((key) => key !== '$ref');
+      if (siblings.length === 0 || !resolved || typeof resolved !== 'object') {
+        return resolved;
+      }
+      const merged = { ...resolved };
+      for (const key of siblings) {
+        merged[key] = walk(node[key], documentUrl);
+      }
+      return merged;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = walk(value, documentUrl);
+    }
+    return result;
+  };
+
+  return walk(spec, rootUrl);
+}
+
+/**
+ * Checks whether a (dereferenced) node is a circular ref placeholder.
+ *
+ * @param {*} node - Any value from a dereferenced spec
+ * @returns {boolean} True if node marks a circular reference
+ */
+export function isCircularRef(node) {
+  return Boolean(node && typeof node === 'object' && node[CIRCULAR_REF_MARKER]);
+}
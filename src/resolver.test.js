@@ -0,0 +1,199 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadExternalRefs, dereferenceSpec, isCircularRef, ExternalRefError } from './resolver.js';
+
+/**
+ * Starts an HTTP server that serves JSON documents by path and records the
+ * headers of every request.
+ */
+async function startDocumentServer(documents) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const document = documents[req.url];
+    if (!document) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(document));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, port: server.address().port };
+}
+
+describe('dereferenceSpec', () => {
+  it('resolves local refs', () => {
+    const spec = {
+      paths: { '/pets': { get: { responses: { 200: { $ref: '#/components/responses/Ok' } } } } },
+      components: { responses: { Ok: { description: 'ok' } } },
+    };
+    const resolved = dereferenceSpec(spec);
+    assert.deepEqual(resolved.paths['/pets'].get.responses[200], { description: 'ok' });
+  });
+
+  it('marks circular refs instead of recursing forever', () => {
+    const spec = {
+      components: {
+        schemas: {
+          Node: {
+            type: 'object',
+            properties: { child: { $ref: '#/components/schemas/Node' } },
+          },
+        },
+      },
+      paths: { '/tree': { get: { schema: { $ref: '#/components/schemas/Node' } } } },
+    };
+    const node = dereferenceSpec(spec).paths['/tree'].get.schema;
+    assert.equal(node.type, 'object');
+    assert.ok(isCircularRef(node.properties.child));
+  });
+
+  it('resolves mutually recursive refs the same way in any order', () => {
+    const components = {
+      schemas: {
+        Pet: { type: 'object', properties: { owner: { $ref: '#/components/schemas/Owner' } } },
+        Owner: {
+          type: 'object',
+          properties: { pets: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } },
+        },
+      },
+    };
+    const pets = { get: { schema: { $ref: '#/components/schemas/Pet' } } };
+    const owners = { get: { schema: { $ref: '#/components/schemas/Owner' } } };
+
+    const petsFirst = dereferenceSpec({ components, paths: { '/pets': pets, '/owners': owners } });
+    const ownersFirst = dereferenceSpec({
+      components,
+      paths: { '/owners': owners, '/pets': pets },
+    });
+
+    for (const path of ['/pets', '/owners']) {
+      assert.deepEqual(petsFirst.paths[path], ownersFirst.paths[path]);
+    }
+    assert.equal(isCircularRef(petsFirst.paths['/pets'].get.schema.properties.owner), false);
+    assert.equal(isCircularRef(petsFirst.paths['/owners'].get.schema.properties.pets.items), false);
+  });
+
+  it('lets $ref siblings override the target (OpenAPI 3.1)', () => {
+    const spec = {
+      components: { schemas: { Id: { type: 'string', description: 'An id' } } },
+      value: { $ref: '#/components/schemas/Id', description: 'Pet id' },
+    };
+    assert.deepEqual(dereferenceSpec(spec).value, { type: 'string', description: 'Pet id' });
+  });
+
+  it('leaves unresolvable refs untouched', () => {
+    const spec = { value: { $ref: '#/missing' } };
+    assert.deepEqual(dereferenceSpec(spec).value, { $ref: '#/missing' });
+  });
+
+  it('leaves refs with malformed percent-encoding unresolved', () => {
+    const spec = {
+      components: { schemas: { '100%': { type: 'integer' } } },
+      value: { $ref: '#/components/schemas/100%' },
+    };
+    assert.deepEqual(dereferenceSpec(spec).value, { $ref: '#/components/schemas/100%' });
+  });
+});
+
+describe('loadExternalRefs', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-docs-resolver-'));
+    await mkdir(join(dir, 'schemas'));
+    await writeFile(
+      join(dir, 'schemas', 'pet.json'),
+      JSON.stringify({ Pet: { type: 'object', properties: { tag: { $ref: 'tag.json#/Tag' } } } })
+    );
+    await writeFile(join(dir, 'schemas', 'tag.json'), JSON.stringify({ Tag: { type: 'string' } }));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('follows relative file refs from a local spec, transitively', async () => {
+    const baseUrl = pathToFileURL(join(dir, 'openapi.json')).href;
+    const spec = { schema: { $ref: './schemas/pet.json#/Pet' } };
+
+    const { documents, errors } = await loadExternalRefs(spec, { baseUrl });
+    assert.equal(errors.length, 0);
+    assert.equal(Object.keys(documents).length, 2);
+
+    const resolved = dereferenceSpec(spec, { baseUrl, documents });
+    assert.deepEqual(resolved.schema.properties.tag, { type: 'string' });
+  });
+
+  it('follows absolute file refs from a local spec', async () => {
+    const baseUrl = pathToFileURL(join(dir, 'openapi.json')).href;
+    const target = pathToFileURL(join(dir, 'schemas', 'tag.json')).href;
+    const spec = { schema: { $ref: `${target}#/Tag` } };
+
+    const { documents } = await loadExternalRefs(spec, { baseUrl });
+    assert.deepEqual(dereferenceSpec(spec, { baseUrl, documents }).schema, { type: 'string' });
+  });
+
+  it('refuses file refs from a remote spec', async () => {
+    const target = pathToFileURL(join(dir, 'schemas', 'tag.json')).href;
+    const spec = { schema: { $ref: `${target}#/Tag` } };
+
+    const { documents, errors } = await loadExternalRefs(spec, {
+      baseUrl: 'https://api.example.com/openapi.json',
+    });
+    assert.deepEqual(documents, {});
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof ExternalRefError);
+    assert.equal(errors[0].url, target);
+  });
+
+  describe('over http', () => {
+    let served;
+
+    before(async () => {
+      served = await startDocumentServer({
+        '/common.json': { Id: { type: 'integer' } },
+        '/evil.json': { Secret: { $ref: pathToFileURL(join(dir, 'schemas', 'tag.json')).href } },
+      });
+    });
+
+    after(() => {
+      served.server.close();
+    });
+
+    it('refuses file refs nested in remote documents', async () => {
+      const baseUrl = `http://127.0.0.1:${served.port}/openapi.json`;
+      const spec = { schema: { $ref: 'evil.json#/Secret' } };
+
+      const { documents, errors } = await loadExternalRefs(spec, { baseUrl });
+      assert.deepEqual(Object.keys(documents), [`http://127.0.0.1:${served.port}/evil.json`]);
+      assert.equal(errors.length, 1);
+    });
+
+    it('sends headers to the root origin only', async () => {
+      served.requests.length = 0;
+      const spec = {
+        same: { $ref: 'common.json#/Id' },
+        other: { $ref: `http://localhost:${served.port}/common.json#/Id` },
+      };
+
+      await loadExternalRefs(spec, {
+        baseUrl: `http://127.0.0.1:${served.port}/openapi.json`,
+        headers: { Authorization: 'Bearer secret' },
+      });
+
+      const byHost = Object.fromEntries(
+        served.requests.map((request) => [request.headers.host.split(':')[0], request.headers])
+      );
+      assert.equal(byHost['127.0.0.1'].authorization, 'Bearer secret');
+      assert.equal(byHost.localhost.authorization, undefined);
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Search module for api-docs-cli
+ * Ranks endpoints from every cached spec against free-text search terms
+ */
+
+import { listCache, getCached, CacheNotFoundError } from './cache.js';
+import { resolveCachedSpec, isScrapedEntry } from './sources.js';
+import { getOperationParameters } from './endpoint-model.js';
+import { isCircularRef } from './resolver.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * How deep to collect schema property names
+ */
+const MAX_PROPERTY_DEPTH = 4;
+
+/**
+ * Score for a term found in each field; a term counts once, in its best field
+ */
+const FIELD_WEIGHTS = {
+  path: 5,
+  operationId: 4,
+  summary: 3,
+  tag: 2,
+  parameter: 2,
+  property: 1.5,
+  description: 1,
+};
+
+/**
+ * Extra score when a term matches a whole word or name instead of a substring
+ */
+const EXACT_MATCH_BONUS = 1;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Normalizes text for matching: lowercase with separators removed, so
+ * "webhook-subscription" matches "/webhook_subscriptions" and "webhookSubscription".
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function compact(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Splits text into normalized words (camelCase, snake_case and kebab-case aware).
+ *
+ * @param {string} text - Raw text
+ * @returns {Set<string>} Normalized words
+ */
+function words(text) {
+  return new Set(
+    String(text)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Collects property names from a schema tree.
+ *
+ * @param {Object} schema - Dereferenced schema
+ * @param {Set<string>} names - Accumulator
+ * @param {number} [depth=0] - Current depth
+ */
+function collectPropertyNames(schema, names, depth = 0) {
+  if (
+    !schema ||
+    typeof schema !== 'object' ||
+    isCircularRef(schema) ||
+    depth > MAX_PROPERTY_DEPTH
+  ) {
+    return;
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    names.add(name);
+    collectPropertyNames(property, names, depth + 1);
+  }
+  collectPropertyNames(schema.items, names, depth + 1);
+  for (const keyword of ['allOf', 'oneOf', 'anyOf']) {
+    for (const branch of schema[keyword] || []) {
+      collectPropertyNames(branch, names, depth + 1);
+    }
+  }
+}
+
+/**
+ * Builds the searchable fields of one operation.
+ *
+ * @param {string} path - Endpoint path
+ * @param {Object} pathItem - Path item
+ * @param {Object} operation - Operation object
+ * @returns {Array<{field: string, value: string}>} Searchable field values
+ */
+function operationFields(path, pathItem, operation) {
+  const fields = [{ field: 'path', value: path }];
+
+  if (operation.operationId) {
+    fields.push({ field: 'operationId', value: operation.operationId });
+  }
+  if (operation.summary) {
+    fields.push({ field: 'summary', value: operation.summary });
+  }
+  if (operation.description) {
+    fields.push({ field: 'description', value: operation.description });
+  }
+  for (const tag of operation.tags || []) {
+    fields.push({ field: 'tag', value: String(tag) });
+  }
+
+  const schemas = [];
+  for (const param of getOperationParameters(pathItem, operation)) {
+    fields.push({ field: 'parameter', value: param.name });
+    if (param.schema) {
+      schemas.push(param.schema);
+    }
+  }
+  for (const media of Object.values(operation.requestBody?.content || {})) {
+    schemas.push(media?.schema);
+  }
+  for (const response of Object.values(operation.responses || {})) {
+    schemas.push(response?.schema);
+    for (const media of Object.values(response?.content || {})) {
+      schemas.push(media?.schema);
+    }
+  }
+
+  const properties = new Set();
+  schemas.forEach((schema) => collectPropertyNames(schema, properties));
+  for (const name of properties) {
+    fields.push({ field: 'property', value: name });
+  }
+
+  return fields;
+}
+
+/**
+ * Scores one term against an operation's fields.
+ *
+ * @param {string} term - Search term
+ * @param {Array<Object>} fields - Searchable fields
+ * @returns {{score: number, match: Object}|null} Best match or null if the term is absent
+ */
+function scoreTerm(term, fields) {
+  const needle = compact(term);
+  let best = null;
+
+  for (const { field, value } of fields) {
+    if (!compact(value).includes(needle)) {
+      continue;
+    }
+    const exact = compact(value) === needle || words(value).has(needle);
+    const score = FIELD_WEIGHTS[field] + (exact ? EXACT_MATCH_BONUS : 0);
+    if (!best || score > best.score) {
+      best = { score, match: { field, value } };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Scores an endpoint against all terms.
+ *
+ * @param {Array<Object>} fields - Searchable fields
+ * @param {Array<string>} terms - Search terms
+ * @returns {{score: number, matches: Array<Object>}|null} Score and matched fields, or
+ *   null unless every term matches somewhere in the endpoint
+ */
+function matchEndpoint(fields, terms) {
+  const scored = terms.map((term) => scoreTerm(term, fields));
+  if (scored.some((s) => s === null)) {
+    return null;
+  }
+  return {
+    score: scored.reduce((sum, s) => sum + s.score, 0),
+    matches: scored.map((s) => s.match),
+  };
+}
+
+/**
+ * Searches one spec.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @param {Array<string>} terms - Search terms
+ * @param {Object} api - { title, version, url } of the cache entry
+ * @returns {Array<Object>} Matching endpoints
+ */
+function searchSpec(spec, terms, api) {
+  const results = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') {
+      continue;
+    }
+    for (const method of OPERATION_METHODS) {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== 'object') {
+        continue;
+      }
+
+      const match = matchEndpoint(operationFields(path, pathItem, operation), terms);
+      if (match) {
+        results.push({
+          api,
+          method: method.toUpperCase(),
+          path,
+          summary: operation.summary || null,
+          ...match,
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Searches endpoints scraped from a docs page. Only paths, operationIds,
+ * descriptions, tags and (for per-operation pages) parameter names are available for these.
+ *
+ * @param {Object} scraped - Result from scrapeEndpoints()
+ * @param {Array<string>} terms - Search terms
+ * @param {Object} api - { title, version, url } of the cache entry
+ * @returns {Array<Object>} Matching endpoints
+ */
+function searchScraped(scraped, terms, api) {
+  const results = [];
+
+  for (const endpoint of scraped.endpoints || []) {
+    const fields = [{ field: 'path', value: endpoint.path }];
+    if (endpoint.operationId) {
+      fields.push({ field: 'operationId', value: endpoint.operationId });
+    }
+    if (endpoint.description) {
+      fields.push({ field: 'summary', value: endpoint.description });
+    }
+    for (const tag of endpoint.tags || []) {
+      fields.push({ field: 'tag', value: String(tag) });
+    }
+    for (const param of endpoint.parameters || []) {
+      fields.push({ field: 'parameter', value: param.name });
+    }
+
+    const match = matchEndpoint(fields, terms);
+    if (match) {
+      results.push({
+        api,
+        method: endpoint.method,
+        path: endpoint.path,
+        summary: endpoint.description || null,
+        ...match,
+      });
+    }
+  }
+
+  return results;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Splits a search query into terms.
+ *
+ * @param {string|Array<string>} query - Query string or terms
+ * @returns {Array<string>} Non-empty terms
+ */
+export function parseSearchTerms(query) {
+  const raw = Array.isArray(query) ? query.join(' ') : String(query || '');
+  return raw.split(/\s+/).filter((term) => compact(term).length > 0);
+}
+
+/**
+ * Searches every cached spec for endpoints matching all terms.
+ *
+ * Paths, operationIds, summaries, tags, parameter names, schema property names
+ * and descriptions are searched (in that order of weight). Entries scraped from
+ * docs pages contribute what was scraped (paths, operationIds, descriptions, tags and
+ * any parameter names). Matching ignores
+ * case and separators, so "webhook-subscription" finds "/webhook_subscriptions".
+ *
+ * @param {string|Array<string>} query - Search terms
+ * @param {Object} options - Search options
+ * @param {number} [options.limit=20] - Maximum results (0 for all)
+ * @returns {Promise<{results: Array<Object>, total: number, searched: number}>} Ranked
+ *   results (api, method, path, summary, score, matches), total hits before the
+ *   limit, and the number of specs searched
+ *
+ * @example
+ * const { results } = await searchCachedSpecs('webhook subscription');
+ * results.forEach((r) => console.log(r.api.title, r.method, r.path));
+ */
+export async function searchCachedSpecs(query, options = {}) {
+  const { limit = DEFAULT_LIMIT } = options;
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) {
+    return { results: [], total: 0, searched: 0 };
+  }
+
+  const entries = await listCache();
+  let results = [];
+  let searched = 0;
+
+  for (const entry of entries) {
+    let cached;
+    try {
+      cached = await getCached(entry.url, { ignoreExpired: true });
+    } catch (error) {
+      if (error instanceof CacheNotFoundError) {
+        continue; // Manifest entry without a spec file
+      }
+      throw error;
+    }
+
+    searched++;
+    const api = {
+      title: entry.specInfo?.title || 'Unknown API',
+      version: entry.specInfo?.version || null,
+      url: entry.url,
+    };
+    const matches = isScrapedEntry(cached)
+      ? searchScraped(cached.scraped, terms, api)
+      : searchSpec(resolveCachedSpec(cached), terms, api);
+    results = results.concat(matches);
+  }
+
+  results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  const total = results.length;
+
+  return { results: limit > 0 ? results.slice(0, limit) : results, total, searched };
+}
@@ -0,0 +1,696 @@
+/**
+ * Request snippet generator module for api-docs-cli
+ * Builds ready-to-run curl, HTTPie, fetch and python-requests examples from a spec
+ */
+
+import { extractBaseUrl } from './formatter.js';
+import { getOperationParameters } from './endpoint-model.js';
+import { getMediaExample, synthesizeExample } from './examples.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for snippet generation errors
+ */
+export class SnippetError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'SnippetError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when the requested path/method is not in the spec
+ */
+export class OperationNotFoundError extends SnippetError {
+  constructor(path, method, cause = null) {
+    super(`Operation not found: ${method.toUpperCase()} ${path}`, cause);
+    this.name = 'OperationNotFoundError';
+    this.path = path;
+    this.method = method;
+  }
+}
+
+/**
+ * Thrown when an unsupported snippet language is requested
+ */
+export class UnsupportedLanguageError extends SnippetError {
+  constructor(lang, cause = null) {
+    super(`Unsupported snippet language: ${lang}`, cause);
+    this.name = 'UnsupportedLanguageError';
+    this.lang = lang;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Languages supported by generateSnippet()
+ */
+export const SNIPPET_LANGUAGES = ['curl', 'httpie', 'fetch', 'python-requests'];
+
+/**
+ * Preferred request body media types, in order
+ */
+const PREFERRED_MEDIA_TYPES = [
+  'application/json',
+  'application/x-www-form-urlencoded',
+  'multipart/form-data',
+];
+
+/**
+ * Form media types, rendered as fields rather than a serialized body
+ */
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+/**
+ * Base URL used when the spec has no absolute server and was not loaded over http(s)
+ */
+const PLACEHOLDER_BASE_URL = 'https://api.example.com';
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Builds a placeholder value for a parameter or credential.
+ *
+ * @param {string} name - Parameter name
+ * @returns {string} Placeholder, e.g. "<petId>"
+ */
+function placeholder(name) {
+  return `<${name}>`;
+}
+
+/**
+ * Resolves the base URL for requests, substituting server variable defaults
+ * and resolving relative server URLs against the spec location. A spec read
+ * from a file or stdin has no host to resolve against, so relative servers
+ * go under PLACEHOLDER_BASE_URL instead.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @param {string} [specUrl] - URL the spec was loaded from
+ * @returns {string} Base URL without trailing slash
+ */
+function resolveBaseUrl(spec, specUrl) {
+  let baseUrl = extractBaseUrl(spec) || '';
+
+  const variables = spec.servers?.[0]?.variables || {};
+  baseUrl = baseUrl.replace(/\{([^}]+)\}/g, (match, name) =>
+    variables[name]?.default !== undefined ? String(variables[name].default) : match
+  );
+
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(baseUrl)) {
+    const origin = /^https?:\/\//i.test(specUrl || '') ? specUrl : PLACEHOLDER_BASE_URL;
+    try {
+      baseUrl = new URL(baseUrl || '/', origin).href;
+    } catch {
+      baseUrl = baseUrl || PLACEHOLDER_BASE_URL;
+    }
+  }
+
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Picks an example value for a parameter.
+ *
+ * @param {Object} param - Parameter object
+ * @returns {*} Example value, or a placeholder when none is declared
+ */
+function parameterValue(param) {
+  if (param.example !== undefined) {
+    return param.example;
+  }
+  const fromMedia = getMediaExample({ examples: param.examples });
+  if (fromMedia !== undefined) {
+    return fromMedia;
+  }
+  const schema = param.schema || param;
+  if (schema.example !== undefined || schema.default !== undefined || schema.enum) {
+    return synthesizeExample(schema);
+  }
+  return placeholder(param.name);
+}
+
+/**
+ * Builds headers and query params for the first security requirement.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @param {Object} operation - Operation object
+ * @returns {{headers: Array<[string, string]>, query: Array<[string, string]>}}
+ */
+function buildAuth(spec, operation) {
+  const headers = [];
+  const query = [];
+
+  const requirements = operation.security ?? spec.security ?? [];
+  const schemes = spec.components?.securitySchemes || spec.securityDefinitions || {};
+  const requirement = requirements.find((r) => r && Object.keys(r).length > 0);
+  if (!requirement) {
+    return { headers, query };
+  }
+
+  for (const name of Object.keys(requirement)) {
+    const scheme = schemes[name];
+    if (!scheme) {
+      continue;
+    }
+
+    const type = scheme.type;
+    const httpScheme = (scheme.scheme || '').toLowerCase();
+
+    if (type === 'apiKey') {
+      // Without a name there is nowhere to put the key
+      if (!scheme.name) {
+        continue;
+      }
+      const value = placeholder(scheme.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_'));
+      if (scheme.in === 'query') {
+        query.push([scheme.name, value]);
+      } else if (scheme.in === 'cookie') {
+        headers.push(['Cookie', `${scheme.name}=${value}`]);
+      } else {
+        headers.push([scheme.name, value]);
+      }
+    } else if (type === 'basic' || (type === 'http' && httpScheme === 'basic')) {
+      headers.push(['Authorization', `Basic ${placeholder('BASE64_CREDENTIALS')}`]);
+    } else if (type === 'http') {
+      const label = httpScheme === 'bearer' ? 'Bearer' : scheme.scheme;
+      headers.push(['Authorization', `${label} ${placeholder('TOKEN')}`]);
+    } else if (type === 'oauth2' || type === 'openIdConnect') {
+      headers.push(['Authorization', `Bearer ${placeholder('ACCESS_TOKEN')}`]);
+    }
+  }
+
+  return { headers, query };
+}
+
+/**
+ * Checks whether a form field schema is a file upload.
+ *
+ * @param {Object} [schema] - Property schema or Swagger 2.0 formData parameter
+ * @returns {boolean} True for binary strings, contentMediaType and type: file
+ */
+function isFileSchema(schema) {
+  return Boolean(
+    schema && (schema.type === 'file' || schema.format === 'binary' || schema.contentMediaType)
+  );
+}
+
+/**
+ * Replaces file field values with a path placeholder.
+ *
+ * @param {Object} body - Form body
+ * @param {Array<string>} files - File field names
+ * @returns {Object} Body with "<path/to/field>" for each file
+ */
+function withFilePlaceholders(body, files) {
+  const result = { ...body };
+  for (const name of files) {
+    if (name in result) {
+      result[name] = placeholder(`path/to/${name}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Determines the request body content type and example.
+ *
+ * @param {Object} spec - Dereferenced spec
+ * @param {Object} operation - Operation object
+ * @param {Array<Object>} parameters - Effective parameters
+ * @returns {{contentType: string, body: *, files: Array<string>}|null} Body
+ *   info (files lists form fields that are uploads) or null if no body
+ */
+function buildBody(spec, operation, parameters) {
+  // OpenAPI 3.x
+  const content = operation.requestBody?.content;
+  if (content && Object.keys(content).length > 0) {
+    const mediaTypes = Object.keys(content);
+    const contentType =
+      PREFERRED_MEDIA_TYPES.find((t) => mediaTypes.includes(t)) ||
+      mediaTypes.find((t) => t.includes('json')) ||
+      mediaTypes[0];
+    const body = getMediaExample(content[contentType], { direction: 'request' });
+
+    const properties = content[contentType]?.schema?.properties || {};
+    const files =
+      contentType === 'multipart/form-data'
+        ? Object.keys(properties).filter((name) => isFileSchema(properties[name]))
+        : [];
+    if (files.length > 0 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return { contentType, body: withFilePlaceholders(body, files), files };
+    }
+    return { contentType, body: body === undefined ? {} : body, files: [] };
+  }
+
+  // Swagger 2.0 body parameter
+  const bodyParam = parameters.find((p) => p.in === 'body');
+  if (bodyParam) {
+    const consumes = operation.consumes || spec.consumes || ['application/json'];
+    const body = synthesizeExample(bodyParam.schema, { direction: 'request' });
+    return { contentType: consumes[0], body: body === null ? {} : body, files: [] };
+  }
+
+  // Swagger 2.0 form parameters
+  const formParams = parameters.filter((p) => p.in === 'formData' && p.required);
+  if (formParams.length > 0) {
+    const files = formParams.filter(isFileSchema).map((p) => p.name);
+    const consumes = operation.consumes || spec.consumes || [];
+    // File uploads need multipart whatever the spec lists first
+    const contentType =
+      files.length > 0
+        ? 'multipart/form-data'
+        : consumes.find((t) => FORM_MEDIA_TYPES.includes(t)) ||
+          consumes[0] ||
+          'application/x-www-form-urlencoded';
+    const body = Object.fromEntries(formParams.map((p) => [p.name, parameterValue(p)]));
+    return { contentType, body: withFilePlaceholders(body, files), files };
+  }
+
+  return null;
+}
+
+/**
+ * Percent-encodes a path or query value, leaving placeholders readable.
+ *
+ * @param {*} value - Parameter value
+ * @returns {string} Encoded value
+ */
+function encodeValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /^<[^>]+>$/.test(text) ? text : encodeURIComponent(text);
+}
+
+/**
+ * Encodes a query string, leaving placeholders readable.
+ *
+ * @param {Array<[string, *]>} pairs - Query name/value pairs
+ * @returns {string} Query string without leading '?'
+ */
+function encodeQuery(pairs) {
+  return pairs
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeValue(value)}`)
+    .join('&');
+}
+
+/**
+ * Converts a form value to the text sent for it.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Strings as-is, anything else as JSON
+ */
+function formValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Splits a form body (urlencoded or multipart with an object body) into
+ * fields, so renderers can use their native form syntax.
+ *
+ * @param {Object} request - Request from buildRequest()
+ * @returns {Array<{name: string, value: string, file: boolean}>|null} Fields,
+ *   or null when the body is not a form
+ */
+function formFields(request) {
+  const { body, contentType } = request;
+  if (!FORM_MEDIA_TYPES.includes(contentType) || !body || typeof body !== 'object') {
+    return null;
+  }
+  if (Array.isArray(body)) {
+    return null;
+  }
+  return Object.entries(body).map(([name, value]) => ({
+    name,
+    value: formValue(value),
+    file: request.files.includes(name),
+  }));
+}
+
+/**
+ * Gets the headers to render. Form bodies drop Content-Type: the client sets
+ * it, and for multipart it must carry the generated boundary.
+ *
+ * @param {Object} request - Request from buildRequest()
+ * @param {Array<Object>|null} fields - Fields from formFields()
+ * @returns {Array<[string, string]>} Headers
+ */
+function renderedHeaders(request, fields) {
+  return fields ? request.headers.filter(([name]) => name !== 'Content-Type') : request.headers;
+}
+
+/**
+ * Serializes a body value for the given content type.
+ *
+ * @param {*} body - Body value
+ * @param {string} contentType - Content type
+ * @returns {string} Serialized body
+ */
+function serializeBody(body, contentType) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  if (contentType === 'application/x-www-form-urlencoded' && body && typeof body === 'object') {
+    return encodeQuery(Object.entries(body));
+  }
+  return JSON.stringify(body, null, 2);
+}
+
+/**
+ * Quotes a string for POSIX shells.
+ *
+ * @param {string} value - Raw string
+ * @returns {string} Single-quoted string
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Converts a JSON value to a Python literal.
+ *
+ * @param {*} value - JSON value
+ * @param {number} indent - Current indentation
+ * @returns {string} Python source
+ */
+function toPython(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const innerPad = ' '.repeat(indent + 4);
+
+  if (value === null || value === undefined) {
+    return 'None';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'True' : 'False';
+  }
+  if (typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    const items = value.map((item) => `${innerPad}${toPython(item, indent + 4)},`);
+    return `[\n${items.join('\n')}\n${pad}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) {
+    return '{}';
+  }
+  const items = entries.map(
+    ([key, item]) => `${innerPad}${JSON.stringify(key)}: ${toPython(item, indent + 4)},`
+  );
+  return `{\n${items.join('\n')}\n${pad}}`;
+}
+
+// ============================================================================
+// Language Renderers
+// ============================================================================
+
+/**
+ * Renders a curl command.
+ *
+ * @param {Object} request - Request from buildRequest()
+ * @returns {string} Shell command
+ */
+function renderCurl(request) {
+  const fields = formFields(request);
+  const lines = [`curl -X ${request.method} ${shellQuote(request.url)}`];
+  for (const [name, value] of renderedHeaders(request, fields)) {
+    lines.push(`  -H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (fields && request.contentType === 'multipart/form-data') {
+    for (const field of fields) {
+      if (field.file) {
+        lines.push(`  -F ${shellQuote(`${field.name}=@${field.value}`)}`);
+      } else {
+        // -F reads "@file"/"<file" values and splits on ";", so send those literally
+        const option = /^[@<]|;/.test(field.value) ? '--form-string' : '-F';
+        lines.push(`  ${option} ${shellQuote(`${field.name}=${field.value}`)}`);
+      }
+    }
+  } else if (fields) {
+    for (const field of fields) {
+      lines.push(`  --data-urlencode ${shellQuote(`${field.name}=${field.value}`)}`);
+    }
+  } else if (request.body !== null) {
+    lines.push(`  -d ${shellQuote(serializeBody(request.body, request.contentType))}`);
+  }
+  return lines.join(' \\\n');
+}
+
+/**
+ * Renders an HTTPie command.
+ *
+ * @param {Object} request - Request from buildRequest()
+ * @returns {string} Shell command
+ */
+function renderHttpie(request) {
+  const fields = formFields(request);
+  // --form sends multipart once a file is attached; --multipart forces it without one
+  const multipart =
+    request.contentType === 'multipart/form-data' && !fields?.some((field) => field.file);
+  const flag = fields ? (multipart ? '--multipart ' : '--form ') : '';
+
+  const lines = [`http ${flag}${request.method} ${shellQuote(request.url)}`];
+  for (const [name, value] of renderedHeaders(request, fields)) {
+    lines.push(`  ${shellQuote(`${name}:${value}`)}`);
+  }
+  if (fields) {
+    for (const field of fields) {
+      lines.push(`  ${shellQuote(`${field.name}${field.file ? '@' : '='}${field.value}`)}`);
+    }
+  } else if (request.body !== null) {
+    lines.push(`  --raw ${shellQuote(serializeBody(request.body, request.contentType))}`);
+  }
+  return lines.join(' \\\n');
+}
+
+/**
+ * Renders a JavaScript fetch() call.
+ *
+ * @param {Object} request - Request from buildRequest()
+ * @returns {string} JavaScript source
+ */
+function renderFetch(request) {
+  const fields = formFields(request);
+  const multipart = fields && request.contentType === 'multipart/form-data';
+  const lines = [];
+
+  if (multipart) {
+    if (fields.some((field) => field.file)) {
+      lines.push("import { openAsBlob } from 'node:fs';", '');
+    }
+    lines.push('const form = new FormData();');
+    for (const field of fields) {
+      const value = field.file
+        ? `await openAsBlob(${JSON.stringify(field.value)})`
+        : JSON.stringify(field.value);
+      lines.push(`form.append(${JSON.stringify(field.name)}, ${value});`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`const response = await fetch(${JSON.stringify(request.url)}, {`);
+  lines.push(`  method: ${JSON.stringify(request.method)},`);
+
+  const headers = renderedHeaders(request, fields);
+  if (headers.length > 0) {
+    lines.push('  headers: {');
+    for (const [name, value] of headers) {
+      lines.push(`    ${JSON.stringify(name)}: ${JSON.stringify(value)},`);
+    }
+    lines.push('  },');
+  }
+
+  if (multipart) {
+    lines.push('  body: form,');
+  } else if (fields) {
+    const params = Object.fromEntries(fields.map((field) => [field.name, field.value]));
+    const json = JSON.stringify(params, null, 2).replace(/\n/g, '\n  ');
+    lines.push(`  body: new URLSearchParams(${json}),`);
+  } else if (request.body !== null) {
+    if (request.contentType.includes('json') && typeof request.body !== 'string') {
+      const json = JSON.stringify(request.body, null, 2).replace(/\n/g, '\n  ');
+      lines.push(`  body: JSON.stringify(${json}),`);
+    } else {
+      const raw = serializeBody(request.body, request.contentType);
+      lines.push(`  body: ${JSON.stringify(raw)},`);
+    }
+  }
+
+  lines.push('});');
+  lines.push('const data = await response.json();');
+  return lines.join('\n');
+}
+
+/**
+ * Renders a Python requests call.
+ *
+ * @param {Object} request - Request from buildRequest()
+ * @returns {string} Python source
+ */
+function renderPythonRequests(request) {
+  const lines = ['import requests', '', `response = requests.request(`];
+  lines.push(`    ${JSON.stringify(request.method)},`);
+  lines.push(`    ${JSON.stringify(request.url)},`);
+
+  const fields = formFields(request);
+  const headers = renderedHeaders(request, fields).filter(
+    ([name]) => !(name === 'Content-Type' && request.contentType.includes('json'))
+  );
+  if (headers.length > 0) {
+    lines.push(`    headers=${toPython(Object.fromEntries(headers), 4)},`);
+  }
+
+  if (fields) {
+    const files = fields.filter((field) => field.file);
+    // requests only sends multipart when files= is non-empty, so plain fields
+    // of a multipart body without uploads go there as (None, value) tuples
+    const inFiles =
+      request.contentType === 'multipart/form-data' && files.length === 0 ? fields : files;
+    const data = fields.filter((field) => !inFiles.includes(field));
+
+    if (data.length > 0) {
+      const values = Object.fromEntries(data.map((field) => [field.name, field.value]));
+      lines.push(`    data=${toPython(values, 4)},`);
+    }
+    if (inFiles.length > 0) {
+      lines.push('    files={');
+      for (const field of inFiles) {
+        const value = field.file
+          ? `open(${JSON.stringify(field.value)}, "rb")`
+          : `(None, ${JSON.stringify(field.value)})`;
+        lines.push(`        ${JSON.stringify(field.name)}: ${value},`);
+      }
+      lines.push('    },');
+    }
+  } else if (request.body !== null) {
+    if (request.contentType.includes('json') && typeof request.body !== 'string') {
+      lines.push(`    json=${toPython(request.body, 4)},`);
+    } else if (request.body && typeof request.body === 'object') {
+      lines.push(`    data=${toPython(request.body, 4)},`);
+    } else {
+      lines.push(`    data=${JSON.stringify(String(request.body))},`);
+    }
+  }
+
+  lines.push(')');
+  lines.push('print(response.json())');
+  return lines.join('\n');
+}
+
+const RENDERERS = {
+  curl: renderCurl,
+  httpie: renderHttpie,
+  fetch: renderFetch,
+  'python-requests': renderPythonRequests,
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Builds a language-neutral request description for an operation.
+ *
+ * Path parameters become placeholders, required query/header parameters are
+ * filled from examples (or placeholders), auth comes from the first security
+ * requirement, and the body is the request example or one synthesized from
+ * the request schema.
+ *
+ * @param {Object} spec - Dereferenced OpenAPI/Swagger spec
+ * @param {string} path - Path template (e.g. "/pets/{petId}")
+ * @param {string} method - HTTP method
+ * @param {Object} options - Build options
+ * @param {string} [options.specUrl] - URL the spec came from (for relative servers)
+ * @param {string} [options.baseUrl] - Override the base URL
+ * @returns {Object} Request with method, url, headers, contentType, body and
+ *   files (multipart fields that are file uploads)
+ * @throws {OperationNotFoundError} If the operation does not exist
+ */
+export function buildRequest(spec, path, method, options = {}) {
+  const lowerMethod = method.toLowerCase();
+  const pathItem = spec.paths?.[path];
+  const operation = pathItem?.[lowerMethod];
+  if (!operation || typeof operation !== 'object') {
+    throw new OperationNotFoundError(path, method);
+  }
+
+  const parameters = getOperationParameters(pathItem, operation);
+  const baseUrl = options.baseUrl
+    ? options.baseUrl.replace(/\/+$/, '')
+    : resolveBaseUrl(spec, options.specUrl);
+
+  // Path params become placeholders (or their declared examples)
+  let resolvedPath = path;
+  for (const param of parameters.filter((p) => p.in === 'path')) {
+    const value = parameterValue(param);
+    resolvedPath = resolvedPath.replace(`{${param.name}}`, () => encodeValue(value));
+  }
+
+  const auth = buildAuth(spec, operation);
+  const query = [
+    ...parameters
+      .filter((p) => p.in === 'query' && p.required)
+      .map((p) => [p.name, parameterValue(p)]),
+    ...auth.query,
+  ];
+  const headers = [
+    ...parameters
+      .filter((p) => p.in === 'header' && p.required)
+      .map((p) => [p.name, String(parameterValue(p))]),
+    ...auth.headers,
+  ];
+
+  const body = buildBody(spec, operation, parameters);
+  if (body) {
+    headers.push(['Content-Type', body.contentType]);
+  }
+
+  const queryString = query.length > 0 ? `?${encodeQuery(query)}` : '';
+
+  return {
+    method: lowerMethod.toUpperCase(),
+    url: `${baseUrl}${resolvedPath}${queryString}`,
+    headers,
+    contentType: body?.contentType || null,
+    body: body ? body.body : null,
+    files: body?.files || [],
+  };
+}
+
+/**
+ * Generates a ready-to-run request snippet for an operation.
+ *
+ * @param {Object} spec - Dereferenced OpenAPI/Swagger spec
+ * @param {string} path - Path template
+ * @param {string} method - HTTP method
+ * @param {Object} options - Snippet options
+ * @param {string} [options.lang='curl'] - One of SNIPPET_LANGUAGES
+ * @param {string} [options.specUrl] - URL the spec came from (for relative servers)
+ * @param {string} [options.baseUrl] - Override the base URL
+ * @returns {string} Snippet source
+ * @throws {OperationNotFoundError} If the operation does not exist
+ * @throws {UnsupportedLanguageError} If the language is not supported
+ *
+ * @example
+ * console.log(generateSnippet(spec, '/pets', 'post', { lang: 'httpie' }));
+ */
+export function generateSnippet(spec, path, method, options = {}) {
+  const { lang = 'curl' } = options;
+  const render = RENDERERS[lang];
+  if (!render) {
+    throw new UnsupportedLanguageError(lang);
+  }
+  return render(buildRequest(spec, path, method, options));
+}
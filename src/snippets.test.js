@@ -0,0 +1,237 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRequest,
+  generateSnippet,
+  OperationNotFoundError,
+  UnsupportedLanguageError,
+} from './snippets.js';
+
+const petstore = {
+  openapi: '3.0.3',
+  servers: [{ url: 'https://{region}.example.com/v1', variables: { region: { default: 'eu' } } }],
+  security: [{ bearer: [] }],
+  components: { securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } } },
+  paths: {
+    '/pets': {
+      post: {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { name: { type: 'string', example: 'Rex' } } },
+            },
+          },
+        },
+      },
+    },
+    '/pets/{petId}': {
+      get: {
+        parameters: [
+          { name: 'petId', in: 'path', required: true, schema: { type: 'integer' } },
+          {
+            name: 'fields',
+            in: 'query',
+            required: true,
+            schema: { type: 'string', example: 'a b' },
+          },
+        ],
+      },
+    },
+    '/pets/{petId}/photo': {
+      post: {
+        requestBody: {
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  caption: { type: 'string', example: 'Rex' },
+                  photo: { type: 'string', format: 'binary' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/login': {
+      post: {
+        security: [],
+        requestBody: {
+          content: {
+            'application/x-www-form-urlencoded': {
+              schema: { type: 'object', properties: { user: { type: 'string', example: 'a b' } } },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+describe('buildRequest', () => {
+  it('fills server variables, path placeholders, query and auth', () => {
+    const request = buildRequest(petstore, '/pets/{petId}', 'get');
+    assert.equal(request.method, 'GET');
+    assert.equal(request.url, 'https://eu.example.com/v1/pets/<petId>?fields=a%20b');
+    assert.deepEqual(request.headers, [['Authorization', 'Bearer <TOKEN>']]);
+    assert.equal(request.body, null);
+  });
+
+  it('resolves relative servers against an http(s) spec URL', () => {
+    const spec = { ...petstore, servers: [{ url: '/api' }] };
+    const request = buildRequest(spec, '/pets', 'post', {
+      specUrl: 'https://docs.example.org/specs/openapi.json',
+    });
+    assert.equal(request.url, 'https://docs.example.org/api/pets');
+  });
+
+  it('uses a placeholder host for local specs', () => {
+    const spec = { ...petstore, servers: undefined };
+    assert.equal(
+      buildRequest(spec, '/pets', 'post', { specUrl: '/tmp/openapi.json' }).url,
+      'https://api.example.com/pets'
+    );
+    const relative = { ...petstore, servers: [{ url: '/v2' }] };
+    assert.equal(
+      buildRequest(relative, '/pets', 'post', { specUrl: 'file:///tmp/openapi.json' }).url,
+      'https://api.example.com/v2/pets'
+    );
+  });
+
+  it('marks multipart file fields', () => {
+    const request = buildRequest(petstore, '/pets/{petId}/photo', 'post');
+    assert.equal(request.contentType, 'multipart/form-data');
+    assert.deepEqual(request.files, ['photo']);
+    assert.equal(request.body.photo, '<path/to/photo>');
+  });
+
+  it('percent-encodes path parameter examples', () => {
+    const spec = {
+      paths: {
+        '/files/{name}': {
+          get: {
+            parameters: [{ name: 'name', in: 'path', required: true, example: 'a b/c?.txt' }],
+          },
+        },
+      },
+    };
+    assert.equal(
+      buildRequest(spec, '/files/{name}', 'get').url,
+      'https://api.example.com/files/a%20b%2Fc%3F.txt'
+    );
+  });
+
+  it('skips apiKey schemes without a name', () => {
+    const spec = {
+      ...petstore,
+      security: [{ key: [] }],
+      components: { securitySchemes: { key: { type: 'apiKey', in: 'header' } } },
+    };
+    const request = buildRequest(spec, '/pets/{petId}', 'get');
+    assert.deepEqual(request.headers, []);
+    assert.equal(request.url, 'https://eu.example.com/v1/pets/<petId>?fields=a%20b');
+  });
+
+  it('throws for unknown operations', () => {
+    assert.throws(() => buildRequest(petstore, '/nope', 'get'), OperationNotFoundError);
+  });
+});
+
+describe('generateSnippet', () => {
+  it('renders a JSON body for curl', () => {
+    const snippet = generateSnippet(petstore, '/pets', 'post');
+    assert.match(snippet, /^curl -X POST 'https:\/\/eu\.example\.com\/v1\/pets'/);
+    assert.match(snippet, /-H 'Content-Type: application\/json'/);
+    assert.match(snippet, /-d '\{\n {2}"name": "Rex"\n\}'/);
+  });
+
+  it('uses json= in python-requests', () => {
+    const snippet = generateSnippet(petstore, '/pets', 'post', { lang: 'python-requests' });
+    assert.match(snippet, /json=\{\n {8}"name": "Rex",\n {4}\}/);
+    assert.doesNotMatch(snippet, /Content-Type/);
+  });
+
+  describe('multipart bodies', () => {
+    const path = '/pets/{petId}/photo';
+
+    it('uses -F for curl', () => {
+      const snippet = generateSnippet(petstore, path, 'post');
+      assert.match(snippet, /-F 'caption=Rex'/);
+      assert.match(snippet, /-F 'photo=@<path\/to\/photo>'/);
+      assert.doesNotMatch(snippet, /Content-Type/);
+    });
+
+    it('sends values -F would misread with --form-string', () => {
+      const spec = JSON.parse(JSON.stringify(petstore));
+      spec.paths[path].post.requestBody.content['multipart/form-data'].schema.properties.caption = {
+        type: 'string',
+        example: '<caption>',
+      };
+      assert.match(generateSnippet(spec, path, 'post'), /--form-string 'caption=<caption>'/);
+    });
+
+    it('uses --form for httpie', () => {
+      const snippet = generateSnippet(petstore, path, 'post', { lang: 'httpie' });
+      assert.match(snippet, /^http --form POST /);
+      assert.match(snippet, /'caption=Rex'/);
+      assert.match(snippet, /'photo@<path\/to\/photo>'/);
+    });
+
+    it('uses data= and files= for python-requests', () => {
+      const snippet = generateSnippet(petstore, path, 'post', { lang: 'python-requests' });
+      assert.match(snippet, /data=\{\n {8}"caption": "Rex",\n {4}\}/);
+      assert.match(snippet, /files=\{\n {8}"photo": open\("<path\/to\/photo>", "rb"\),\n {4}\}/);
+      assert.doesNotMatch(snippet, /Content-Type/);
+    });
+
+    it('uses FormData for fetch', () => {
+      const snippet = generateSnippet(petstore, path, 'post', { lang: 'fetch' });
+      assert.match(snippet, /form\.append\("photo", await openAsBlob\("<path\/to\/photo>"\)\);/);
+      assert.match(snippet, /body: form,/);
+    });
+  });
+
+  describe('urlencoded bodies', () => {
+    it('uses --data-urlencode for curl', () => {
+      const snippet = generateSnippet(petstore, '/login', 'post');
+      assert.match(snippet, /--data-urlencode 'user=a b'/);
+    });
+
+    it('uses --form for httpie and data= for python-requests', () => {
+      assert.match(generateSnippet(petstore, '/login', 'post', { lang: 'httpie' }), /^http --form/);
+      const python = generateSnippet(petstore, '/login', 'post', { lang: 'python-requests' });
+      assert.match(python, /data=\{\n {8}"user": "a b",\n {4}\}/);
+      assert.doesNotMatch(python, /files=/);
+    });
+  });
+
+  it('renders Swagger 2.0 formData uploads as multipart', () => {
+    const spec = {
+      swagger: '2.0',
+      host: 'api.example.net',
+      schemes: ['https'],
+      paths: {
+        '/upload': {
+          post: {
+            consumes: ['application/x-www-form-urlencoded', 'multipart/form-data'],
+            parameters: [
+              { name: 'file', in: 'formData', type: 'file', required: true },
+              { name: 'note', in: 'formData', type: 'string', required: true },
+            ],
+          },
+        },
+      },
+    };
+    const snippet = generateSnippet(spec, '/upload', 'post');
+    assert.match(snippet, /-F 'file=@<path\/to\/file>'/);
+    assert.match(snippet, /--form-string 'note=<note>'/);
+  });
+
+  it('rejects unknown languages', () => {
+    assert.throws(
+      () => generateSnippet(petstore, '/pets', 'post', { lang: 'cobol' }),
+      UnsupportedLanguageError
+    );
+  });
+});
@@ -0,0 +1,440 @@
+/**
+ * Spec source module for api-docs-cli
+ * Loads specs from local files and stdin so commands can work with vendored specs
+ */
+
+import { readFile, stat } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseSpecContent, validateSpec, fetchOpenAPISpec } from './extractors/openapi.js';
+import {
+  getCached,
+  setCache,
+  setScrapedCache,
+  CacheNotFoundError,
+  CacheExpiredError,
+  ENTRY_TYPE_SCRAPED,
+} from './cache.js';
+import { loadExternalRefs, dereferenceSpec } from './resolver.js';
+import { isPostmanCollection, postmanToOpenAPI } from './postman.js';
+import { getUrlSettings } from './config.js';
+
+// ============================================================================
+// Custom Error Classes
+// ============================================================================
+
+/**
+ * Base error class for spec source errors
+ */
+export class SpecSourceError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'SpecSourceError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a local spec file (or stdin) cannot be read or is not a valid spec
+ */
+export class SpecFileError extends SpecSourceError {
+  constructor(path, message, cause = null) {
+    super(`Failed to read spec file ${path}: ${message}`, cause);
+    this.name = 'SpecFileError';
+    this.path = path;
+  }
+}
+
+/**
+ * Thrown when no spec can be found for a source
+ */
+export class SpecNotFoundError extends SpecSourceError {
+  constructor(source, cause = null) {
+    super(`No spec found for: ${source}`, cause);
+    this.name = 'SpecNotFoundError';
+    this.source = source;
+  }
+}
+
+/**
+ * Thrown when a cache entry holds scraped endpoints but a full spec is needed
+ */
+export class ScrapedEntryError extends SpecSourceError {
+  constructor(url, cause = null) {
+    super(
+      `Cached entry for ${url} was scraped from a docs page and has no spec ` +
+        '(parameters, schemas and responses are unavailable)',
+      cause
+    );
+    this.name = 'ScrapedEntryError';
+    this.url = url;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Source argument that means "read the spec from stdin"
+ */
+export const STDIN_SOURCE = '-';
+
+/**
+ * Path form of stdin, accepted as an alias for "-"
+ */
+export const STDIN_PATH = '/dev/stdin';
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Reads all of stdin as text.
+ *
+ * @returns {Promise<string>} Stdin contents
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Parses and validates spec content through the same path as fetched specs.
+ * Postman collections are converted to OpenAPI first.
+ *
+ * @param {string} content - Raw JSON or YAML
+ * @param {string} label - Path or name used for format detection and errors
+ * @returns {{spec: Object, format: string, specInfo: Object}} Parsed spec
+ * @throws {SpecFileError} If the content is not a valid OpenAPI/Swagger spec
+ */
+function parseLocalContent(content, label) {
+  try {
+    const { spec: parsed, format } = parseSpecContent(content, label);
+    const spec = isPostmanCollection(parsed) ? postmanToOpenAPI(parsed) : parsed;
+    const specInfo = validateSpec(spec, label);
+    return { spec, format, specInfo };
+  } catch (error) {
+    throw new SpecFileError(label, error.message, error);
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Checks whether a source argument means stdin.
+ *
+ * @param {string} source - Source string from the command line
+ * @returns {boolean} True for "-" and "/dev/stdin"
+ */
+export function isStdinSource(source) {
+  return source === STDIN_SOURCE || source === STDIN_PATH;
+}
+
+/**
+ * Checks whether a source string refers to a local file.
+ * Accepts file:// URLs, paths to files that exist on disk, and anything that is
+ * clearly meant as a path (./spec.yaml, /abs/path, *.json) so a missing file is
+ * reported as such instead of being looked up as a provider name.
+ *
+ * @param {string} source - Source string from the command line
+ * @returns {Promise<boolean>} True if the source is a local file
+ */
+export async function isLocalSource(source) {
+  if (source.startsWith('file:')) {
+    return true;
+  }
+  if (/^https?:\/\//.test(source) || isStdinSource(source)) {
+    return false;
+  }
+  if (/^(\.{1,2}[\\/]|\/|[A-Za-z]:\\)/.test(source) || /\.(json|ya?ml)$/i.test(source)) {
+    return true;
+  }
+  try {
+    return (await stat(source)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Converts a local path or file:// URL to an absolute file URL.
+ * Local specs are cached under this URL.
+ *
+ * @param {string} source - Path or file:// URL
+ * @returns {string} Absolute file:// URL
+ */
+export function toFileUrl(source) {
+  if (source.startsWith('file:')) {
+    return source;
+  }
+  return pathToFileURL(resolve(source)).href;
+}
+
+/**
+ * Gets the modification time of a local spec file.
+ *
+ * @param {string} source - Path or file:// URL
+ * @returns {Promise<string>} Modification time as an ISO string
+ * @throws {SpecFileError} If the file cannot be accessed
+ */
+export async function getSourceMtime(source) {
+  const path = fileURLToPath(toFileUrl(source));
+  try {
+    return (await stat(path)).mtime.toISOString();
+  } catch (error) {
+    throw new SpecFileError(path, error.message, error);
+  }
+}
+
+/**
+ * Reads, parses and validates a local JSON or YAML spec file.
+ *
+ * @param {string} source - Path or file:// URL
+ * @returns {Promise<Object>} Result shaped like fetchOpenAPISpec(): spec, format,
+ *   specInfo, sourceUrl (the file URL, usable as a base for relative $refs) and mtime
+ * @throws {SpecFileError} If the file cannot be read or is not a valid spec
+ *
+ * @example
+ * const { spec, sourceUrl, mtime } = await loadSpecFile('./openapi.yaml');
+ */
+export async function loadSpecFile(source) {
+  const sourceUrl = toFileUrl(source);
+  const path = fileURLToPath(sourceUrl);
+
+  let content;
+  let mtime;
+  try {
+    content = await readFile(path, 'utf-8');
+    mtime = (await stat(path)).mtime.toISOString();
+  } catch (error) {
+    throw new SpecFileError(path, error.message, error);
+  }
+
+  return { ...parseLocalContent(content, path), sourceUrl, mtime };
+}
+
+/**
+ * Reads, parses and validates a spec piped to stdin.
+ * Relative $refs resolve against the current working directory.
+ *
+ * @returns {Promise<Object>} Result shaped like fetchOpenAPISpec(): spec, format,
+ *   specInfo and sourceUrl (the working directory as a file URL)
+ * @throws {SpecFileError} If stdin is empty or not a valid spec
+ *
+ * @example
+ * // cat openapi.yaml | api-docs endpoints -
+ * const { spec } = await loadSpecStdin();
+ */
+export async function loadSpecStdin() {
+  const content = await readStdin();
+  if (!content.trim()) {
+    throw new SpecFileError('<stdin>', 'No input received');
+  }
+  return {
+    ...parseLocalContent(content, '<stdin>'),
+    sourceUrl: pathToFileURL(`${process.cwd()}/`).href,
+  };
+}
+
+// ============================================================================
+// Spec Loading
+// ============================================================================
+
+/**
+ * Loads external $ref documents for an extracted spec, caches both, and
+ * returns the dereferenced spec ready for display.
+ *
+ * @param {string} url - URL the spec is cached under
+ * @param {Object} result - Extractor result with spec, format and optional sourceUrl
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.cache=true] - Write the spec to the cache
+ * @param {number|null} [options.ttl] - Cache TTL in ms (defaults to the configured
+ *   cacheTtl for the URL, 24 hours out of the box)
+ * @param {string} [options.sourceMtime] - Modification time of a local spec file
+ * @returns {Promise<Object>} Dereferenced spec
+ */
+export async function prepareSpec(url, result, options = {}) {
+  const settings = await getUrlSettings(url);
+  const { cache = true, ttl = settings.cacheTtl, sourceMtime } = options;
+  const baseUrl = result.sourceUrl || url;
+  const { documents } = await loadExternalRefs(result.spec, {
+    baseUrl,
+    timeout: settings.timeout,
+    headers: settings.headers,
+  });
+
+  if (cache) {
+    await setCache(url, result.spec, {
+      originalFormat: result.format,
+      ttl,
+      documents,
+      sourceUrl: baseUrl,
+      sourceMtime,
+    });
+  }
+
+  return dereferenceSpec(result.spec, { baseUrl, documents });
+}
+
+/**
+ * Caches endpoints scraped from a docs page so later runs skip the browser.
+ *
+ * @param {string} url - URL the result is cached under
+ * @param {Object} scraped - Result from scrapeEndpoints()
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.cache=true] - Write the result to the cache
+ * @param {number|null} [options.ttl] - Cache TTL in ms (defaults to the configured
+ *   cacheTtl for the URL, 24 hours out of the box)
+ * @returns {Promise<Object>} The scraped result, unchanged
+ */
+export async function prepareScraped(url, scraped, options = {}) {
+  const { cacheTtl } = await getUrlSettings(url);
+  const { cache = true, ttl = cacheTtl } = options;
+  if (cache) {
+    await setScrapedCache(url, scraped, { ttl });
+  }
+  return scraped;
+}
+
+/**
+ * Checks whether a cache entry holds scraped endpoints rather than a spec.
+ *
+ * @param {Object} cached - Cache entry from getCached()
+ * @returns {boolean} True for scraped entries
+ */
+export function isScrapedEntry(cached) {
+  return cached.metadata?.entryType === ENTRY_TYPE_SCRAPED;
+}
+
+/**
+ * Dereferences a cached spec using the external documents stored with it.
+ *
+ * @param {Object} cached - Cache entry from getCached()
+ * @returns {Object} Dereferenced spec
+ * @throws {ScrapedEntryError} If the entry holds scraped endpoints instead of a spec
+ */
+export function resolveCachedSpec(cached) {
+  if (isScrapedEntry(cached)) {
+    throw new ScrapedEntryError(cached.metadata.url);
+  }
+  return dereferenceSpec(cached.spec, {
+    baseUrl: cached.metadata.sourceUrl || cached.metadata.url,
+    documents: cached.documents,
+  });
+}
+
+/**
+ * Maps a command-line source to the URL it is cached under.
+ * Local files are cached under their absolute file:// URL.
+ *
+ * @param {string} source - URL, provider name, path or file:// URL
+ * @returns {Promise<string>} Cache URL
+ */
+export async function resolveCacheUrl(source) {
+  return (await isLocalSource(source)) ? toFileUrl(source) : source;
+}
+
+/**
+ * Loads a spec from a local file or stdin ("-").
+ * Files are cached under their file:// URL and re-read when their modification
+ * time changes; stdin is parsed fresh every time and never cached.
+ *
+ * @param {string} source - Path, file:// URL or "-"
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Re-read the file even if the cache is current
+ * @returns {Promise<{spec: Object, metadata: Object}>} Dereferenced spec and its
+ *   metadata (url, sourceUrl, specType)
+ * @throws {SpecSourceError} If the file or stdin cannot be read or is not a valid spec
+ */
+export async function loadLocalSpec(source, options = {}) {
+  const { force = false } = options;
+
+  if (isStdinSource(source)) {
+    const result = await loadSpecStdin();
+    return {
+      spec: await prepareSpec(source, result, { cache: false }),
+      metadata: { url: source, sourceUrl: result.sourceUrl, specType: result.specInfo.type },
+    };
+  }
+
+  const url = toFileUrl(source);
+  if (!force) {
+    const mtime = await getSourceMtime(source);
+    try {
+      const cached = await getCached(url);
+      if (cached.metadata.sourceMtime === mtime) {
+        return { spec: resolveCachedSpec(cached), metadata: cached.metadata };
+      }
+    } catch (error) {
+      if (!(error instanceof CacheNotFoundError)) {
+        throw error;
+      }
+    }
+  }
+
+  // Local files never expire; an mtime change triggers a re-read instead
+  const result = await loadSpecFile(source);
+  const spec = await prepareSpec(url, result, { ttl: null, sourceMtime: result.mtime });
+  return {
+    spec,
+    metadata: { url, sourceUrl: result.sourceUrl, specType: result.specInfo.type },
+  };
+}
+
+/**
+ * Loads a dereferenced spec without any browser-based extraction: a local file,
+ * a cache entry, or a spec URL that is fetched (and cached) on demand.
+ *
+ * @param {string} source - Local path, file:// URL, cached URL or spec URL
+ * @param {Object} [options] - Options
+ * @param {string} [options.revision] - Cached revision id (or prefix) to load
+ * @returns {Promise<{spec: Object, metadata: Object}>} Dereferenced spec and its metadata
+ * @throws {SpecNotFoundError} If the source is not cached and no spec can be fetched
+ * @throws {SpecFileError} If a local file cannot be read or is not a valid spec
+ * @throws {RevisionNotFoundError} If the requested revision does not exist
+ * @throws {ScrapedEntryError} If the source is cached as scraped endpoints only
+ *
+ * @example
+ * const { spec, metadata } = await loadSpecSource('https://api.example.com/openapi.json');
+ */
+export async function loadSpecSource(source, options = {}) {
+  const { revision } = options;
+
+  if (!revision && (await isLocalSource(source))) {
+    return loadLocalSpec(source);
+  }
+
+  const url = await resolveCacheUrl(source);
+  try {
+    const cached = await getCached(url, { revision });
+    return { spec: resolveCachedSpec(cached), metadata: cached.metadata };
+  } catch (error) {
+    const missing = error instanceof CacheNotFoundError || error instanceof CacheExpiredError;
+    if (revision || !missing) {
+      throw error;
+    }
+  }
+
+  if (/^https?:\/\//.test(url)) {
+    const { timeout, headers, framework } = await getUrlSettings(url);
+    const result = await fetchOpenAPISpec(url, {
+      timeout,
+      headers,
+      direct: framework === 'openapi',
+    });
+    if (result) {
+      return {
+        spec: await prepareSpec(url, result),
+        metadata: { url, sourceUrl: result.sourceUrl, specType: result.specInfo.type },
+      };
+    }
+  }
+
+  throw new SpecNotFoundError(source);
+}
@@ -0,0 +1,224 @@
+/**
+ * OpenAPI synthesis module for api-docs-cli
+ * Builds an OpenAPI 3.1 document from endpoints scraped off a docs page
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const OPENAPI_VERSION = '3.1.0';
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header', 'cookie'];
+
+const SCHEMA_TYPES = ['string', 'integer', 'number', 'boolean', 'array', 'object'];
+
+/**
+ * Vendor extension marking documents built by this module
+ */
+export const SYNTHESIZED_EXTENSION = 'x-api-docs-cli';
+
+/**
+ * Summaries longer than this keep only the description
+ */
+const MAX_SUMMARY_LENGTH = 120;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Converts a scraped path to an OpenAPI path template.
+ * Express-style ":id" segments become "{id}"; query strings and fragments are dropped.
+ *
+ * @param {string} path - Scraped path
+ * @returns {string} Path template, e.g. "/users/{id}/posts"
+ *
+ * @example
+ * normalizePath('/users/:userId/posts?page=2'); // '/users/{userId}/posts'
+ */
+function normalizePath(path) {
+  let normalized = String(path).trim().split(/[?#]/)[0];
+  normalized = normalized.replace(/:([A-Za-z_][\w-]*)/g, '{$1}');
+  if (!normalized.startsWith('/')) {
+    normalized = `/${normalized}`;
+  }
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+}
+
+/**
+ * Builds path parameters for every {name} segment of a path template.
+ *
+ * @param {string} path - Path template
+ * @returns {Array<Object>} Required string path parameters
+ */
+function inferPathParameters(path) {
+  const names = [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+  return [...new Set(names)].map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+}
+
+/**
+ * Builds the parameters of an operation from the scraped parameter list
+ * (when the docs page had one) plus any undocumented {name} path segments.
+ *
+ * @param {string} path - Path template
+ * @param {Array<Object>} [scraped=[]] - Scraped parameters ({name, in, required, type, description})
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function buildParameters(path, scraped = []) {
+  const parameters = [];
+  const seen = new Set();
+
+  for (const param of scraped) {
+    if (!param?.name || !PARAMETER_LOCATIONS.includes(param.in)) {
+      continue;
+    }
+    const key = `${param.in}:${param.name}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    const type = String(param.type || '').toLowerCase();
+    const parameter = {
+      name: param.name,
+      in: param.in,
+      required: param.in === 'path' || Boolean(param.required),
+      schema: { type: SCHEMA_TYPES.includes(type) ? type : 'string' },
+    };
+    if (param.description) {
+      parameter.description = param.description;
+    }
+    parameters.push(parameter);
+  }
+
+  for (const parameter of inferPathParameters(path)) {
+    if (!seen.has(`path:${parameter.name}`)) {
+      parameters.push(parameter);
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Splits a scraped description into an OpenAPI summary and description.
+ *
+ * @param {string} text - Scraped description
+ * @returns {{summary?: string, description?: string}} Fields to spread into the operation
+ */
+function describeOperation(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return {};
+  }
+  const firstLine = trimmed.split('\n')[0].trim();
+  if (firstLine === trimmed && trimmed.length <= MAX_SUMMARY_LENGTH) {
+    return { summary: trimmed };
+  }
+  if (firstLine.length <= MAX_SUMMARY_LENGTH) {
+    return { summary: firstLine, description: trimmed };
+  }
+  return { description: trimmed };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Builds an OpenAPI 3.1 document from a scrapeEndpoints() result.
+ *
+ * Scraped parameters are kept when the docs listed them, and any other path
+ * parameters are inferred from {name} and :name segments. Tags are
+ * collected into the top-level tag list, and every operation gets a
+ * placeholder default response since scraped pages carry no schemas.
+ * The document is marked with an `x-api-docs-cli` extension recording that it
+ * was synthesized and where it came from.
+ *
+ * @param {Object} scrapedResult - Result from scrapeEndpoints() (url, framework, apiInfo, endpoints)
+ * @returns {Object} OpenAPI 3.1 document
+ *
+ * @example
+ * const scraped = await scrapeEndpoints('https://docs.example.com/api');
+ * const spec = synthesizeOpenAPI(scraped);
+ * console.log(spec.paths['/users/{id}'].get.parameters); // [{ name: 'id', in: 'path', ... }]
+ */
+export function synthesizeOpenAPI(scrapedResult) {
+  const { apiInfo = {}, endpoints = [] } = scrapedResult;
+
+  const paths = {};
+  const tags = [];
+  const operationIds = new Set();
+
+  for (const endpoint of endpoints) {
+    const method = String(endpoint.method || '').toLowerCase();
+    if (!OPERATION_METHODS.includes(method) || !endpoint.path) {
+      continue;
+    }
+
+    const path = normalizePath(endpoint.path);
+    paths[path] = paths[path] || {};
+    if (paths[path][method]) {
+      continue; // Same endpoint listed twice on the page
+    }
+
+    const operation = describeOperation(endpoint.description);
+
+    // operationIds must be unique across the document
+    if (endpoint.operationId && !operationIds.has(endpoint.operationId)) {
+      operationIds.add(endpoint.operationId);
+      operation.operationId = endpoint.operationId;
+    }
+
+    const endpointTags = (endpoint.tags || []).map(String).filter(Boolean);
+    if (endpointTags.length > 0) {
+      operation.tags = endpointTags;
+      for (const tag of endpointTags) {
+        if (!tags.includes(tag)) {
+          tags.push(tag);
+        }
+      }
+    }
+
+    const parameters = buildParameters(path, endpoint.parameters);
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    operation.responses = {
+      default: { description: 'Response not documented (synthesized from scraped docs)' },
+    };
+
+    paths[path][method] = operation;
+  }
+
+  const info = {
+    title: apiInfo?.title || 'Unknown API',
+    version: apiInfo?.version || '0.0.0',
+  };
+  if (apiInfo?.description) {
+    info.description = apiInfo.description;
+  }
+
+  const document = { openapi: OPENAPI_VERSION, info };
+  if (tags.length > 0) {
+    document.tags = tags.map((name) => ({ name }));
+  }
+  document.paths = paths;
+  document[SYNTHESIZED_EXTENSION] = {
+    synthesized: true,
+    source: 'scraped',
+    framework: scrapedResult.framework || null,
+    sourceUrl: scrapedResult.url || null,
+  };
+
+  return document;
+}